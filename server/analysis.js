@@ -0,0 +1,500 @@
+import { supabase } from './supabase.js';
+import { createProgressTracker } from './jobs.js';
+import { fetchSerpPages, getSerpProvider } from './providers/index.js';
+import { getSerpMetrics } from './metrics.js';
+import { describeUrl } from './domains.js';
+import { createKeyScheduler } from './keyScheduler.js';
+import { checkBudget, isKeyOverBudget, recordUsage } from './usage.js';
+import { loadUserApiKeys } from './apiKeys.js';
+import { evaluateRules, isUgcUrl, legacyRuleDefinition } from './rules.js';
+import { recordProjectResults } from './projects.js';
+import { clusterAnalysisResults } from './clustering.js';
+import { resolveLocale } from './locales.js';
+import { describeTrackedRankings, listTrackedDomains } from './visibility.js';
+import { DEFAULT_DIFFICULTY_WEIGHTS, getDifficultyWeights, scoreDifficulty } from './difficulty.js';
+import { classifyIntent, classifyResult } from './classifier.js';
+import { DEFAULT_SERP_CACHE_MAX_AGE_HOURS, loadCachedSerps } from './serpCache.js';
+
+/*
+  Create the pending analysis_logs row that tracks a request through its lifecycle. Returns
+  { idempotencyConflict: true } when a concurrent request already claimed the idempotency key.
+*/
+export const createAnalysisLog = async ({ userId, requestId, keywords, webhookTokenId = null, bulkRunId = null, scheduleId = null, projectId = null, expansionId = null, idempotency = null, options }) => {
+  try {
+    const { error: logError } = await supabase.from('analysis_logs').insert({
+      user_id: userId,
+      request_id: requestId,
+      keywords: keywords,
+      webhook_token_id: webhookTokenId,
+      bulk_run_id: bulkRunId,
+      schedule_id: scheduleId,
+      project_id: projectId,
+      expansion_id: expansionId,
+      options: options,
+      locale: resolveLocale(options),
+      progress: createInitialProgress(keywords),
+      idempotency_key: idempotency?.key || null,
+      idempotency_fingerprint: idempotency?.fingerprint || null,
+      status: 'pending'
+    });
+
+    if (logError && logError.code === '23505' && idempotency) {
+      console.log(`🔁 Idempotency key already claimed by a concurrent request`);
+      return { idempotencyConflict: true };
+    }
+
+    if (logError) {
+      console.error(`❌ Failed to log request:`, logError);
+    } else {
+      console.log(`✅ Request logged successfully`);
+    }
+  } catch (logError) {
+    console.error(`❌ Error logging request:`, logError);
+  }
+
+  return { idempotencyConflict: false };
+};
+
+// Mark an analysis as failed, used by both the synchronous and background paths
+export const markAnalysisFailed = async (requestId, errorMessage, startTime) => {
+  try {
+    await supabase.from('analysis_logs').update({
+      status: 'failed',
+      error_message: errorMessage,
+      processing_time: Date.now() - startTime
+    }).eq('request_id', requestId);
+  } catch (updateError) {
+    console.error('❌ Failed to update error log:', updateError);
+  }
+};
+
+/*
+  Load the user's decrypted keys and check the account and key budgets before any actor
+  starts. When the analysis cannot run the log is marked failed and
+  { error: { status, title, message, details } } is returned, `details` being extra fields
+  for the response body; otherwise { apiKeys, spendByKey }.
+*/
+export const prepareAnalysis = async ({ userId, requestId, keywordCount, startTime }) => {
+  const fail = async (status, title, message, details = {}) => {
+    console.log(`❌ Analysis ${requestId} cannot run for user ${userId}: ${message}`);
+    await markAnalysisFailed(requestId, message, startTime);
+    return { error: { status, title, message, details } };
+  };
+
+  const apiKeys = await loadUserApiKeys(userId);
+  if (apiKeys.length === 0) {
+    return fail(400, 'No API keys', 'Please add at least one Apify API key');
+  }
+
+  const budgetCheck = await checkBudget(userId, keywordCount);
+  if (!budgetCheck.allowed) {
+    return fail(402, 'Budget exceeded', `Estimated cost $${budgetCheck.estimate} would exceed the monthly budget of $${budgetCheck.budget} ($${budgetCheck.spent} spent this month)`, {
+      budget_usd: budgetCheck.budget,
+      spent_usd: budgetCheck.spent,
+      estimated_cost_usd: budgetCheck.estimate
+    });
+  }
+  if (apiKeys.every(key => isKeyOverBudget(key, budgetCheck.spendByKey))) {
+    return fail(402, 'Budget exceeded', 'Every API key has reached its monthly budget');
+  }
+
+  return { apiKeys, spendByKey: budgetCheck.spendByKey };
+};
+
+const createInitialProgress = (keywords) => ({
+  stage: 'queued',
+  total: keywords.length,
+  completed: 0,
+  failed: 0,
+  keywords: keywords.map(keyword => ({ keyword, status: 'pending' }))
+});
+
+// Resolve the Write/Skip configuration with defaults
+export const resolveWriteSkipConfig = (writeSkipConfig = {}) => ({
+  x: writeSkipConfig.x || 5,  // Number of low DA domains required
+  y: writeSkipConfig.y || 10, // Top Y results to check
+  z: writeSkipConfig.z || 35  // DA threshold (domains below this are "low DA")
+});
+
+// Run the full SERP + Moz pipeline for a logged request and return the response payload
+export const runSerpAnalysis = async ({ requestId, userId, keywords, apiKeys, spendByKey, country = "US", page = 1, language = null, device = 'desktop', location = null, depth = 1, writeSkipConfig, ruleProfile = null, metricsMaxAgeHours, serpCacheMaxAgeHours = DEFAULT_SERP_CACHE_MAX_AGE_HOURS, clustering = {}, startTime }) => {
+  const { x, y, z } = resolveWriteSkipConfig(writeSkipConfig);
+  const rule = ruleProfile ? ruleProfile.definition : legacyRuleDefinition({ x, y, z });
+  const progress = createProgressTracker(requestId, createInitialProgress(keywords));
+
+  const scheduler = createKeyScheduler(apiKeys, { spendByKey });
+  const sortedApiKeys = scheduler.keys;
+
+  // Ledger every billed provider run against the key that paid for it
+  const trackUsage = (key) => async (usage) => {
+    scheduler.recordSpend(key.id, usage.cost_usd);
+    await recordUsage({ userId, apiKeyId: key.id, requestId, usage });
+  };
+
+  console.log(`🔑 Found ${sortedApiKeys.length} API keys for user ${userId}`);
+
+  // Keywords analyzed recently with the same locale are served from stored serp_results; a failed lookup only skips the cache
+  let cachedSerps = new Map();
+  try {
+    cachedSerps = await loadCachedSerps({ userId, keywords, country, page, language, device, location, depth, maxAgeHours: serpCacheMaxAgeHours });
+    if (cachedSerps.size > 0) {
+      console.log(`🗄️ SERP cache: ${cachedSerps.size} of ${keywords.length} keywords served from stored results (max age ${serpCacheMaxAgeHours}h)`);
+    }
+  } catch (cacheError) {
+    console.error(`❌ Error loading cached SERPs:`, cacheError);
+  }
+
+  // 🚀 OPTIMIZED PARALLEL PROCESSING: Get SERP data first, then batch Moz analysis
+  console.log(`🔄 Starting optimized parallel processing for ${keywords.length} keywords`);
+  progress.setStage('serp');
+
+  // Step 1: Get SERP data for all keywords in parallel, failing over between keys
+  const serpPromises = keywords.map(async (keyword, index) => {
+    const cached = cachedSerps.get(keyword);
+    if (cached) {
+      progress.markKeyword(index, 'completed');
+      return {
+        keyword,
+        api_key_used: null,
+        api_keys_attempted: [],
+        serpResult: cached.serpResult,
+        cached_from: cached.cached_from,
+        success: true
+      };
+    }
+
+    try {
+      const { result: serpResult, key, attempts } = await scheduler.run(keyword, index, (currentKey) => {
+        const provider = getSerpProvider(currentKey.provider);
+        return fetchSerpPages(provider, { keyword, country, page, language, device, location, depth, apiKey: currentKey.api_key, onUsage: trackUsage(currentKey) });
+      });
+
+      progress.markKeyword(index, 'completed');
+
+      return {
+        keyword,
+        api_key_used: key.key_name,
+        api_keys_attempted: attempts,
+        serpResult,
+        success: true
+      };
+      
+    } catch (error) {
+      progress.markKeyword(index, 'failed', error.message);
+
+      return {
+        keyword,
+        api_key_used: null,
+        api_keys_attempted: error.attempts || [],
+        error: error.message,
+        success: false
+      };
+    }
+  });
+
+  // Wait for all SERP data to be collected
+  console.log(`⏳ Waiting for all SERP data to be collected...`);
+  const serpResults = await Promise.all(serpPromises);
+  
+  // Step 2: Collect all unique result URLs for batch Moz analysis
+  const allUrls = [];
+  const successfulSerpResults = [];
+  
+  serpResults.forEach(result => {
+    if (result.success && result.serpResult && result.serpResult.results) {
+      successfulSerpResults.push(result);
+      result.serpResult.results.forEach(serpItem => {
+        if (serpItem.url && !allUrls.includes(serpItem.url)) {
+          allUrls.push(serpItem.url);
+        }
+      });
+    }
+  });
+
+  console.log(`📊 Collected ${allUrls.length} unique URLs from ${successfulSerpResults.length} successful SERP results`);
+
+  // Step 3: Batch Moz DA/PA analysis for all URLs (if we have any)
+  let serpMetrics = { domains: {}, pages: {} };
+  if (allUrls.length > 0) {
+    console.log(`🚀 Starting batch Moz DA/PA analysis for ${allUrls.length} URLs`);
+    progress.setStage('metrics');
+
+    // Use the first available API key for Moz analysis
+    const metricsKey = scheduler.pickKey();
+    serpMetrics = await getSerpMetrics({
+      urls: allUrls,
+      provider: metricsKey ? getSerpProvider(metricsKey.provider) : null,
+      apiKey: metricsKey?.api_key,
+      onUsage: metricsKey ? trackUsage(metricsKey) : undefined,
+      maxAgeHours: metricsMaxAgeHours
+    });
+
+    console.log(`✅ Moz analysis completed for ${Object.keys(serpMetrics.domains).length} domains and ${Object.keys(serpMetrics.pages).length} pages`);
+  }
+
+  // Own and competitor domains to locate in each keyword's results; a failed lookup only drops the annotation
+  let trackedDomains = [];
+  try {
+    trackedDomains = await listTrackedDomains(userId);
+  } catch (trackedError) {
+    console.error(`❌ Error loading tracked domains:`, trackedError);
+  }
+
+  let difficultyWeights = DEFAULT_DIFFICULTY_WEIGHTS;
+  try {
+    difficultyWeights = await getDifficultyWeights(userId);
+  } catch (weightsError) {
+    console.error(`❌ Error loading difficulty weights, using the defaults:`, weightsError);
+  }
+
+  // Step 4: Process results with Moz data
+  progress.setStage('saving');
+  const results = serpResults.map(result => {
+    if (!result.success) {
+      return {
+        keyword: result.keyword,
+        api_key_used: result.api_key_used,
+        api_keys_attempted: result.api_keys_attempted,
+        error: result.error,
+        decision: 'Error',
+        cached: false,
+        detailed_results: []
+      };
+    }
+
+    const serpResult = result.serpResult;
+    // DA and spam score belong to the registrable domain, PA to the page; missing metrics stay null
+    const detailedResults = serpResult.results.map(r => {
+      const { url, host, domain } = describeUrl(r.url);
+      const domainData = serpMetrics.domains[domain];
+      const pageData = serpMetrics.pages[url];
+      const isUgc = isUgcUrl(url, rule.ugc_domains);
+      return {
+        domain,
+        host,
+        url,
+        da: domainData?.domain_authority ?? null,
+        pa: pageData?.page_authority ?? null,
+        spam_score: domainData?.spam_score ?? null,
+        metrics_missing: !domainData || domainData.domain_authority === null,
+        is_ugc: isUgc,
+        result_type: classifyResult({ url, title: r.title, is_ugc: isUgc }, result.keyword),
+        metrics_source: domainData ? domainData.source : null,
+        metrics_age_hours: domainData ? domainData.age_hours : null,
+        position: r.position,
+        title: r.title,
+        description: r.description
+      };
+    });
+    const das = detailedResults.filter(r => r.da !== null).map(r => r.da);
+    const averageDA = das.length ? das.reduce((sum, da) => sum + da, 0) / das.length : null;
+    const lowDACount = detailedResults.filter(r => r.position <= y && r.da !== null && r.da < z).length;
+    const intent = classifyIntent(result.keyword, detailedResults);
+    const { decision, explanation } = evaluateRules(rule, detailedResults, { intent: intent.intent });
+    const difficulty = scoreDifficulty(detailedResults, {
+      knowledgePanel: serpResult.knowledge_panel,
+      weights: difficultyWeights,
+      ugcDomains: rule.ugc_domains
+    });
+    const fullResults = serpResult.results.map((r, i) => ({
+      ...r,
+      url: detailedResults[i].url,
+      domain: detailedResults[i].domain,
+      domain_authority: detailedResults[i].da,
+      page_authority: detailedResults[i].pa,
+      spam_score: detailedResults[i].spam_score,
+      result_type: detailedResults[i].result_type
+    }));
+
+    return {
+      keyword: result.keyword,
+      api_key_used: result.api_key_used,
+      api_keys_attempted: result.api_keys_attempted,
+      cached: !!result.cached_from,
+      cached_from: result.cached_from || null,
+      domains: detailedResults.slice(0, y).map(r => r.domain),
+      urls: detailedResults.slice(0, y).map(r => r.url),
+      average_da: averageDA === null ? null : Math.round(averageDA),
+      metrics_missing_count: detailedResults.filter(r => r.metrics_missing).length,
+      low_da_count: lowDACount,
+      decision,
+      rule_profile: ruleProfile ? ruleProfile.name : null,
+      decision_explanation: explanation,
+      difficulty: difficulty.score,
+      difficulty_breakdown: difficulty.breakdown,
+      intent: intent.intent,
+      intent_signals: intent.signals,
+      result_types: intent.type_counts,
+      serp_features: serpResult.serp_features || [],
+      knowledge_panel: serpResult.knowledge_panel || null,
+      full_results: fullResults,
+      ...describeTrackedRankings(fullResults, trackedDomains),
+      write_skip_config_used: { x, y, z },
+      detailed_results: detailedResults
+    };
+  });
+
+  const processingTime = Date.now() - startTime;
+  console.log(`⏱️ Total processing time: ${processingTime}ms`);
+
+  // Let queued progress writes land before the final update so they cannot overwrite it
+  await progress.flush();
+
+  // Update the log with results
+  try {
+    const { error: updateError } = await supabase.from('analysis_logs').update({
+      status: 'completed',
+      results: results,
+      api_keys_used: sortedApiKeys.map(key => ({ id: key.id, key_name: key.key_name })),
+      progress: progress.snapshot('completed'),
+      processing_time: processingTime
+    }).eq('request_id', requestId);
+
+    if (updateError) {
+      console.error(`❌ Failed to update analysis log:`, updateError);
+    } else {
+      console.log(`✅ Analysis log updated successfully`);
+    }
+
+    // Store detailed SERP results
+    try {
+      const { data: analysisLog } = await supabase
+        .from('analysis_logs')
+        .select('id')
+        .eq('request_id', requestId)
+        .single();
+
+      if (analysisLog) {
+        const serpResultsToInsert = [];
+        
+        // Cached keywords already have their rows under the analysis they were fetched for
+        results.forEach(result => {
+          if (result.detailed_results && Array.isArray(result.detailed_results) && !result.cached) {
+            result.detailed_results.forEach(detail => {
+              // Store in user-specific serp_results table
+              serpResultsToInsert.push({
+                analysis_log_id: analysisLog.id,
+                user_id: userId,
+                country: country,
+                language: language,
+                device: device,
+                location: location,
+                page: page,
+                depth: depth,
+                keyword: result.keyword,
+                domain: detail.domain,
+                da: detail.da,
+                pa: detail.pa,
+                spam_score: detail.spam_score,
+                position: detail.position,
+                title: detail.title,
+                description: detail.description,
+                url: detail.url,
+                result_type: detail.result_type,
+                intent: result.intent
+              });
+            });
+          }
+        });
+
+        // Insert user-specific results
+        if (serpResultsToInsert.length > 0) {
+          const { error: serpError } = await supabase
+            .from('serp_results')
+            .insert(serpResultsToInsert);
+
+          if (serpError) {
+            console.error(`❌ Failed to store detailed SERP results:`, serpError);
+          } else {
+            console.log(`✅ Stored ${serpResultsToInsert.length} detailed SERP results`);
+          }
+        }
+      }
+    } catch (serpError) {
+      console.error(`❌ Error storing detailed SERP results:`, serpError);
+    }
+
+    // Keep the latest decision on every project keyword this run covered
+    try {
+      await recordProjectResults({ userId, requestId, country, results });
+    } catch (projectError) {
+      console.error(`❌ Error updating project keywords:`, projectError);
+    }
+  } catch (updateError) {
+    console.error(`❌ Error updating analysis log:`, updateError);
+  }
+
+  const finalResults = formatResults(results);
+  
+  console.log(`📊 Final response mapping:`, finalResults.map(r => ({
+    keyword: r.keyword,
+    api_key_used: r.api_key_used,
+    decision: r.decision,
+    results_count: r.full_results?.length || 0
+  })));
+
+  return {
+    request_id: requestId,
+    keywords_processed: keywords.length,
+    country: country,
+    page: page,
+    locale: resolveLocale({ country, language, device, location }),
+    depth: depth,
+    processing_time: processingTime,
+    cached_keywords: results.filter(result => result.cached).length,
+    results: finalResults,
+    clusters: clusterAnalysisResults(finalResults, clustering)
+  };
+};
+
+// Map stored per-keyword results to the response shape consumed by Make.com
+export const formatResults = (results = []) => results.map(result => {
+  const serpResultsText = result.full_results?.map(item => 
+    `Position: ${item.position}\n` +
+    `Title: ${item.title}\n` +
+    `Description: ${item.description}\n` +
+    `URL: ${item.url}\n` +
+    `DA: ${item.domain_authority ?? 'n/a'}\n` +
+    `PA: ${item.page_authority ?? 'n/a'}\n` +
+    `Spam Score: ${item.spam_score ?? 'n/a'}\n` +
+    `Type: ${item.result_type ?? 'n/a'}\n`
+  ).join('\n') || '';
+
+  const relatedKeywordsText = result.serp_features?.map(item => 
+    item.keyword
+  ).join('\n') || '';
+
+  const domainsText = result.domains?.join('\n') || '';
+
+  return {
+    keyword: result.keyword,
+    api_key_used: result.api_key_used,
+    api_keys_attempted: result.api_keys_attempted || [],
+    cached: result.cached || false,
+    cached_from: result.cached_from || null,
+    domains: result.domains || [],
+    domains_text: domainsText,
+    urls: result.urls || [],
+    average_da: result.average_da ?? null,
+    metrics_missing_count: result.metrics_missing_count || 0,
+    low_da_count: result.low_da_count || 0,
+    decision: result.decision || 'Error',
+    rule_profile: result.rule_profile || null,
+    decision_explanation: result.decision_explanation || null,
+    difficulty: result.difficulty ?? null,
+    difficulty_breakdown: result.difficulty_breakdown || [],
+    intent: result.intent || null,
+    intent_signals: result.intent_signals || [],
+    result_types: result.result_types || {},
+    serp_features: result.serp_features || [],
+    knowledge_panel: result.knowledge_panel || null,
+    related_keywords_text: relatedKeywordsText,
+    full_results: result.full_results || [],
+    serp_results_text: serpResultsText,
+    tracked_domains: result.tracked_domains || [],
+    already_ranking: result.already_ranking || false,
+    own_position: result.own_position ?? null,
+    detailed_results: result.detailed_results || [],
+    error: result.error || null
+  };
+});
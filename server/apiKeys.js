@@ -0,0 +1,132 @@
+import { supabase } from './supabase.js';
+import { decryptSecret, encryptSecret, fingerprintSecret, isEncryptedSecret } from './crypto.js';
+import { SERP_PROVIDERS } from './providers/index.js';
+import { refreshCreditsRemaining } from './usage.js';
+
+// Everything the dashboard may see about a key; the secret itself never leaves the server
+const API_KEY_PUBLIC_COLUMNS = 'id, user_id, key_name, api_key_fingerprint, provider, status, credits_remaining, monthly_budget_usd, last_used, last_failed, failure_count, created_at, updated_at';
+
+export const createApiKey = async ({ userId, keyName, apiKey, provider }) => {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .insert({
+      user_id: userId,
+      key_name: keyName,
+      api_key: encryptSecret(apiKey),
+      api_key_fingerprint: fingerprintSecret(apiKey),
+      provider,
+      status: 'active',
+      credits_remaining: null
+    })
+    .select(API_KEY_PUBLIC_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+/*
+  Set a key's monthly budget (null removes it) and derive credits_remaining from this month's
+  ledger. The dashboard cannot write credits_remaining itself. Returns null when the key does
+  not belong to the user.
+*/
+export const setApiKeyBudget = async (userId, keyId, monthlyBudgetUsd) => {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .update({ monthly_budget_usd: monthlyBudgetUsd })
+    .eq('id', keyId)
+    .eq('user_id', userId)
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  if (!data) {
+    return null;
+  }
+
+  await refreshCreditsRemaining(keyId);
+
+  const { data: key, error: keyError } = await supabase
+    .from('api_keys')
+    .select(API_KEY_PUBLIC_COLUMNS)
+    .eq('id', keyId)
+    .single();
+
+  if (keyError) {
+    throw new Error(`Database error: ${keyError.message}`);
+  }
+
+  return key;
+};
+
+// Keys the scheduler can use for a user, with secrets decrypted for the provider calls
+export const loadUserApiKeys = async (userId) => {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select('*')
+    .eq('user_id', userId)
+    .in('status', ['active', 'failed', 'rate_limited'])
+    .in('provider', SERP_PROVIDERS)
+    .order('last_used', { ascending: true, nullsFirst: true });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return (data || []).flatMap(key => {
+    try {
+      return [{ ...key, api_key: decryptSecret(key.api_key) }];
+    } catch (decryptError) {
+      console.error(`❌ Could not decrypt API key ${key.key_name}:`, decryptError.message);
+      return [];
+    }
+  });
+};
+
+// Encrypt any keys still stored as plaintext from before encryption at rest
+export const encryptLegacyApiKeys = async () => {
+  if (!process.env.API_KEY_ENCRYPTION_KEY) {
+    console.warn('⚠️ API_KEY_ENCRYPTION_KEY is not set; stored API keys cannot be encrypted or used');
+    return;
+  }
+
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select('id, api_key')
+    .not('api_key', 'like', 'enc:v1:%');
+
+  if (error) {
+    console.error(`❌ Failed to load plaintext API keys:`, error.message);
+    return;
+  }
+
+  let encrypted = 0;
+
+  for (const key of data || []) {
+    if (isEncryptedSecret(key.api_key)) continue;
+
+    const { error: updateError } = await supabase
+      .from('api_keys')
+      .update({
+        api_key: encryptSecret(key.api_key),
+        api_key_fingerprint: fingerprintSecret(key.api_key)
+      })
+      .eq('id', key.id);
+
+    if (updateError) {
+      console.error(`❌ Failed to encrypt API key ${key.id}:`, updateError.message);
+    } else {
+      encrypted++;
+    }
+  }
+
+  if (encrypted > 0) {
+    console.log(`🔐 Encrypted ${encrypted} legacy plaintext API keys`);
+  }
+};
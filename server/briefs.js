@@ -0,0 +1,293 @@
+import { describeLocale } from './locales.js';
+import { isWeakPage } from './difficulty.js';
+
+export const BRIEF_FORMATS = ['json', 'markdown'];
+
+// Writers compete with the first page only
+const BRIEF_DEPTH = 10;
+const MAX_TERMS = 25;
+const MAX_ENTITIES = 15;
+const MAX_WEAK_PAGES = 5;
+// A term or entity has to show up on this many competitor pages to be worth covering
+const MIN_PAGE_COUNT = 2;
+const DEFAULT_DA_THRESHOLD = 35;
+
+const STOPWORDS = new Set(`a about above after again against all also am an and any are as at be because been before being
+below between both but by can could did do does doing down during each few for from further get got had has have having he
+her here hers him his how i if in into is it its itself just let me more most my no nor not now of off on once only or other
+our ours out over own same she should so some such than that the their theirs them then there these they this those through
+to too under until up very via was we were what when where which while who whom why will with would you your yours
+new one two use using used way ways make makes know need find get here's it's you're don't can't vs`.split(/\s+/));
+
+const TITLE_PATTERNS = [
+  { pattern: 'number', label: 'Numbered list ("7 ways…")', test: title => /\b(?!(19|20)\d{2}\b)\d+\b/.test(title) },
+  { pattern: 'year', label: 'Current or recent year', test: title => /\b(19|20)\d{2}\b/.test(title) },
+  { pattern: 'best', label: '"Best" / "top"', test: title => /\b(best|top)\b/i.test(title) },
+  { pattern: 'how_to', label: '"How to"', test: title => /\bhow to\b/i.test(title) },
+  { pattern: 'question', label: 'Question', test: title => /\?|^(what|why|how|when|where|which|who|can|does|is|are|should)\b/i.test(title) },
+  { pattern: 'guide', label: '"Guide" / "tips"', test: title => /\b(guide|tips|tutorial|explained|beginner'?s?)\b/i.test(title) },
+  { pattern: 'review', label: 'Review or comparison', test: title => /\b(reviews?|vs\.?|versus|compared|comparison|alternatives)\b/i.test(title) },
+  { pattern: 'brackets', label: 'Brackets or parentheses', test: title => /[[(].+[\])]/.test(title) }
+];
+
+const TITLE_LENGTH_BUCKETS = [
+  { range: 'under 40', min: 0, max: 39 },
+  { range: '40-49', min: 40, max: 49 },
+  { range: '50-59', min: 50, max: 59 },
+  { range: '60-69', min: 60, max: 69 },
+  { range: '70+', min: 70, max: Infinity }
+];
+
+const share = (count, total) => total ? Math.round((count / total) * 100) / 100 : 0;
+
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s'-]/g, ' ')
+  .split(/\s+/)
+  .map(token => token.replace(/^['-]+|['-]+$/g, ''))
+  .filter(Boolean);
+
+// Count on how many pages each key appears, not how often; one page repeating a term does not make it recurring
+const countPages = (pages, keysOf) => {
+  const counts = new Map();
+  pages.forEach(page => {
+    new Set(keysOf(page)).forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+  });
+  return counts;
+};
+
+const rankCounts = (counts, limit, total) => [...counts.entries()]
+  .filter(([, count]) => count >= MIN_PAGE_COUNT)
+  .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+  .slice(0, limit)
+  .map(([term, count]) => ({ term, pages: count, share: share(count, total) }));
+
+/*
+  Recurring words and two-word phrases across competitor titles and descriptions. Stopwords and
+  the keyword's own words are left out, since every page repeats those.
+*/
+const extractTerms = (pages, keyword) => {
+  const keywordTokens = new Set(tokenize(keyword));
+  const counts = countPages(pages, page => {
+    const tokens = tokenize(`${page.title || ''} ${page.description || ''}`);
+    const words = tokens.filter(token => token.length > 2 && !STOPWORDS.has(token) && !keywordTokens.has(token) && !/^\d+$/.test(token));
+    const phrases = tokens.slice(1)
+      .map((token, i) => [tokens[i], token])
+      .filter(pair => pair.every(token => !STOPWORDS.has(token) && !/^\d+$/.test(token)))
+      .filter(pair => !pair.every(token => keywordTokens.has(token)))
+      .map(pair => pair.join(' '));
+    return [...words, ...phrases];
+  });
+  return rankCounts(counts, MAX_TERMS, pages.length);
+};
+
+/*
+  Named things (brands, products, people, places) approximated as runs of capitalized words.
+  Runs that start a sentence are only kept when they are longer than one word, so ordinary
+  sentence openers are not mistaken for names.
+*/
+const extractEntities = (pages) => {
+  const entityPattern = /(^|[.!?:|–—-]\s+|\s)([A-Z][\w&'.-]*(?:\s+[A-Z0-9][\w&'.-]*)*)/g;
+  const counts = countPages(pages, page => {
+    const found = [];
+    [page.title, page.description].filter(Boolean).forEach(text => {
+      for (const match of String(text).matchAll(entityPattern)) {
+        const startsSentence = match[1].trim() !== '' || match.index === 0;
+        const words = match[2].replace(/[.'-]+$/, '').split(/\s+/);
+        const meaningful = words.filter(word => !STOPWORDS.has(word.toLowerCase()));
+        if (meaningful.length === 0 || (startsSentence && words.length === 1)) continue;
+        found.push(meaningful.join(' '));
+      }
+    });
+    return found;
+  });
+  return rankCounts(counts, MAX_ENTITIES, pages.length).map(({ term, ...rest }) => ({ entity: term, ...rest }));
+};
+
+const analyzeTitlePatterns = (pages) => {
+  const titles = pages.map(page => page.title).filter(Boolean);
+  return TITLE_PATTERNS
+    .map(({ pattern, label, test }) => {
+      const matching = titles.filter(test);
+      return { pattern, label, count: matching.length, share: share(matching.length, titles.length), examples: matching.slice(0, 3) };
+    })
+    .filter(entry => entry.count > 0)
+    .sort((a, b) => b.count - a.count);
+};
+
+const analyzeTitleLengths = (pages) => {
+  const lengths = pages.map(page => String(page.title || '').length).filter(length => length > 0).sort((a, b) => a - b);
+  if (lengths.length === 0) {
+    return { min: null, max: null, average: null, median: null, distribution: [] };
+  }
+
+  const middle = Math.floor(lengths.length / 2);
+  return {
+    min: lengths[0],
+    max: lengths[lengths.length - 1],
+    average: Math.round(lengths.reduce((sum, length) => sum + length, 0) / lengths.length),
+    median: lengths.length % 2 ? lengths[middle] : Math.round((lengths[middle - 1] + lengths[middle]) / 2),
+    distribution: TITLE_LENGTH_BUCKETS.map(({ range, min, max }) => ({
+      range,
+      count: lengths.filter(length => length >= min && length <= max).length
+    }))
+  };
+};
+
+// Related searches from the SERP features, minus the keyword itself
+const collectRelatedKeywords = (result) => {
+  const own = result.keyword.trim().toLowerCase();
+  const seen = new Set([own]);
+  return (result.serp_features || [])
+    .map(feature => String(feature.keyword || '').trim())
+    .filter(keyword => {
+      const key = keyword.toLowerCase();
+      if (!keyword || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+// First-page results below the DA threshold, plus weak pages (forums, UGC, thin pages) whatever their DA; lowest DA first
+const findWeakPages = (pages, threshold) => pages
+  .map(page => ({
+    position: page.position,
+    url: page.url,
+    domain: page.domain,
+    title: page.title || null,
+    da: page.da ?? null,
+    pa: page.pa ?? null,
+    result_type: page.result_type || null,
+    below_threshold: page.da !== null && page.da !== undefined && page.da < threshold,
+    weak_page: isWeakPage(page)
+  }))
+  .filter(page => page.below_threshold || page.weak_page)
+  .sort((a, b) => (a.da ?? Infinity) - (b.da ?? Infinity) || a.position - b.position)
+  .slice(0, MAX_WEAK_PAGES);
+
+// Find a keyword's stored result in an analysis log, ignoring case and surrounding whitespace
+export const findKeywordResult = (log, keyword) => {
+  const wanted = String(keyword || '').trim().toLowerCase();
+  return (log.results || []).find(result => String(result.keyword || '').trim().toLowerCase() === wanted) || null;
+};
+
+/*
+  Content brief for one keyword of a finished analysis, built from its stored top-10 snapshot
+  (`detailed_results`) and SERP features. No provider calls are made, so a brief always
+  reflects the SERP the Write/Skip decision was based on.
+*/
+export const buildBrief = (log, result) => {
+  const pages = (result.detailed_results || [])
+    .filter(page => page.position !== null && page.position !== undefined && page.position <= BRIEF_DEPTH)
+    .sort((a, b) => a.position - b.position);
+  const threshold = result.write_skip_config_used?.z ?? DEFAULT_DA_THRESHOLD;
+
+  return {
+    request_id: log.request_id,
+    keyword: result.keyword,
+    analyzed_at: log.created_at,
+    locale: log.locale || null,
+    decision: result.decision || null,
+    intent: result.intent || null,
+    difficulty: result.difficulty ?? null,
+    average_da: result.average_da ?? null,
+    da_threshold: threshold,
+    pages_analyzed: pages.length,
+    terms: extractTerms(pages, result.keyword),
+    entities: extractEntities(pages),
+    title_patterns: analyzeTitlePatterns(pages),
+    title_length: analyzeTitleLengths(pages),
+    related_keywords: collectRelatedKeywords(result),
+    weak_pages: findWeakPages(pages, threshold),
+    competitors: pages.map(page => ({
+      position: page.position,
+      url: page.url,
+      domain: page.domain,
+      title: page.title || null,
+      da: page.da ?? null,
+      result_type: page.result_type || null
+    }))
+  };
+};
+
+const escapeMarkdown = (text) => String(text ?? '').replace(/([\\|*_`[\]])/g, '\\$1');
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+export const renderBriefMarkdown = (brief) => {
+  const lines = [
+    `# Content brief: ${escapeMarkdown(brief.keyword)}`,
+    '',
+    `- Analysis: ${brief.request_id} (${new Date(brief.analyzed_at).toISOString().slice(0, 10)})`,
+    brief.locale ? `- Locale: ${describeLocale(brief.locale)}` : null,
+    `- Decision: ${brief.decision || 'n/a'}`,
+    brief.intent ? `- Search intent: ${brief.intent}` : null,
+    `- Difficulty: ${brief.difficulty ?? 'n/a'} · average DA ${brief.average_da ?? 'n/a'}`,
+    `- Based on the top ${brief.pages_analyzed} results`,
+    ''
+  ].filter(line => line !== null);
+
+  lines.push('## Why this SERP is beatable', '');
+  if (brief.weak_pages.length === 0) {
+    lines.push(`No first-page result has DA below ${brief.da_threshold} or is a forum, UGC or thin page.`);
+  } else {
+    brief.weak_pages.forEach(page => {
+      const reasons = [
+        page.below_threshold ? `DA ${page.da}` : null,
+        page.weak_page ? (page.result_type === 'forum' ? 'forum/UGC page' : 'weak page') : null
+      ].filter(Boolean).join(', ');
+      lines.push(`- #${page.position} [${escapeMarkdown(page.title || page.domain)}](${page.url}) — ${reasons}`);
+    });
+  }
+  lines.push('');
+
+  lines.push('## Title', '');
+  const { title_length: length } = brief;
+  if (length.median !== null) {
+    lines.push(`Competitor titles are ${length.min}–${length.max} characters long (median ${length.median}, average ${length.average}).`, '');
+    lines.push('| Length | Titles |', '| --- | --- |');
+    length.distribution.forEach(bucket => lines.push(`| ${bucket.range} | ${bucket.count} |`));
+    lines.push('');
+  }
+  if (brief.title_patterns.length > 0) {
+    lines.push('Common title patterns:', '');
+    brief.title_patterns.forEach(entry => {
+      lines.push(`- ${entry.label}: ${entry.count} ${entry.count === 1 ? 'title' : 'titles'} (${percent(entry.share)}), e.g. "${escapeMarkdown(entry.examples[0])}"`);
+    });
+    lines.push('');
+  }
+
+  lines.push('## Terms to cover', '');
+  if (brief.terms.length === 0) {
+    lines.push('No term recurs across competitor titles and descriptions.');
+  } else {
+    brief.terms.forEach(entry => lines.push(`- ${escapeMarkdown(entry.term)} (${entry.pages} pages)`));
+  }
+  lines.push('');
+
+  if (brief.entities.length > 0) {
+    lines.push('## Entities mentioned', '');
+    brief.entities.forEach(entry => lines.push(`- ${escapeMarkdown(entry.entity)} (${entry.pages} pages)`));
+    lines.push('');
+  }
+
+  if (brief.related_keywords.length > 0) {
+    lines.push('## Related keywords', '');
+    brief.related_keywords.forEach(keyword => lines.push(`- ${escapeMarkdown(keyword)}`));
+    lines.push('');
+  }
+
+  lines.push('## Competitors', '', '| # | Title | Domain | DA | Type |', '| --- | --- | --- | --- | --- |');
+  brief.competitors.forEach(page => {
+    lines.push(`| ${page.position} | [${escapeMarkdown(page.title || page.url)}](${page.url}) | ${escapeMarkdown(page.domain)} | ${page.da ?? 'n/a'} | ${page.result_type || 'n/a'} |`);
+  });
+  lines.push('');
+
+  return lines.join('\n');
+};
+
+// Safe download name for a brief, e.g. brief-best-running-shoes.md
+export const briefFilename = (keyword) => {
+  const slug = String(keyword).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  return `brief-${slug || 'keyword'}.md`;
+};
@@ -0,0 +1,366 @@
+import { v4 as uuidv4 } from 'uuid';
+import { supabase } from './supabase.js';
+import { createAnalysisLog, markAnalysisFailed, runSerpAnalysis } from './analysis.js';
+import { loadUserApiKeys } from './apiKeys.js';
+import { MAX_CONCURRENCY_PER_KEY } from './keyScheduler.js';
+import { resolveRuleProfile } from './rules.js';
+import { checkBudget, isKeyOverBudget } from './usage.js';
+
+export const MAX_BULK_KEYWORDS = parseInt(process.env.BULK_RUN_MAX_KEYWORDS || '5000', 10);
+// Batches of one run processed side by side
+const BULK_RUN_CONCURRENCY = parseInt(process.env.BULK_RUN_CONCURRENCY || '2', 10);
+// Same cap as a single /api/analyze-serps request
+const MAX_BATCH_SIZE = 30;
+const INSERT_CHUNK_SIZE = 500;
+const BULK_RUN_COLUMNS = 'id, user_id, name, status, options, keywords_total, keywords_completed, keywords_failed, batches_completed, error_message, created_at, updated_at, finished_at';
+
+// Runs with a batch loop in this process, so a run is never processed twice at once
+const activeRuns = new Map();
+
+// Batch size scales with the keys that can run in parallel, up to the analyze endpoint's cap
+export const getBatchSize = (apiKeys) => Math.min(MAX_BATCH_SIZE, Math.max(apiKeys.length * MAX_CONCURRENCY_PER_KEY, 1));
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+const updateRun = async (runId, values) => {
+  const { data, error } = await supabase
+    .from('bulk_runs')
+    .update({ ...values, updated_at: new Date().toISOString() })
+    .eq('id', runId)
+    .select(BULK_RUN_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+const updateKeywords = async (runId, fromStatuses, values) => {
+  const { error } = await supabase
+    .from('bulk_run_keywords')
+    .update({ ...values, updated_at: new Date().toISOString() })
+    .eq('bulk_run_id', runId)
+    .in('status', fromStatuses);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+};
+
+const countKeywords = async (runId, status) => {
+  const { count, error } = await supabase
+    .from('bulk_run_keywords')
+    .select('id', { count: 'exact', head: true })
+    .eq('bulk_run_id', runId)
+    .eq('status', status);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return count || 0;
+};
+
+// Roll the keyword rows up into the parent record
+const refreshRunTotals = async (runId, batchesDone = 0) => {
+  const [completed, failed] = await Promise.all([
+    countKeywords(runId, 'completed'),
+    countKeywords(runId, 'failed')
+  ]);
+  const { data: run, error } = await supabase
+    .from('bulk_runs')
+    .select('batches_completed')
+    .eq('id', runId)
+    .single();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return updateRun(runId, {
+    keywords_completed: completed,
+    keywords_failed: failed,
+    batches_completed: run.batches_completed + batchesDone
+  });
+};
+
+const getRun = async (runId) => {
+  const { data, error } = await supabase
+    .from('bulk_runs')
+    .select(BULK_RUN_COLUMNS)
+    .eq('id', runId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+// Load a bulk run owned by the user, or null when it does not exist
+export const getBulkRun = async (userId, runId) => {
+  const run = await getRun(runId);
+  return run && run.user_id === userId ? run : null;
+};
+
+export const createBulkRun = async ({ userId, name, keywords, options }) => {
+  const { data: run, error } = await supabase
+    .from('bulk_runs')
+    .insert({
+      user_id: userId,
+      name,
+      options,
+      keywords_total: keywords.length
+    })
+    .select(BULK_RUN_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  const rows = keywords.map((keyword, position) => ({ bulk_run_id: run.id, keyword, position }));
+  for (const rowChunk of chunk(rows, INSERT_CHUNK_SIZE)) {
+    const { error: insertError } = await supabase.from('bulk_run_keywords').insert(rowChunk);
+
+    if (insertError) {
+      await supabase.from('bulk_runs').delete().eq('id', run.id);
+      throw new Error(`Database error: ${insertError.message}`);
+    }
+  }
+
+  console.log(`📦 Created bulk run ${run.id} with ${keywords.length} keywords for user ${userId}`);
+  return run;
+};
+
+// Run one batch as a regular analysis log tied to the bulk run, then record each keyword's outcome
+const processBatch = async (run, rows, { apiKeys, spendByKey, ruleProfile }) => {
+  const requestId = uuidv4();
+  const startTime = Date.now();
+  const keywords = rows.map(row => row.keyword);
+  const { country = 'US', page = 1, language = null, device = 'desktop', location = null, depth = 1, write_skip_config = {}, metrics_max_age_hours, serp_cache_max_age_hours } = run.options;
+
+  const { error: claimError } = await supabase
+    .from('bulk_run_keywords')
+    .update({ status: 'running', request_id: requestId, error_message: null, updated_at: new Date().toISOString() })
+    .in('id', rows.map(row => row.id));
+
+  if (claimError) {
+    throw new Error(`Database error: ${claimError.message}`);
+  }
+
+  await createAnalysisLog({
+    userId: run.user_id,
+    requestId,
+    keywords,
+    bulkRunId: run.id,
+    projectId: run.options.project_id || null,
+    options: { ...run.options, bulk_run_id: run.id }
+  });
+
+  let outcomes;
+  try {
+    const payload = await runSerpAnalysis({
+      requestId,
+      userId: run.user_id,
+      keywords,
+      apiKeys,
+      spendByKey,
+      country,
+      page,
+      language,
+      device,
+      location,
+      depth,
+      writeSkipConfig: write_skip_config,
+      ruleProfile,
+      metricsMaxAgeHours: metrics_max_age_hours,
+      serpCacheMaxAgeHours: serp_cache_max_age_hours,
+      startTime
+    });
+    outcomes = payload.results.map(result => ({
+      status: result.decision === 'Error' ? 'failed' : 'completed',
+      decision: result.decision === 'Error' ? null : result.decision,
+      error_message: result.error
+    }));
+  } catch (error) {
+    console.error(`❌ Bulk run ${run.id} batch ${requestId} failed:`, error.message);
+    await markAnalysisFailed(requestId, error.message, startTime);
+    outcomes = rows.map(() => ({ status: 'failed', decision: null, error_message: error.message }));
+  }
+
+  const updatedAt = new Date().toISOString();
+  await Promise.all(rows.map(async (row, index) => {
+    const { error } = await supabase
+      .from('bulk_run_keywords')
+      .update({ ...outcomes[index], updated_at: updatedAt })
+      .eq('id', row.id);
+
+    if (error) {
+      console.error(`❌ Failed to record bulk keyword '${row.keyword}':`, error.message);
+    }
+  }));
+};
+
+// Stop the run without losing progress; it can be resumed once the cause is fixed
+const haltRun = async (runId, status, message) => {
+  console.log(`⏸️ Bulk run ${runId} ${status}: ${message}`);
+  await updateRun(runId, { status, error_message: message });
+};
+
+/*
+  Batch loop for one run. Each round claims the next pending keywords, splits them into
+  batches sized to the available keys and processes up to BULK_RUN_CONCURRENCY batches at
+  once. Pausing takes effect between rounds; batches already in flight finish first.
+*/
+const processRun = async (runId) => {
+  let run = await getRun(runId);
+  if (!run || run.status !== 'running') return;
+
+  const ruleProfile = await resolveRuleProfile(run.user_id, run.options.rule_profile, { writeSkipConfig: run.options.write_skip_config });
+  if (run.options.rule_profile && !ruleProfile) {
+    return haltRun(runId, 'failed', `Rule profile '${run.options.rule_profile}' not found`);
+  }
+
+  for (;;) {
+    run = await getRun(runId);
+    if (!run || run.status !== 'running') return;
+
+    const apiKeys = await loadUserApiKeys(run.user_id);
+    if (apiKeys.length === 0) {
+      return haltRun(runId, 'paused', 'No API keys available');
+    }
+
+    const batchSize = getBatchSize(apiKeys);
+    const { data: pending, error } = await supabase
+      .from('bulk_run_keywords')
+      .select('id, keyword')
+      .eq('bulk_run_id', runId)
+      .eq('status', 'pending')
+      .order('position', { ascending: true })
+      .limit(batchSize * BULK_RUN_CONCURRENCY);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    if (!pending || pending.length === 0) {
+      const totals = await refreshRunTotals(runId);
+      await updateRun(runId, { status: 'completed', error_message: null, finished_at: new Date().toISOString() });
+      console.log(`✅ Bulk run ${runId} finished: ${totals.keywords_completed} completed, ${totals.keywords_failed} failed`);
+      return;
+    }
+
+    // Each keyword is fetched once per page of depth, so price the pages like the analysis path does
+    const budgetCheck = await checkBudget(run.user_id, pending.length * (run.options.depth || 1));
+    if (!budgetCheck.allowed) {
+      return haltRun(runId, 'paused', `Estimated cost $${budgetCheck.estimate} would exceed the monthly budget of $${budgetCheck.budget} ($${budgetCheck.spent} spent this month)`);
+    }
+    if (apiKeys.every(key => isKeyOverBudget(key, budgetCheck.spendByKey))) {
+      return haltRun(runId, 'paused', 'Every API key has reached its monthly budget');
+    }
+
+    const batches = chunk(pending, batchSize);
+    console.log(`📦 Bulk run ${runId}: processing ${pending.length} keywords in ${batches.length} batches of up to ${batchSize}`);
+
+    await Promise.all(batches.map(batch => processBatch(run, batch, {
+      apiKeys,
+      spendByKey: budgetCheck.spendByKey,
+      ruleProfile
+    })));
+    await refreshRunTotals(runId, batches.length);
+  }
+};
+
+// Start the batch loop in the background unless it is already running in this process
+export const startBulkRun = (runId) => {
+  if (activeRuns.has(runId)) return;
+
+  const loop = processRun(runId)
+    .catch(async (error) => {
+      console.error(`❌ Bulk run ${runId} stopped:`, error);
+      try {
+        await haltRun(runId, 'failed', error.message);
+      } catch (updateError) {
+        console.error(`❌ Failed to mark bulk run ${runId} as failed:`, updateError);
+      }
+    })
+    .finally(() => activeRuns.delete(runId));
+
+  activeRuns.set(runId, loop);
+};
+
+// Stop claiming new batches; returns null when the user does not own the run
+export const pauseBulkRun = async (userId, runId) => {
+  const run = await getBulkRun(userId, runId);
+  if (!run) return null;
+  if (run.status !== 'running') return run;
+
+  return updateRun(runId, { status: 'paused', error_message: null });
+};
+
+// Continue a paused or failed run from where it stopped
+export const resumeBulkRun = async (userId, runId) => {
+  const run = await getBulkRun(userId, runId);
+  if (!run) return null;
+  if (run.status === 'completed') return run;
+
+  // Keywords left mid-batch by a crash or restart go back in the queue
+  if (!activeRuns.has(runId)) {
+    await updateKeywords(runId, ['running'], { status: 'pending', request_id: null });
+  }
+
+  const resumed = await updateRun(runId, { status: 'running', error_message: null, finished_at: null });
+  startBulkRun(runId);
+  return resumed;
+};
+
+// Queue only the failed keywords again and restart the run
+export const retryFailedBulkKeywords = async (userId, runId) => {
+  const run = await getBulkRun(userId, runId);
+  if (!run) return null;
+
+  await updateKeywords(runId, ['failed'], { status: 'pending', decision: null, error_message: null });
+  if (!activeRuns.has(runId)) {
+    await updateKeywords(runId, ['running'], { status: 'pending', request_id: null });
+  }
+
+  await refreshRunTotals(runId);
+  const retried = await updateRun(runId, { status: 'running', error_message: null, finished_at: null });
+  startBulkRun(runId);
+  return retried;
+};
+
+// Pick up runs that were still running when the server last stopped
+export const resumeInterruptedBulkRuns = async () => {
+  try {
+    const { data: runs, error } = await supabase
+      .from('bulk_runs')
+      .select('id')
+      .eq('status', 'running');
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    for (const run of runs || []) {
+      await updateKeywords(run.id, ['running'], { status: 'pending', request_id: null });
+      startBulkRun(run.id);
+    }
+
+    if (runs?.length) {
+      console.log(`🔁 Resumed ${runs.length} interrupted bulk runs`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to resume bulk runs:', error.message);
+  }
+};
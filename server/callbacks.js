@@ -0,0 +1,254 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import https from 'https';
+import net from 'net';
+import { supabase } from './supabase.js';
+
+const CALLBACK_MAX_ATTEMPTS = parseInt(process.env.CALLBACK_MAX_ATTEMPTS || '5', 10);
+const CALLBACK_RETRY_BASE_MS = parseInt(process.env.CALLBACK_RETRY_BASE_MS || '5000', 10);
+const CALLBACK_TIMEOUT_MS = 15000;
+
+// Addresses a callback must never reach: loopback, link-local (cloud metadata), private,
+// shared, benchmarking, multicast, reserved and unique-local ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+].forEach(([network, prefix, type]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, type));
+
+// The eight 16-bit groups of an IPv6 address, with a trailing dotted IPv4 part folded in
+const ipv6Groups = (address) => {
+  let text = address.split('%')[0];
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const fill = tail === undefined ? [] : Array(8 - headGroups.length - tailGroups.length).fill('0');
+  return [...headGroups, ...fill, ...tailGroups].map(group => parseInt(group, 16));
+};
+
+const groupsToIPv4 = (high, low) => `${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`;
+
+// The IPv4 address carried inside an IPv4-mapped (::ffff:0:0/96), NAT64 (64:ff9b::/96)
+// or 6to4 (2002::/16) IPv6 address, or null
+const embeddedIPv4 = (address) => {
+  const groups = ipv6Groups(address);
+  const zeros = (from, to) => groups.slice(from, to).every(group => group === 0);
+
+  if (zeros(0, 5) && groups[5] === 0xffff) return groupsToIPv4(groups[6], groups[7]);
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && zeros(2, 6)) return groupsToIPv4(groups[6], groups[7]);
+  if (groups[0] === 0x2002) return groupsToIPv4(groups[1], groups[2]);
+  return null;
+};
+
+const isBlockedAddress = (address) => {
+  if (!net.isIPv6(address)) return BLOCKED_ADDRESSES.check(address, 'ipv4');
+
+  const ipv4 = embeddedIPv4(address);
+  return (ipv4 !== null && BLOCKED_ADDRESSES.check(ipv4, 'ipv4')) || BLOCKED_ADDRESSES.check(address, 'ipv6');
+};
+
+/*
+  Parse a callback URL and resolve its host, returning { error } or { url, address } with
+  the address to connect to. Only https is allowed, and every address the host resolves to
+  must be public, so callbacks cannot be aimed at the server's own network.
+*/
+const resolveCallbackTarget = async (callbackUrl) => {
+  if (typeof callbackUrl !== 'string') {
+    return { error: 'callback_url must be a string' };
+  }
+
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch {
+    return { error: 'callback_url must be a valid URL' };
+  }
+
+  if (url.protocol !== 'https:') {
+    return { error: 'callback_url must use https' };
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch {
+    return { error: `callback_url host ${host} could not be resolved` };
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    return { error: 'callback_url must point to a public address' };
+  }
+
+  return { url, address: addresses[0] };
+};
+
+// Validate a caller supplied callback URL; returns an error message or null
+export const validateCallbackUrl = async (callbackUrl) => {
+  const { error } = await resolveCallbackTarget(callbackUrl);
+  return error || null;
+};
+
+/*
+  POST the body to the callback URL over a connection pinned to the address that was
+  validated, so a second DNS answer cannot send it elsewhere. Redirects are not followed.
+  Resolves to { status, statusText }.
+*/
+const postCallback = ({ url, address }, { headers, body }) => new Promise((resolve, reject) => {
+  const request = https.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: (hostname, options, callback) => options.all
+      ? callback(null, [address])
+      : callback(null, address.address, address.family),
+    timeout: CALLBACK_TIMEOUT_MS
+  }, (response) => {
+    response.resume();
+    resolve({ status: response.statusCode, statusText: response.statusMessage });
+  });
+
+  request.on('timeout', () => request.destroy(Object.assign(new Error('Callback timed out'), { name: 'TimeoutError' })));
+  request.on('error', reject);
+  request.end(body);
+});
+
+// HMAC-SHA256 of the exact request body, hex encoded
+export const signPayload = (secret, body) => {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+};
+
+const recordAttempt = async (attempt) => {
+  try {
+    const { error } = await supabase.from('callback_deliveries').insert(attempt);
+    if (error) {
+      console.error(`❌ Failed to record callback delivery:`, error.message);
+    }
+  } catch (error) {
+    console.error(`❌ Error recording callback delivery:`, error);
+  }
+};
+
+const getSigningSecret = async (userId) => {
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('webhook_secret')
+    .eq('id', userId)
+    .single();
+
+  if (error || !user?.webhook_secret) {
+    throw new Error('No webhook signing secret configured for user');
+  }
+
+  return user.webhook_secret;
+};
+
+// POST a payload to the callback URL, retrying with exponential backoff.
+// Every attempt is written to callback_deliveries; resolves to true on success.
+export const deliverCallback = async ({ userId, requestId, callbackUrl, payload, trigger = 'analysis' }) => {
+  const body = JSON.stringify(payload);
+  let secret;
+
+  try {
+    secret = await getSigningSecret(userId);
+  } catch (error) {
+    console.error(`❌ Cannot sign callback for ${requestId}:`, error.message);
+    await recordAttempt({
+      user_id: userId,
+      request_id: requestId,
+      callback_url: callbackUrl,
+      trigger,
+      attempt: 1,
+      status: 'failed',
+      error_message: error.message
+    });
+    return false;
+  }
+
+  const signature = signPayload(secret, body);
+
+  for (let attempt = 1; attempt <= CALLBACK_MAX_ATTEMPTS; attempt++) {
+    const attemptStart = Date.now();
+    let responseStatus = null;
+    let errorMessage = null;
+
+    try {
+      // Checked again on every attempt, since DNS can change after the request was accepted
+      const target = await resolveCallbackTarget(callbackUrl);
+      if (target.error) {
+        throw new Error(target.error);
+      }
+
+      console.log(`📤 Delivering callback for ${requestId} to ${callbackUrl} (attempt ${attempt}/${CALLBACK_MAX_ATTEMPTS})`);
+      const response = await postCallback(target, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'SERP-Analyzer-Callbacks/1.0',
+          'X-SERP-Request-Id': requestId,
+          'X-SERP-Delivery-Attempt': String(attempt),
+          'X-SERP-Signature': `sha256=${signature}`
+        },
+        body
+      });
+
+      responseStatus = response.status;
+      if (response.status >= 300 && response.status < 400) {
+        // A redirect could lead to an address the check above would reject
+        errorMessage = `Callback endpoint redirected with ${response.status}; redirects are not followed`;
+      } else if (response.status < 200 || response.status >= 300) {
+        errorMessage = `Callback endpoint responded with ${response.status} ${response.statusText}`;
+      }
+    } catch (error) {
+      errorMessage = error.name === 'TimeoutError'
+        ? `Callback timed out after ${CALLBACK_TIMEOUT_MS / 1000} seconds`
+        : error.message;
+    }
+
+    await recordAttempt({
+      user_id: userId,
+      request_id: requestId,
+      callback_url: callbackUrl,
+      trigger,
+      attempt,
+      status: errorMessage ? 'failed' : 'succeeded',
+      response_status: responseStatus,
+      error_message: errorMessage,
+      duration_ms: Date.now() - attemptStart
+    });
+
+    if (!errorMessage) {
+      console.log(`✅ Callback delivered for ${requestId}`);
+      return true;
+    }
+
+    console.error(`❌ Callback attempt ${attempt} for ${requestId} failed:`, errorMessage);
+
+    if (attempt < CALLBACK_MAX_ATTEMPTS) {
+      const delay = CALLBACK_RETRY_BASE_MS * Math.pow(2, attempt - 1);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  console.error(`❌ Giving up on callback for ${requestId} after ${CALLBACK_MAX_ATTEMPTS} attempts`);
+  return false;
+};
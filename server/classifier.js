@@ -0,0 +1,113 @@
+import { canonicalHost, registrableDomain } from './domains.js';
+
+// Result types, in the order they are checked: the first match wins
+export const RESULT_TYPES = ['video', 'forum', 'ecommerce', 'review', 'news', 'official', 'article'];
+export const SEARCH_INTENTS = ['informational', 'commercial', 'transactional', 'navigational'];
+
+const VIDEO_DOMAINS = ['youtube.com', 'youtu.be', 'vimeo.com', 'tiktok.com', 'dailymotion.com', 'twitch.tv'];
+const ECOMMERCE_DOMAINS = [
+  'amazon.com', 'amazon.co.uk', 'amazon.de', 'amazon.ca', 'ebay.com', 'etsy.com', 'walmart.com',
+  'target.com', 'bestbuy.com', 'aliexpress.com', 'alibaba.com', 'homedepot.com', 'lowes.com',
+  'wayfair.com', 'ikea.com', 'costco.com', 'newegg.com', 'zalando.com', 'shein.com', 'temu.com'
+];
+const NEWS_DOMAINS = [
+  'cnn.com', 'bbc.com', 'bbc.co.uk', 'nytimes.com', 'reuters.com', 'apnews.com', 'theguardian.com',
+  'washingtonpost.com', 'wsj.com', 'bloomberg.com', 'foxnews.com', 'nbcnews.com', 'cbsnews.com',
+  'abcnews.go.com', 'usatoday.com', 'npr.org', 'aljazeera.com', 'independent.co.uk', 'news.yahoo.com'
+];
+
+const VIDEO_PATH = /\/(watch|video|videos|shorts)(\/|\?|$)/;
+const PRODUCT_PATH = /\/(dp|gp\/product|product|products|shop|store|item|itm|p|buy|cart|collections)(\/|$)/;
+const SHOPPING_TITLE = /\b(buy|shop|price|prices|sale|deals?|discount|free shipping|in stock|add to cart)\b/i;
+const REVIEW_TITLE = /\b(best|top \d+|\d+ best|reviews?|reviewed|vs\.?|versus|compared|comparison|alternatives|tested|picks|ranked)\b/i;
+const REVIEW_PATH = /(review|best-|top-\d+|-vs-|comparison|alternatives)/;
+const NEWS_PATH = /\/(news|article|articles|story|stories)\/|\/20\d{2}\/\d{1,2}\//;
+
+// Keyword modifiers that signal an intent on their own
+const TRANSACTIONAL_MODIFIERS = /\b(buy|price|prices|pricing|cheap|cheapest|deal|deals|discount|coupon|order|for sale|shop|near me|delivery|subscription)\b/i;
+const COMMERCIAL_MODIFIERS = /\b(best|top|review|reviews|vs|versus|compare|comparison|alternatives?|recommended)\b/i;
+const NAVIGATIONAL_MODIFIERS = /\b(login|log in|sign in|sign up|website|official site|homepage|app download|customer service)\b/i;
+
+// Only the first page shapes what searchers expect
+const INTENT_DEPTH = 10;
+
+const matchesDomain = (host, domains) => domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+
+const parsePath = (url) => {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.pathname}${parsed.search}`.toLowerCase();
+  } catch {
+    return '';
+  }
+};
+
+// Brand part of a domain, e.g. "nike" for shop.nike.com
+const brandOf = (url) => (registrableDomain(url) || '').split('.')[0];
+
+const mentionsBrand = (keyword, url) => {
+  const brand = brandOf(url);
+  const compact = String(keyword || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return brand.length > 2 && compact.includes(brand);
+};
+
+/*
+  Label one SERP result from its domain, URL and title. `is_ugc` is the forum/UGC flag the
+  pipeline already computed with the rule profile's extra UGC domains. A homepage, or a page
+  on a domain named after the keyword, counts as the official/brand result.
+*/
+export const classifyResult = ({ url, title, is_ugc }, keyword = '') => {
+  const host = canonicalHost(url) || '';
+  const path = parsePath(url);
+  const text = String(title || '');
+
+  if (matchesDomain(host, VIDEO_DOMAINS) || VIDEO_PATH.test(path)) return 'video';
+  if (is_ugc) return 'forum';
+  if (matchesDomain(host, ECOMMERCE_DOMAINS) || PRODUCT_PATH.test(path) || SHOPPING_TITLE.test(text)) return 'ecommerce';
+  if (REVIEW_TITLE.test(text) || REVIEW_PATH.test(path)) return 'review';
+  if (matchesDomain(host, NEWS_DOMAINS) || NEWS_PATH.test(path)) return 'news';
+  if (path === '/' || path === '' || mentionsBrand(keyword, url)) return 'official';
+  return 'article';
+};
+
+/*
+  Keyword-level intent from the keyword's own modifiers and the mix of result types on the
+  first page. Modifiers win over the SERP mix; without either, the keyword is informational.
+  Returns { intent, signals, type_counts } so the label can be explained.
+*/
+export const classifyIntent = (keyword, rows) => {
+  const top = rows.filter(row => row.position !== null && row.position !== undefined && row.position <= INTENT_DEPTH);
+  const typeCounts = Object.fromEntries(RESULT_TYPES.map(type => [type, top.filter(row => row.result_type === type).length]));
+  const share = (type) => top.length ? typeCounts[type] / top.length : 0;
+  const topResult = [...top].sort((a, b) => a.position - b.position)[0];
+  const text = String(keyword || '');
+
+  const candidates = [
+    {
+      intent: 'navigational',
+      signals: [
+        NAVIGATIONAL_MODIFIERS.test(text) && 'keyword asks for a specific site',
+        topResult?.result_type === 'official' && mentionsBrand(text, topResult.url) && 'the top result is the brand the keyword names'
+      ]
+    },
+    {
+      intent: 'transactional',
+      signals: [
+        TRANSACTIONAL_MODIFIERS.test(text) && 'keyword has a buying modifier',
+        share('ecommerce') >= 0.4 && `${typeCounts.ecommerce} of the top ${top.length} results are shops or product pages`
+      ]
+    },
+    {
+      intent: 'commercial',
+      signals: [
+        COMMERCIAL_MODIFIERS.test(text) && 'keyword has a comparison modifier',
+        share('review') >= 0.3 && `${typeCounts.review} of the top ${top.length} results are reviews or listicles`
+      ]
+    }
+  ].map(candidate => ({ ...candidate, signals: candidate.signals.filter(Boolean) }));
+
+  const match = candidates.find(candidate => candidate.signals.length > 0);
+  return match
+    ? { intent: match.intent, signals: match.signals, type_counts: typeCounts }
+    : { intent: 'informational', signals: ['no buying, comparison or navigational signals'], type_counts: typeCounts };
+};
@@ -0,0 +1,148 @@
+import { supabase } from './supabase.js';
+import { normalizeKeyword } from './keywords.js';
+
+// Keywords sharing at least this many top URLs are grouped into one cluster
+export const DEFAULT_MIN_SHARED_URLS = parseInt(process.env.CLUSTER_MIN_SHARED_URLS || '3', 10);
+// Only the top results count towards the overlap
+const CLUSTER_DEPTH = 10;
+const LOOKUP_CHUNK_SIZE = 50;
+
+// Validate clustering options from a request body or query, returning an error message or null
+export const validateClusterOptions = ({ min_shared_urls, keyword_volumes }) => {
+  if (min_shared_urls !== undefined) {
+    const value = Number(min_shared_urls);
+    if (!Number.isInteger(value) || value < 1 || value > CLUSTER_DEPTH) {
+      return `min_shared_urls must be an integer between 1 and ${CLUSTER_DEPTH}`;
+    }
+  }
+  if (keyword_volumes !== undefined) {
+    const invalid = !keyword_volumes || typeof keyword_volumes !== 'object' || Array.isArray(keyword_volumes)
+      || Object.values(keyword_volumes).some(volume => typeof volume !== 'number' || volume < 0);
+    if (invalid) {
+      return 'keyword_volumes must map keywords to non-negative search volumes';
+    }
+  }
+  return null;
+};
+
+// The top URLs of a stored or formatted keyword result, in position order
+const topUrls = (result) => [...(result.full_results || [])]
+  .filter(row => row.url)
+  .sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity))
+  .slice(0, CLUSTER_DEPTH)
+  .map(row => row.url);
+
+/*
+  Group keywords whose top URLs overlap. Keywords are visited by search volume (highest
+  first) when volumes are given, otherwise in the order they were first seen; each keyword
+  not yet clustered becomes the primary of a new cluster and takes every remaining keyword
+  that shares at least `minSharedUrls` of its top URLs. Comparing against the primary rather
+  than any member keeps loosely related keywords from chaining into one cluster.
+
+  `entries` are { keyword, urls }; keywords without URLs (failed analyses) are returned in
+  `unclustered`. Every analyzed keyword ends up in exactly one cluster, so a cluster of one
+  is a keyword that needs its own article. Members report how many URLs they share with
+  the primary.
+*/
+export const clusterKeywords = (entries, { minSharedUrls = DEFAULT_MIN_SHARED_URLS, volumes = {} } = {}) => {
+  const volumeByKeyword = new Map(Object.entries(volumes).map(([keyword, volume]) => [normalizeKeyword(keyword), volume]));
+  const volumeOf = (keyword) => volumeByKeyword.get(normalizeKeyword(keyword)) ?? null;
+
+  const seen = new Set();
+  const candidates = [];
+  const unclustered = [];
+  entries.forEach(({ keyword, urls }) => {
+    const key = normalizeKeyword(keyword);
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    if (urls.length === 0) {
+      unclustered.push(keyword);
+    } else {
+      candidates.push({ keyword, urls: new Set(urls), order: candidates.length, volume: volumeOf(keyword) });
+    }
+  });
+
+  if (volumeByKeyword.size > 0) {
+    candidates.sort((a, b) => (b.volume ?? -1) - (a.volume ?? -1) || a.order - b.order);
+  }
+
+  const assigned = new Set();
+  const clusters = [];
+
+  candidates.forEach(primary => {
+    if (assigned.has(primary)) return;
+    assigned.add(primary);
+
+    const members = candidates
+      .filter(candidate => !assigned.has(candidate))
+      .map(candidate => ({ candidate, shared: [...candidate.urls].filter(url => primary.urls.has(url)) }))
+      .filter(({ shared }) => shared.length >= minSharedUrls);
+
+    members.forEach(({ candidate }) => assigned.add(candidate));
+
+    const sharedUrls = new Set(members.flatMap(({ shared }) => shared));
+    clusters.push({
+      primary_keyword: primary.keyword,
+      size: members.length + 1,
+      total_volume: volumeByKeyword.size > 0
+        ? [primary, ...members.map(({ candidate }) => candidate)].reduce((sum, entry) => sum + (entry.volume ?? 0), 0)
+        : null,
+      keywords: [
+        { keyword: primary.keyword, volume: primary.volume, shared_urls: null },
+        ...members.map(({ candidate, shared }) => ({ keyword: candidate.keyword, volume: candidate.volume, shared_urls: shared.length }))
+      ],
+      shared_urls: [...primary.urls].filter(url => sharedUrls.has(url))
+    });
+  });
+
+  return {
+    min_shared_urls: minSharedUrls,
+    depth: CLUSTER_DEPTH,
+    clusters: clusters.sort((a, b) => b.size - a.size),
+    unclustered
+  };
+};
+
+// Cluster the keyword results of one analysis; failed keywords carry no URLs
+export const clusterAnalysisResults = (results, { min_shared_urls, keyword_volumes } = {}) => clusterKeywords(
+  (results || []).map(result => ({ keyword: result.keyword, urls: result.decision === 'Error' ? [] : topUrls(result) })),
+  { minSharedUrls: min_shared_urls === undefined ? DEFAULT_MIN_SHARED_URLS : Number(min_shared_urls), volumes: keyword_volumes }
+);
+
+/*
+  Cluster a project's keywords from their latest analysis, across every run that touched
+  the project. Keywords that were never analyzed are listed in `not_analyzed`.
+*/
+export const clusterProjectKeywords = async (keywords, options = {}) => {
+  const requestIds = [...new Set(keywords.map(row => row.last_request_id).filter(Boolean))];
+  const resultsByRequest = new Map();
+
+  for (let i = 0; i < requestIds.length; i += LOOKUP_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from('analysis_logs')
+      .select('request_id, results')
+      .in('request_id', requestIds.slice(i, i + LOOKUP_CHUNK_SIZE));
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    (data || []).forEach(log => resultsByRequest.set(log.request_id, log.results || []));
+  }
+
+  const latestResults = [];
+  const notAnalyzed = [];
+  keywords.forEach(row => {
+    const result = (resultsByRequest.get(row.last_request_id) || [])
+      .find(entry => normalizeKeyword(entry.keyword) === row.keyword);
+
+    if (result) {
+      latestResults.push({ ...result, keyword: row.keyword });
+    } else {
+      notAnalyzed.push(row.keyword);
+    }
+  });
+
+  return { ...clusterAnalysisResults(latestResults, options), not_analyzed: notAnalyzed };
+};
@@ -0,0 +1,42 @@
+import crypto from 'crypto';
+
+// Provider keys are stored as enc:v1:<iv>:<auth tag>:<ciphertext> (base64 parts, AES-256-GCM)
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const IV_LENGTH = 12;
+
+// Any string works as the master key; it is hashed down to the 32 bytes AES-256 needs
+const getMasterKey = () => {
+  const secret = process.env.API_KEY_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('API_KEY_ENCRYPTION_KEY is not configured');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+export const isEncryptedSecret = (value) => typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+
+export const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getMasterKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return `${ENCRYPTED_PREFIX}${iv.toString('base64')}:${tag.toString('base64')}:${ciphertext.toString('base64')}`;
+};
+
+// Legacy plaintext values are passed through unchanged until the backfill encrypts them
+export const decryptSecret = (value) => {
+  if (!isEncryptedSecret(value)) return value;
+
+  const [iv, tag, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getMasterKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+// Safe-to-display hint of a secret: only its last four characters
+export const fingerprintSecret = (plaintext) => {
+  if (!plaintext) return null;
+  return `••••${plaintext.slice(-4)}`;
+};
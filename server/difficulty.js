@@ -0,0 +1,158 @@
+import { supabase } from './supabase.js';
+import { isUgcUrl } from './rules.js';
+
+/*
+  Difficulty weights, all between 0 and 100:
+    - `da`, `pa`, `spam_score`: relative weight of each ranking-strength factor; they are
+      normalized against each other, so only their ratio matters
+    - `weak_pages`: points taken off when every top result is a weak page (forum/UGC or thin)
+    - `knowledge_panel`: points added when the SERP shows a knowledge panel
+*/
+export const DEFAULT_DIFFICULTY_WEIGHTS = {
+  da: 50,
+  pa: 30,
+  spam_score: 20,
+  weak_pages: 30,
+  knowledge_panel: 10
+};
+
+// Only the first page competes for clicks
+const DIFFICULTY_DEPTH = 10;
+// Pages with so few links that they rank on their domain alone
+const THIN_PAGE_PA = parseInt(process.env.DIFFICULTY_THIN_PAGE_PA || '10', 10);
+
+const STRENGTH_FACTORS = [
+  { factor: 'da', label: 'Domain authority' },
+  { factor: 'pa', label: 'Page authority' },
+  { factor: 'spam_score', label: 'Trust (100 minus spam score)' }
+];
+
+// Validate a weights object, returning an error message or null; omitted weights keep their default
+export const validateDifficultyWeights = (weights) => {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    return 'weights must be an object';
+  }
+  for (const [name, value] of Object.entries(weights)) {
+    if (!(name in DEFAULT_DIFFICULTY_WEIGHTS)) {
+      return `Unknown weight '${name}'; use: ${Object.keys(DEFAULT_DIFFICULTY_WEIGHTS).join(', ')}`;
+    }
+    if (typeof value !== 'number' || value < 0 || value > 100) {
+      return `${name} must be a number between 0 and 100`;
+    }
+  }
+  const merged = { ...DEFAULT_DIFFICULTY_WEIGHTS, ...weights };
+  if (merged.da + merged.pa + merged.spam_score === 0) {
+    return 'At least one of da, pa and spam_score must be above 0';
+  }
+  return null;
+};
+
+// The user's weights merged over the defaults
+export const getDifficultyWeights = async (userId) => {
+  const { data, error } = await supabase
+    .from('users')
+    .select('difficulty_weights')
+    .eq('id', userId)
+    .single();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return { ...DEFAULT_DIFFICULTY_WEIGHTS, ...(data?.difficulty_weights || {}) };
+};
+
+// Store the user's weights; null resets to the defaults
+export const saveDifficultyWeights = async (userId, weights) => {
+  const { error } = await supabase
+    .from('users')
+    .update({ difficulty_weights: weights })
+    .eq('id', userId);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return { ...DEFAULT_DIFFICULTY_WEIGHTS, ...(weights || {}) };
+};
+
+// Higher positions matter more: 1 for #1, about 0.29 for #10
+const positionWeight = (position) => 1 / Math.log2(position + 1);
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Position-weighted average of a per-row value, skipping rows where it is unknown
+const weightedAverage = (rows, valueOf) => {
+  let total = 0;
+  let weights = 0;
+  rows.forEach(row => {
+    const value = valueOf(row);
+    if (value === null || value === undefined) return;
+    total += value * positionWeight(row.position);
+    weights += positionWeight(row.position);
+  });
+  return weights > 0 ? total / weights : null;
+};
+
+export const isWeakPage = (row, ugcDomains = []) => row.is_ugc
+  || isUgcUrl(row.url, ugcDomains)
+  || (row.pa !== null && row.pa !== undefined && row.pa < THIN_PAGE_PA);
+
+/*
+  0–100 difficulty of one keyword from its detailed results. The strength factors (DA, PA and
+  trust) are position-weighted averages over the top 10, combined by their relative weights;
+  factors without any metrics are left out and the rest renormalized. Weak pages then take
+  points off in proportion to their position-weighted share, and a knowledge panel adds
+  points. Every factor reports its input value and the points it contributed, which add up
+  to the score before it is clamped to 0–100.
+*/
+export const scoreDifficulty = (detailedResults, { knowledgePanel = null, weights = DEFAULT_DIFFICULTY_WEIGHTS, ugcDomains = [] } = {}) => {
+  const top = (detailedResults || [])
+    .filter(row => row.position !== null && row.position !== undefined && row.position <= DIFFICULTY_DEPTH);
+
+  if (top.length === 0) {
+    return { score: null, breakdown: [] };
+  }
+
+  const values = {
+    da: weightedAverage(top, row => row.da),
+    pa: weightedAverage(top, row => row.pa),
+    spam_score: weightedAverage(top, row => row.spam_score === null || row.spam_score === undefined ? null : 100 - row.spam_score)
+  };
+  const available = STRENGTH_FACTORS.filter(({ factor }) => values[factor] !== null && weights[factor] > 0);
+  const strengthWeight = available.reduce((sum, { factor }) => sum + weights[factor], 0);
+
+  const breakdown = STRENGTH_FACTORS.map(({ factor, label }) => {
+    const included = available.some(entry => entry.factor === factor);
+    return {
+      factor,
+      label,
+      value: values[factor] === null ? null : round1(values[factor]),
+      weight: weights[factor],
+      points: included ? round1((values[factor] * weights[factor]) / strengthWeight) : 0
+    };
+  });
+
+  const weakShare = weightedAverage(top, row => isWeakPage(row, ugcDomains) ? 1 : 0);
+  breakdown.push({
+    factor: 'weak_pages',
+    label: 'Weak pages (forums, UGC, thin pages)',
+    value: top.filter(row => isWeakPage(row, ugcDomains)).length,
+    weight: weights.weak_pages,
+    points: round1(-weakShare * weights.weak_pages)
+  });
+
+  breakdown.push({
+    factor: 'knowledge_panel',
+    label: 'Knowledge panel',
+    value: knowledgePanel ? 1 : 0,
+    weight: weights.knowledge_panel,
+    points: knowledgePanel ? weights.knowledge_panel : 0
+  });
+
+  const total = breakdown.reduce((sum, entry) => sum + entry.points, 0);
+  return {
+    score: strengthWeight > 0 ? Math.round(Math.min(100, Math.max(0, total))) : null,
+    breakdown
+  };
+};
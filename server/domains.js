@@ -0,0 +1,60 @@
+import { getDomain } from 'tldts';
+
+// Query parameters that never change what page a URL points to
+const TRACKING_PARAMS = /^(utm_[a-z]+|gclid|fbclid|msclkid|mc_cid|mc_eid|ref|ref_src)$/i;
+
+const parseUrl = (value) => {
+  const input = String(value || '').trim();
+  if (!input) return null;
+
+  try {
+    return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(input) ? input : `https://${input}`);
+  } catch {
+    return null;
+  }
+};
+
+// Lowercased host without a leading www., or null when the value is not a URL or host
+export const canonicalHost = (value) => {
+  const url = parseUrl(value);
+  return url ? url.hostname.toLowerCase().replace(/^www\./, '') : null;
+};
+
+// eTLD+1 (e.g. blog.example.co.uk -> example.co.uk); falls back to the host for IPs and unknown suffixes
+export const registrableDomain = (value) => {
+  const host = canonicalHost(value);
+  if (!host) return null;
+  return getDomain(host, { allowPrivateDomains: false }) || host;
+};
+
+// True when the value points at a specific page rather than just a host
+export const isPageUrl = (value) => {
+  const url = parseUrl(value);
+  return !!url && (url.pathname !== '/' || url.search !== '');
+};
+
+/*
+  Canonical form used as the page-level key: https, no www., no default port, no fragment,
+  no tracking parameters, sorted query and no trailing slash (except for the root).
+*/
+export const canonicalizeUrl = (value) => {
+  const url = parseUrl(value);
+  if (!url) return null;
+
+  const params = [...url.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length ? `?${new URLSearchParams(params).toString()}` : '';
+  const pathname = url.pathname.length > 1 ? url.pathname.replace(/\/+$/, '') : '/';
+  const host = url.hostname.toLowerCase().replace(/^www\./, '');
+  const port = url.port && url.port !== '443' && url.port !== '80' ? `:${url.port}` : '';
+
+  return `https://${host}${port}${pathname}${query}`;
+};
+
+// Everything the pipeline needs to know about one SERP result URL
+export const describeUrl = (value) => ({
+  url: canonicalizeUrl(value) || value,
+  host: canonicalHost(value),
+  domain: registrableDomain(value)
+});
@@ -0,0 +1,322 @@
+import { v4 as uuidv4 } from 'uuid';
+import { supabase } from './supabase.js';
+import { createAnalysisLog, markAnalysisFailed, runSerpAnalysis } from './analysis.js';
+import { loadUserApiKeys } from './apiKeys.js';
+import { getBatchSize } from './bulkRuns.js';
+import { dedupeKeywords } from './keywords.js';
+import { resolveRuleProfile } from './rules.js';
+import { checkBudget, isKeyOverBudget } from './usage.js';
+
+export const MAX_EXPANSION_DEPTH = 3;
+export const MAX_EXPANSION_KEYWORDS = parseInt(process.env.EXPANSION_MAX_KEYWORDS || '200', 10);
+const DEFAULT_DEPTH = 2;
+const DEFAULT_MAX_KEYWORDS = 50;
+// Same cap as a single /api/analyze-serps request
+const MAX_SEEDS = 30;
+const EXPANSION_COLUMNS = 'id, user_id, seeds, depth, max_keywords, options, status, nodes, keywords_total, error_message, created_at, updated_at, finished_at';
+
+// Expansions with a loop in this process, so one is never processed twice at once
+const activeExpansions = new Map();
+
+// Validate the expansion parameters, returning an error message or null
+export const validateExpansionBody = ({ seeds, depth, max_keywords }) => {
+  if (!Array.isArray(seeds) || seeds.length === 0 || seeds.some(seed => typeof seed !== 'string' || !seed.trim())) {
+    return 'seeds must be a non-empty array of keywords';
+  }
+  if (seeds.length > MAX_SEEDS) {
+    return `Maximum ${MAX_SEEDS} seed keywords allowed`;
+  }
+  if (depth !== undefined && (!Number.isInteger(depth) || depth < 0 || depth > MAX_EXPANSION_DEPTH)) {
+    return `depth must be an integer between 0 and ${MAX_EXPANSION_DEPTH}`;
+  }
+  if (max_keywords !== undefined && (!Number.isInteger(max_keywords) || max_keywords < 1 || max_keywords > MAX_EXPANSION_KEYWORDS)) {
+    return `max_keywords must be an integer between 1 and ${MAX_EXPANSION_KEYWORDS}`;
+  }
+  return null;
+};
+
+// Most keywords an expansion can analyze, reserved against the rate limits before it starts
+export const getExpansionKeywordLimit = ({ seeds, depth = DEFAULT_DEPTH, max_keywords = DEFAULT_MAX_KEYWORDS }) => depth === 0
+  ? Math.min(dedupeKeywords(seeds).length, max_keywords)
+  : max_keywords;
+
+const newNode = (keyword, parent, level) => ({
+  keyword,
+  parent,
+  level,
+  status: 'pending',
+  decision: null,
+  average_da: null,
+  low_da_count: null,
+  request_id: null,
+  error: null
+});
+
+const getRow = async (expansionId) => {
+  const { data, error } = await supabase
+    .from('keyword_expansions')
+    .select(EXPANSION_COLUMNS)
+    .eq('id', expansionId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+const updateRow = async (expansionId, values) => {
+  const { data, error } = await supabase
+    .from('keyword_expansions')
+    .update({ ...values, updated_at: new Date().toISOString() })
+    .eq('id', expansionId)
+    .select(EXPANSION_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+export const createExpansion = async ({ userId, seeds, depth = DEFAULT_DEPTH, maxKeywords = DEFAULT_MAX_KEYWORDS, options }) => {
+  // Seeds count towards max_keywords, so a small cap can drop some of them
+  const nodes = dedupeKeywords(seeds).slice(0, maxKeywords).map(seed => newNode(seed, null, 0));
+
+  const { data, error } = await supabase
+    .from('keyword_expansions')
+    .insert({
+      user_id: userId,
+      seeds: nodes.map(node => node.keyword),
+      depth,
+      max_keywords: maxKeywords,
+      options,
+      nodes,
+      keywords_total: nodes.length
+    })
+    .select(EXPANSION_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  console.log(`🌱 Created expansion ${data.id} with ${nodes.length} seeds, depth ${depth}, max ${maxKeywords} for user ${userId}`);
+  return data;
+};
+
+// Related keywords of a result; providers return them as { keyword } objects or plain strings
+const relatedKeywords = (result) => (result.serp_features || [])
+  .map(feature => typeof feature === 'string' ? feature : feature?.keyword)
+  .filter(keyword => typeof keyword === 'string');
+
+/*
+  Analyze one batch of pending nodes as a regular analysis log, record each node's decision
+  and queue the related keywords of analyzed nodes one level down, skipping keywords already
+  in the tree and stopping at max_keywords.
+*/
+const processBatch = async (expansion, batch, { apiKeys, spendByKey, ruleProfile }) => {
+  const requestId = uuidv4();
+  const startTime = Date.now();
+  const keywords = batch.map(node => node.keyword);
+  const { country = 'US', page = 1, language = null, device = 'desktop', location = null, depth = 1, write_skip_config = {}, metrics_max_age_hours, serp_cache_max_age_hours } = expansion.options;
+
+  await createAnalysisLog({
+    userId: expansion.user_id,
+    requestId,
+    keywords,
+    expansionId: expansion.id,
+    options: { ...expansion.options, expansion_id: expansion.id }
+  });
+
+  let results;
+  try {
+    const payload = await runSerpAnalysis({
+      requestId,
+      userId: expansion.user_id,
+      keywords,
+      apiKeys,
+      spendByKey,
+      country,
+      page,
+      language,
+      device,
+      location,
+      depth,
+      writeSkipConfig: write_skip_config,
+      ruleProfile,
+      metricsMaxAgeHours: metrics_max_age_hours,
+      serpCacheMaxAgeHours: serp_cache_max_age_hours,
+      startTime
+    });
+    results = payload.results;
+  } catch (error) {
+    console.error(`❌ Expansion ${expansion.id} batch ${requestId} failed:`, error.message);
+    await markAnalysisFailed(requestId, error.message, startTime);
+    results = batch.map(node => ({ keyword: node.keyword, decision: 'Error', error: error.message }));
+  }
+
+  const nodes = expansion.nodes;
+  const seen = new Set(nodes.map(node => node.keyword));
+
+  batch.forEach((node, index) => {
+    const result = results[index] || {};
+    const target = nodes.find(entry => entry.keyword === node.keyword);
+    Object.assign(target, {
+      status: result.decision === 'Error' ? 'failed' : 'completed',
+      decision: result.decision === 'Error' ? null : result.decision,
+      average_da: result.average_da ?? null,
+      low_da_count: result.low_da_count ?? null,
+      request_id: requestId,
+      error: result.error || null
+    });
+
+    if (target.status !== 'completed' || target.level >= expansion.depth) return;
+
+    for (const child of dedupeKeywords(relatedKeywords(result))) {
+      if (nodes.length >= expansion.max_keywords) break;
+      if (seen.has(child)) continue;
+      seen.add(child);
+      nodes.push(newNode(child, target.keyword, target.level + 1));
+    }
+  });
+
+  await updateRow(expansion.id, { nodes, keywords_total: nodes.length });
+};
+
+// Stop the expansion early, keeping the part of the tree analyzed so far
+const failExpansion = async (expansionId, message) => {
+  console.log(`⏹️ Expansion ${expansionId} stopped: ${message}`);
+  await updateRow(expansionId, { status: 'failed', error_message: message, finished_at: new Date().toISOString() });
+};
+
+/*
+  Breadth-first loop for one expansion: the shallowest pending nodes are analyzed first, in
+  batches sized to the available keys, until no pending nodes remain.
+*/
+const processExpansion = async (expansionId) => {
+  let expansion = await getRow(expansionId);
+  if (!expansion || expansion.status !== 'running') return;
+
+  const ruleProfile = await resolveRuleProfile(expansion.user_id, expansion.options.rule_profile, { writeSkipConfig: expansion.options.write_skip_config });
+  if (expansion.options.rule_profile && !ruleProfile) {
+    return failExpansion(expansionId, `Rule profile '${expansion.options.rule_profile}' not found`);
+  }
+
+  for (;;) {
+    expansion = await getRow(expansionId);
+    if (!expansion || expansion.status !== 'running') return;
+
+    const pending = expansion.nodes.filter(node => node.status === 'pending');
+    if (pending.length === 0) {
+      await updateRow(expansionId, { status: 'completed', error_message: null, finished_at: new Date().toISOString() });
+      console.log(`✅ Expansion ${expansionId} finished with ${expansion.nodes.length} keywords`);
+      return;
+    }
+
+    const apiKeys = await loadUserApiKeys(expansion.user_id);
+    if (apiKeys.length === 0) {
+      return failExpansion(expansionId, 'No API keys available');
+    }
+
+    const level = Math.min(...pending.map(node => node.level));
+    const batch = pending.filter(node => node.level === level).slice(0, getBatchSize(apiKeys));
+
+    const budgetCheck = await checkBudget(expansion.user_id, batch.length * (expansion.options.depth || 1));
+    if (!budgetCheck.allowed) {
+      return failExpansion(expansionId, `Estimated cost $${budgetCheck.estimate} would exceed the monthly budget of $${budgetCheck.budget} ($${budgetCheck.spent} spent this month)`);
+    }
+    if (apiKeys.every(key => isKeyOverBudget(key, budgetCheck.spendByKey))) {
+      return failExpansion(expansionId, 'Every API key has reached its monthly budget');
+    }
+
+    console.log(`🌱 Expansion ${expansionId}: analyzing ${batch.length} keywords at level ${level}`);
+    await processBatch(expansion, batch, { apiKeys, spendByKey: budgetCheck.spendByKey, ruleProfile });
+  }
+};
+
+// Run the expansion loop unless it is already running in this process; resolves when it stops
+export const startExpansion = (expansionId) => {
+  if (activeExpansions.has(expansionId)) return activeExpansions.get(expansionId);
+
+  const loop = processExpansion(expansionId)
+    .catch(async (error) => {
+      console.error(`❌ Expansion ${expansionId} stopped:`, error);
+      try {
+        await failExpansion(expansionId, error.message);
+      } catch (updateError) {
+        console.error(`❌ Failed to mark expansion ${expansionId} as failed:`, updateError);
+      }
+    })
+    .finally(() => activeExpansions.delete(expansionId));
+
+  activeExpansions.set(expansionId, loop);
+  return loop;
+};
+
+// Nest the flat node list under the seeds: each node lists the related keywords it led to
+const buildTree = (nodes) => {
+  const byKeyword = new Map(nodes.map(({ parent, ...node }) => [node.keyword, { ...node, children: [] }]));
+  const roots = [];
+
+  nodes.forEach(node => {
+    const entry = byKeyword.get(node.keyword);
+    const parent = node.parent !== null ? byKeyword.get(node.parent) : null;
+    (parent ? parent.children : roots).push(entry);
+  });
+
+  return roots;
+};
+
+// Response body for an expansion: counts per decision plus the parent→child keyword tree
+export const buildExpansionPayload = (expansion) => {
+  const count = (predicate) => expansion.nodes.filter(predicate).length;
+
+  return {
+    expansion_id: expansion.id,
+    status: expansion.status,
+    seeds: expansion.seeds,
+    depth: expansion.depth,
+    max_keywords: expansion.max_keywords,
+    country: expansion.options?.country,
+    keywords_total: expansion.keywords_total,
+    keywords_analyzed: count(node => node.status === 'completed'),
+    keywords_failed: count(node => node.status === 'failed'),
+    write_count: count(node => node.decision === 'Write'),
+    skip_count: count(node => node.decision === 'Skip'),
+    error_message: expansion.error_message,
+    created_at: expansion.created_at,
+    finished_at: expansion.finished_at,
+    tree: buildTree(expansion.nodes)
+  };
+};
+
+// Load an expansion owned by the user, or null when it does not exist
+export const getExpansion = async (userId, expansionId) => {
+  const expansion = await getRow(expansionId);
+  return expansion && expansion.user_id === userId ? expansion : null;
+};
+
+// Pick up expansions that were still running when the server last stopped
+export const resumeInterruptedExpansions = async () => {
+  try {
+    const { data: expansions, error } = await supabase
+      .from('keyword_expansions')
+      .select('id')
+      .eq('status', 'running');
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    (expansions || []).forEach(expansion => startExpansion(expansion.id));
+
+    if (expansions?.length) {
+      console.log(`🔁 Resumed ${expansions.length} interrupted expansions`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to resume expansions:', error.message);
+  }
+};
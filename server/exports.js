@@ -0,0 +1,187 @@
+import ExcelJS from 'exceljs';
+import { supabase } from './supabase.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'jsonl'];
+
+const MAX_EXPORT_LOGS = parseInt(process.env.EXPORT_MAX_LOGS || '500', 10);
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  jsonl: 'application/x-ndjson; charset=utf-8'
+};
+
+// Flat export columns, one row per keyword/position
+const COLUMNS = [
+  { key: 'request_id', header: 'Request ID', width: 38 },
+  { key: 'analyzed_at', header: 'Analyzed At', width: 22 },
+  { key: 'keyword', header: 'Keyword', width: 32 },
+  { key: 'decision', header: 'Decision', width: 10 },
+  { key: 'average_da', header: 'Average DA', width: 12 },
+  { key: 'low_da_count', header: 'Low DA Count', width: 13 },
+  { key: 'difficulty', header: 'Difficulty', width: 11 },
+  { key: 'intent', header: 'Intent', width: 14 },
+  { key: 'position', header: 'Position', width: 10 },
+  { key: 'url', header: 'URL', width: 60 },
+  { key: 'domain', header: 'Domain', width: 28 },
+  { key: 'da', header: 'DA', width: 8 },
+  { key: 'pa', header: 'PA', width: 8 },
+  { key: 'spam_score', header: 'Spam Score', width: 12 },
+  { key: 'result_type', header: 'Result Type', width: 12 },
+  { key: 'title', header: 'Title', width: 50 },
+  { key: 'description', header: 'Description', width: 80 },
+  { key: 'error', header: 'Error', width: 40 }
+];
+
+const SUMMARY_COLUMNS = [
+  { key: 'request_id', header: 'Request ID', width: 38 },
+  { key: 'analyzed_at', header: 'Analyzed At', width: 22 },
+  { key: 'keyword', header: 'Keyword', width: 32 },
+  { key: 'decision', header: 'Decision', width: 10 },
+  { key: 'average_da', header: 'Average DA', width: 12 },
+  { key: 'low_da_count', header: 'Low DA Count', width: 13 },
+  { key: 'difficulty', header: 'Difficulty', width: 11 },
+  { key: 'intent', header: 'Intent', width: 14 },
+  { key: 'metrics_missing_count', header: 'Missing Metrics', width: 15 },
+  { key: 'results_count', header: 'Results', width: 10 },
+  { key: 'error', header: 'Error', width: 40 }
+];
+
+// Validate the export query, returning an error message or null
+export const validateExportQuery = ({ format, from, to, request_id }) => {
+  if (!EXPORT_FORMATS.includes(format)) {
+    return `format must be one of: ${EXPORT_FORMATS.join(', ')}`;
+  }
+  if (from !== undefined && Number.isNaN(new Date(from).getTime())) {
+    return 'from must be an ISO date';
+  }
+  if (to !== undefined && Number.isNaN(new Date(to).getTime())) {
+    return 'to must be an ISO date';
+  }
+  if (request_id !== undefined && typeof request_id !== 'string') {
+    return 'request_id must be a comma-separated list of request IDs';
+  }
+  return null;
+};
+
+/*
+  Load the analysis logs to export: specific request IDs, a bulk run, or everything in a
+  date range with an optional status filter. Newest first, capped at EXPORT_MAX_LOGS.
+*/
+export const loadExportLogs = async (userId, { requestIds, bulkRunId, from, to, status }) => {
+  let query = supabase
+    .from('analysis_logs')
+    .select('request_id, status, results, created_at')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(MAX_EXPORT_LOGS);
+
+  if (requestIds?.length) query = query.in('request_id', requestIds);
+  if (bulkRunId) query = query.eq('bulk_run_id', bulkRunId);
+  if (from) query = query.gte('created_at', new Date(from).toISOString());
+  if (to) query = query.lte('created_at', new Date(to).toISOString());
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data || [];
+};
+
+const keywordFields = (log, result) => ({
+  request_id: log.request_id,
+  analyzed_at: log.created_at,
+  keyword: result.keyword,
+  decision: result.decision || 'Error',
+  average_da: result.average_da ?? null,
+  low_da_count: result.low_da_count ?? null,
+  difficulty: result.difficulty ?? null,
+  intent: result.intent || null,
+  error: result.error || null
+});
+
+// One summary row per analyzed keyword
+export const buildSummaryRows = (logs) => logs.flatMap(log => (log.results || []).map(result => ({
+  ...keywordFields(log, result),
+  metrics_missing_count: result.metrics_missing_count ?? null,
+  results_count: result.detailed_results?.length || 0
+})));
+
+// One row per keyword/position; keywords without SERP results still get a row carrying the error
+export const buildExportRows = (logs) => logs.flatMap(log => (log.results || []).flatMap(result => {
+  const summary = keywordFields(log, result);
+  const details = result.detailed_results || [];
+
+  if (details.length === 0) {
+    return [{ ...summary, position: null, url: null, domain: null, da: null, pa: null, spam_score: null, result_type: null, title: null, description: null }];
+  }
+
+  return details.map(detail => ({
+    ...summary,
+    position: detail.position,
+    url: detail.url || null,
+    domain: detail.domain || null,
+    da: detail.da ?? null,
+    pa: detail.pa ?? null,
+    spam_score: detail.spam_score ?? null,
+    result_type: detail.result_type || null,
+    title: detail.title || null,
+    description: detail.description || null
+  }));
+}));
+
+// Quote a CSV field; cells that a spreadsheet would evaluate as a formula are prefixed with '
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => [
+  COLUMNS.map(column => column.key).join(','),
+  ...rows.map(row => COLUMNS.map(column => csvField(row[column.key])).join(','))
+].join('\r\n') + '\r\n';
+
+export const toJsonl = (rows) => rows.map(row => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : '');
+
+const addSheet = (workbook, name, columns, rows) => {
+  const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns;
+  sheet.addRows(rows);
+  sheet.getRow(1).font = { bold: true };
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+  return sheet;
+};
+
+// Workbook with a Summary sheet (one row per keyword) and a SERP sheet (one row per keyword/position)
+export const toXlsx = async (logs) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  addSheet(workbook, 'Summary', SUMMARY_COLUMNS, buildSummaryRows(logs));
+  addSheet(workbook, 'SERP', COLUMNS, buildExportRows(logs));
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+// Render logs in the requested format: { body, contentType, filename }
+export const renderExport = async (logs, format) => {
+  const stamp = new Date().toISOString().slice(0, 10);
+  const filename = logs.length === 1
+    ? `serp-analysis-${logs[0].request_id}.${format}`
+    : `serp-analysis-${stamp}.${format}`;
+
+  let body;
+  if (format === 'xlsx') {
+    body = await toXlsx(logs);
+  } else if (format === 'jsonl') {
+    body = toJsonl(buildExportRows(logs));
+  } else {
+    body = toCsv(buildExportRows(logs));
+  }
+
+  return { body, contentType: CONTENT_TYPES[format], filename };
+};
@@ -0,0 +1,169 @@
+import { supabase } from './supabase.js';
+import { matchLocale, resolveLocale } from './locales.js';
+
+// Most recent snapshots returned for one keyword
+const MAX_SNAPSHOTS = parseInt(process.env.HISTORY_MAX_SNAPSHOTS || '100', 10);
+const PAGE_SIZE = 1000;
+const MAX_ROWS = 20000;
+const LOOKUP_CHUNK_SIZE = 100;
+
+const SERP_ROW_COLUMNS = 'analysis_log_id, keyword, position, url, domain, da, pa, spam_score, title, result_type, created_at';
+
+// ilike pattern matching the keyword exactly but ignoring case
+const exactPattern = (keyword) => keyword.replace(/[\\%_]/g, char => `\\${char}`);
+
+const sameKeyword = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Only rows fetched with the same locale are comparable, so other languages, devices and locations are left out
+const loadSerpRows = async (userId, keyword, locale) => {
+  const rows = [];
+
+  for (let from = 0; from < MAX_ROWS; from += PAGE_SIZE) {
+    const query = supabase
+      .from('serp_results')
+      .select(SERP_ROW_COLUMNS)
+      .eq('user_id', userId);
+
+    const { data, error } = await matchLocale(query, locale)
+      .ilike('keyword', exactPattern(keyword))
+      .order('created_at', { ascending: true })
+      .order('position', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return rows;
+};
+
+const loadLogs = async (logIds) => {
+  const logs = {};
+
+  for (let i = 0; i < logIds.length; i += LOOKUP_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from('analysis_logs')
+      .select('id, request_id, created_at, results')
+      .in('id', logIds.slice(i, i + LOOKUP_CHUNK_SIZE));
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    (data || []).forEach(log => {
+      logs[log.id] = log;
+    });
+  }
+
+  return logs;
+};
+
+/*
+  All stored SERP snapshots for a keyword in one locale, oldest first. Each snapshot is one
+  analysis: { request_id, analyzed_at, decision, low_da_count, average_da, results } where
+  results are the stored serp_results rows ordered by position.
+*/
+export const getKeywordHistory = async (userId, keyword, locale = {}) => {
+  const rows = await loadSerpRows(userId, keyword.trim(), resolveLocale(locale));
+
+  const rowsByLog = new Map();
+  rows.forEach(row => {
+    if (!rowsByLog.has(row.analysis_log_id)) rowsByLog.set(row.analysis_log_id, []);
+    rowsByLog.get(row.analysis_log_id).push(row);
+  });
+
+  const logIds = [...rowsByLog.keys()].slice(-MAX_SNAPSHOTS);
+  const logs = await loadLogs(logIds);
+
+  return logIds.filter(id => logs[id]).map(id => {
+    const log = logs[id];
+    const result = (log.results || []).find(entry => sameKeyword(entry.keyword, keyword)) || {};
+
+    return {
+      request_id: log.request_id,
+      analyzed_at: log.created_at,
+      decision: result.decision || null,
+      low_da_count: result.low_da_count ?? null,
+      average_da: result.average_da ?? null,
+      results: rowsByLog.get(id).map(row => ({
+        position: row.position,
+        url: row.url,
+        domain: row.domain,
+        da: row.da,
+        pa: row.pa,
+        spam_score: row.spam_score,
+        title: row.title,
+        result_type: row.result_type
+      }))
+    };
+  });
+};
+
+// Rows keyed by URL (falling back to domain for rows stored before URLs were kept), best position wins
+const indexByUrl = (results) => {
+  const index = new Map();
+  results.forEach(row => {
+    const key = row.url || row.domain;
+    if (key && !index.has(key)) index.set(key, row);
+  });
+  return index;
+};
+
+/*
+  Compare two snapshots: URLs that entered or left the results, position moves (positive
+  change means the URL moved up) and DA changes for URLs present in both.
+*/
+export const diffSnapshots = (from, to) => {
+  const before = indexByUrl(from.results);
+  const after = indexByUrl(to.results);
+
+  const newUrls = [...after.entries()]
+    .filter(([key]) => !before.has(key))
+    .map(([key, row]) => ({ url: key, domain: row.domain, position: row.position, da: row.da }));
+
+  const droppedUrls = [...before.entries()]
+    .filter(([key]) => !after.has(key))
+    .map(([key, row]) => ({ url: key, domain: row.domain, position: row.position, da: row.da }));
+
+  const shared = [...after.entries()].filter(([key]) => before.has(key));
+
+  const moved = shared
+    .filter(([key, row]) => before.get(key).position !== row.position)
+    .map(([key, row]) => ({
+      url: key,
+      domain: row.domain,
+      from_position: before.get(key).position,
+      to_position: row.position,
+      change: before.get(key).position - row.position
+    }))
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+  const daChanges = shared
+    .filter(([key, row]) => (before.get(key).da ?? null) !== (row.da ?? null))
+    .map(([key, row]) => {
+      const fromDa = before.get(key).da ?? null;
+      const toDa = row.da ?? null;
+      return {
+        url: key,
+        domain: row.domain,
+        from_da: fromDa,
+        to_da: toDa,
+        change: fromDa !== null && toDa !== null ? toDa - fromDa : null
+      };
+    });
+
+  return {
+    from: { request_id: from.request_id, analyzed_at: from.analyzed_at },
+    to: { request_id: to.request_id, analyzed_at: to.analyzed_at },
+    decision: { from: from.decision, to: to.decision, changed: from.decision !== to.decision },
+    low_da_count: { from: from.low_da_count, to: to.low_da_count },
+    new_urls: newUrls,
+    dropped_urls: droppedUrls,
+    moved,
+    da_changes: daChanges
+  };
+};
@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import { supabase } from './supabase.js';
+
+export const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+// How long a key keeps returning the original analysis; afterwards it can start a new one
+export const IDEMPOTENCY_KEY_TTL_HOURS = parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24');
+
+const HOUR_MS = 60 * 60 * 1000;
+// How often expired keys are swept off old analyses
+const CLEANUP_INTERVAL_MS = HOUR_MS;
+const MAX_KEY_LENGTH = 255;
+const IDEMPOTENT_LOG_COLUMNS = 'request_id, keywords, options, locale, results, status, processing_time, created_at, idempotency_fingerprint';
+
+// Validate an Idempotency-Key header value, returning an error message or null
+export const validateIdempotencyKey = (key) => {
+  if (typeof key !== 'string' || !key.trim() || key.length > MAX_KEY_LENGTH || /[^\x20-\x7e]/.test(key)) {
+    return `${IDEMPOTENCY_KEY_HEADER} must be 1-${MAX_KEY_LENGTH} printable ASCII characters`;
+  }
+  return null;
+};
+
+// JSON with object keys sorted, so the same body always hashes the same whatever its key order
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+// Hash of a request body, stored with the key to catch a key reused for a different request
+export const fingerprintRequest = (body) => crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+
+const keyCutoff = () => new Date(Date.now() - IDEMPOTENCY_KEY_TTL_HOURS * HOUR_MS).toISOString();
+
+// Clear the key from matching logs so the unique index lets it start a new analysis
+const releaseIdempotencyKeys = async (applyFilters) => {
+  const { error } = await applyFilters(supabase
+    .from('analysis_logs')
+    .update({ idempotency_key: null, idempotency_fingerprint: null })
+    .not('idempotency_key', 'is', null));
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+};
+
+/*
+  The analysis a key was first used for within IDEMPOTENCY_KEY_TTL_HOURS, or null when the
+  key is new. An older claim on the key, or the claim of a failed analysis, is released and
+  also returns null, so the key can be reused and a retry after a failure starts afresh.
+*/
+export const findIdempotentAnalysis = async (userId, key) => {
+  const { data: log, error } = await supabase
+    .from('analysis_logs')
+    .select(IDEMPOTENT_LOG_COLUMNS)
+    .eq('user_id', userId)
+    .eq('idempotency_key', key)
+    .gte('created_at', keyCutoff())
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  if (!log) {
+    await releaseIdempotencyKeys(query => query.eq('user_id', userId).eq('idempotency_key', key).lt('created_at', keyCutoff()));
+    return null;
+  }
+
+  if (log.status === 'failed') {
+    await releaseIdempotencyKeys(query => query.eq('user_id', userId).eq('request_id', log.request_id));
+    return null;
+  }
+
+  return log;
+};
+
+// Release every key older than IDEMPOTENCY_KEY_TTL_HOURS, so stored keys do not pile up
+const releaseExpiredIdempotencyKeys = async () => {
+  try {
+    await releaseIdempotencyKeys(query => query.lt('created_at', keyCutoff()));
+  } catch (error) {
+    console.error('❌ Idempotency key cleanup failed:', error.message);
+  }
+};
+
+let cleanupTimer = null;
+
+export const startIdempotencyCleanup = () => {
+  if (cleanupTimer) return;
+
+  cleanupTimer = setInterval(releaseExpiredIdempotencyKeys, CLEANUP_INTERVAL_MS);
+  releaseExpiredIdempotencyKeys();
+  console.log(`🧹 Releasing Idempotency-Keys older than ${IDEMPOTENCY_KEY_TTL_HOURS}h every ${CLEANUP_INTERVAL_MS / HOUR_MS}h`);
+};
@@ -1,59 +1,113 @@
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
-import { RateLimiterMemory } from 'rate-limiter-flexible';
-import { createClient } from '@supabase/supabase-js';
 import { v4 as uuidv4 } from 'uuid';
-import dotenv from 'dotenv';
-
-// Load environment variables
-dotenv.config();
-
-// Initialize Supabase client with service role key for backend operations
-const supabaseUrl = process.env.VITE_SUPABASE_URL;
-const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.VITE_SUPABASE_ANON_KEY;
-
-if (!supabaseUrl || !supabaseServiceKey) {
-  console.error('Missing Supabase environment variables');
-  process.exit(1);
-}
-
-// Use service role key for backend operations to bypass RLS
-const supabase = createClient(supabaseUrl, supabaseServiceKey, {
-  auth: {
-    autoRefreshToken: false,
-    persistSession: false
-  }
-});
+import { supabase, supabaseUrl } from './supabase.js';
+import {
+  createAnalysisLog,
+  markAnalysisFailed,
+  prepareAnalysis,
+  resolveWriteSkipConfig,
+  runSerpAnalysis
+} from './analysis.js';
+import { buildResultsPayload, getAnalysisLog, getJobStatus } from './jobs.js';
+import { IDEMPOTENCY_KEY_HEADER, findIdempotentAnalysis, fingerprintRequest, startIdempotencyCleanup, validateIdempotencyKey } from './idempotency.js';
+import { deliverCallback, validateCallbackUrl } from './callbacks.js';
+import { SERP_PROVIDERS } from './providers/index.js';
+import { resolveLocale, validateLocaleOptions } from './locales.js';
+import { createApiKey, encryptLegacyApiKeys, loadUserApiKeys, setApiKeyBudget } from './apiKeys.js';
+import {
+  TOKEN_SCOPES,
+  createWebhookToken,
+  resolveWebhookToken,
+  revokeWebhookToken,
+  rotateWebhookToken,
+  validateTokenOptions
+} from './tokens.js';
+import { rateLimit } from './rateLimit.js';
+import { setAccountBudget } from './usage.js';
+import {
+  deleteRuleProfile,
+  listRuleProfiles,
+  hasExplicitWriteSkipConfig,
+  resolveRuleProfile,
+  saveRuleProfile,
+  validateRuleDefinition
+} from './rules.js';
+import {
+  MAX_BULK_KEYWORDS,
+  createBulkRun,
+  getBulkRun,
+  pauseBulkRun,
+  resumeBulkRun,
+  resumeInterruptedBulkRuns,
+  retryFailedBulkKeywords,
+  startBulkRun
+} from './bulkRuns.js';
+import { dedupeKeywords, normalizeTags, parseKeywordList, parseKeywordRows } from './keywords.js';
+import {
+  buildExpansionPayload,
+  createExpansion,
+  getExpansion,
+  getExpansionKeywordLimit,
+  resumeInterruptedExpansions,
+  startExpansion,
+  validateExpansionBody
+} from './expansions.js';
+import { loadExportLogs, renderExport, validateExportQuery } from './exports.js';
+import { diffSnapshots, getKeywordHistory } from './history.js';
+import { clusterAnalysisResults, clusterProjectKeywords, validateClusterOptions } from './clustering.js';
+import { BRIEF_FORMATS, briefFilename, buildBrief, findKeywordResult, renderBriefMarkdown } from './briefs.js';
+import {
+  KEYWORD_STATUSES,
+  MAX_PROJECT_KEYWORDS,
+  addProjectKeywords,
+  createProject,
+  deleteProject,
+  deleteProjectKeyword,
+  getProject,
+  listProjectKeywords,
+  listProjects,
+  updateProject,
+  updateProjectKeywords,
+  validateKeywordChanges,
+  validateProjectBody
+} from './projects.js';
+import {
+  createSchedule,
+  deleteSchedule,
+  listSchedules,
+  previewSchedule,
+  setScheduleEnabled,
+  startScheduler,
+  updateSchedule,
+  validateScheduleBody
+} from './schedules.js';
+import {
+  MAX_TRACKED_DOMAINS,
+  TRACKED_DOMAIN_KINDS,
+  addTrackedDomain,
+  buildVisibilityReport,
+  deleteTrackedDomain,
+  listTrackedDomains,
+  validateReportQuery,
+  validateTrackedDomainBody
+} from './visibility.js';
+import {
+  DEFAULT_DIFFICULTY_WEIGHTS,
+  getDifficultyWeights,
+  saveDifficultyWeights,
+  validateDifficultyWeights
+} from './difficulty.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Rate limiter
-const rateLimiter = new RateLimiterMemory({
-  keyGenerator: (req) => req.ip,
-  points: 10, // 10 requests
-  duration: 60, // per 60 seconds
-});
-
 // Middleware
 app.use(helmet());
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 
-// Rate limiting middleware
-const rateLimitMiddleware = async (req, res, next) => {
-  try {
-    await rateLimiter.consume(req.ip);
-    next();
-  } catch (rejRes) {
-    res.status(429).json({ 
-      error: 'Too many requests', 
-      message: 'Rate limit exceeded. Please try again later.' 
-    });
-  }
-};
-
 // Auth middleware
 const authMiddleware = async (req, res, next) => {
   try {
@@ -64,18 +118,39 @@ const authMiddleware = async (req, res, next) => {
 
     const token = authHeader.split(' ')[1];
     
-    // Find user by webhook token
-    const { data: user, error } = await supabase
+    // Dashboard requests carry the Supabase session JWT, Make.com carries a webhook token
+    const isSessionToken = token.split('.').length === 3;
+    let userQuery = supabase
       .from('users')
-      .select('id, email, full_name, webhook_token')
-      .eq('webhook_token', token)
-      .single();
+      .select('id, email, full_name');
+    let webhookToken = null;
+
+    if (isSessionToken) {
+      const { data: { user: authUser } = {}, error: sessionError } = await supabase.auth.getUser(token);
+      if (sessionError || !authUser) {
+        return res.status(401).json({ error: 'Invalid or expired session' });
+      }
+      userQuery = userQuery.eq('id', authUser.id);
+    } else {
+      webhookToken = await resolveWebhookToken(token);
+      // Fall back to the legacy per-account token, which keeps full access
+      userQuery = webhookToken
+        ? userQuery.eq('id', webhookToken.user_id)
+        : userQuery.eq('webhook_token', token);
+    }
+
+    const { data: user, error } = await userQuery.single();
 
     if (error || !user) {
       return res.status(401).json({ error: 'Invalid authorization token' });
     }
 
     req.user = user;
+    req.auth = {
+      type: isSessionToken ? 'session' : 'webhook_token',
+      token: webhookToken,
+      scopes: webhookToken ? webhookToken.scopes : TOKEN_SCOPES
+    };
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -83,192 +158,146 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
-// Real Apify SERP API integration with parallel processing
-  const callApifySerpApi = async (keyword, apiKey, country = "US", page = 1) => {
-    if (!apiKey) {
-      throw new Error('API key is required but not provided');
-    }
-    
-    console.log(`🔍 Analyzing keyword: ${keyword} with API key: ${apiKey.substring(0, 8)}...`);
-    
-    try {
-    // Step 1: Start SERP actor asynchronously
-    console.log(`📡 Starting Apify SERP API for keyword: ${keyword}`);
-    const serpResponse = await fetch('https://api.apify.com/v2/acts/scraperlink~google-search-results-serp-scraper/runs', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        "country": country,
-        "keyword": keyword,
-        "page": page
-      })
+// Reject webhook tokens that were not granted the scope an endpoint needs
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.auth.scopes.includes(scope)) {
+    return res.status(403).json({ 
+      error: 'Insufficient scope', 
+      message: `This token does not have the '${scope}' scope` 
     });
+  }
+  next();
+};
 
-    if (!serpResponse.ok) {
-      const errorText = await serpResponse.text();
-      throw new Error(`SERP API failed: ${serpResponse.status} ${serpResponse.statusText}`);
-    }
+// Account management is only available from the dashboard session
+const requireSession = (req, res, next) => {
+  if (req.auth.type !== 'session') {
+    return res.status(403).json({ 
+      error: 'Forbidden', 
+      message: 'This endpoint requires a dashboard session' 
+    });
+  }
+  next();
+};
 
-    const serpRunData = await serpResponse.json();
-    const runId = serpRunData.data?.id;
+/*
+  Let an analysis take its keywords from a project instead of an inline array: project_id,
+  optionally narrowed by project_status (one status or a list) and project_tag. Runs before
+  rate limiting so the resolved keywords are counted.
+*/
+const resolveProjectKeywords = async (req, res, next) => {
+  const { project_id, project_status, project_tag, keywords, text } = req.body;
+  if (project_id === undefined) return next();
 
-    if (!runId) {
-      throw new Error('No run ID received from Apify SERP API');
+  try {
+    if (keywords !== undefined || text !== undefined) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'Provide either project_id or keywords, not both' 
+      });
     }
 
-    // Wait for SERP run to complete
-    console.log(`⏳ Waiting for SERP run to complete...`);
-    let serpAttempts = 0;
-    const maxSerpAttempts = 60; // Wait up to 5 minutes
-
-    while (serpAttempts < maxSerpAttempts) {
-      await new Promise(resolve => setTimeout(resolve, 5000)); // Wait 5 seconds
-      serpAttempts++;
-
-      const statusResponse = await fetch(`https://api.apify.com/v2/acts/scraperlink~google-search-results-serp-scraper/runs/${runId}`, {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`
-        }
+    const statuses = project_status === undefined ? [] : [].concat(project_status);
+    if (statuses.some(status => !KEYWORD_STATUSES.includes(status))) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: `project_status must be one or more of: ${KEYWORD_STATUSES.join(', ')}` 
       });
-
-      if (!statusResponse.ok) {
-        continue;
-      }
-
-      const statusData = await statusResponse.json();
-
-      if (statusData.data?.status === 'SUCCEEDED') {
-        console.log(`✅ SERP run completed successfully`);
-        break;
-      } else if (statusData.data?.status === 'FAILED') {
-        throw new Error(`SERP run failed: ${statusData.data?.meta?.errorMessage || 'Unknown error'}`);
-      }
     }
 
-    if (serpAttempts >= maxSerpAttempts) {
-      throw new Error('SERP run timed out after 5 minutes');
+    if (project_tag !== undefined && (typeof project_tag !== 'string' || !project_tag.trim())) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'project_tag must be a non-empty string' 
+      });
     }
 
-    // Get dataset ID from completed run
-    const finalStatusResponse = await fetch(`https://api.apify.com/v2/acts/scraperlink~google-search-results-serp-scraper/runs/${runId}`, {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`
-      }
-    });
-
-    const finalStatusData = await finalStatusResponse.json();
-    const datasetId = finalStatusData.data?.defaultDatasetId;
-
-    if (!datasetId) {
-      throw new Error('No dataset ID received from completed Apify SERP run');
+    const project = typeof project_id === 'string' ? await getProject(req.user.id, project_id) : null;
+    if (!project) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Project not found' 
+      });
     }
 
-    // Wait for dataset to populate
-    await new Promise(resolve => setTimeout(resolve, 20000)); // Wait 20 seconds
-
-    // Poll dataset until we have results
-    let serpData = null;
-    let datasetAttempts = 0;
-    const maxDatasetAttempts = 60;
-
-    while (datasetAttempts < maxDatasetAttempts) {
-      const serpResultsResponse = await fetch(`https://api.apify.com/v2/datasets/${datasetId}/items`, {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`
-        }
+    const rows = await listProjectKeywords(project.id, { status: statuses, tag: project_tag });
+    if (rows.length === 0) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'The project has no keywords matching the filter' 
       });
+    }
 
-      if (!serpResultsResponse.ok) {
-        await new Promise(resolve => setTimeout(resolve, 5000));
-        datasetAttempts++;
-        continue;
-      }
+    req.body.keywords = rows.map(row => row.keyword);
+    req.project = project;
+    next();
+  } catch (error) {
+    console.error('❌ Project keyword lookup error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+};
+
+/*
+  Answer a retried request with the analysis its Idempotency-Key started: the results when it
+  finished and the original call was synchronous, otherwise the same 202 acknowledgement an
+  async request gets. A key reused with a different body is rejected.
+*/
+const sendIdempotentReplay = (req, res, log) => {
+  if (log.idempotency_fingerprint && log.idempotency_fingerprint !== req.idempotency.fingerprint) {
+    return res.status(422).json({ 
+      error: 'Idempotency key reused', 
+      message: `This ${IDEMPOTENCY_KEY_HEADER} was already used for a different request` 
+    });
+  }
 
-      serpData = await serpResultsResponse.json();
+  console.log(`🔁 Replaying analysis ${log.request_id} for ${IDEMPOTENCY_KEY_HEADER} ${req.idempotency.key}`);
+  res.set('Idempotent-Replayed', 'true');
 
-      if (serpData && serpData.length > 0) {
-        console.log(`✅ SERP results received: ${serpData.length} items`);
-        break;
-      }
+  if (log.status === 'completed' && !log.options?.async) {
+    return res.json(buildResultsPayload(log));
+  }
 
-      await new Promise(resolve => setTimeout(resolve, 5000));
-      datasetAttempts++;
-    }
+  res.status(202).json({
+    request_id: log.request_id,
+    status: log.status,
+    keywords_total: log.keywords?.length || 0,
+    status_url: `/api/jobs/${log.request_id}`
+  });
+};
 
-    if (!serpData || serpData.length === 0) {
-      throw new Error('SERP dataset is empty after 5 minutes of polling');
-    }
+// Replay a duplicate request carrying an Idempotency-Key instead of starting a new analysis; runs before rate limiting so retries are free
+const replayIdempotentRequest = async (req, res, next) => {
+  const key = req.get(IDEMPOTENCY_KEY_HEADER);
+  if (key === undefined) return next();
 
-    // Parse SERP data
-    let serpResults = [];
-    let searchTerm = '';
-    let knowledgePanel = null;
-    let relatedKeywords = [];
-    
-    if (Array.isArray(serpData) && serpData.length > 0) {
-      const firstItem = serpData[0];
-      serpResults = firstItem.results || [];
-      searchTerm = firstItem.search_term || keyword;
-      knowledgePanel = firstItem.knowledge_panel || null;
-      relatedKeywords = firstItem.related_keywords?.keywords || [];
-    } else if (serpData.results && Array.isArray(serpData.results)) {
-      serpResults = serpData.results;
-      searchTerm = serpData.search_term || keyword;
-      knowledgePanel = serpData.knowledge_panel || null;
-      relatedKeywords = serpData.related_keywords?.keywords || [];
-    } else {
-      throw new Error('Unexpected SERP data structure received from Apify');
+  try {
+    const keyError = validateIdempotencyKey(key);
+    if (keyError) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: keyError 
+      });
     }
 
-    // Extract URLs from SERP results
-    const urls = serpResults.map(result => result.url).filter(url => url);
-    
-    if (urls.length === 0) {
-      throw new Error('No URLs found in SERP results');
-    }
-
-    // Step 2: Process SERP results (Moz analysis will be done in batch later)
-    const processedResults = serpResults.map((result, index) => {
-      return {
-        position: result.position || index + 1,
-        url: result.url,
-        title: result.title,
-        description: result.description,
-        domain_authority: 0, // Will be filled in batch processing
-        page_authority: 0,   // Will be filled in batch processing
-        spam_score: 0        // Will be filled in batch processing
-      };
-    });
-    
-    console.log(`✅ Processed ${processedResults.length} SERP results for: ${keyword}`);
-    
-    return {
-      keyword: keyword,
-      results: processedResults,
-      serp_features: relatedKeywords,
-      knowledge_panel: knowledgePanel
-    };
+    req.idempotency = { key, fingerprint: fingerprintRequest(req.body) };
+    const original = await findIdempotentAnalysis(req.user.id, key);
+    if (!original) return next();
 
+    sendIdempotentReplay(req, res, original);
   } catch (error) {
-    console.error(`❌ Apify API error for ${keyword}:`, error.message);
-    
-    if (error.message.includes('401')) {
-      throw new Error('Invalid API key - please check your Apify API key');
-    } else if (error.message.includes('429')) {
-      throw new Error('Rate limit exceeded - API key may be out of credits');
-    } else if (error.message.includes('404')) {
-      throw new Error('Apify actor not found - please check actor configuration');
-    } else {
-      throw new Error(`Apify API error: ${error.message}`);
-    }
+    console.error('❌ Idempotency lookup error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
   }
 };
 
 // Main SERP analysis endpoint with parallel processing
-app.post('/api/analyze-serps', rateLimitMiddleware, authMiddleware, async (req, res) => {
+app.post('/api/analyze-serps', authMiddleware, requireScope('analyze'), replayIdempotentRequest, resolveProjectKeywords, rateLimit('analyze'), async (req, res) => {
   const startTime = Date.now();
   const requestId = uuidv4();
   
@@ -276,13 +305,9 @@ app.post('/api/analyze-serps', rateLimitMiddleware, authMiddleware, async (req,
     console.log(`🚀 Starting SERP analysis request: ${requestId}`);
     console.log(`👤 User: ${req.user.id} (${req.user.email})`);
     
-    const { keywords, country = "US", page = 1, write_skip_config = {} } = req.body;
-    
-    // Set default Write/Skip configuration
-    const x = write_skip_config.x || 5;  // Number of low DA domains required
-    const y = write_skip_config.y || 10; // Top Y results to check
-    const z = write_skip_config.z || 35; // DA threshold (domains below this are "low DA")
+    const { keywords, country = req.project?.country || "US", page = 1, language, device, location, depth = 1, write_skip_config = {}, async: asyncMode = false, callback_url, metrics_max_age_hours, serp_cache_max_age_hours, rule_profile, min_shared_urls, keyword_volumes } = req.body;
     
+    const { x, y, z } = resolveWriteSkipConfig(write_skip_config);
     console.log(`📊 Write/Skip Config: x=${x}, y=${y}, z=${z}`);
     
     if (!keywords || !Array.isArray(keywords) || keywords.length === 0) {
@@ -297,592 +322,1700 @@ app.post('/api/analyze-serps', rateLimitMiddleware, authMiddleware, async (req,
       console.log(`❌ Too many keywords: ${keywords.length} (max 30)`);
       return res.status(400).json({ 
         error: 'Too many keywords', 
-        message: 'Maximum 30 keywords allowed per request' 
+        message: req.project
+          ? `The project has ${keywords.length} matching keywords; use /api/bulk-runs for more than 30`
+          : 'Maximum 30 keywords allowed per request' 
       });
     }
 
-    console.log(`📊 Processing ${keywords.length} keywords:`, keywords);
+    if (callback_url !== undefined) {
+      const callbackError = await validateCallbackUrl(callback_url);
+      if (callbackError) {
+        return res.status(400).json({ 
+          error: 'Invalid request', 
+          message: callbackError 
+        });
+      }
+    }
 
-    // Log the request
-    try {
-      const { error: logError } = await supabase.from('analysis_logs').insert({
-        user_id: req.user.id,
-        request_id: requestId,
-        keywords: keywords,
-        status: 'pending'
+    if (metrics_max_age_hours !== undefined && (typeof metrics_max_age_hours !== 'number' || metrics_max_age_hours < 0)) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'metrics_max_age_hours must be a non-negative number' 
       });
+    }
 
-      if (logError) {
-        console.error(`❌ Failed to log request:`, logError);
-      } else {
-        console.log(`✅ Request logged successfully`);
-      }
-    } catch (logError) {
-      console.error(`❌ Error logging request:`, logError);
+    if (serp_cache_max_age_hours !== undefined && (typeof serp_cache_max_age_hours !== 'number' || serp_cache_max_age_hours < 0)) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'serp_cache_max_age_hours must be a non-negative number' 
+      });
     }
 
-    // Get user's API keys
-    const { data: apiKeys, error: keysError } = await supabase
-      .from('api_keys')
-      .select('*')
-      .eq('user_id', req.user.id)
-      .in('status', ['active', 'failed', 'rate_limited'])
-      .order('last_used', { ascending: true, nullsFirst: true });
+    if (rule_profile !== undefined && (typeof rule_profile !== 'string' || !rule_profile.trim())) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'rule_profile must be a profile name or id' 
+      });
+    }
 
-    if (keysError) {
-      console.error(`❌ Error fetching API keys:`, keysError);
-      await supabase.from('analysis_logs').update({
-        status: 'failed',
-        error_message: `Database error: ${keysError.message}`,
-        processing_time: Date.now() - startTime
-      }).eq('request_id', requestId);
+    const clusterError = validateClusterOptions({ min_shared_urls, keyword_volumes });
+    if (clusterError) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: clusterError 
+      });
+    }
+    const clustering = { min_shared_urls, keyword_volumes };
 
-      return res.status(500).json({ 
-        error: 'Database error', 
-        message: 'Failed to fetch API keys' 
+    const localeError = validateLocaleOptions({ country, language, device, location, depth: req.body.depth, page: req.body.page });
+    if (localeError) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: localeError 
       });
     }
+    const locale = resolveLocale({ country, language, device, location });
 
-    if (!apiKeys || apiKeys.length === 0) {
-      console.log(`❌ No API keys found for user ${req.user.id}`);
-      await supabase.from('analysis_logs').update({
-        status: 'failed',
-        error_message: 'No API keys available',
-        processing_time: Date.now() - startTime
-      }).eq('request_id', requestId);
+    if (rule_profile !== undefined && hasExplicitWriteSkipConfig(write_skip_config)) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'Send either rule_profile or write_skip_config, not both' 
+      });
+    }
 
+    // Named profile from the request, else x/y/z when given, else the user's default; null falls back to x/y/z
+    const ruleProfile = await resolveRuleProfile(req.user.id, rule_profile, { writeSkipConfig: write_skip_config });
+    if (rule_profile && !ruleProfile) {
       return res.status(400).json({ 
-        error: 'No API keys', 
-        message: 'Please add at least one Apify API key' 
+        error: 'Invalid request', 
+        message: `Rule profile '${rule_profile}' not found` 
       });
     }
 
-    // Sort keys by priority: active first, then by last_used (oldest first)
-    const sortedApiKeys = apiKeys.sort((a, b) => {
-      if (a.status === 'active' && b.status !== 'active') return -1;
-      if (a.status !== 'active' && b.status === 'active') return 1;
-      
-      if (!a.last_used && !b.last_used) return 0;
-      if (!a.last_used) return -1;
-      if (!b.last_used) return 1;
-      
-      return new Date(a.last_used).getTime() - new Date(b.last_used).getTime();
-    });
+    console.log(`📊 Processing ${keywords.length} keywords:`, keywords);
 
-    console.log(`🔑 Found ${sortedApiKeys.length} API keys for user ${req.user.id}`);
+    // Log the request
+    const logged = await createAnalysisLog({
+      userId: req.user.id,
+      requestId,
+      keywords,
+      webhookTokenId: req.auth.token?.id,
+      projectId: req.project?.id,
+      idempotency: req.idempotency,
+      options: { ...locale, page, depth, write_skip_config, async: !!asyncMode, callback_url: callback_url || null, metrics_max_age_hours, serp_cache_max_age_hours, rule_profile: ruleProfile?.name || null, project_id: req.project?.id || null, clustering }
+    });
 
-    // 🚀 OPTIMIZED PARALLEL PROCESSING: Get SERP data first, then batch Moz analysis
-    console.log(`🔄 Starting optimized parallel processing for ${keywords.length} keywords`);
-    
-    // Step 1: Get SERP data for all keywords in parallel
-    const serpPromises = keywords.map(async (keyword, index) => {
-      const keyIndex = index % sortedApiKeys.length;
-      const currentKey = sortedApiKeys[keyIndex];
-      
-      console.log(`🔍 Getting SERP data for: ${keyword} with API key: ${currentKey.key_name}`);
-      
-      try {
-        const serpResult = await callApifySerpApi(keyword, currentKey.api_key, country, page);
-        
-        // Reactivate the key on success
-        try {
-          await supabase.from('api_keys').update({
-            last_used: new Date().toISOString(),
-            failure_count: 0,
-            status: 'active',
-            last_failed: null
-          }).eq('id', currentKey.id);
-          console.log(`✅ Successfully reactivated API key: ${currentKey.key_name}`);
-        } catch (updateError) {
-          console.error(`❌ Error reactivating API key ${currentKey.key_name}:`, updateError);
-        }
-
-        return {
-          keyword,
-          api_key_used: currentKey.key_name,
-          serpResult,
-          success: true
-        };
-        
-      } catch (error) {
-        console.error(`❌ Error with API key ${currentKey.key_name}:`, error.message);
-        
-        // Enhanced error detection
-        const errorMessage = error.message.toLowerCase();
-        const isRateLimit = errorMessage.includes('rate') || errorMessage.includes('credit') || errorMessage.includes('429') || errorMessage.includes('quota');
-        const isInvalidKey = errorMessage.includes('invalid api key') || errorMessage.includes('401') || errorMessage.includes('unauthorized');
-        const isPermanentFailure = errorMessage.includes('not found') || errorMessage.includes('404') || errorMessage.includes('actor not found');
-        
-        let newStatus = 'failed';
-        
-        if (isRateLimit) {
-          newStatus = 'rate_limited';
-          console.log(`⚠️ Rate limit detected for API key: ${currentKey.key_name}`);
-        } else if (isInvalidKey || isPermanentFailure) {
-          newStatus = 'failed';
-          console.log(`❌ Permanent failure detected for API key: ${currentKey.key_name}`);
-        } else {
-          newStatus = 'failed';
-          console.log(`⚠️ Temporary failure detected for API key: ${currentKey.key_name}`);
-        }
-
-        // Update key status
-        try {
-          await supabase.from('api_keys').update({
-            status: newStatus,
-            last_failed: new Date().toISOString(),
-            failure_count: (currentKey.failure_count || 0) + 1
-          }).eq('id', currentKey.id);
-          console.log(`📝 Updated API key ${currentKey.key_name} status to: ${newStatus}`);
-        } catch (updateError) {
-          console.error(`❌ Error updating API key status:`, updateError);
-        }
-
-        return {
-          keyword,
-          api_key_used: null,
-          error: error.message,
-          success: false
-        };
+    // A concurrent retry with the same key got its log in first; answer with that analysis instead.
+    // No log row was created for this request, so it must not run even when the original is gone
+    if (logged.idempotencyConflict) {
+      const original = await findIdempotentAnalysis(req.user.id, req.idempotency.key);
+      if (original) {
+        return sendIdempotentReplay(req, res, original);
       }
+
+      return res.status(409).json({ 
+        error: 'Idempotency conflict', 
+        message: `Another request with this ${IDEMPOTENCY_KEY_HEADER} was being processed; retry the request` 
+      });
+    }
+
+    // Reject before starting any actor if there are no keys or the run would blow the account or key budgets; every page is a SERP request
+    const prepared = await prepareAnalysis({ userId: req.user.id, requestId, keywordCount: keywords.length * depth, startTime });
+    if (prepared.error) {
+      return res.status(prepared.error.status).json({ 
+        error: prepared.error.title, 
+        message: prepared.error.message, 
+        ...prepared.error.details 
+      });
+    }
+
+    const analysis = runSerpAnalysis({
+      requestId,
+      userId: req.user.id,
+      keywords,
+      apiKeys: prepared.apiKeys,
+      spendByKey: prepared.spendByKey,
+      ...locale,
+      page,
+      depth,
+      writeSkipConfig: write_skip_config,
+      ruleProfile,
+      metricsMaxAgeHours: metrics_max_age_hours,
+      serpCacheMaxAgeHours: serp_cache_max_age_hours,
+      clustering,
+      startTime
     });
 
-    // Wait for all SERP data to be collected
-    console.log(`⏳ Waiting for all SERP data to be collected...`);
-    const serpResults = await Promise.all(serpPromises);
-    
-    // Step 2: Collect all unique domains for batch Moz analysis
-    const allDomains = [];
-    const successfulSerpResults = [];
+    // Push the same payload (or the error body) to the caller's callback URL once the run finishes
+    if (callback_url) {
+      analysis.then(
+        (payload) => deliverCallback({ userId: req.user.id, requestId, callbackUrl: callback_url, payload }),
+        (error) => deliverCallback({
+          userId: req.user.id,
+          requestId,
+          callbackUrl: callback_url,
+          payload: { error: 'Analysis failed', message: error.message, request_id: requestId }
+        })
+      );
+    }
+
+    // Async mode: acknowledge immediately and let the caller poll the job endpoint
+    if (asyncMode) {
+      analysis.catch(async (error) => {
+        console.error(`❌ Background SERP analysis ${requestId} failed:`, error);
+        await markAnalysisFailed(requestId, error.message, startTime);
+      });
+
+      console.log(`📨 Accepted async analysis request: ${requestId}`);
+      return res.status(202).json({
+        request_id: requestId,
+        status: 'pending',
+        keywords_total: keywords.length,
+        status_url: `/api/jobs/${requestId}`
+      });
+    }
+
+    res.json(await analysis);
+
+  } catch (error) {
+    console.error('❌ SERP analysis error:', error);
+    console.error('❌ Full error stack:', error.stack);
     
-    serpResults.forEach(result => {
-      if (result.success && result.serpResult && result.serpResult.results) {
-        successfulSerpResults.push(result);
-        result.serpResult.results.forEach(serpItem => {
-          if (serpItem.url && !allDomains.includes(serpItem.url)) {
-            allDomains.push(serpItem.url);
-          }
-        });
-      }
+    // Update log with error
+    await markAnalysisFailed(requestId, error.message, startTime);
+
+    res.status(500).json({ 
+      error: 'Analysis failed', 
+      message: error.message || 'An error occurred during SERP analysis',
+      request_id: requestId
     });
+  }
+});
 
-    console.log(`📊 Collected ${allDomains.length} unique domains from ${successfulSerpResults.length} successful SERP results`);
-
-    // Step 3: Batch Moz DA/PA analysis for all domains (if we have domains)
-    let domainMetrics = {};
-    if (allDomains.length > 0) {
-      console.log(`🚀 Starting batch Moz DA/PA analysis for ${allDomains.length} domains`);
-      
-      try {
-        // Use the first available API key for Moz analysis
-        const mozApiKey = sortedApiKeys.find(key => key.status === 'active')?.api_key;
-        if (!mozApiKey) {
-          throw new Error('No active API key available for Moz analysis');
-        }
-
-        // Start Moz Metrics actor for all domains at once
-        console.log(`🔍 Using Moz actor: scrap3r~moz-da-pa-metrics`);
-        console.log(`🔍 Domains to analyze:`, allDomains.slice(0, 5), `... (${allDomains.length} total)`);
-        
-        // Try the primary Moz actor first (the one you're using in make.com)
-        let metricsResponse = await fetch('https://api.apify.com/v2/acts/scrap3r~moz-da-pa-metrics/runs', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${mozApiKey}`
-          },
-          body: JSON.stringify({
-            "url": allDomains,
-            "maxRequestRetries": 3,
-            "maxConcurrency": 5
-          })
-        });
+// Job status endpoint for async analyses (read limit, which leaves room to poll)
+app.get('/api/jobs/:request_id', authMiddleware, requireScope('read'), rateLimit('read'), async (req, res) => {
+  try {
+    const job = await getJobStatus(req.user.id, req.params.request_id);
 
-        if (!metricsResponse.ok) {
-          const errorText = await metricsResponse.text();
-          console.log(`❌ Primary Moz actor failed: ${metricsResponse.status} ${metricsResponse.statusText}`);
-          console.log(`🔍 Error details:`, errorText);
-          
-          // Try fallback Moz actor
-          console.log(`🔄 Trying fallback Moz actor: apify~moz-metrics-scraper`);
-          const fallbackResponse = await fetch('https://api.apify.com/v2/acts/apify~moz-metrics-scraper/runs', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${mozApiKey}`
-            },
-            body: JSON.stringify({
-              "url": allDomains,
-              "maxRequestRetries": 3,
-              "maxConcurrency": 5
-            })
-          });
-          
-          if (!fallbackResponse.ok) {
-            throw new Error(`Both Moz actors failed. Primary: ${metricsResponse.status}, Fallback: ${fallbackResponse.status}`);
-          }
-          
-          metricsResponse = fallbackResponse;
-          console.log(`✅ Using fallback Moz actor`);
-        }
-
-        const metricsRunData = await metricsResponse.json();
-        const metricsRunId = metricsRunData.data?.id;
-
-        if (!metricsRunId) {
-          throw new Error('No run ID received from Moz Metrics API');
-        }
-
-        // Wait for Moz Metrics run to complete (with timeout)
-        console.log(`⏳ Waiting for Moz Metrics run to complete...`);
-        let metricsRunAttempts = 0;
-        const maxMetricsRunAttempts = 30; // Reduced timeout to 2.5 minutes
-
-        while (metricsRunAttempts < maxMetricsRunAttempts) {
-          await new Promise(resolve => setTimeout(resolve, 5000));
-          metricsRunAttempts++;
-
-          const metricsStatusResponse = await fetch(`https://api.apify.com/v2/acts/scrap3r~moz-da-pa-metrics/runs/${metricsRunId}`, {
-            headers: {
-              'Authorization': `Bearer ${mozApiKey}`
-            }
-          });
-
-          if (!metricsStatusResponse.ok) {
-            continue;
-          }
-
-          const metricsStatusData = await metricsStatusResponse.json();
-
-          if (metricsStatusData.data?.status === 'SUCCEEDED') {
-            console.log(`✅ Moz Metrics run completed successfully`);
-            break;
-          } else if (metricsStatusData.data?.status === 'FAILED') {
-            throw new Error(`Moz Metrics run failed: ${metricsStatusData.data?.meta?.errorMessage || 'Unknown error'}`);
-          }
-        }
-
-        if (metricsRunAttempts >= maxMetricsRunAttempts) {
-          throw new Error('Moz Metrics run timed out after 2.5 minutes');
-        }
-
-        // Get Moz results
-        const finalMetricsStatusResponse = await fetch(`https://api.apify.com/v2/acts/scrap3r~moz-da-pa-metrics/runs/${metricsRunId}`, {
-          headers: {
-            'Authorization': `Bearer ${mozApiKey}`
-          }
-        });
+    if (!job) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'No analysis found for this request ID' 
+      });
+    }
 
-        const finalMetricsStatusData = await finalMetricsStatusResponse.json();
-        const metricsDatasetId = finalMetricsStatusData.data?.defaultDatasetId;
+    res.json(job);
+  } catch (error) {
+    console.error('❌ Job status error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
 
-        if (!metricsDatasetId) {
-          throw new Error('No dataset ID received from completed Moz Metrics run');
-        }
+// Export one analysis, a bulk run, or a date range / status filtered set as CSV, XLSX or JSON Lines
+app.get('/api/exports', authMiddleware, requireScope('read'), rateLimit('read'), async (req, res) => {
+  try {
+    const { format = 'csv', request_id, bulk_run_id, from, to, status } = req.query;
 
-        // Wait for dataset to populate
-        await new Promise(resolve => setTimeout(resolve, 10000)); // Reduced wait time
+    const queryError = validateExportQuery({ format, from, to, request_id });
+    if (queryError) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: queryError 
+      });
+    }
 
-        // Get Moz results
-        const mozResultsResponse = await fetch(`https://api.apify.com/v2/datasets/${metricsDatasetId}/items`, {
-          headers: {
-            'Authorization': `Bearer ${mozApiKey}`
-          }
-        });
+    const logs = await loadExportLogs(req.user.id, {
+      requestIds: request_id ? request_id.split(',').map(id => id.trim()).filter(Boolean) : null,
+      bulkRunId: typeof bulk_run_id === 'string' ? bulk_run_id : null,
+      from,
+      to,
+      status: typeof status === 'string' ? status : null
+    });
 
-        if (!mozResultsResponse.ok) {
-          throw new Error(`Failed to fetch Moz results: ${mozResultsResponse.status}`);
-        }
-
-        const mozResults = await mozResultsResponse.json();
-        
-        console.log(`🔍 Raw Moz results:`, JSON.stringify(mozResults.slice(0, 2), null, 2));
-        console.log(`🔍 Total Moz results received:`, mozResults.length);
-        
-        // Create domain metrics lookup with better field detection
-        mozResults.forEach(item => {
-          console.log(`🔍 Processing Moz item:`, {
-            domain: item.domain,
-            url: item.url,
-            has_da: item.domain_authority !== undefined,
-            has_pa: item.page_authority !== undefined,
-            has_spam: item.spam_score !== undefined,
-            da_value: item.domain_authority,
-            pa_value: item.page_authority,
-            spam_value: item.spam_score
-          });
-          
-          // Moz actor returns 'domain' field, not 'url'
-          const domainKey = item.domain || item.url;
-          
-          if (domainKey && item.domain_authority !== undefined) {
-            domainMetrics[domainKey] = {
-              domain_authority: item.domain_authority || 0,
-              page_authority: item.page_authority || 0,
-              spam_score: item.spam_score || 0
-            };
-            console.log(`✅ Added metrics for ${domainKey}: DA=${item.domain_authority}, PA=${item.page_authority}, Spam=${item.spam_score}`);
-          } else {
-            console.log(`⚠️ Skipping item - missing domain or DA data:`, item);
-          }
-        });
+    if (logs.length === 0) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'No analyses match this export' 
+      });
+    }
 
-        console.log(`✅ Moz analysis completed for ${Object.keys(domainMetrics).length} domains`);
-        console.log(`🔍 Domain metrics keys:`, Object.keys(domainMetrics));
+    const { body, contentType, filename } = await renderExport(logs, format);
 
-      } catch (mozError) {
-        console.error(`❌ Moz analysis failed:`, mozError.message);
-        // Continue without Moz data - we'll use default values
-      }
+    console.log(`📤 Exported ${logs.length} analyses as ${format} for user ${req.user.id}`);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(body);
+  } catch (error) {
+    console.error('❌ Export error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+// Validate the keyword/locale query shared by the history endpoints, returning an error message or null
+const validateHistoryQuery = ({ keyword, country, language, device, location }) => {
+  if (typeof keyword !== 'string' || !keyword.trim()) {
+    return 'keyword is required';
+  }
+  return validateLocaleOptions({ country, language, device, location });
+};
+
+// Every stored SERP snapshot for a keyword in one locale, oldest first
+app.get('/api/history', authMiddleware, requireScope('read'), rateLimit('read'), async (req, res) => {
+  try {
+    const queryError = validateHistoryQuery(req.query);
+    if (queryError) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: queryError 
+      });
     }
 
-    // Step 4: Process results with Moz data
-    const results = serpResults.map(result => {
-      if (!result.success) {
-        return {
-          keyword: result.keyword,
-          api_key_used: result.api_key_used,
-          error: result.error,
-          decision: 'Error',
-          detailed_results: []
-        };
-      }
+    const keyword = req.query.keyword.trim();
+    const locale = resolveLocale({ country: req.query.country, language: req.query.language, device: req.query.device, location: req.query.location });
+    const snapshots = await getKeywordHistory(req.user.id, keyword, locale);
 
-      const serpResult = result.serpResult;
-      const domains = serpResult.results.map(r => r.url);
-      const das = serpResult.results.map(r => {
-        // Use Moz data if available, otherwise use default
-        const mozData = domainMetrics[r.url];
-        console.log(`🔍 Looking for Moz data for URL: ${r.url}`);
-        console.log(`🔍 Found Moz data:`, mozData);
-        return mozData ? mozData.domain_authority : (r.domain_authority || 0);
-      });
-      const averageDA = das.reduce((sum, da) => sum + da, 0) / das.length;
-      const lowDACount = das.filter(da => da < z).length;
-      const decision = lowDACount >= x ? 'Write' : 'Skip';
-
-      return {
-        keyword: result.keyword,
-        api_key_used: result.api_key_used,
-        domains: domains.slice(0, y),
-        average_da: Math.round(averageDA),
-        low_da_count: lowDACount,
-        decision,
-        serp_features: serpResult.serp_features || [],
-        full_results: serpResult.results,
-        write_skip_config_used: { x, y, z },
-        detailed_results: serpResult.results.map(r => {
-          const mozData = domainMetrics[r.url];
-          return {
-            domain: r.url,
-            da: mozData ? mozData.domain_authority : (r.domain_authority || 0),
-            spam_score: mozData ? mozData.spam_score : (r.spam_score || 0),
-            position: r.position,
-            title: r.title,
-            description: r.description
-          };
-        })
-      };
+    res.json({ keyword, ...locale, snapshots });
+  } catch (error) {
+    console.error('❌ History error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
     });
+  }
+});
 
-    const processingTime = Date.now() - startTime;
-    console.log(`⏱️ Total processing time: ${processingTime}ms`);
+// Diff two snapshots of a keyword (by request ID); defaults to the two most recent
+app.get('/api/history/diff', authMiddleware, requireScope('read'), rateLimit('read'), async (req, res) => {
+  try {
+    const queryError = validateHistoryQuery(req.query);
+    if (queryError) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: queryError 
+      });
+    }
 
-    // Update the log with results
-    try {
-      const { error: updateError } = await supabase.from('analysis_logs').update({
-        status: 'completed',
-        results: results,
-        api_keys_used: sortedApiKeys.map(key => ({ key_name: key.key_name, api_key: key.api_key })),
-        processing_time: processingTime
-      }).eq('request_id', requestId);
+    const keyword = req.query.keyword.trim();
+    const locale = resolveLocale({ country: req.query.country, language: req.query.language, device: req.query.device, location: req.query.location });
+    const snapshots = await getKeywordHistory(req.user.id, keyword, locale);
+    const findSnapshot = (requestId) => snapshots.find(snapshot => snapshot.request_id === requestId);
 
-      if (updateError) {
-        console.error(`❌ Failed to update analysis log:`, updateError);
-      } else {
-        console.log(`✅ Analysis log updated successfully`);
-      }
+    const from = req.query.from ? findSnapshot(req.query.from) : snapshots[snapshots.length - 2];
+    const to = req.query.to ? findSnapshot(req.query.to) : snapshots[snapshots.length - 1];
 
-      // Store detailed SERP results
-      try {
-        const { data: analysisLog } = await supabase
-          .from('analysis_logs')
-          .select('id')
-          .eq('request_id', requestId)
-          .single();
-
-        if (analysisLog) {
-          const serpResultsToInsert = [];
-          const globalSerpDataToInsert = [];
-          
-          results.forEach(result => {
-            if (result.detailed_results && Array.isArray(result.detailed_results)) {
-              result.detailed_results.forEach(detail => {
-                // Store in user-specific serp_results table
-                serpResultsToInsert.push({
-                  analysis_log_id: analysisLog.id,
-                  keyword: result.keyword,
-                  domain: detail.domain,
-                  da: detail.da,
-                  spam_score: detail.spam_score,
-                  position: detail.position,
-                  title: detail.title,
-                  description: detail.description,
-                  url: detail.url
-                });
-
-                // Store in global table (no duplicates)
-                globalSerpDataToInsert.push({
-                  domain: detail.domain,
-                  da: detail.da,
-                  spam_score: detail.spam_score
-                });
-              });
-            }
-          });
-
-          // Insert user-specific results
-          if (serpResultsToInsert.length > 0) {
-            const { error: serpError } = await supabase
-              .from('serp_results')
-              .insert(serpResultsToInsert);
-
-            if (serpError) {
-              console.error(`❌ Failed to store detailed SERP results:`, serpError);
-            } else {
-              console.log(`✅ Stored ${serpResultsToInsert.length} detailed SERP results`);
-            }
-          }
-
-          // Insert global data (with duplicate prevention)
-          if (globalSerpDataToInsert.length > 0) {
-            for (const globalData of globalSerpDataToInsert) {
-              try {
-                const { error: globalError } = await supabase
-                  .from('global_serp_data')
-                  .upsert({
-                    domain: globalData.domain,
-                    da: globalData.da,
-                    spam_score: globalData.spam_score,
-                    scrape_date: new Date().toISOString()
-                  }, {
-                    onConflict: 'domain',
-                    ignoreDuplicates: false
-                  });
-
-                if (globalError) {
-                  console.error(`❌ Failed to store global SERP data for ${globalData.domain}:`, globalError);
-                }
-              } catch (globalError) {
-                console.error(`❌ Error storing global SERP data for ${globalData.domain}:`, globalError);
-              }
-            }
-            console.log(`✅ Processed ${globalSerpDataToInsert.length} global SERP data entries`);
-          }
-        }
-      } catch (serpError) {
-        console.error(`❌ Error storing detailed SERP results:`, serpError);
-      }
-    } catch (updateError) {
-      console.error(`❌ Error updating analysis log:`, updateError);
-    }
-
-    const finalResults = results.map(result => {
-      const serpResultsText = result.full_results?.map(item => 
-        `Position: ${item.position}\n` +
-        `Title: ${item.title}\n` +
-        `Description: ${item.description}\n` +
-        `URL: ${item.url}\n` +
-        `DA: ${item.domain_authority}\n` +
-        `PA: ${item.page_authority}\n` +
-        `Spam Score: ${item.spam_score}\n`
-      ).join('\n') || '';
-
-      const relatedKeywordsText = result.serp_features?.map(item => 
-        item.keyword
-      ).join('\n') || '';
-
-      const domainsText = result.domains?.join('\n') || '';
-
-      return {
-        keyword: result.keyword,
-        api_key_used: result.api_key_used,
-        domains: result.domains || [],
-        domains_text: domainsText,
-        average_da: result.average_da || 0,
-        low_da_count: result.low_da_count || 0,
-        decision: result.decision || 'Error',
-        serp_features: result.serp_features || [],
-        related_keywords_text: relatedKeywordsText,
-        full_results: result.full_results || [],
-        serp_results_text: serpResultsText,
-        detailed_results: result.detailed_results || [],
-        error: result.error || null
-      };
-    });
-    
-    console.log(`📊 Final response mapping:`, finalResults.map(r => ({
-      keyword: r.keyword,
-      api_key_used: r.api_key_used,
-      decision: r.decision,
-      results_count: r.full_results?.length || 0
-    })));
-    
-    res.json({
-      request_id: requestId,
-      keywords_processed: keywords.length,
-      country: country,
-      page: page,
-      processing_time: processingTime,
-      results: finalResults
-    });
+    if (!from || !to) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: req.query.from || req.query.to
+          ? 'Snapshot not found for this keyword and locale'
+          : 'At least two snapshots are needed for a diff' 
+      });
+    }
 
+    res.json({ keyword, ...locale, ...diffSnapshots(from, to) });
   } catch (error) {
-    console.error('❌ SERP analysis error:', error);
-    console.error('❌ Full error stack:', error.stack);
-    
-    const processingTime = Date.now() - startTime;
-    
-    // Update log with error
-    try {
-      await supabase.from('analysis_logs').update({
-        status: 'failed',
-        error_message: error.message,
-        processing_time: processingTime
-      }).eq('request_id', requestId);
-    } catch (updateError) {
-      console.error('❌ Failed to update error log:', updateError);
+    console.error('❌ History diff error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+// Re-cluster a finished analysis, e.g. with a different overlap threshold than it was run with
+app.get('/api/analyses/:request_id/clusters', authMiddleware, requireScope('read'), rateLimit('read'), async (req, res) => {
+  try {
+    const { min_shared_urls } = req.query;
+    const validationError = validateClusterOptions({ min_shared_urls });
+    if (validationError) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: validationError 
+      });
+    }
+
+    const log = await getAnalysisLog(req.user.id, req.params.request_id);
+
+    if (!log) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Analysis not found' 
+      });
     }
 
+    const options = min_shared_urls !== undefined ? { ...log.options?.clustering, min_shared_urls } : log.options?.clustering;
+    res.json({ request_id: log.request_id, ...clusterAnalysisResults(log.results || [], options) });
+  } catch (error) {
+    console.error('❌ Cluster error:', error);
     res.status(500).json({ 
-      error: 'Analysis failed', 
-      message: error.message || 'An error occurred during SERP analysis',
-      request_id: requestId
+      error: 'Internal server error', 
+      message: error.message 
     });
   }
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
-    timestamp: new Date().toISOString(),
-    version: '1.0.0',
-    supabase_connected: !!supabaseUrl
-  });
-});
+// Content brief for one keyword of a finished analysis, as JSON or a Markdown download
+app.get('/api/analyses/:request_id/briefs/:keyword', authMiddleware, requireScope('read'), rateLimit('read'), async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+    if (!BRIEF_FORMATS.includes(format)) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: `format must be one of: ${BRIEF_FORMATS.join(', ')}` 
+      });
+    }
 
-// Start server
-app.listen(PORT, () => {
-  const baseUrl = process.env.VITE_API_BASE_URL || `http://localhost:${PORT}`;
-  const isProduction = baseUrl.includes('onrender.com');
-  const webhookUrl = isProduction ? `${baseUrl}/api/analyze-serps` : `http://localhost:${PORT}/api/analyze-serps`;
-  
-  console.log(`🚀 SERP Analysis API server running on port ${PORT}`);
-  console.log(`📡 Health check: ${baseUrl}/api/health`);
-  console.log(`🔗 Webhook URL: ${webhookUrl}`);
+    const log = await getAnalysisLog(req.user.id, req.params.request_id);
+    const result = log ? findKeywordResult(log, req.params.keyword) : null;
+
+    if (!result) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: log ? 'This keyword is not part of the analysis' : 'Analysis not found' 
+      });
+    }
+
+    if (result.error || !(result.detailed_results || []).length) {
+      return res.status(409).json({ 
+        error: 'No SERP snapshot', 
+        message: 'This keyword has no stored results to build a brief from; re-run it first' 
+      });
+    }
+
+    const brief = buildBrief(log, result);
+
+    if (format === 'markdown') {
+      res.set({
+        'Content-Type': 'text/markdown; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${briefFilename(result.keyword)}"`
+      });
+      return res.send(renderBriefMarkdown(brief));
+    }
+
+    res.json(brief);
+  } catch (error) {
+    console.error('❌ Brief error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+// Load the analysis being re-run and put the keywords to reanalyze in req.body.keywords for rate limiting
+const resolveRerunKeywords = async (req, res, next) => {
+  try {
+    const { keywords } = req.body;
+
+    if (keywords !== undefined && (!Array.isArray(keywords) || keywords.length === 0 || keywords.some(keyword => typeof keyword !== 'string'))) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'keywords must be a non-empty array of keywords from the original analysis' 
+      });
+    }
+
+    const log = await getAnalysisLog(req.user.id, req.params.request_id);
+    if (!log) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'No analysis found for this request ID' 
+      });
+    }
+
+    if (log.status === 'pending') {
+      return res.status(409).json({ 
+        error: 'Analysis not finished', 
+        message: 'Wait for the analysis to finish before re-running it' 
+      });
+    }
+
+    // Without an explicit selection, re-run the keywords that failed (or all of them if the whole run failed)
+    const failed = (log.results || []).filter(result => result.decision === 'Error' || result.error).map(result => result.keyword);
+    const selected = keywords || (log.status === 'failed' && failed.length === 0 ? log.keywords : failed);
+    const unknown = selected.filter(keyword => !log.keywords.includes(keyword));
+
+    if (unknown.length > 0) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: `Keywords not in the original analysis: ${unknown.join(', ')}` 
+      });
+    }
+
+    if (selected.length === 0) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'There are no failed keywords to re-run' 
+      });
+    }
+
+    req.rerunLog = log;
+    req.body.keywords = [...new Set(selected)];
+    next();
+  } catch (error) {
+    console.error('❌ Re-run lookup error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+};
+
+// Reanalyze failed or selected keywords of a finished analysis with its original options, as a new async job
+app.post('/api/analyses/:request_id/rerun', authMiddleware, requireScope('analyze'), resolveRerunKeywords, rateLimit('analyze'), async (req, res) => {
+  const startTime = Date.now();
+  const requestId = uuidv4();
+
+  try {
+    const { keywords } = req.body;
+    const original = req.rerunLog;
+    const { page = 1, depth = 1, write_skip_config = {}, metrics_max_age_hours, rule_profile, clustering } = original.options || {};
+    // Same locale as the original, so the new snapshots compare like-for-like in history
+    const locale = resolveLocale(original.options || {});
+
+    const ruleProfile = rule_profile ? await resolveRuleProfile(req.user.id, rule_profile) : null;
+    if (rule_profile && !ruleProfile) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: `Rule profile '${rule_profile}' no longer exists` 
+      });
+    }
+
+    await createAnalysisLog({
+      userId: req.user.id,
+      requestId,
+      keywords,
+      webhookTokenId: req.auth.token?.id,
+      options: { ...locale, page, depth, write_skip_config, async: true, callback_url: null, metrics_max_age_hours, rule_profile: ruleProfile?.name || null, clustering, rerun_of: original.request_id }
+    });
+
+    const prepared = await prepareAnalysis({ userId: req.user.id, requestId, keywordCount: keywords.length * depth, startTime });
+    if (prepared.error) {
+      return res.status(prepared.error.status).json({ 
+        error: prepared.error.title, 
+        message: prepared.error.message, 
+        ...prepared.error.details 
+      });
+    }
+
+    runSerpAnalysis({
+      requestId,
+      userId: req.user.id,
+      keywords,
+      apiKeys: prepared.apiKeys,
+      spendByKey: prepared.spendByKey,
+      ...locale,
+      page,
+      depth,
+      writeSkipConfig: write_skip_config,
+      ruleProfile,
+      metricsMaxAgeHours: metrics_max_age_hours,
+      // A re-run exists to fetch the SERPs again, so it never reads the cache
+      serpCacheMaxAgeHours: 0,
+      clustering,
+      startTime
+    }).catch(async (error) => {
+      console.error(`❌ Re-run ${requestId} failed:`, error);
+      await markAnalysisFailed(requestId, error.message, startTime);
+    });
+
+    console.log(`🔁 Re-running ${keywords.length} keywords of ${original.request_id} as ${requestId}`);
+    res.status(202).json({
+      request_id: requestId,
+      rerun_of: original.request_id,
+      status: 'pending',
+      keywords_total: keywords.length,
+      status_url: `/api/jobs/${requestId}`
+    });
+  } catch (error) {
+    console.error('❌ Re-run error:', error);
+    await markAnalysisFailed(requestId, error.message, startTime);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message,
+      request_id: requestId
+    });
+  }
+});
+
+// Re-send a recorded callback delivery with the current stored results
+app.post('/api/callbacks/deliveries/:id/resend', authMiddleware, requireScope('read'), rateLimit('read'), async (req, res) => {
+  try {
+    const { data: delivery, error } = await supabase
+      .from('callback_deliveries')
+      .select('id, request_id, callback_url')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    if (!delivery) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Callback delivery not found' 
+      });
+    }
+
+    // Deliveries recorded before https and public addresses were required must not be replayed
+    const callbackError = await validateCallbackUrl(delivery.callback_url);
+    if (callbackError) {
+      return res.status(400).json({ 
+        error: 'Invalid callback URL', 
+        message: callbackError 
+      });
+    }
+
+    const log = await getAnalysisLog(req.user.id, delivery.request_id);
+    if (!log || log.status === 'pending') {
+      return res.status(409).json({ 
+        error: 'Analysis not finished', 
+        message: 'The analysis for this delivery has not finished yet' 
+      });
+    }
+
+    const payload = log.status === 'completed'
+      ? buildResultsPayload(log)
+      : { error: 'Analysis failed', message: log.error_message, request_id: log.request_id };
+
+    deliverCallback({
+      userId: req.user.id,
+      requestId: delivery.request_id,
+      callbackUrl: delivery.callback_url,
+      payload,
+      trigger: 'resend'
+    });
+
+    res.status(202).json({ 
+      request_id: delivery.request_id, 
+      callback_url: delivery.callback_url, 
+      status: 'queued' 
+    });
+  } catch (error) {
+    console.error('❌ Callback resend error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+// Parse and dedupe an uploaded keyword list into req.body.keywords before rate limiting counts it
+const parseBulkKeywords = (req, res, next) => {
+  const { keywords, text, filename } = req.body;
+
+  if (keywords !== undefined && (!Array.isArray(keywords) || keywords.some(keyword => typeof keyword !== 'string'))) {
+    return res.status(400).json({ 
+      error: 'Invalid request', 
+      message: 'keywords must be an array of strings' 
+    });
+  }
+
+  if ((text !== undefined && typeof text !== 'string') || (filename !== undefined && typeof filename !== 'string')) {
+    return res.status(400).json({ 
+      error: 'Invalid request', 
+      message: 'text must be a CSV or plain-text keyword list and filename a string' 
+    });
+  }
+
+  const deduped = dedupeKeywords([...(keywords || []), ...parseKeywordList(text, { filename })]);
+
+  if (deduped.length === 0) {
+    return res.status(400).json({ 
+      error: 'Invalid request', 
+      message: 'Provide keywords as an array or as CSV/plain text in text' 
+    });
+  }
+
+  if (deduped.length > MAX_BULK_KEYWORDS) {
+    return res.status(400).json({ 
+      error: 'Too many keywords', 
+      message: `Maximum ${MAX_BULK_KEYWORDS} keywords allowed per bulk run` 
+    });
+  }
+
+  req.body.keywords = deduped;
+  next();
+};
+
+// Start a bulk run over an uploaded list; batches are processed in the background
+app.post('/api/bulk-runs', authMiddleware, requireScope('analyze'), resolveProjectKeywords, parseBulkKeywords, rateLimit('bulk'), async (req, res) => {
+  try {
+    const { keywords, name, country = req.project?.country || "US", page = 1, language, device, location, depth = 1, write_skip_config = {}, metrics_max_age_hours, serp_cache_max_age_hours, rule_profile } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'name must be a non-empty string' 
+      });
+    }
+
+    if (metrics_max_age_hours !== undefined && (typeof metrics_max_age_hours !== 'number' || metrics_max_age_hours < 0)) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'metrics_max_age_hours must be a non-negative number' 
+      });
+    }
+
+    if (serp_cache_max_age_hours !== undefined && (typeof serp_cache_max_age_hours !== 'number' || serp_cache_max_age_hours < 0)) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'serp_cache_max_age_hours must be a non-negative number' 
+      });
+    }
+
+    if (rule_profile !== undefined && (typeof rule_profile !== 'string' || !rule_profile.trim())) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'rule_profile must be a profile name or id' 
+      });
+    }
+
+    const localeError = validateLocaleOptions({ country, language, device, location, depth: req.body.depth, page: req.body.page });
+    if (localeError) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: localeError 
+      });
+    }
+
+    if (rule_profile !== undefined && hasExplicitWriteSkipConfig(write_skip_config)) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'Send either rule_profile or write_skip_config, not both' 
+      });
+    }
+
+    const ruleProfile = await resolveRuleProfile(req.user.id, rule_profile, { writeSkipConfig: write_skip_config });
+    if (rule_profile && !ruleProfile) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: `Rule profile '${rule_profile}' not found` 
+      });
+    }
+
+    const apiKeys = await loadUserApiKeys(req.user.id);
+    if (apiKeys.length === 0) {
+      return res.status(400).json({ 
+        error: 'No API keys', 
+        message: 'Please add at least one Apify API key' 
+      });
+    }
+
+    const run = await createBulkRun({
+      userId: req.user.id,
+      name: name?.trim() || req.project?.name || `Bulk run ${new Date().toISOString().slice(0, 16).replace('T', ' ')}`,
+      keywords,
+      options: { ...resolveLocale({ country, language, device, location }), page, depth, write_skip_config, metrics_max_age_hours, serp_cache_max_age_hours, rule_profile: ruleProfile?.name || null, project_id: req.project?.id || null }
+    });
+
+    startBulkRun(run.id);
+
+    res.status(202).json({ 
+      ...run, 
+      status_url: `/api/bulk-runs/${run.id}` 
+    });
+  } catch (error) {
+    console.error('❌ Bulk run creation error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+app.get('/api/bulk-runs/:id', authMiddleware, requireScope('read'), rateLimit('read'), async (req, res) => {
+  try {
+    const run = await getBulkRun(req.user.id, req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Bulk run not found' 
+      });
+    }
+
+    res.json(run);
+  } catch (error) {
+    console.error('❌ Bulk run status error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+// Pause, resume and retry-failed share the same shape: act on an owned run and return it
+const bulkRunAction = (action, label) => async (req, res) => {
+  try {
+    const run = await action(req.user.id, req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Bulk run not found' 
+      });
+    }
+
+    console.log(`📦 Bulk run ${run.id} ${label} by user ${req.user.id}`);
+    res.json(run);
+  } catch (error) {
+    console.error(`❌ Bulk run ${label} error:`, error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+};
+
+app.post('/api/bulk-runs/:id/pause', authMiddleware, requireScope('analyze'), rateLimit('read'), bulkRunAction(pauseBulkRun, 'paused'));
+app.post('/api/bulk-runs/:id/resume', authMiddleware, requireScope('analyze'), rateLimit('read'), bulkRunAction(resumeBulkRun, 'resumed'));
+app.post('/api/bulk-runs/:id/retry-failed', authMiddleware, requireScope('analyze'), rateLimit('read'), bulkRunAction(retryFailedBulkKeywords, 'retrying failed keywords'));
+
+// Validate an expansion request and reserve its keyword budget before rate limiting counts it
+const parseExpansionRequest = (req, res, next) => {
+  const validationError = validateExpansionBody(req.body);
+  if (validationError) {
+    return res.status(400).json({ 
+      error: 'Invalid request', 
+      message: validationError 
+    });
+  }
+
+  // `depth` is the expansion depth here, so the SERP page depth goes by `serp_depth`
+  const { country, language, device, location, serp_depth, page } = req.body;
+  const localeError = validateLocaleOptions({ country, language, device, location, depth: serp_depth, page });
+  if (localeError) {
+    return res.status(400).json({ 
+      error: 'Invalid request', 
+      message: localeError.replace(/^depth/, 'serp_depth') 
+    });
+  }
+
+  req.keywordCost = getExpansionKeywordLimit(req.body);
+  next();
+};
+
+/*
+  Recursive related-keyword expansion: analyze the seeds, then the related keywords their
+  SERPs list, level by level up to `depth`, stopping at `max_keywords`. Responds 202 with a
+  status URL right away, like bulk runs; with `async: false` it waits and responds with the
+  parent→child keyword tree once finished.
+*/
+app.post('/api/expansions', authMiddleware, requireScope('analyze'), parseExpansionRequest, rateLimit('bulk'), async (req, res) => {
+  try {
+    const { seeds, depth, max_keywords, country = "US", page = 1, language, device, location, serp_depth = 1, write_skip_config = {}, metrics_max_age_hours, serp_cache_max_age_hours, rule_profile, async: asyncMode = true } = req.body;
+
+    if (metrics_max_age_hours !== undefined && (typeof metrics_max_age_hours !== 'number' || metrics_max_age_hours < 0)) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'metrics_max_age_hours must be a non-negative number' 
+      });
+    }
+
+    if (serp_cache_max_age_hours !== undefined && (typeof serp_cache_max_age_hours !== 'number' || serp_cache_max_age_hours < 0)) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'serp_cache_max_age_hours must be a non-negative number' 
+      });
+    }
+
+    if (rule_profile !== undefined && (typeof rule_profile !== 'string' || !rule_profile.trim())) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'rule_profile must be a profile name or id' 
+      });
+    }
+
+    if (rule_profile !== undefined && hasExplicitWriteSkipConfig(write_skip_config)) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'Send either rule_profile or write_skip_config, not both' 
+      });
+    }
+
+    const ruleProfile = await resolveRuleProfile(req.user.id, rule_profile, { writeSkipConfig: write_skip_config });
+    if (rule_profile && !ruleProfile) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: `Rule profile '${rule_profile}' not found` 
+      });
+    }
+
+    const apiKeys = await loadUserApiKeys(req.user.id);
+    if (apiKeys.length === 0) {
+      return res.status(400).json({ 
+        error: 'No API keys', 
+        message: 'Please add at least one Apify API key' 
+      });
+    }
+
+    const expansion = await createExpansion({
+      userId: req.user.id,
+      seeds,
+      depth,
+      maxKeywords: max_keywords,
+      options: { ...resolveLocale({ country, language, device, location }), page, depth: serp_depth, write_skip_config, metrics_max_age_hours, serp_cache_max_age_hours, rule_profile: ruleProfile?.name || null }
+    });
+
+    const loop = startExpansion(expansion.id);
+
+    if (asyncMode) {
+      return res.status(202).json({ 
+        ...buildExpansionPayload(expansion), 
+        status_url: `/api/expansions/${expansion.id}` 
+      });
+    }
+
+    await loop;
+    res.json(buildExpansionPayload(await getExpansion(req.user.id, expansion.id)));
+  } catch (error) {
+    console.error('❌ Expansion error:', error);
+    res.status(500).json({ 
+      error: 'Expansion failed', 
+      message: error.message 
+    });
+  }
+});
+
+app.get('/api/expansions/:id', authMiddleware, requireScope('read'), rateLimit('read'), async (req, res) => {
+  try {
+    const expansion = await getExpansion(req.user.id, req.params.id);
+
+    if (!expansion) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Expansion not found' 
+      });
+    }
+
+    res.json(buildExpansionPayload(expansion));
+  } catch (error) {
+    console.error('❌ Expansion fetch error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+// Store a provider key encrypted; the response only carries its fingerprint
+app.post('/api/keys', authMiddleware, requireSession, rateLimit('read'), async (req, res) => {
+  try {
+    const { key_name, api_key, provider = 'apify' } = req.body;
+
+    if (typeof key_name !== 'string' || !key_name.trim()) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'key_name is required' 
+      });
+    }
+
+    if (!SERP_PROVIDERS.includes(provider)) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: `provider must be one of: ${SERP_PROVIDERS.join(', ')}` 
+      });
+    }
+
+    const secret = typeof api_key === 'string' ? api_key.trim() : '';
+    if (!secret && provider !== 'fixture') {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'api_key is required' 
+      });
+    }
+
+    const apiKey = await createApiKey({
+      userId: req.user.id,
+      keyName: key_name.trim(),
+      apiKey: secret || 'offline-fixture',
+      provider
+    });
+
+    console.log(`🔐 Stored encrypted API key ${apiKey.key_name} for user ${req.user.id}`);
+    res.status(201).json(apiKey);
+  } catch (error) {
+    console.error('❌ API key creation error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+// Set or clear a key's monthly budget; the server derives credits_remaining from the spend ledger
+// A monthly budget in USD, or null to remove it
+const isValidBudget = (value) => value === null || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+
+app.put('/api/keys/:id/budget', authMiddleware, requireSession, rateLimit('read'), async (req, res) => {
+  try {
+    const { monthly_budget_usd } = req.body;
+
+    if (!isValidBudget(monthly_budget_usd)) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'monthly_budget_usd must be a non-negative number or null' 
+      });
+    }
+
+    const apiKey = await setApiKeyBudget(req.user.id, req.params.id, monthly_budget_usd);
+
+    if (!apiKey) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'API key not found' 
+      });
+    }
+
+    res.json(apiKey);
+  } catch (error) {
+    console.error('❌ API key budget error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+// Set the account-wide monthly budget that caps spend across all keys
+app.put('/api/budget', authMiddleware, requireSession, rateLimit('read'), async (req, res) => {
+  try {
+    const { monthly_budget_usd } = req.body;
+
+    if (!isValidBudget(monthly_budget_usd)) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'monthly_budget_usd must be a non-negative number or null' 
+      });
+    }
+
+    const account = await setAccountBudget(req.user.id, monthly_budget_usd);
+
+    if (!account) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'User profile not found' 
+      });
+    }
+
+    console.log(`💰 Monthly budget for user ${req.user.id} set to ${monthly_budget_usd ?? 'none'}`);
+    res.json(account);
+  } catch (error) {
+    console.error('❌ Account budget error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+// Issue a webhook token; the plaintext is only ever returned in this response
+app.post('/api/tokens', authMiddleware, requireSession, rateLimit('read'), async (req, res) => {
+  try {
+    const { name, scopes, expires_at = null, daily_keyword_quota = null } = req.body;
+    const validationError = name === undefined
+      ? 'name is required'
+      : validateTokenOptions({ name, scopes, expires_at, daily_keyword_quota });
+
+    if (validationError) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: validationError 
+      });
+    }
+
+    const token = await createWebhookToken({
+      userId: req.user.id,
+      name: name.trim(),
+      scopes,
+      expiresAt: expires_at,
+      dailyKeywordQuota: daily_keyword_quota
+    });
+
+    console.log(`🔑 Issued webhook token ${token.name} for user ${req.user.id}`);
+    res.status(201).json(token);
+  } catch (error) {
+    console.error('❌ Token creation error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+// Replace a token, keeping the old one valid for grace_hours
+app.post('/api/tokens/:id/rotate', authMiddleware, requireSession, rateLimit('read'), async (req, res) => {
+  try {
+    const { grace_hours = 24 } = req.body || {};
+
+    if (typeof grace_hours !== 'number' || grace_hours < 0 || grace_hours > 720) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'grace_hours must be a number between 0 and 720' 
+      });
+    }
+
+    const token = await rotateWebhookToken(req.user.id, req.params.id, grace_hours);
+    if (!token) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Token not found or already revoked' 
+      });
+    }
+
+    console.log(`🔄 Rotated webhook token ${token.name} for user ${req.user.id}`);
+    res.status(201).json(token);
+  } catch (error) {
+    console.error('❌ Token rotation error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+app.post('/api/tokens/:id/revoke', authMiddleware, requireSession, rateLimit('read'), async (req, res) => {
+  try {
+    const token = await revokeWebhookToken(req.user.id, req.params.id);
+    if (!token) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Token not found' 
+      });
+    }
+
+    console.log(`🚫 Revoked webhook token ${token.name} for user ${req.user.id}`);
+    res.json(token);
+  } catch (error) {
+    console.error('❌ Token revocation error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+app.get('/api/rule-profiles', authMiddleware, requireScope('read'), rateLimit('read'), async (req, res) => {
+  try {
+    res.json({ profiles: await listRuleProfiles(req.user.id) });
+  } catch (error) {
+    console.error('❌ Rule profile list error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+// Validate the body of a create/update request, returning an error message or null
+const validateRuleProfileBody = ({ name, description, definition, is_default }) => {
+  if (typeof name !== 'string' || !name.trim()) return 'name is required';
+  if (description !== undefined && description !== null && typeof description !== 'string') return 'description must be a string';
+  if (is_default !== undefined && typeof is_default !== 'boolean') return 'is_default must be a boolean';
+  return validateRuleDefinition(definition, 'definition');
+};
+
+const handleSaveRuleProfile = async (req, res) => {
+  try {
+    const validationError = validateRuleProfileBody(req.body);
+    if (validationError) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: validationError 
+      });
+    }
+
+    const { name, description, definition, is_default } = req.body;
+    const profile = await saveRuleProfile(
+      req.user.id,
+      { name: name.trim(), description, definition, is_default },
+      req.params.id || null
+    );
+
+    if (!profile) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Rule profile not found' 
+      });
+    }
+
+    console.log(`📐 Saved rule profile ${profile.name} for user ${req.user.id}`);
+    res.status(req.params.id ? 200 : 201).json(profile);
+  } catch (error) {
+    console.error('❌ Rule profile save error:', error);
+    res.status(error.status || 500).json({ 
+      error: error.status === 409 ? 'Conflict' : 'Internal server error', 
+      message: error.message 
+    });
+  }
+};
+
+app.post('/api/rule-profiles', authMiddleware, requireSession, rateLimit('read'), handleSaveRuleProfile);
+app.put('/api/rule-profiles/:id', authMiddleware, requireSession, rateLimit('read'), handleSaveRuleProfile);
+
+app.delete('/api/rule-profiles/:id', authMiddleware, requireSession, rateLimit('read'), async (req, res) => {
+  try {
+    const deleted = await deleteRuleProfile(req.user.id, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Rule profile not found' 
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('❌ Rule profile delete error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+// Difficulty weights: the current values (defaults filled in) and the defaults to reset to
+app.get('/api/difficulty-weights', authMiddleware, requireScope('read'), rateLimit('read'), async (req, res) => {
+  try {
+    res.json({ weights: await getDifficultyWeights(req.user.id), defaults: DEFAULT_DIFFICULTY_WEIGHTS });
+  } catch (error) {
+    console.error('❌ Difficulty weights error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+// Replace the weights used by the user's next analyses; `weights: null` restores the defaults
+app.put('/api/difficulty-weights', authMiddleware, requireSession, rateLimit('read'), async (req, res) => {
+  try {
+    const { weights } = req.body;
+    const validationError = weights === null ? null : validateDifficultyWeights(weights);
+    if (validationError) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: validationError 
+      });
+    }
+
+    const saved = await saveDifficultyWeights(req.user.id, weights);
+    console.log(`⚖️ Saved difficulty weights for user ${req.user.id}`);
+    res.json({ weights: saved, defaults: DEFAULT_DIFFICULTY_WEIGHTS });
+  } catch (error) {
+    console.error('❌ Difficulty weights save error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+app.get('/api/schedules', authMiddleware, requireScope('read'), rateLimit('read'), async (req, res) => {
+  try {
+    res.json({ schedules: await listSchedules(req.user.id) });
+  } catch (error) {
+    console.error('❌ Schedule list error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+// Next run times for a cron expression, so the dashboard can preview a schedule before saving it
+app.get('/api/schedules/preview', authMiddleware, requireScope('read'), rateLimit('read'), (req, res) => {
+  const { cron, timezone = 'UTC' } = req.query;
+  const validationError = validateScheduleBody({ cron, timezone }, true);
+
+  if (typeof cron !== 'string' || validationError) {
+    return res.status(400).json({ 
+      error: 'Invalid request', 
+      message: validationError || 'cron is required' 
+    });
+  }
+
+  res.json({ cron, timezone, next_runs: previewSchedule(cron, timezone) });
+});
+
+const handleSaveSchedule = async (req, res) => {
+  try {
+    const scheduleId = req.params.id || null;
+    const validationError = validateScheduleBody(req.body, !!scheduleId);
+    if (validationError) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: validationError 
+      });
+    }
+
+    const ruleProfile = req.body.options?.rule_profile;
+    if (ruleProfile && !(await resolveRuleProfile(req.user.id, ruleProfile))) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: `Rule profile '${ruleProfile}' not found` 
+      });
+    }
+
+    const schedule = scheduleId
+      ? await updateSchedule(req.user.id, scheduleId, req.body)
+      : await createSchedule(req.user.id, req.body);
+
+    if (!schedule) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Schedule not found' 
+      });
+    }
+
+    console.log(`⏰ Saved schedule ${schedule.id} (${schedule.cron} ${schedule.timezone}) for user ${req.user.id}`);
+    res.status(scheduleId ? 200 : 201).json(schedule);
+  } catch (error) {
+    console.error('❌ Schedule save error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+};
+
+app.post('/api/schedules', authMiddleware, requireSession, rateLimit('read'), handleSaveSchedule);
+app.put('/api/schedules/:id', authMiddleware, requireSession, rateLimit('read'), handleSaveSchedule);
+
+// Enable and pause share the same shape: toggle an owned schedule and return it
+const scheduleToggle = (enabled) => async (req, res) => {
+  try {
+    const schedule = await setScheduleEnabled(req.user.id, req.params.id, enabled);
+
+    if (!schedule) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Schedule not found' 
+      });
+    }
+
+    res.json(schedule);
+  } catch (error) {
+    console.error('❌ Schedule toggle error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+};
+
+app.post('/api/schedules/:id/enable', authMiddleware, requireSession, rateLimit('read'), scheduleToggle(true));
+app.post('/api/schedules/:id/pause', authMiddleware, requireSession, rateLimit('read'), scheduleToggle(false));
+
+app.delete('/api/schedules/:id', authMiddleware, requireSession, rateLimit('read'), async (req, res) => {
+  try {
+    const deleted = await deleteSchedule(req.user.id, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Schedule not found' 
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('❌ Schedule delete error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+// Keyword projects: reads need the read scope, changes the analyze scope so automations can mark progress
+app.get('/api/projects', authMiddleware, requireScope('read'), rateLimit('read'), async (req, res) => {
+  try {
+    res.json({ projects: await listProjects(req.user.id) });
+  } catch (error) {
+    console.error('❌ Project list error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+app.get('/api/projects/:id', authMiddleware, requireScope('read'), rateLimit('read'), async (req, res) => {
+  try {
+    const { status, tag } = req.query;
+
+    if (status !== undefined && !KEYWORD_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: `status must be one of: ${KEYWORD_STATUSES.join(', ')}` 
+      });
+    }
+
+    const project = await getProject(req.user.id, req.params.id);
+
+    if (!project) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Project not found' 
+      });
+    }
+
+    res.json({ ...project, keywords: await listProjectKeywords(project.id, { status, tag }) });
+  } catch (error) {
+    console.error('❌ Project fetch error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+const handleSaveProject = async (req, res) => {
+  try {
+    const projectId = req.params.id || null;
+    const validationError = validateProjectBody(req.body, !!projectId);
+    if (validationError) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: validationError 
+      });
+    }
+
+    const project = projectId
+      ? await updateProject(req.user.id, projectId, req.body)
+      : await createProject(req.user.id, req.body);
+
+    if (!project) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Project not found' 
+      });
+    }
+
+    res.status(projectId ? 200 : 201).json(project);
+  } catch (error) {
+    console.error('❌ Project save error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+};
+
+app.post('/api/projects', authMiddleware, requireScope('analyze'), rateLimit('read'), handleSaveProject);
+app.put('/api/projects/:id', authMiddleware, requireScope('analyze'), rateLimit('read'), handleSaveProject);
+
+app.delete('/api/projects/:id', authMiddleware, requireScope('analyze'), rateLimit('read'), async (req, res) => {
+  try {
+    const deleted = await deleteProject(req.user.id, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Project not found' 
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('❌ Project delete error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+// Add keywords as strings or { keyword, tags } objects and/or a CSV with keyword and tags columns; `tags` apply to all of them
+app.post('/api/projects/:id/keywords', authMiddleware, requireScope('analyze'), rateLimit('read'), async (req, res) => {
+  try {
+    const { keywords = [], text, filename, tags = [] } = req.body;
+
+    const invalidKeyword = !Array.isArray(keywords) || keywords.some(entry => typeof entry !== 'string'
+      && (!entry || typeof entry.keyword !== 'string' || (entry.tags !== undefined && !Array.isArray(entry.tags))));
+    if (invalidKeyword) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'keywords must be an array of keywords or { keyword, tags } objects' 
+      });
+    }
+
+    if ((text !== undefined && typeof text !== 'string') || (filename !== undefined && typeof filename !== 'string') || !Array.isArray(tags)) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'text must be a CSV or plain-text keyword list, filename a string and tags an array' 
+      });
+    }
+
+    const sharedTags = normalizeTags(tags);
+    const rows = [
+      ...keywords.map(entry => typeof entry === 'string' ? { keyword: entry, tags: [] } : entry),
+      ...parseKeywordRows(text, { filename })
+    ].map(row => ({ keyword: row.keyword, tags: [...normalizeTags(row.tags), ...sharedTags] }));
+
+    if (rows.length === 0) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'Provide keywords as an array or as CSV/plain text in text' 
+      });
+    }
+
+    const project = await getProject(req.user.id, req.params.id);
+
+    if (!project) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Project not found' 
+      });
+    }
+
+    const result = await addProjectKeywords(req.user.id, project, rows);
+
+    if (!result) {
+      return res.status(400).json({ 
+        error: 'Too many keywords', 
+        message: `Projects are limited to ${MAX_PROJECT_KEYWORDS} keywords` 
+      });
+    }
+
+    res.json({ ...result, keywords_total: project.keywords_total + result.added });
+  } catch (error) {
+    console.error('❌ Project keyword import error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+// Mark keywords assigned or published, reassign them or replace their tags, picked by ids or keyword text
+app.patch('/api/projects/:id/keywords', authMiddleware, requireScope('analyze'), rateLimit('read'), async (req, res) => {
+  try {
+    const { ids = [], keywords = [], status, assigned_to, tags } = req.body;
+
+    if (!Array.isArray(ids) || !Array.isArray(keywords) || [...ids, ...keywords].some(value => typeof value !== 'string')) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'ids and keywords must be arrays of strings' 
+      });
+    }
+
+    if (ids.length === 0 && keywords.length === 0) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'Provide the ids or keywords to update' 
+      });
+    }
+
+    const validationError = validateKeywordChanges({ status, assigned_to, tags });
+    if (validationError) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: validationError 
+      });
+    }
+
+    const project = await getProject(req.user.id, req.params.id);
+
+    if (!project) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Project not found' 
+      });
+    }
+
+    const updated = await updateProjectKeywords(project.id, { ids, keywords }, { status, assigned_to, tags });
+    res.json({ updated: updated.length, keywords: updated });
+  } catch (error) {
+    console.error('❌ Project keyword update error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+// Cluster a project's keywords by the latest SERP of each, optionally narrowed by status and tag
+app.get('/api/projects/:id/clusters', authMiddleware, requireScope('read'), rateLimit('read'), async (req, res) => {
+  try {
+    const { min_shared_urls, status, tag } = req.query;
+    const validationError = validateClusterOptions({ min_shared_urls });
+    if (validationError || (status !== undefined && !KEYWORD_STATUSES.includes(status))) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: validationError || `status must be one of: ${KEYWORD_STATUSES.join(', ')}` 
+      });
+    }
+
+    const project = await getProject(req.user.id, req.params.id);
+
+    if (!project) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Project not found' 
+      });
+    }
+
+    const keywords = await listProjectKeywords(project.id, { status, tag });
+    res.json({ project_id: project.id, ...(await clusterProjectKeywords(keywords, { min_shared_urls })) });
+  } catch (error) {
+    console.error('❌ Project cluster error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+app.delete('/api/projects/:id/keywords/:keywordId', authMiddleware, requireScope('analyze'), rateLimit('read'), async (req, res) => {
+  try {
+    const project = await getProject(req.user.id, req.params.id);
+    const deleted = project ? await deleteProjectKeyword(project.id, req.params.keywordId) : false;
+
+    if (!deleted) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Project keyword not found' 
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('❌ Project keyword delete error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+// Tracked domains are account settings: tokens can read them, only a signed-in session changes them
+app.get('/api/tracked-domains', authMiddleware, requireScope('read'), rateLimit('read'), async (req, res) => {
+  try {
+    res.json({ domains: await listTrackedDomains(req.user.id), kinds: TRACKED_DOMAIN_KINDS });
+  } catch (error) {
+    console.error('❌ Tracked domain list error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+app.post('/api/tracked-domains', authMiddleware, requireSession, rateLimit('read'), async (req, res) => {
+  try {
+    const validationError = validateTrackedDomainBody(req.body);
+    if (validationError) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: validationError 
+      });
+    }
+
+    const domain = await addTrackedDomain(req.user.id, req.body);
+    if (!domain) {
+      return res.status(400).json({ 
+        error: 'Too many domains', 
+        message: `Maximum ${MAX_TRACKED_DOMAINS} tracked domains allowed` 
+      });
+    }
+
+    res.status(201).json(domain);
+  } catch (error) {
+    console.error('❌ Tracked domain save error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+app.delete('/api/tracked-domains/:id', authMiddleware, requireSession, rateLimit('read'), async (req, res) => {
+  try {
+    const deleted = await deleteTrackedDomain(req.user.id, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Tracked domain not found' 
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('❌ Tracked domain delete error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+// Rankings of the tracked domains across the keywords analyzed in the last `days` days, optionally in one country
+app.get('/api/visibility', authMiddleware, requireScope('read'), rateLimit('read'), async (req, res) => {
+  try {
+    const { days, country } = req.query;
+    const queryError = validateReportQuery({ days }) || validateLocaleOptions({ country });
+    if (queryError) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: queryError 
+      });
+    }
+
+    const report = await buildVisibilityReport(req.user.id, {
+      days: days === undefined ? undefined : Number(days),
+      country: country ? country.toUpperCase() : null
+    });
+
+    res.json(report);
+  } catch (error) {
+    console.error('❌ Visibility report error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message 
+    });
+  }
+});
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.json({ 
+    status: 'healthy', 
+    timestamp: new Date().toISOString(),
+    version: '1.0.0',
+    supabase_connected: !!supabaseUrl
+  });
+});
+
+// Start server
+app.listen(PORT, () => {
+  const baseUrl = process.env.VITE_API_BASE_URL || `http://localhost:${PORT}`;
+  const isProduction = baseUrl.includes('onrender.com');
+  const webhookUrl = isProduction ? `${baseUrl}/api/analyze-serps` : `http://localhost:${PORT}/api/analyze-serps`;
+  
+  console.log(`🚀 SERP Analysis API server running on port ${PORT}`);
+  console.log(`📡 Health check: ${baseUrl}/api/health`);
+  console.log(`🔗 Webhook URL: ${webhookUrl}`);
   console.log(`✅ Supabase connected: ${!!supabaseUrl}`);
   console.log(`🌍 Environment: ${isProduction ? 'Production' : 'Development'}`);
+
+  encryptLegacyApiKeys();
+  resumeInterruptedBulkRuns();
+  resumeInterruptedExpansions();
+  startScheduler();
+  startIdempotencyCleanup();
 });
 
 export default app;
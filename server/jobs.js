@@ -0,0 +1,106 @@
+import { supabase } from './supabase.js';
+import { formatResults } from './analysis.js';
+import { clusterAnalysisResults } from './clustering.js';
+
+// Tracks per-keyword progress on the analysis_logs row so async callers can poll it.
+// Writes are chained so an older snapshot never lands after a newer one.
+export const createProgressTracker = (requestId, initialProgress) => {
+  const state = initialProgress;
+  let writeQueue = Promise.resolve();
+
+  const persist = () => {
+    const snapshot = JSON.parse(JSON.stringify(state));
+    writeQueue = writeQueue.then(async () => {
+      try {
+        const { error } = await supabase
+          .from('analysis_logs')
+          .update({ progress: snapshot })
+          .eq('request_id', requestId);
+
+        if (error) {
+          console.error(`❌ Failed to update progress for ${requestId}:`, error.message);
+        }
+      } catch (error) {
+        console.error(`❌ Error updating progress for ${requestId}:`, error);
+      }
+    });
+  };
+
+  return {
+    setStage(stage) {
+      state.stage = stage;
+      persist();
+    },
+    markKeyword(index, status, error = null) {
+      const entry = state.keywords[index];
+      if (!entry) return;
+      entry.status = status;
+      if (error) entry.error = error;
+      if (status === 'completed') state.completed++;
+      if (status === 'failed') state.failed++;
+      persist();
+    },
+    snapshot(stage = state.stage) {
+      return { ...JSON.parse(JSON.stringify(state)), stage };
+    },
+    flush() {
+      return writeQueue;
+    }
+  };
+};
+
+// Load an analysis log owned by the user, or null when it does not exist
+export const getAnalysisLog = async (userId, requestId) => {
+  const { data: log, error } = await supabase
+    .from('analysis_logs')
+    .select('request_id, keywords, options, locale, progress, results, status, error_message, processing_time, created_at')
+    .eq('user_id', userId)
+    .eq('request_id', requestId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return log;
+};
+
+// Rebuild the synchronous analyze-serps response body from a completed log
+export const buildResultsPayload = (log) => ({
+  request_id: log.request_id,
+  keywords_processed: log.keywords?.length || 0,
+  country: log.options?.country,
+  page: log.options?.page,
+  locale: log.locale,
+  depth: log.options?.depth || 1,
+  processing_time: log.processing_time,
+  cached_keywords: (log.results || []).filter(result => result.cached).length,
+  results: formatResults(log.results || []),
+  clusters: clusterAnalysisResults(log.results || [], log.options?.clustering)
+});
+
+// Build the job status payload for GET /api/jobs/:request_id
+export const getJobStatus = async (userId, requestId) => {
+  const log = await getAnalysisLog(userId, requestId);
+
+  if (!log) {
+    return null;
+  }
+
+  const job = {
+    request_id: log.request_id,
+    status: log.status,
+    created_at: log.created_at,
+    processing_time: log.processing_time,
+    progress: log.progress
+  };
+
+  if (log.status === 'completed') {
+    const { keywords_processed, country, page, locale, depth, cached_keywords, results, clusters } = buildResultsPayload(log);
+    Object.assign(job, { keywords_processed, country, page, locale, depth, cached_keywords, results, clusters });
+  } else if (log.status === 'failed') {
+    job.error = log.error_message;
+  }
+
+  return job;
+};
@@ -0,0 +1,203 @@
+import { supabase } from './supabase.js';
+import { isKeyOverBudget } from './usage.js';
+
+const KEY_COOLDOWN_BASE_MS = parseFloat(process.env.KEY_COOLDOWN_MINUTES || '5') * 60 * 1000;
+const KEY_COOLDOWN_MAX_MS = parseFloat(process.env.KEY_COOLDOWN_MAX_MINUTES || '60') * 60 * 1000;
+export const MAX_CONCURRENCY_PER_KEY = parseInt(process.env.MAX_CONCURRENCY_PER_KEY || '3', 10);
+
+// Sort keys by priority: active first, then by last_used (oldest first)
+export const sortApiKeys = (apiKeys) => [...apiKeys].sort((a, b) => {
+  if (a.status === 'active' && b.status !== 'active') return -1;
+  if (a.status !== 'active' && b.status === 'active') return 1;
+
+  if (!a.last_used && !b.last_used) return 0;
+  if (!a.last_used) return -1;
+  if (!b.last_used) return 1;
+
+  return new Date(a.last_used).getTime() - new Date(b.last_used).getTime();
+});
+
+// Cooldown doubles with each consecutive failure, capped at KEY_COOLDOWN_MAX_MINUTES
+export const getCooldownMs = (failureCount = 1) => {
+  return Math.min(KEY_COOLDOWN_BASE_MS * Math.pow(2, Math.max(failureCount - 1, 0)), KEY_COOLDOWN_MAX_MS);
+};
+
+// Circuit breaker: a rate limited key is skipped until its cooldown since last_failed has passed
+export const isKeyCoolingDown = (key, now = Date.now()) => {
+  if (key.status !== 'rate_limited' || !key.last_failed) return false;
+  return now - new Date(key.last_failed).getTime() < getCooldownMs(key.failure_count || 1);
+};
+
+// Map a provider error to the api_keys status it implies
+export const classifyKeyError = (message) => {
+  const errorMessage = message.toLowerCase();
+  const isRateLimit = errorMessage.includes('rate') || errorMessage.includes('credit') || errorMessage.includes('429') || errorMessage.includes('quota');
+  const isInvalidKey = errorMessage.includes('invalid api key') || errorMessage.includes('401') || errorMessage.includes('unauthorized');
+  const isPermanentFailure = errorMessage.includes('not found') || errorMessage.includes('404') || errorMessage.includes('actor not found');
+
+  if (isRateLimit) return { status: 'rate_limited', permanent: false };
+  if (isInvalidKey || isPermanentFailure) return { status: 'failed', permanent: true };
+  return { status: 'failed', permanent: false };
+};
+
+const persistKeySuccess = async (key) => {
+  try {
+    await supabase.from('api_keys').update({
+      last_used: new Date().toISOString(),
+      failure_count: 0,
+      status: 'active',
+      last_failed: null
+    }).eq('id', key.id);
+    console.log(`✅ Successfully reactivated API key: ${key.key_name}`);
+  } catch (updateError) {
+    console.error(`❌ Error reactivating API key ${key.key_name}:`, updateError);
+  }
+};
+
+const persistKeyFailure = async (key) => {
+  try {
+    await supabase.from('api_keys').update({
+      status: key.status,
+      last_failed: key.last_failed,
+      failure_count: key.failure_count
+    }).eq('id', key.id);
+    console.log(`📝 Updated API key ${key.key_name} status to: ${key.status}`);
+  } catch (updateError) {
+    console.error(`❌ Error updating API key status:`, updateError);
+  }
+};
+
+/*
+  Hands out API keys to keyword tasks for one analysis run.
+  - Each keyword starts on its "home" key (index % keys) and fails over to the next eligible key.
+  - A key is eligible when it is not cooling down, not over its monthly budget, not permanently
+    failed in this run, and has fewer than maxConcurrencyPerKey tasks in flight; otherwise the
+    task waits for a slot.
+  - Key state is kept in memory for the run and mirrored to api_keys.
+*/
+export const createKeyScheduler = (apiKeys, { maxConcurrencyPerKey = MAX_CONCURRENCY_PER_KEY, spendByKey = {} } = {}) => {
+  const slots = sortApiKeys(apiKeys).map(key => ({ key: { ...key }, active: 0, disabled: false }));
+  const spend = { ...spendByKey };
+  let waiters = [];
+
+  const isEligible = (slot) => !slot.disabled && !isKeyCoolingDown(slot.key) && !isKeyOverBudget(slot.key, spend);
+
+  const wakeWaiters = () => {
+    const pending = waiters;
+    waiters = [];
+    pending.forEach(resolve => resolve());
+  };
+
+  // Resolve to the next usable slot for a keyword, or null once every key has been tried or is unavailable
+  const acquire = async (homeIndex, triedIds) => {
+    while (true) {
+      const candidates = [];
+      for (let offset = 0; offset < slots.length; offset++) {
+        const slot = slots[(homeIndex + offset) % slots.length];
+        if (!triedIds.has(slot.key.id) && isEligible(slot)) {
+          candidates.push(slot);
+        }
+      }
+
+      if (candidates.length === 0) {
+        return null;
+      }
+
+      const free = candidates.find(slot => slot.active < maxConcurrencyPerKey);
+      if (free) {
+        free.active++;
+        return free;
+      }
+
+      await new Promise(resolve => waiters.push(resolve));
+    }
+  };
+
+  const release = (slot) => {
+    slot.active--;
+    wakeWaiters();
+  };
+
+  const recordFailure = async (slot, error) => {
+    const { status, permanent } = classifyKeyError(error.message);
+
+    if (status === 'rate_limited') {
+      console.log(`⚠️ Rate limit detected for API key: ${slot.key.key_name}`);
+    } else if (permanent) {
+      console.log(`❌ Permanent failure detected for API key: ${slot.key.key_name}`);
+    } else {
+      console.log(`⚠️ Temporary failure detected for API key: ${slot.key.key_name}`);
+    }
+
+    slot.key.status = status;
+    slot.key.last_failed = new Date().toISOString();
+    slot.key.failure_count = (slot.key.failure_count || 0) + 1;
+    if (permanent) {
+      slot.disabled = true;
+    }
+
+    await persistKeyFailure(slot.key);
+    return status;
+  };
+
+  const recordSuccess = async (slot) => {
+    slot.key.status = 'active';
+    slot.key.failure_count = 0;
+    slot.key.last_failed = null;
+    slot.key.last_used = new Date().toISOString();
+    await persistKeySuccess(slot.key);
+  };
+
+  return {
+    keys: slots.map(slot => slot.key),
+
+    // Run task(key) for a keyword, failing over across keys; resolves to { result, key, attempts } or rejects with attempts attached
+    async run(keyword, index, task) {
+      const triedIds = new Set();
+      const attempts = [];
+      let lastError = null;
+
+      while (true) {
+        const slot = await acquire(index % slots.length, triedIds);
+        if (!slot) break;
+
+        triedIds.add(slot.key.id);
+        console.log(`🔍 Getting SERP data for: ${keyword} with API key: ${slot.key.key_name}`);
+
+        try {
+          const result = await task(slot.key);
+          attempts.push({ key_id: slot.key.id, key_name: slot.key.key_name, status: 'succeeded' });
+          await recordSuccess(slot);
+          return { result, key: slot.key, attempts };
+        } catch (error) {
+          console.error(`❌ Error with API key ${slot.key.key_name}:`, error.message);
+          lastError = error;
+          const keyStatus = await recordFailure(slot, error);
+          attempts.push({ key_id: slot.key.id, key_name: slot.key.key_name, status: keyStatus, error: error.message });
+        } finally {
+          release(slot);
+        }
+      }
+
+      const error = lastError || new Error('No eligible API key available (all keys are cooling down, over budget or failed)');
+      error.attempts = attempts;
+      throw error;
+    },
+
+    // Add a run's cost to the in-memory spend so budget caps apply within the same request
+    recordSpend(keyId, costUsd) {
+      spend[keyId] = (spend[keyId] || 0) + (costUsd || 0);
+    },
+
+    // Keys that can still be scheduled right now
+    hasEligibleKeys() {
+      return slots.some(isEligible);
+    },
+
+    // First key that can serve a one-off call (e.g. the Moz batch), preferring active keys
+    pickKey() {
+      const slot = slots.find(s => isEligible(s) && s.key.status === 'active') || slots.find(isEligible);
+      return slot ? slot.key : null;
+    }
+  };
+};
@@ -0,0 +1,95 @@
+const MAX_KEYWORD_LENGTH = 200;
+const KEYWORD_HEADERS = ['keyword', 'keywords', 'query', 'term'];
+const TAG_HEADERS = ['tag', 'tags'];
+
+export const normalizeKeyword = (keyword) => String(keyword ?? '')
+  .normalize('NFKC')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .toLowerCase();
+
+// Tags are stored lowercase and without duplicates; a string may hold several separated by ; | or ,
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags ?? '').split(/[;|,]/);
+  return [...new Set(list.map(tag => normalizeKeyword(tag)).filter(Boolean))];
+};
+
+// Split one delimited line, honouring double-quoted fields with "" escapes
+const splitDelimitedLine = (line, delimiter) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields;
+};
+
+// Delimiter implied by an uploaded file's extension
+const FILE_DELIMITERS = { csv: ',', tsv: '\t' };
+
+/*
+  Tabs or commas only split columns when the first line is a header naming the keyword
+  column, or when the list was uploaded as a .csv or .tsv file. Otherwise the list is plain
+  text and commas belong to the keywords, e.g. "running shoes, men".
+*/
+const detectDelimiter = (lines, filename) => {
+  const headerDelimiter = ['\t', ','].find(delimiter => {
+    const header = splitDelimitedLine(lines[0], delimiter);
+    return header.length > 1 && header.some(cell => KEYWORD_HEADERS.includes(normalizeKeyword(cell)));
+  });
+
+  const extension = String(filename ?? '').toLowerCase().match(/\.([a-z]+)$/)?.[1];
+  return headerDelimiter || FILE_DELIMITERS[extension] || null;
+};
+
+/*
+  Extract { keyword, tags } rows from an uploaded list. Plain text is one keyword per line;
+  CSV or tab-separated input uses the `keyword` column when there is a header for it,
+  otherwise the first column, and the `tags` column when there is one. `filename` is the
+  name of the uploaded file, if any.
+*/
+export const parseKeywordRows = (text, { filename } = {}) => {
+  const lines = String(text ?? '').replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) return [];
+
+  const delimiter = detectDelimiter(lines, filename);
+  if (!delimiter) return lines.map(keyword => ({ keyword, tags: [] }));
+
+  const rows = lines.map(line => splitDelimitedLine(line, delimiter));
+  const header = rows[0].map(cell => normalizeKeyword(cell));
+  const headerIndex = header.findIndex(cell => KEYWORD_HEADERS.includes(cell));
+  const column = headerIndex === -1 ? 0 : headerIndex;
+  const tagColumn = headerIndex === -1 ? -1 : header.findIndex(cell => TAG_HEADERS.includes(cell));
+
+  return rows.slice(headerIndex === -1 ? 0 : 1).map(row => ({
+    keyword: row[column] ?? '',
+    tags: tagColumn === -1 ? [] : normalizeTags(row[tagColumn])
+  }));
+};
+
+export const parseKeywordList = (text, options) => parseKeywordRows(text, options).map(row => row.keyword);
+
+// Normalize and dedupe, keeping the order keywords were first seen in
+export const dedupeKeywords = (keywords) => [...new Set(keywords.map(normalizeKeyword))]
+  .filter(keyword => keyword && keyword.length <= MAX_KEYWORD_LENGTH);
@@ -0,0 +1,65 @@
+// Google markets the SERP actor can target, with the interface language Google defaults to
+export const SUPPORTED_COUNTRIES = {
+  AE: 'ar', AR: 'es', AT: 'de', AU: 'en', BE: 'nl', BR: 'pt', CA: 'en', CH: 'de',
+  CL: 'es', CO: 'es', CZ: 'cs', DE: 'de', DK: 'da', EG: 'ar', ES: 'es', FI: 'fi',
+  FR: 'fr', GB: 'en', GR: 'el', HK: 'zh', HU: 'hu', ID: 'id', IE: 'en', IL: 'he',
+  IN: 'en', IT: 'it', JP: 'ja', KR: 'ko', MX: 'es', MY: 'en', NL: 'nl', NO: 'no',
+  NZ: 'en', PE: 'es', PH: 'en', PK: 'en', PL: 'pl', PT: 'pt', RO: 'ro', SA: 'ar',
+  SE: 'sv', SG: 'en', TH: 'th', TR: 'tr', TW: 'zh', UA: 'uk', US: 'en', VN: 'vi',
+  ZA: 'en'
+};
+
+export const SUPPORTED_LANGUAGES = [...new Set([...Object.values(SUPPORTED_COUNTRIES), 'ca', 'hi', 'ru', 'sk', 'bg', 'hr'])].sort();
+export const SUPPORTED_DEVICES = ['desktop', 'mobile'];
+// Ten results per page, so ten pages reach the top 100
+export const MAX_SERP_DEPTH = 10;
+const MAX_LOCATION_LENGTH = 100;
+
+/*
+  Validate the locale and depth options of an analyze-style body, returning an error message
+  or null. `language` and `location` are optional: leaving them out keeps Google's default for
+  the country, which is also what analyses stored before locales existed used.
+*/
+export const validateLocaleOptions = ({ country, language, device, location, depth, page }) => {
+  if (country !== undefined && (typeof country !== 'string' || !SUPPORTED_COUNTRIES[country.toUpperCase()])) {
+    return `country must be one of: ${Object.keys(SUPPORTED_COUNTRIES).join(', ')}`;
+  }
+  if (language !== undefined && language !== null && (typeof language !== 'string' || !SUPPORTED_LANGUAGES.includes(language.toLowerCase()))) {
+    return `language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`;
+  }
+  if (device !== undefined && !SUPPORTED_DEVICES.includes(device)) {
+    return `device must be one of: ${SUPPORTED_DEVICES.join(', ')}`;
+  }
+  if (location !== undefined && location !== null && (typeof location !== 'string' || !location.trim() || location.length > MAX_LOCATION_LENGTH)) {
+    return `location must be a city or region name of up to ${MAX_LOCATION_LENGTH} characters`;
+  }
+  if (depth !== undefined && (!Number.isInteger(depth) || depth < 1 || depth > MAX_SERP_DEPTH)) {
+    return `depth must be an integer between 1 and ${MAX_SERP_DEPTH}`;
+  }
+  if (depth !== undefined && depth > 1 && page !== undefined && page !== 1) {
+    return 'depth always starts at page 1; leave page out when setting depth';
+  }
+  return null;
+};
+
+// The normalized locale an analysis ran with; stored on analysis_logs and every serp_results row
+export const resolveLocale = ({ country = 'US', language = null, device = 'desktop', location = null } = {}) => ({
+  country: country.toUpperCase(),
+  language: language ? language.toLowerCase() : null,
+  device,
+  location: location ? location.trim() : null
+});
+
+// Restrict a serp_results query to rows fetched with the same locale
+export const matchLocale = (query, locale) => {
+  const { country, language, device, location } = resolveLocale(locale);
+  let matched = query.eq('country', country).eq('device', device);
+  matched = language ? matched.eq('language', language) : matched.is('language', null);
+  return location ? matched.eq('location', location) : matched.is('location', null);
+};
+
+// Short label such as "DE · de · mobile · Berlin" for logs and fixture names
+export const describeLocale = (locale) => {
+  const { country, language, device, location } = resolveLocale(locale);
+  return [country, language, device, location].filter(Boolean).join(' · ');
+};
@@ -0,0 +1,191 @@
+import { supabase } from './supabase.js';
+import { canonicalHost, canonicalizeUrl, isPageUrl, registrableDomain } from './domains.js';
+
+// How long DA/PA/spam scores in global_serp_data and page_metrics are reused before being fetched again
+export const DEFAULT_METRICS_MAX_AGE_HOURS = parseFloat(process.env.DOMAIN_METRICS_MAX_AGE_HOURS || '168');
+
+const LOOKUP_CHUNK_SIZE = 100;
+const HOUR_MS = 60 * 60 * 1000;
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+const roundAge = (ageMs) => Math.round((ageMs / HOUR_MS) * 10) / 10;
+
+const ageOf = (row, now) => row?.scrape_date ? now - new Date(row.scrape_date).getTime() : null;
+
+// Read cached rows for the given keys from a metrics table
+const loadCachedRows = async (table, keyColumn, columns, keys) => {
+  const cached = {};
+
+  for (const keyChunk of chunk(keys, LOOKUP_CHUNK_SIZE)) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .in(keyColumn, keyChunk);
+
+    if (error) {
+      console.error(`❌ Failed to read cached metrics from ${table}:`, error.message);
+      continue;
+    }
+
+    (data || []).forEach(row => {
+      cached[row[keyColumn]] = row;
+    });
+  }
+
+  return cached;
+};
+
+// Upsert freshly fetched metrics so the next request can reuse them
+const storeRows = async (table, keyColumn, rows) => {
+  let stored = 0;
+
+  for (const rowChunk of chunk(rows, LOOKUP_CHUNK_SIZE)) {
+    const { error } = await supabase
+      .from(table)
+      .upsert(rowChunk, { onConflict: keyColumn, ignoreDuplicates: false });
+
+    if (error) {
+      console.error(`❌ Failed to store metrics in ${table}:`, error.message);
+    } else {
+      stored += rowChunk.length;
+    }
+  }
+
+  console.log(`✅ Stored ${stored} ${table} entries`);
+};
+
+const domainEntry = (row, source, ageMs) => ({
+  domain_authority: row.da ?? null,
+  spam_score: row.spam_score ?? null,
+  source,
+  age_hours: ageMs === null ? null : roundAge(ageMs)
+});
+
+const pageEntry = (row, source, ageMs) => ({
+  page_authority: row.pa ?? null,
+  source,
+  age_hours: ageMs === null ? null : roundAge(ageMs)
+});
+
+/*
+  Provider lookups are keyed by whatever the actor reports: a full URL or a bare domain.
+  DA and spam score are attached to the registrable domain of the key; PA is attached to
+  the canonical page URL, or to the single requested URL on that host when only a domain
+  came back.
+*/
+const splitProviderMetrics = (fetched, requestedUrls) => {
+  const domains = {};
+  const pages = {};
+
+  Object.entries(fetched).forEach(([key, values]) => {
+    const domain = registrableDomain(key);
+    if (!domain) return;
+
+    domains[domain] = { da: values.domain_authority ?? null, spam_score: values.spam_score ?? null };
+
+    let pageUrl = isPageUrl(key) ? canonicalizeUrl(key) : null;
+    if (!pageUrl) {
+      const host = canonicalHost(key);
+      const sameHost = requestedUrls.filter(url => canonicalHost(url) === host);
+      pageUrl = sameHost.length === 1 ? sameHost[0] : null;
+    }
+
+    if (pageUrl) {
+      pages[pageUrl] = { domain, pa: values.page_authority ?? null };
+    }
+  });
+
+  return { domains, pages };
+};
+
+/*
+  Resolve metrics for SERP result URLs, serving fresh cache hits and sending only URLs whose
+  page or domain entry is stale or missing to the provider. Returns
+  { domains: { [registrable domain]: { domain_authority, spam_score, ... } },
+    pages: { [canonical url]: { page_authority, ... } } }
+  where each entry is tagged with `source` ('cached', 'fresh', or 'stale' when a refresh
+  failed) and `age_hours`. URLs and domains with no metrics are simply absent.
+*/
+export const getSerpMetrics = async ({ urls, provider, apiKey, onUsage, maxAgeHours = DEFAULT_METRICS_MAX_AGE_HOURS }) => {
+  const now = Date.now();
+  const maxAgeMs = maxAgeHours * HOUR_MS;
+  const pageUrls = [...new Set(urls.map(canonicalizeUrl).filter(Boolean))];
+  const domainNames = [...new Set(pageUrls.map(registrableDomain).filter(Boolean))];
+
+  const cachedDomains = await loadCachedRows('global_serp_data', 'domain', 'domain, da, spam_score, scrape_date', domainNames);
+  const cachedPages = await loadCachedRows('page_metrics', 'url', 'url, pa, scrape_date', pageUrls);
+  const metrics = { domains: {}, pages: {} };
+
+  const isFresh = (row) => {
+    const ageMs = ageOf(row, now);
+    return !!row && ageMs !== null && ageMs <= maxAgeMs;
+  };
+
+  domainNames.forEach(domain => {
+    const row = cachedDomains[domain];
+    if (isFresh(row)) metrics.domains[domain] = domainEntry(row, 'cached', ageOf(row, now));
+  });
+  pageUrls.forEach(url => {
+    const row = cachedPages[url];
+    if (isFresh(row)) metrics.pages[url] = pageEntry(row, 'cached', ageOf(row, now));
+  });
+
+  const toFetch = pageUrls.filter(url => !metrics.pages[url] || !metrics.domains[registrableDomain(url)]);
+
+  console.log(`🗄️ SERP metrics cache: ${pageUrls.length - toFetch.length} URLs cached, ${toFetch.length} to fetch (max age ${maxAgeHours}h)`);
+
+  if (toFetch.length === 0) {
+    return metrics;
+  }
+
+  try {
+    if (!provider) {
+      throw new Error('No active API key available for Moz analysis');
+    }
+
+    const fetched = await provider.fetchDomainMetrics({ urls: toFetch, apiKey, onUsage });
+    const { domains, pages } = splitProviderMetrics(fetched, toFetch);
+    const scrapeDate = new Date().toISOString();
+
+    Object.entries(domains).forEach(([domain, row]) => {
+      metrics.domains[domain] = domainEntry(row, 'fresh', 0);
+    });
+    Object.entries(pages).forEach(([url, row]) => {
+      metrics.pages[url] = pageEntry(row, 'fresh', 0);
+    });
+
+    await storeRows('global_serp_data', 'domain', Object.entries(domains).map(([domain, row]) => ({
+      domain,
+      da: row.da,
+      spam_score: row.spam_score,
+      scrape_date: scrapeDate
+    })));
+    await storeRows('page_metrics', 'url', Object.entries(pages).map(([url, row]) => ({
+      url,
+      domain: row.domain,
+      pa: row.pa,
+      scrape_date: scrapeDate
+    })));
+  } catch (error) {
+    console.error(`❌ Moz analysis failed:`, error.message);
+  }
+
+  // Anything still missing falls back to stale cache entries rather than being dropped
+  domainNames.forEach(domain => {
+    const row = cachedDomains[domain];
+    if (!metrics.domains[domain] && row) metrics.domains[domain] = domainEntry(row, 'stale', ageOf(row, now));
+  });
+  pageUrls.forEach(url => {
+    const row = cachedPages[url];
+    if (!metrics.pages[url] && row) metrics.pages[url] = pageEntry(row, 'stale', ageOf(row, now));
+  });
+
+  return metrics;
+};
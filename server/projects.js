@@ -0,0 +1,340 @@
+import { supabase } from './supabase.js';
+import { dedupeKeywords, normalizeKeyword, normalizeTags } from './keywords.js';
+
+export const KEYWORD_STATUSES = ['new', 'assigned', 'published'];
+export const MAX_PROJECT_KEYWORDS = parseInt(process.env.PROJECT_MAX_KEYWORDS || '10000', 10);
+
+const PAGE_SIZE = 1000;
+const LOOKUP_CHUNK_SIZE = 100;
+const PROJECT_COLUMNS = 'id, name, description, country, created_at, updated_at';
+const KEYWORD_COLUMNS = 'id, keyword, tags, status, assigned_to, last_decision, last_average_da, last_low_da_count, last_difficulty, last_request_id, last_analyzed_at, created_at, updated_at';
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// Validate a create/update body, returning an error message or null; `partial` allows omitted fields
+export const validateProjectBody = ({ name, description, country }, partial = false) => {
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+    return 'name must be a non-empty string';
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return 'description must be a string';
+  }
+  if (country !== undefined && (typeof country !== 'string' || !/^[A-Za-z]{2}$/.test(country))) {
+    return 'country must be a two-letter country code';
+  }
+  return null;
+};
+
+// Validate a keyword update: status, assignee and a replacement tag list
+export const validateKeywordChanges = ({ status, assigned_to, tags }) => {
+  if (status === undefined && assigned_to === undefined && tags === undefined) {
+    return 'Provide status, assigned_to or tags to update';
+  }
+  if (status !== undefined && !KEYWORD_STATUSES.includes(status)) {
+    return `status must be one of: ${KEYWORD_STATUSES.join(', ')}`;
+  }
+  if (assigned_to !== undefined && assigned_to !== null && typeof assigned_to !== 'string') {
+    return 'assigned_to must be a string';
+  }
+  if (tags !== undefined && (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string'))) {
+    return 'tags must be an array of strings';
+  }
+  return null;
+};
+
+const mapProject = ({ project_keywords, ...project }) => ({
+  ...project,
+  keywords_total: project_keywords?.[0]?.count ?? 0
+});
+
+export const listProjects = async (userId) => {
+  const { data, error } = await supabase
+    .from('keyword_projects')
+    .select(`${PROJECT_COLUMNS}, project_keywords(count)`)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return (data || []).map(mapProject);
+};
+
+// Load a project owned by the user, or null when it does not exist
+export const getProject = async (userId, projectId) => {
+  const { data, error } = await supabase
+    .from('keyword_projects')
+    .select(`${PROJECT_COLUMNS}, project_keywords(count)`)
+    .eq('id', projectId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data ? mapProject(data) : null;
+};
+
+const saveError = (error) => new Error(error.code === '23505'
+  ? 'A project with this name already exists'
+  : `Database error: ${error.message}`);
+
+export const createProject = async (userId, { name, description = null, country = 'US' }) => {
+  const { data, error } = await supabase
+    .from('keyword_projects')
+    .insert({
+      user_id: userId,
+      name: name.trim(),
+      description: description?.trim() || null,
+      country: country.toUpperCase()
+    })
+    .select(PROJECT_COLUMNS)
+    .single();
+
+  if (error) {
+    throw saveError(error);
+  }
+
+  return { ...data, keywords_total: 0 };
+};
+
+// Update a project the user owns; returns null when it does not exist
+export const updateProject = async (userId, projectId, { name, description, country }) => {
+  const values = { updated_at: new Date().toISOString() };
+  if (name !== undefined) values.name = name.trim();
+  if (description !== undefined) values.description = description?.trim() || null;
+  if (country !== undefined) values.country = country.toUpperCase();
+
+  const { data, error } = await supabase
+    .from('keyword_projects')
+    .update(values)
+    .eq('id', projectId)
+    .eq('user_id', userId)
+    .select(PROJECT_COLUMNS)
+    .maybeSingle();
+
+  if (error) {
+    throw saveError(error);
+  }
+
+  return data ? getProject(userId, projectId) : null;
+};
+
+export const deleteProject = async (userId, projectId) => {
+  const { data, error } = await supabase
+    .from('keyword_projects')
+    .delete()
+    .eq('id', projectId)
+    .eq('user_id', userId)
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return !!data;
+};
+
+// Keywords of a project in the order they were added, optionally filtered by status and tag
+export const listProjectKeywords = async (projectId, { status, tag } = {}) => {
+  const keywords = [];
+
+  for (let from = 0; from < MAX_PROJECT_KEYWORDS; from += PAGE_SIZE) {
+    let query = supabase
+      .from('project_keywords')
+      .select(KEYWORD_COLUMNS)
+      .eq('project_id', projectId)
+      .order('created_at', { ascending: true })
+      .order('keyword', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (status) query = query.in('status', Array.isArray(status) ? status : [status]);
+    if (tag) query = query.contains('tags', [normalizeKeyword(tag)]);
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    keywords.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return keywords;
+};
+
+const findKeywordRows = async (projectId, keywords) => {
+  const rows = [];
+
+  for (const keywordChunk of chunk(keywords, LOOKUP_CHUNK_SIZE)) {
+    const { data, error } = await supabase
+      .from('project_keywords')
+      .select('id, keyword, tags')
+      .eq('project_id', projectId)
+      .in('keyword', keywordChunk);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    rows.push(...(data || []));
+  }
+
+  return rows;
+};
+
+/*
+  Add { keyword, tags } rows to a project. Keywords are normalized and deduplicated; a
+  keyword that is already in the project keeps its status and results and only gains the
+  new tags. Returns { added, updated } counts, or null when the project would outgrow
+  MAX_PROJECT_KEYWORDS.
+*/
+export const addProjectKeywords = async (userId, project, rows) => {
+  const tagsByKeyword = new Map();
+  rows.forEach(({ keyword, tags }) => {
+    const [normalized] = dedupeKeywords([keyword]);
+    if (!normalized) return;
+    tagsByKeyword.set(normalized, normalizeTags([...(tagsByKeyword.get(normalized) || []), ...normalizeTags(tags)]));
+  });
+
+  const keywords = [...tagsByKeyword.keys()];
+  const existing = new Map((await findKeywordRows(project.id, keywords)).map(row => [row.keyword, row]));
+  const newKeywords = keywords.filter(keyword => !existing.has(keyword));
+
+  if (project.keywords_total + newKeywords.length > MAX_PROJECT_KEYWORDS) {
+    return null;
+  }
+
+  for (const keywordChunk of chunk(newKeywords, PAGE_SIZE)) {
+    const { error } = await supabase.from('project_keywords').insert(keywordChunk.map(keyword => ({
+      project_id: project.id,
+      user_id: userId,
+      keyword,
+      tags: tagsByKeyword.get(keyword)
+    })));
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+  }
+
+  const updatedAt = new Date().toISOString();
+  const retagged = [...existing.values()]
+    .map(row => ({ row, tags: normalizeTags([...(row.tags || []), ...tagsByKeyword.get(row.keyword)]) }))
+    .filter(({ row, tags }) => tags.length !== (row.tags || []).length);
+
+  for (const { row, tags } of retagged) {
+    const { error } = await supabase
+      .from('project_keywords')
+      .update({ tags, updated_at: updatedAt })
+      .eq('id', row.id);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+  }
+
+  console.log(`🗂️ Added ${newKeywords.length} keywords to project ${project.id}, retagged ${retagged.length}`);
+  return { added: newKeywords.length, updated: retagged.length };
+};
+
+// Apply status, assignee or tag changes to keywords picked by id or by keyword text
+export const updateProjectKeywords = async (projectId, { ids = [], keywords = [] }, { status, assigned_to, tags }) => {
+  const changes = { updated_at: new Date().toISOString() };
+  if (status !== undefined) changes.status = status;
+  if (assigned_to !== undefined) changes.assigned_to = assigned_to?.trim() || null;
+  if (tags !== undefined) changes.tags = normalizeTags(tags);
+  // Handing a keyword back to the backlog clears who it was assigned to
+  if (status === 'new' && assigned_to === undefined) changes.assigned_to = null;
+
+  const updated = [];
+  const selectors = [
+    ...chunk(ids, LOOKUP_CHUNK_SIZE).map(idChunk => ['id', idChunk]),
+    ...chunk(dedupeKeywords(keywords), LOOKUP_CHUNK_SIZE).map(keywordChunk => ['keyword', keywordChunk])
+  ];
+
+  for (const [column, selected] of selectors) {
+    const { data, error } = await supabase
+      .from('project_keywords')
+      .update(changes)
+      .eq('project_id', projectId)
+      .in(column, selected)
+      .select(KEYWORD_COLUMNS);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    updated.push(...(data || []));
+  }
+
+  return updated;
+};
+
+export const deleteProjectKeyword = async (projectId, keywordId) => {
+  const { data, error } = await supabase
+    .from('project_keywords')
+    .delete()
+    .eq('id', keywordId)
+    .eq('project_id', projectId)
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return !!data;
+};
+
+/*
+  Copy a finished analysis onto every project keyword it covered, in the user's projects for
+  the analysis country. Failed keywords keep their previous result.
+*/
+export const recordProjectResults = async ({ userId, requestId, country, results }) => {
+  const analyzed = results.filter(result => result.decision !== 'Error');
+  if (analyzed.length === 0) return;
+
+  const { data: projects, error } = await supabase
+    .from('keyword_projects')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('country', String(country).toUpperCase());
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+  if (!projects || projects.length === 0) return;
+
+  const projectIds = projects.map(project => project.id);
+
+  // One call for the whole analysis; the last result wins if a keyword appears twice
+  const byKeyword = new Map(analyzed.map(result => [normalizeKeyword(result.keyword), result]));
+  const { error: updateError } = await supabase.rpc('record_project_results', {
+    p_user_id: userId,
+    p_project_ids: projectIds,
+    p_request_id: requestId,
+    p_analyzed_at: new Date().toISOString(),
+    p_results: [...byKeyword].map(([keyword, result]) => ({
+      keyword,
+      decision: result.decision,
+      average_da: result.average_da,
+      low_da_count: result.low_da_count,
+      difficulty: result.difficulty ?? null
+    }))
+  });
+
+  if (updateError) {
+    throw new Error(`Database error: ${updateError.message}`);
+  }
+};
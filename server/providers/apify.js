@@ -0,0 +1,363 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { normalizeSerpData } from './normalize.js';
+import { fixtureFileName, FIXTURES_DIR } from './fixture.js';
+
+const APIFY_API_BASE = 'https://api.apify.com/v2';
+const SERP_ACTOR = 'scraperlink~google-search-results-serp-scraper';
+const MOZ_ACTOR = 'scrap3r~moz-da-pa-metrics';
+const MOZ_FALLBACK_ACTOR = 'apify~moz-metrics-scraper';
+
+// Terminal run statuses other than SUCCEEDED; Apify bills these runs too
+const UNSUCCESSFUL_RUN_STATUSES = ['FAILED', 'ABORTED', 'TIMED-OUT'];
+
+// The current state of an actor run, or null when the status request fails
+const getRunState = async (actor, runId, apiKey) => {
+  try {
+    const response = await fetch(`${APIFY_API_BASE}/acts/${actor}/runs/${runId}`, {
+      headers: {
+        'Authorization': `Bearer ${apiKey}`
+      }
+    });
+
+    if (!response.ok) {
+      return null;
+    }
+
+    const data = await response.json();
+    return data.data || null;
+  } catch {
+    return null;
+  }
+};
+
+// Pass the compute units and cost Apify billed for a run to the caller's ledger, whatever its outcome
+const reportUsage = async (onUsage, actor, run) => {
+  if (!onUsage || !run) return;
+
+  try {
+    await onUsage({
+      actor,
+      run_id: run.id,
+      compute_units: run.stats?.computeUnits ?? null,
+      cost_usd: run.usageTotalUsd ?? null
+    });
+  } catch (error) {
+    console.error(`❌ Failed to report usage for run ${run.id}:`, error.message);
+  }
+};
+
+// Save the raw dataset so the fixture provider can replay it offline
+const recordFixture = async (keyword, country, page, locale, serpData) => {
+  try {
+    const filePath = path.join(FIXTURES_DIR, 'serp', fixtureFileName(keyword, country, page, locale));
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(serpData, null, 2));
+    console.log(`💾 Recorded SERP fixture: ${filePath}`);
+  } catch (error) {
+    console.error(`❌ Failed to record SERP fixture for ${keyword}:`, error.message);
+  }
+};
+
+// Fetch a SERP for one keyword through the Google search results actor
+const fetchSerp = async ({ keyword, country = "US", page = 1, language = null, device = 'desktop', location = null, apiKey, onUsage }) => {
+  if (!apiKey) {
+    throw new Error('API key is required but not provided');
+  }
+  
+  console.log(`🔍 Analyzing keyword: ${keyword} with API key: ${apiKey.substring(0, 8)}...`);
+  
+  try {
+    // Step 1: Start SERP actor asynchronously
+    console.log(`📡 Starting Apify SERP API for keyword: ${keyword}`);
+    const serpResponse = await fetch(`${APIFY_API_BASE}/acts/${SERP_ACTOR}/runs`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({
+        "country": country,
+        "keyword": keyword,
+        "page": page,
+        "device": device,
+        // Unset language and location leave Google's defaults for the country
+        ...(language ? { "language": language } : {}),
+        ...(location ? { "location": location } : {})
+      })
+    });
+
+    if (!serpResponse.ok) {
+      const errorText = await serpResponse.text();
+      throw new Error(`SERP API failed: ${serpResponse.status} ${serpResponse.statusText}`);
+    }
+
+    const serpRunData = await serpResponse.json();
+    const runId = serpRunData.data?.id;
+
+    if (!runId) {
+      throw new Error('No run ID received from Apify SERP API');
+    }
+
+    // Wait for SERP run to complete
+    console.log(`⏳ Waiting for SERP run to complete...`);
+    let serpAttempts = 0;
+    const maxSerpAttempts = 60; // Wait up to 5 minutes
+
+    while (serpAttempts < maxSerpAttempts) {
+      await new Promise(resolve => setTimeout(resolve, 5000)); // Wait 5 seconds
+      serpAttempts++;
+
+      const runState = await getRunState(SERP_ACTOR, runId, apiKey);
+
+      if (!runState) {
+        continue;
+      }
+
+      if (runState.status === 'SUCCEEDED') {
+        console.log(`✅ SERP run completed successfully`);
+        break;
+      } else if (UNSUCCESSFUL_RUN_STATUSES.includes(runState.status)) {
+        await reportUsage(onUsage, SERP_ACTOR, runState);
+        throw new Error(`SERP run ${runState.status.toLowerCase()}: ${runState.meta?.errorMessage || 'Unknown error'}`);
+      }
+    }
+
+    if (serpAttempts >= maxSerpAttempts) {
+      // The run may still be going; report what it has been billed so far
+      await reportUsage(onUsage, SERP_ACTOR, await getRunState(SERP_ACTOR, runId, apiKey));
+      throw new Error('SERP run timed out after 5 minutes');
+    }
+
+    // Get dataset ID from completed run
+    const finalStatusResponse = await fetch(`${APIFY_API_BASE}/acts/${SERP_ACTOR}/runs/${runId}`, {
+      headers: {
+        'Authorization': `Bearer ${apiKey}`
+      }
+    });
+
+    const finalStatusData = await finalStatusResponse.json();
+    const datasetId = finalStatusData.data?.defaultDatasetId;
+    await reportUsage(onUsage, SERP_ACTOR, finalStatusData.data);
+
+    if (!datasetId) {
+      throw new Error('No dataset ID received from completed Apify SERP run');
+    }
+
+    // Wait for dataset to populate
+    await new Promise(resolve => setTimeout(resolve, 20000)); // Wait 20 seconds
+
+    // Poll dataset until we have results
+    let serpData = null;
+    let datasetAttempts = 0;
+    const maxDatasetAttempts = 60;
+
+    while (datasetAttempts < maxDatasetAttempts) {
+      const serpResultsResponse = await fetch(`${APIFY_API_BASE}/datasets/${datasetId}/items`, {
+        headers: {
+          'Authorization': `Bearer ${apiKey}`
+        }
+      });
+
+      if (!serpResultsResponse.ok) {
+        await new Promise(resolve => setTimeout(resolve, 5000));
+        datasetAttempts++;
+        continue;
+      }
+
+      serpData = await serpResultsResponse.json();
+
+      if (serpData && serpData.length > 0) {
+        console.log(`✅ SERP results received: ${serpData.length} items`);
+        break;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 5000));
+      datasetAttempts++;
+    }
+
+    if (!serpData || serpData.length === 0) {
+      throw new Error('SERP dataset is empty after 5 minutes of polling');
+    }
+
+    if (process.env.RECORD_SERP_FIXTURES === 'true') {
+      await recordFixture(keyword, country, page, { language, device, location }, serpData);
+    }
+
+    return normalizeSerpData(serpData, keyword, 'Apify');
+
+  } catch (error) {
+    console.error(`❌ Apify API error for ${keyword}:`, error.message);
+    
+    if (error.message.includes('401')) {
+      throw new Error('Invalid API key - please check your Apify API key');
+    } else if (error.message.includes('429')) {
+      throw new Error('Rate limit exceeded - API key may be out of credits');
+    } else if (error.message.includes('404')) {
+      throw new Error('Apify actor not found - please check actor configuration');
+    } else {
+      throw new Error(`Apify API error: ${error.message}`);
+    }
+  }
+};
+
+// Fetch DA/PA/spam score for a batch of URLs through the Moz metrics actor.
+// Returns a lookup keyed by the domain (or URL) the actor reports.
+const fetchDomainMetrics = async ({ urls, apiKey, onUsage }) => {
+  const domainMetrics = {};
+
+  // Start Moz Metrics actor for all domains at once
+  let metricsActor = MOZ_ACTOR;
+  console.log(`🔍 Using Moz actor: ${metricsActor}`);
+  console.log(`🔍 Domains to analyze:`, urls.slice(0, 5), `... (${urls.length} total)`);
+  
+  // Try the primary Moz actor first (the one you're using in make.com)
+  let metricsResponse = await fetch(`${APIFY_API_BASE}/acts/${MOZ_ACTOR}/runs`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    },
+    body: JSON.stringify({
+      "url": urls,
+      "maxRequestRetries": 3,
+      "maxConcurrency": 5
+    })
+  });
+
+  if (!metricsResponse.ok) {
+    const errorText = await metricsResponse.text();
+    console.log(`❌ Primary Moz actor failed: ${metricsResponse.status} ${metricsResponse.statusText}`);
+    console.log(`🔍 Error details:`, errorText);
+  
+    // Try fallback Moz actor
+    console.log(`🔄 Trying fallback Moz actor: ${MOZ_FALLBACK_ACTOR}`);
+    const fallbackResponse = await fetch(`${APIFY_API_BASE}/acts/${MOZ_FALLBACK_ACTOR}/runs`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({
+        "url": urls,
+        "maxRequestRetries": 3,
+        "maxConcurrency": 5
+      })
+    });
+  
+    if (!fallbackResponse.ok) {
+      throw new Error(`Both Moz actors failed. Primary: ${metricsResponse.status}, Fallback: ${fallbackResponse.status}`);
+    }
+  
+    metricsResponse = fallbackResponse;
+    metricsActor = MOZ_FALLBACK_ACTOR;
+    console.log(`✅ Using fallback Moz actor`);
+  }
+
+  const metricsRunData = await metricsResponse.json();
+  const metricsRunId = metricsRunData.data?.id;
+
+  if (!metricsRunId) {
+    throw new Error('No run ID received from Moz Metrics API');
+  }
+
+  // Wait for Moz Metrics run to complete (with timeout)
+  console.log(`⏳ Waiting for Moz Metrics run to complete...`);
+  let metricsRunAttempts = 0;
+  const maxMetricsRunAttempts = 30; // Reduced timeout to 2.5 minutes
+
+  while (metricsRunAttempts < maxMetricsRunAttempts) {
+    await new Promise(resolve => setTimeout(resolve, 5000));
+    metricsRunAttempts++;
+
+    const metricsRunState = await getRunState(metricsActor, metricsRunId, apiKey);
+
+    if (!metricsRunState) {
+      continue;
+    }
+
+    if (metricsRunState.status === 'SUCCEEDED') {
+      console.log(`✅ Moz Metrics run completed successfully`);
+      break;
+    } else if (UNSUCCESSFUL_RUN_STATUSES.includes(metricsRunState.status)) {
+      await reportUsage(onUsage, metricsActor, metricsRunState);
+      throw new Error(`Moz Metrics run ${metricsRunState.status.toLowerCase()}: ${metricsRunState.meta?.errorMessage || 'Unknown error'}`);
+    }
+  }
+
+  if (metricsRunAttempts >= maxMetricsRunAttempts) {
+    // The run may still be going; report what it has been billed so far
+    await reportUsage(onUsage, metricsActor, await getRunState(metricsActor, metricsRunId, apiKey));
+    throw new Error('Moz Metrics run timed out after 2.5 minutes');
+  }
+
+  // Get Moz results
+  const finalMetricsStatusResponse = await fetch(`${APIFY_API_BASE}/acts/${metricsActor}/runs/${metricsRunId}`, {
+    headers: {
+      'Authorization': `Bearer ${apiKey}`
+    }
+  });
+
+  const finalMetricsStatusData = await finalMetricsStatusResponse.json();
+  const metricsDatasetId = finalMetricsStatusData.data?.defaultDatasetId;
+  await reportUsage(onUsage, metricsActor, finalMetricsStatusData.data);
+
+  if (!metricsDatasetId) {
+    throw new Error('No dataset ID received from completed Moz Metrics run');
+  }
+
+  // Wait for dataset to populate
+  await new Promise(resolve => setTimeout(resolve, 10000)); // Reduced wait time
+
+  // Get Moz results
+  const mozResultsResponse = await fetch(`${APIFY_API_BASE}/datasets/${metricsDatasetId}/items`, {
+    headers: {
+      'Authorization': `Bearer ${apiKey}`
+    }
+  });
+
+  if (!mozResultsResponse.ok) {
+    throw new Error(`Failed to fetch Moz results: ${mozResultsResponse.status}`);
+  }
+
+  const mozResults = await mozResultsResponse.json();
+  
+  console.log(`🔍 Raw Moz results:`, JSON.stringify(mozResults.slice(0, 2), null, 2));
+  console.log(`🔍 Total Moz results received:`, mozResults.length);
+  
+  // Create domain metrics lookup with better field detection
+  mozResults.forEach(item => {
+    console.log(`🔍 Processing Moz item:`, {
+      domain: item.domain,
+      url: item.url,
+      has_da: item.domain_authority !== undefined,
+      has_pa: item.page_authority !== undefined,
+      has_spam: item.spam_score !== undefined,
+      da_value: item.domain_authority,
+      pa_value: item.page_authority,
+      spam_value: item.spam_score
+    });
+  
+    // Moz actor returns 'domain' field, not 'url'
+    const domainKey = item.domain || item.url;
+  
+    if (domainKey && item.domain_authority !== undefined) {
+      domainMetrics[domainKey] = {
+        domain_authority: item.domain_authority ?? null,
+        page_authority: item.page_authority ?? null,
+        spam_score: item.spam_score ?? null
+      };
+      console.log(`✅ Added metrics for ${domainKey}: DA=${item.domain_authority}, PA=${item.page_authority}, Spam=${item.spam_score}`);
+    } else {
+      console.log(`⚠️ Skipping item - missing domain or DA data:`, item);
+    }
+  });
+
+  return domainMetrics;
+};
+
+export const apifyProvider = {
+  name: 'apify',
+  fetchSerp,
+  fetchDomainMetrics
+};
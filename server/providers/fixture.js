@@ -0,0 +1,104 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { normalizeSerpData } from './normalize.js';
+import { canonicalHost } from '../domains.js';
+
+export const FIXTURES_DIR = process.env.SERP_FIXTURES_DIR
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+const FIXTURE_LATENCY_MS = parseInt(process.env.FIXTURE_LATENCY_MS || '0', 10);
+
+const slugify = (value) => value
+  .toLowerCase()
+  .trim()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// File name for a recorded SERP; country/page are optional so hand-written fixtures can stay generic.
+// A non-default language, device or location is part of the name so locales do not overwrite each other.
+export const fixtureFileName = (keyword, country, page, { language = null, device = 'desktop', location = null } = {}) => {
+  const slug = slugify(keyword) || 'keyword';
+  if (!country) return `${slug}.json`;
+
+  const variant = [language, device === 'desktop' ? null : device, location && slugify(location)].filter(Boolean).join('-');
+  return `${slug}--${country.toLowerCase()}${variant ? `-${variant}` : ''}-p${page || 1}.json`;
+};
+
+const readJson = async (filePath) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Invalid fixture ${path.basename(filePath)}: ${error.message}`);
+  }
+};
+
+const simulateLatency = () => FIXTURE_LATENCY_MS > 0
+  ? new Promise(resolve => setTimeout(resolve, FIXTURE_LATENCY_MS))
+  : Promise.resolve();
+
+// Replay a stored SERP: most specific file (locale, then country and page) first, then the keyword file, then default.json.
+// The default fixture may use {{keyword}} and {{keyword_slug}} placeholders.
+const fetchSerp = async ({ keyword, country = "US", page = 1, language = null, device = 'desktop', location = null }) => {
+  await simulateLatency();
+
+  const serpDir = path.join(FIXTURES_DIR, 'serp');
+  const candidates = [...new Set([
+    fixtureFileName(keyword, country, page, { language, device, location }),
+    fixtureFileName(keyword, country, page),
+    fixtureFileName(keyword)
+  ])];
+
+  for (const fileName of candidates) {
+    const serpData = await readJson(path.join(serpDir, fileName));
+    if (serpData) {
+      console.log(`📼 Replaying SERP fixture ${fileName} for: ${keyword}`);
+      return normalizeSerpData(serpData, keyword, 'fixture');
+    }
+  }
+
+  const template = await readJson(path.join(serpDir, 'default.json'));
+  if (!template) {
+    throw new Error(`No SERP fixture found for "${keyword}" in ${serpDir}`);
+  }
+
+  console.log(`📼 Replaying default SERP fixture for: ${keyword}`);
+  const serpData = JSON.parse(JSON.stringify(template)
+    .replaceAll('{{keyword_slug}}', slugify(keyword))
+    .replaceAll('{{keyword}}', keyword.replace(/["\\]/g, '')));
+  return normalizeSerpData(serpData, keyword, 'fixture');
+};
+
+// Stable pseudo-random metrics so unknown domains get the same scores on every run
+const syntheticMetrics = (host) => {
+  const hash = crypto.createHash('sha1').update(host).digest();
+  return {
+    domain_authority: 5 + (hash[0] % 90),
+    page_authority: 5 + (hash[1] % 70),
+    spam_score: hash[2] % 30
+  };
+};
+
+// Look up metrics by host in metrics.json, keyed by the URL the pipeline passed in
+const fetchDomainMetrics = async ({ urls }) => {
+  await simulateLatency();
+
+  const knownMetrics = (await readJson(path.join(FIXTURES_DIR, 'metrics.json'))) || {};
+  const domainMetrics = {};
+
+  urls.forEach(url => {
+    const host = canonicalHost(url) || url;
+    domainMetrics[url] = knownMetrics[host] || syntheticMetrics(host);
+  });
+
+  console.log(`📼 Replayed fixture metrics for ${urls.length} URLs`);
+  return domainMetrics;
+};
+
+export const fixtureProvider = {
+  name: 'fixture',
+  fetchSerp,
+  fetchDomainMetrics
+};
@@ -0,0 +1,79 @@
+import { apifyProvider } from './apify.js';
+import { fixtureProvider } from './fixture.js';
+
+/*
+  SERP providers share one interface so the pipeline does not care where data comes from:
+
+    fetchSerp({ keyword, country, page, language, device, location, apiKey, onUsage })
+      -> { keyword, results, serp_features, knowledge_panel }
+    fetchDomainMetrics({ urls, apiKey, onUsage })
+      -> { [url or domain]: { domain_authority, page_authority, spam_score } }
+
+  language and location are null for Google's defaults in the country; device is desktop or
+  mobile. Providers that cannot target a locale option should ignore it.
+
+  Metrics may be keyed by the requested URL or by a bare domain, whichever the upstream
+  reports; metrics.js normalizes the keys. Unknown values are null, never 0.
+
+  Providers that bill per run call onUsage({ actor, run_id, compute_units, cost_usd }) once per run.
+
+  The provider is selected per key by `api_keys.provider`.
+*/
+const providers = {
+  [apifyProvider.name]: apifyProvider,
+  [fixtureProvider.name]: fixtureProvider
+};
+
+export const SERP_PROVIDERS = Object.keys(providers);
+
+export const getSerpProvider = (name = 'apify') => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SERP provider: ${name}`);
+  }
+  return provider;
+};
+
+// Google stops paginating well before this, but a provider could keep returning pages
+const MAX_MERGED_RESULTS = 100;
+
+/*
+  Fetch pages 1..depth (or just `page` when depth is 1) and merge them into one continuous
+  ranking: positions run on across pages, URLs repeated on a later page are dropped and the
+  list is capped at the top 100. Related keywords and the knowledge panel come from the first
+  page. A later page that fails ends the ranking early instead of failing the keyword.
+*/
+export const fetchSerpPages = async (provider, { depth = 1, page = 1, ...params }) => {
+  if (depth <= 1) {
+    return provider.fetchSerp({ ...params, page });
+  }
+
+  const first = await provider.fetchSerp({ ...params, page: 1 });
+  const seen = new Set();
+  const results = [];
+  const addPage = (pageResults) => {
+    [...(pageResults || [])]
+      .sort((a, b) => a.position - b.position)
+      .forEach(result => {
+        if (results.length >= MAX_MERGED_RESULTS || !result.url || seen.has(result.url)) return;
+        seen.add(result.url);
+        results.push({ ...result, position: results.length + 1 });
+      });
+  };
+  addPage(first.results);
+
+  for (let nextPage = 2; nextPage <= depth && results.length < MAX_MERGED_RESULTS; nextPage++) {
+    try {
+      const { results: pageResults } = await provider.fetchSerp({ ...params, page: nextPage });
+      const before = results.length;
+      addPage(pageResults);
+      if (results.length === before) break;
+    } catch (error) {
+      console.log(`⚠️ Stopping at page ${nextPage - 1} for ${params.keyword}: ${error.message}`);
+      break;
+    }
+  }
+
+  console.log(`📄 Merged ${results.length} results from up to ${depth} pages for: ${params.keyword}`);
+  return { ...first, results };
+};
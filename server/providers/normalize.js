@@ -0,0 +1,53 @@
+// Normalize a raw SERP dataset (Apify dataset items or a single item) into the
+// { keyword, results, serp_features, knowledge_panel } shape the pipeline consumes
+export const normalizeSerpData = (serpData, keyword, source = 'Apify') => {
+  // Parse SERP data
+  let serpResults = [];
+  let searchTerm = '';
+  let knowledgePanel = null;
+  let relatedKeywords = [];
+  
+  if (Array.isArray(serpData) && serpData.length > 0) {
+    const firstItem = serpData[0];
+    serpResults = firstItem.results || [];
+    searchTerm = firstItem.search_term || keyword;
+    knowledgePanel = firstItem.knowledge_panel || null;
+    relatedKeywords = firstItem.related_keywords?.keywords || [];
+  } else if (serpData.results && Array.isArray(serpData.results)) {
+    serpResults = serpData.results;
+    searchTerm = serpData.search_term || keyword;
+    knowledgePanel = serpData.knowledge_panel || null;
+    relatedKeywords = serpData.related_keywords?.keywords || [];
+  } else {
+    throw new Error(`Unexpected SERP data structure received from ${source}`);
+  }
+
+  // Extract URLs from SERP results
+  const urls = serpResults.map(result => result.url).filter(url => url);
+  
+  if (urls.length === 0) {
+    throw new Error('No URLs found in SERP results');
+  }
+
+  // Process SERP results (Moz analysis will be done in batch later)
+  const processedResults = serpResults.map((result, index) => {
+    return {
+      position: result.position || index + 1,
+      url: result.url,
+      title: result.title,
+      description: result.description,
+      domain_authority: 0, // Will be filled in batch processing
+      page_authority: 0,   // Will be filled in batch processing
+      spam_score: 0        // Will be filled in batch processing
+    };
+  });
+  
+  console.log(`✅ Processed ${processedResults.length} SERP results for: ${keyword}`);
+  
+  return {
+    keyword: keyword,
+    results: processedResults,
+    serp_features: relatedKeywords,
+    knowledge_panel: knowledgePanel
+  };
+};
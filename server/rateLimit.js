@@ -0,0 +1,120 @@
+import { supabase } from './supabase.js';
+
+// The defaults fit everything the old per-IP limit of 10 requests a minute let through,
+// including 10 full 30-keyword requests, with headroom for smaller ones
+const REQUESTS_PER_MINUTE = parseInt(process.env.RATE_LIMIT_REQUESTS_PER_MINUTE || '30', 10);
+const KEYWORDS_PER_MINUTE = parseInt(process.env.RATE_LIMIT_KEYWORDS_PER_MINUTE || '300', 10);
+const READS_PER_MINUTE = parseInt(process.env.RATE_LIMIT_READS_PER_MINUTE || '120', 10);
+// Account-wide keyword cap per UTC day; 0 disables it
+const KEYWORDS_PER_DAY = parseInt(process.env.RATE_LIMIT_KEYWORDS_PER_DAY || '0', 10);
+
+const MINUTE = 60;
+const DAY = 24 * 60 * 60;
+
+// Limits are tracked per webhook token when one was used, otherwise per user
+const getSubject = (req) => req.auth?.token ? `token:${req.auth.token.id}` : `user:${req.user.id}`;
+
+// The limits that apply to a request: [{ name, windowSeconds, limit, cost }]
+const getLimits = (kind, req) => {
+  if (kind === 'read') {
+    return [{ name: 'reads', windowSeconds: MINUTE, limit: READS_PER_MINUTE, cost: 1 }];
+  }
+
+  // Endpoints that discover keywords as they go reserve their keyword budget up front
+  const keywordCount = req.keywordCost ?? (Array.isArray(req.body?.keywords) ? req.body.keywords.length : 0);
+  const limits = [{ name: 'requests', windowSeconds: MINUTE, limit: REQUESTS_PER_MINUTE, cost: 1 }];
+
+  // Bulk runs are paced by their batch loop, so only the daily keyword caps apply to them
+  if (kind === 'analyze') {
+    limits.push({ name: 'keywords', windowSeconds: MINUTE, limit: KEYWORDS_PER_MINUTE, cost: keywordCount });
+  }
+
+  if (KEYWORDS_PER_DAY > 0) {
+    limits.push({ name: 'keywords-day', windowSeconds: DAY, limit: KEYWORDS_PER_DAY, cost: keywordCount });
+  }
+
+  const tokenQuota = req.auth?.token?.daily_keyword_quota;
+  if (tokenQuota) {
+    limits.push({ name: 'token-keywords-day', windowSeconds: DAY, limit: tokenQuota, cost: keywordCount });
+  }
+
+  return limits;
+};
+
+const bucketName = (subject, { name, windowSeconds }) => `${subject}:${name}:${windowSeconds}`;
+
+// Consume every limit in one call: either all of them are charged or, when any is exhausted, none are
+const consume = async (subject, limits) => {
+  const { data, error } = await supabase.rpc('consume_rate_limits', {
+    p_limits: limits.map(limit => ({
+      bucket: bucketName(subject, limit),
+      window_seconds: limit.windowSeconds,
+      cost: limit.cost,
+      limit: limit.limit
+    }))
+  });
+
+  if (error) {
+    throw new Error(`Rate limit error: ${error.message}`);
+  }
+
+  return limits.map(({ name, windowSeconds, limit }) => {
+    const row = (data || []).find(counter => counter.bucket === bucketName(subject, { name, windowSeconds }));
+    const resetAt = new Date(row.window_start).getTime() + windowSeconds * 1000;
+
+    return {
+      name,
+      limit,
+      allowed: row.allowed,
+      remaining: Math.max(limit - row.hits, 0),
+      resetAt
+    };
+  });
+};
+
+const setRateLimitHeaders = (res, state) => {
+  const retryAfter = state.allowed ? 0 : Math.max(Math.ceil((state.resetAt - Date.now()) / 1000), 1);
+
+  res.set({
+    'X-RateLimit-Limit': String(state.limit),
+    'X-RateLimit-Remaining': String(state.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(state.resetAt / 1000)),
+    'Retry-After': String(retryAfter)
+  });
+};
+
+/*
+  Fixed-window rate limiting stored in Postgres, so counts survive restarts and are shared
+  between instances. `kind` is 'analyze' (requests and keywords), 'bulk' (requests and
+  daily keyword caps, for uploaded lists) or 'read' (polling and account settings).
+  The headers describe the first exhausted limit, or else the one closest to running out.
+  X-RateLimit-Reset is the Unix time in seconds when that window ends.
+*/
+export const rateLimit = (kind) => async (req, res, next) => {
+  let states;
+
+  try {
+    states = await consume(getSubject(req), getLimits(kind, req));
+  } catch (error) {
+    // Fail open: a broken limiter should not take the API down with it
+    console.error('❌ Rate limiter unavailable:', error.message);
+    return next();
+  }
+
+  const rejected = states.find(state => !state.allowed);
+  const reported = rejected || states.reduce((closest, state) => (
+    state.remaining / state.limit < closest.remaining / closest.limit ? state : closest
+  ));
+
+  setRateLimitHeaders(res, reported);
+
+  if (rejected) {
+    console.log(`⛔ Rate limit '${rejected.name}' exceeded for ${getSubject(req)}`);
+    return res.status(429).json({
+      error: 'Too many requests',
+      message: `Rate limit exceeded (${rejected.name}: ${rejected.limit} per window). Please try again later.`
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,378 @@
+import { supabase } from './supabase.js';
+import { RESULT_TYPES, SEARCH_INTENTS } from './classifier.js';
+
+// Forum and user-generated content sites; their presence in a SERP usually means a gap worth writing for
+export const UGC_DOMAINS = [
+  'reddit.com',
+  'quora.com',
+  'stackexchange.com',
+  'stackoverflow.com',
+  'medium.com',
+  'tumblr.com',
+  'tripadvisor.com',
+  'answers.yahoo.com',
+  'warriorforum.com',
+  'facebook.com',
+  'linkedin.com'
+];
+
+const METRICS = ['da', 'pa', 'spam_score', 'ugc', 'result_type'];
+// Label metrics are matched against a label (or list of labels) instead of compared as numbers
+const LABEL_METRICS = { result_type: RESULT_TYPES };
+const CONDITION_TYPES = ['count', 'average', 'intent'];
+const OPERATORS = ['AND', 'OR'];
+const COMPARATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b
+};
+const MAX_RULE_DEPTH = 5;
+const RULE_PROFILE_COLUMNS = 'id, name, description, definition, is_default, created_at, updated_at';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const getHost = (url) => {
+  try {
+    return new URL(url.includes('://') ? url : `https://${url}`).hostname.replace(/^www\./, '');
+  } catch {
+    return String(url || '').toLowerCase();
+  }
+};
+
+export const isUgcUrl = (url, extraDomains = []) => {
+  const host = getHost(url);
+  const ugcDomains = [...UGC_DOMAINS, ...extraDomains];
+  return ugcDomains.some(domain => host === domain || host.endsWith(`.${domain}`))
+    || /^(forum|forums|community|discuss)\./.test(host)
+    || /\/(forum|forums|community|threads?)\//.test(String(url).toLowerCase());
+};
+
+// Turn the legacy x/y/z Write/Skip config into an equivalent rule definition
+export const legacyRuleDefinition = ({ x, y, z }) => ({
+  operator: 'AND',
+  conditions: [
+    {
+      label: `At least ${x} of the top ${y} results have DA below ${z}`,
+      type: 'count',
+      metric: 'da',
+      comparator: '<',
+      value: z,
+      positions: { from: 1, to: y },
+      min_count: x
+    }
+  ]
+});
+
+const labelsOf = (value) => Array.isArray(value) ? value : [value];
+
+const validateLabels = (value, allowed, path) => {
+  const labels = labelsOf(value);
+  if (labels.length === 0 || labels.some(label => !allowed.includes(label))) {
+    return `${path}.value must be one or a list of: ${allowed.join(', ')}`;
+  }
+  return null;
+};
+
+const validateCondition = (condition, path) => {
+  if (!CONDITION_TYPES.includes(condition.type)) {
+    return `${path}.type must be one of: ${CONDITION_TYPES.join(', ')}`;
+  }
+  if (condition.type === 'intent') {
+    return validateLabels(condition.value, SEARCH_INTENTS, path);
+  }
+  if (!METRICS.includes(condition.metric)) {
+    return `${path}.metric must be one of: ${METRICS.join(', ')}`;
+  }
+  if (LABEL_METRICS[condition.metric]) {
+    if (condition.type === 'average') {
+      return `${path}.metric ${condition.metric} only supports count conditions`;
+    }
+    const error = validateLabels(condition.value, LABEL_METRICS[condition.metric], path);
+    if (error) return error;
+  } else if (condition.metric !== 'ugc' || condition.type === 'average') {
+    if (!(condition.comparator in COMPARATORS)) {
+      return `${path}.comparator must be one of: ${Object.keys(COMPARATORS).join(' ')}`;
+    }
+    if (typeof condition.value !== 'number') {
+      return `${path}.value must be a number`;
+    }
+  }
+  if (condition.positions !== undefined) {
+    const { from = 1, to = Infinity } = condition.positions;
+    if (!Number.isInteger(from) || from < 1 || (to !== Infinity && (!Number.isInteger(to) || to < from))) {
+      return `${path}.positions must be { from, to } with 1 <= from <= to`;
+    }
+  }
+  if (condition.type === 'count') {
+    const { min_count: min, max_count: max } = condition;
+    if (min === undefined && max === undefined) {
+      return `${path} needs min_count or max_count`;
+    }
+    if ((min !== undefined && (!Number.isInteger(min) || min < 0)) || (max !== undefined && (!Number.isInteger(max) || max < 0))) {
+      return `${path}.min_count and max_count must be non-negative integers`;
+    }
+  }
+  return null;
+};
+
+// Validate a rule definition (nested AND/OR groups of conditions); returns an error message or null
+export const validateRuleDefinition = (rule, path = 'rule', depth = 0) => {
+  if (!rule || typeof rule !== 'object') {
+    return `${path} must be an object`;
+  }
+  if (depth > MAX_RULE_DEPTH) {
+    return `${path} is nested more than ${MAX_RULE_DEPTH} levels deep`;
+  }
+  if (!OPERATORS.includes(rule.operator)) {
+    return `${path}.operator must be AND or OR`;
+  }
+  if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+    return `${path}.conditions must be a non-empty array`;
+  }
+  if (rule.ugc_domains !== undefined && (!Array.isArray(rule.ugc_domains) || rule.ugc_domains.some(d => typeof d !== 'string'))) {
+    return `${path}.ugc_domains must be an array of domains`;
+  }
+
+  for (let i = 0; i < rule.conditions.length; i++) {
+    const child = rule.conditions[i];
+    const childPath = `${path}.conditions[${i}]`;
+    const error = child && child.operator
+      ? validateRuleDefinition(child, childPath, depth + 1)
+      : validateCondition(child || {}, childPath);
+    if (error) return error;
+  }
+
+  return null;
+};
+
+const describeCondition = (condition) => {
+  if (condition.label) return condition.label;
+
+  if (condition.type === 'intent') {
+    return `Search intent is ${labelsOf(condition.value).join(' or ')}`;
+  }
+
+  const { from = 1, to } = condition.positions || {};
+  const range = to ? `positions ${from}-${to}` : (from > 1 ? `positions ${from}+` : 'all results');
+
+  if (condition.type === 'average') {
+    return `Average ${condition.metric} ${condition.comparator} ${condition.value} across ${range}`;
+  }
+
+  const subject = condition.metric === 'ugc'
+    ? 'forum/UGC results'
+    : LABEL_METRICS[condition.metric]
+      ? `${labelsOf(condition.value).join('/')} results`
+      : `results with ${condition.metric} ${condition.comparator} ${condition.value}`;
+  const bounds = [
+    condition.min_count !== undefined ? `at least ${condition.min_count}` : null,
+    condition.max_count !== undefined ? `at most ${condition.max_count}` : null
+  ].filter(Boolean).join(' and ');
+
+  const text = `${bounds} ${subject} in ${range}`;
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+// Intent conditions look at the keyword, not at its results
+const evaluateIntentCondition = (condition, intent) => {
+  const expected = labelsOf(condition.value);
+  return {
+    label: describeCondition(condition),
+    passed: intent !== null && expected.includes(intent),
+    actual: intent,
+    expected: expected.join(' or ')
+  };
+};
+
+// Results without a value for the metric never match and are reported as missing
+const evaluateCondition = (condition, rows, intent) => {
+  if (condition.type === 'intent') {
+    return evaluateIntentCondition(condition, intent);
+  }
+
+  const { from = 1, to = Infinity } = condition.positions || {};
+  const inRange = rows.filter(row => row.position >= from && row.position <= to);
+  const known = inRange.filter(row => row[condition.metric] !== null);
+  const missing = inRange.filter(row => row[condition.metric] === null).map(row => row.position);
+  const compare = COMPARATORS[condition.comparator];
+
+  if (condition.type === 'average') {
+    const actual = known.length
+      ? Math.round((known.reduce((sum, row) => sum + row[condition.metric], 0) / known.length) * 10) / 10
+      : null;
+    return {
+      label: describeCondition(condition),
+      passed: actual !== null && compare(actual, condition.value),
+      actual,
+      expected: `${condition.comparator} ${condition.value}`,
+      ...(missing.length ? { missing_positions: missing } : {})
+    };
+  }
+
+  const matches = LABEL_METRICS[condition.metric]
+    ? known.filter(row => labelsOf(condition.value).includes(row[condition.metric]))
+    : condition.metric === 'ugc' && !compare
+      ? known.filter(row => row.ugc === 1)
+      : known.filter(row => compare(row[condition.metric], condition.value));
+  const actual = matches.length;
+  const passed = (condition.min_count === undefined || actual >= condition.min_count)
+    && (condition.max_count === undefined || actual <= condition.max_count);
+
+  return {
+    label: describeCondition(condition),
+    passed,
+    actual,
+    expected: [
+      condition.min_count !== undefined ? `>= ${condition.min_count}` : null,
+      condition.max_count !== undefined ? `<= ${condition.max_count}` : null
+    ].filter(Boolean).join(' and '),
+    matched_positions: matches.map(row => row.position),
+    ...(missing.length ? { missing_positions: missing } : {})
+  };
+};
+
+const evaluateGroup = (rule, rows, intent) => {
+  const conditions = rule.conditions.map(child => (
+    child.operator ? evaluateGroup(child, rows, intent) : evaluateCondition(child, rows, intent)
+  ));
+  const passed = rule.operator === 'AND'
+    ? conditions.every(c => c.passed)
+    : conditions.some(c => c.passed);
+
+  return { operator: rule.operator, passed, conditions };
+};
+
+/*
+  Score one keyword's SERP against a rule definition.
+  `results` are { position, url, da, pa, spam_score, result_type } rows, with null for missing metrics, and
+  `intent` is the keyword's classified search intent. Returns the Write/Skip decision and
+  an explanation tree with every condition's pass/fail state and measured value.
+*/
+export const evaluateRules = (rule, results, { intent = null } = {}) => {
+  const rows = results.map(result => ({
+    position: result.position,
+    da: result.da ?? null,
+    pa: result.pa ?? null,
+    spam_score: result.spam_score ?? null,
+    ugc: isUgcUrl(result.url, rule.ugc_domains) ? 1 : 0,
+    result_type: result.result_type ?? null
+  }));
+
+  const explanation = evaluateGroup(rule, rows, intent);
+  return { decision: explanation.passed ? 'Write' : 'Skip', explanation };
+};
+
+// An x/y/z config the caller actually sent; omitted configs are stored as {}
+export const hasExplicitWriteSkipConfig = (writeSkipConfig) => !!writeSkipConfig && Object.keys(writeSkipConfig).length > 0;
+
+/*
+  Resolve the rule profile for a request: by name or id when one is given, otherwise the
+  user's default profile. An explicit x/y/z `writeSkipConfig` wins over the default profile,
+  so integrations that send one keep their decisions. Returns null when there is no match;
+  with no profile the legacy x/y/z rule applies.
+*/
+export const resolveRuleProfile = async (userId, profileRef, { writeSkipConfig } = {}) => {
+  if (!profileRef && hasExplicitWriteSkipConfig(writeSkipConfig)) {
+    return null;
+  }
+
+  let query = supabase
+    .from('rule_profiles')
+    .select(RULE_PROFILE_COLUMNS)
+    .eq('user_id', userId);
+
+  if (profileRef) {
+    query = query.eq(UUID_PATTERN.test(profileRef) ? 'id' : 'name', profileRef);
+  } else {
+    query = query.eq('is_default', true);
+  }
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+export const listRuleProfiles = async (userId) => {
+  const { data, error } = await supabase
+    .from('rule_profiles')
+    .select(RULE_PROFILE_COLUMNS)
+    .eq('user_id', userId)
+    .order('name', { ascending: true });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data || [];
+};
+
+// Make a saved profile the user's only default; the RPC swaps the old default out atomically
+const setDefaultProfile = async (userId, profileId) => {
+  const { error } = await supabase.rpc('set_default_rule_profile', {
+    p_user_id: userId,
+    p_profile_id: profileId
+  });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+};
+
+/*
+  Create a profile, or update it when profileId is given; returns null if the user does not
+  own profileId. `is_default` is only changed when given, and the previous default is only
+  cleared once the profile itself has been written.
+*/
+export const saveRuleProfile = async (userId, { name, description = null, definition, is_default }, profileId = null) => {
+  const values = {
+    name,
+    description,
+    definition,
+    updated_at: new Date().toISOString()
+  };
+
+  if (is_default === false) {
+    values.is_default = false;
+  }
+
+  const query = profileId
+    ? supabase.from('rule_profiles').update(values).eq('id', profileId).eq('user_id', userId)
+    : supabase.from('rule_profiles').insert({ ...values, user_id: userId });
+
+  const { data, error } = await query.select(RULE_PROFILE_COLUMNS).maybeSingle();
+
+  if (error?.code === '23505') {
+    throw Object.assign(new Error(`A rule profile named '${name}' already exists`), { status: 409 });
+  }
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  if (!data || !is_default || data.is_default) {
+    return data;
+  }
+
+  await setDefaultProfile(userId, data.id);
+  return { ...data, is_default: true };
+};
+
+export const deleteRuleProfile = async (userId, profileId) => {
+  const { data, error } = await supabase
+    .from('rule_profiles')
+    .delete()
+    .eq('id', profileId)
+    .eq('user_id', userId)
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return !!data;
+};
@@ -0,0 +1,339 @@
+import cronParser from 'cron-parser';
+import { v4 as uuidv4 } from 'uuid';
+import { supabase } from './supabase.js';
+import { createAnalysisLog, markAnalysisFailed, prepareAnalysis, runSerpAnalysis } from './analysis.js';
+import { validateLocaleOptions } from './locales.js';
+import { hasExplicitWriteSkipConfig, resolveRuleProfile } from './rules.js';
+
+export const MISSED_RUN_POLICIES = ['skip', 'run_once'];
+
+// How often due schedules are checked
+const SCHEDULER_POLL_MS = parseFloat(process.env.SCHEDULER_POLL_SECONDS || '60') * 1000;
+// A run that starts later than this after its slot counts as missed
+const MISSED_RUN_GRACE_MS = parseFloat(process.env.SCHEDULER_MISSED_GRACE_MINUTES || '10') * 60 * 1000;
+// Same cap as a single /api/analyze-serps request
+const MAX_SCHEDULE_KEYWORDS = 30;
+const PREVIEW_RUNS = 5;
+const SCHEDULE_COLUMNS = 'id, name, keywords, options, cron, timezone, enabled, missed_run_policy, next_run_at, last_run_at, last_request_id, last_error, created_at, updated_at';
+
+let schedulerTimer = null;
+let ticking = false;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// The next `count` run times after `from`; throws on an invalid expression
+export const getNextRuns = (cron, timezone = 'UTC', count = 1, from = new Date()) => {
+  const interval = cronParser.parseExpression(cron, { currentDate: from, tz: timezone });
+  return Array.from({ length: count }, () => interval.next().toDate().toISOString());
+};
+
+export const previewSchedule = (cron, timezone = 'UTC') => getNextRuns(cron, timezone, PREVIEW_RUNS);
+
+// Validate a create/update body, returning an error message or null; `partial` allows omitted fields
+export const validateScheduleBody = (body, partial = false) => {
+  const { name, keywords, cron, timezone, missed_run_policy, options } = body;
+
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+    return 'name must be a non-empty string';
+  }
+  if (!partial || keywords !== undefined) {
+    if (!Array.isArray(keywords) || keywords.length === 0 || keywords.some(keyword => typeof keyword !== 'string' || !keyword.trim())) {
+      return 'keywords must be a non-empty array of keywords';
+    }
+    if (keywords.length > MAX_SCHEDULE_KEYWORDS) {
+      return `Maximum ${MAX_SCHEDULE_KEYWORDS} keywords allowed per schedule`;
+    }
+  }
+  if (timezone !== undefined && (typeof timezone !== 'string' || !isValidTimezone(timezone))) {
+    return 'timezone must be an IANA time zone such as Europe/Berlin';
+  }
+  if (!partial || cron !== undefined) {
+    if (typeof cron !== 'string' || cron.trim().split(/\s+/).length !== 5) {
+      return 'cron must be a five-field cron expression';
+    }
+    try {
+      getNextRuns(cron, timezone || 'UTC');
+    } catch (error) {
+      return `Invalid cron expression: ${error.message}`;
+    }
+  }
+  if (missed_run_policy !== undefined && !MISSED_RUN_POLICIES.includes(missed_run_policy)) {
+    return `missed_run_policy must be one of: ${MISSED_RUN_POLICIES.join(', ')}`;
+  }
+  if (options !== undefined && (!options || typeof options !== 'object' || Array.isArray(options))) {
+    return 'options must be an object';
+  }
+  if (options !== undefined) {
+    const localeError = validateLocaleOptions(options);
+    if (localeError) {
+      return `options.${localeError}`;
+    }
+    if (options.rule_profile && hasExplicitWriteSkipConfig(options.write_skip_config)) {
+      return 'options: send either rule_profile or write_skip_config, not both';
+    }
+  }
+  return null;
+};
+
+// Keep only the analyze options a schedule can carry
+const pickOptions = ({ country = 'US', page = 1, language = null, device = 'desktop', location = null, depth = 1, write_skip_config = {}, rule_profile = null, metrics_max_age_hours } = {}) => ({
+  country: country.toUpperCase(),
+  page,
+  language: language ? language.toLowerCase() : null,
+  device,
+  location: location ? location.trim() : null,
+  depth,
+  write_skip_config,
+  rule_profile,
+  ...(metrics_max_age_hours !== undefined ? { metrics_max_age_hours } : {})
+});
+
+export const listSchedules = async (userId) => {
+  const { data, error } = await supabase
+    .from('analysis_schedules')
+    .select(SCHEDULE_COLUMNS)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data || [];
+};
+
+const getOwnedSchedule = async (userId, scheduleId) => {
+  const { data, error } = await supabase
+    .from('analysis_schedules')
+    .select(SCHEDULE_COLUMNS)
+    .eq('id', scheduleId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+export const createSchedule = async (userId, { name, keywords, cron, timezone = 'UTC', missed_run_policy = 'run_once', enabled = true, options }) => {
+  const { data, error } = await supabase
+    .from('analysis_schedules')
+    .insert({
+      user_id: userId,
+      name: name.trim(),
+      keywords: keywords.map(keyword => keyword.trim()),
+      options: pickOptions(options),
+      cron: cron.trim(),
+      timezone,
+      missed_run_policy,
+      enabled: enabled !== false,
+      next_run_at: enabled !== false ? getNextRuns(cron.trim(), timezone)[0] : null
+    })
+    .select(SCHEDULE_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+// Update a schedule the user owns, recomputing the next run; returns null when it does not exist
+export const updateSchedule = async (userId, scheduleId, body) => {
+  const existing = await getOwnedSchedule(userId, scheduleId);
+  if (!existing) return null;
+
+  const cron = body.cron !== undefined ? body.cron.trim() : existing.cron;
+  const timezone = body.timezone ?? existing.timezone;
+  const enabled = body.enabled !== undefined ? body.enabled !== false : existing.enabled;
+  const values = {
+    name: body.name !== undefined ? body.name.trim() : existing.name,
+    keywords: body.keywords !== undefined ? body.keywords.map(keyword => keyword.trim()) : existing.keywords,
+    options: body.options !== undefined ? pickOptions(body.options) : existing.options,
+    cron,
+    timezone,
+    missed_run_policy: body.missed_run_policy ?? existing.missed_run_policy,
+    enabled,
+    next_run_at: enabled ? getNextRuns(cron, timezone)[0] : null,
+    updated_at: new Date().toISOString()
+  };
+
+  const { data, error } = await supabase
+    .from('analysis_schedules')
+    .update(values)
+    .eq('id', scheduleId)
+    .select(SCHEDULE_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+export const setScheduleEnabled = (userId, scheduleId, enabled) => updateSchedule(userId, scheduleId, { enabled });
+
+export const deleteSchedule = async (userId, scheduleId) => {
+  const { data, error } = await supabase
+    .from('analysis_schedules')
+    .delete()
+    .eq('id', scheduleId)
+    .eq('user_id', userId)
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return !!data;
+};
+
+// Start one scheduled run through the regular analysis pipeline; returns the request ID or throws
+const startScheduledRun = async (schedule, userId) => {
+  const requestId = uuidv4();
+  const startTime = Date.now();
+  const { country, page, language = null, device = 'desktop', location = null, depth = 1, write_skip_config, rule_profile, metrics_max_age_hours } = schedule.options;
+  const keywords = schedule.keywords;
+
+  await createAnalysisLog({
+    userId,
+    requestId,
+    keywords,
+    scheduleId: schedule.id,
+    options: { ...schedule.options, async: true, callback_url: null, schedule_id: schedule.id }
+  });
+
+  // Like /api/analyze-serps: the named profile, else x/y/z when given, else the user's default at run time
+  const ruleProfile = await resolveRuleProfile(userId, rule_profile, { writeSkipConfig: write_skip_config });
+  if (rule_profile && !ruleProfile) {
+    const message = `Rule profile '${rule_profile}' not found`;
+    await markAnalysisFailed(requestId, message, startTime);
+    throw new Error(message);
+  }
+
+  const prepared = await prepareAnalysis({ userId, requestId, keywordCount: keywords.length * depth, startTime });
+  if (prepared.error) {
+    throw new Error(prepared.error.message);
+  }
+
+  runSerpAnalysis({
+    requestId,
+    userId,
+    keywords,
+    apiKeys: prepared.apiKeys,
+    spendByKey: prepared.spendByKey,
+    country,
+    page,
+    language,
+    device,
+    location,
+    depth,
+    writeSkipConfig: write_skip_config,
+    ruleProfile,
+    metricsMaxAgeHours: metrics_max_age_hours,
+    // Scheduled runs record a fresh snapshot for history and visibility, so they never read the cache
+    serpCacheMaxAgeHours: 0,
+    startTime
+  }).catch(async (error) => {
+    console.error(`❌ Scheduled analysis ${requestId} failed:`, error);
+    await markAnalysisFailed(requestId, error.message, startTime);
+  });
+
+  return requestId;
+};
+
+/*
+  Handle one due schedule. The next_run_at update doubles as a claim: it only succeeds if
+  no other instance advanced the schedule first. A run that is more than the grace period
+  late was missed; `skip` drops it, `run_once` runs it once however many slots were missed.
+*/
+const processDueSchedule = async (schedule, now) => {
+  const { data: claimed, error } = await supabase
+    .from('analysis_schedules')
+    .update({ next_run_at: getNextRuns(schedule.cron, schedule.timezone, 1, now)[0], updated_at: now.toISOString() })
+    .eq('id', schedule.id)
+    .eq('next_run_at', schedule.next_run_at)
+    .select('id, user_id')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+  if (!claimed) return;
+
+  const lateMs = now.getTime() - new Date(schedule.next_run_at).getTime();
+  if (lateMs > MISSED_RUN_GRACE_MS && schedule.missed_run_policy === 'skip') {
+    console.log(`⏭️ Skipping missed run of schedule ${schedule.id} (due ${schedule.next_run_at})`);
+    await supabase
+      .from('analysis_schedules')
+      .update({ last_error: `Skipped run missed at ${schedule.next_run_at}` })
+      .eq('id', schedule.id);
+    return;
+  }
+
+  try {
+    const requestId = await startScheduledRun(schedule, claimed.user_id);
+    console.log(`⏰ Schedule ${schedule.id} started analysis ${requestId}`);
+    await supabase
+      .from('analysis_schedules')
+      .update({ last_run_at: now.toISOString(), last_request_id: requestId, last_error: null })
+      .eq('id', schedule.id);
+  } catch (runError) {
+    console.error(`❌ Schedule ${schedule.id} could not start:`, runError.message);
+    await supabase
+      .from('analysis_schedules')
+      .update({ last_run_at: now.toISOString(), last_error: runError.message })
+      .eq('id', schedule.id);
+  }
+};
+
+export const runDueSchedules = async () => {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const now = new Date();
+    const { data: due, error } = await supabase
+      .from('analysis_schedules')
+      .select('id, keywords, options, cron, timezone, missed_run_policy, next_run_at')
+      .eq('enabled', true)
+      .lte('next_run_at', now.toISOString());
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    for (const schedule of due || []) {
+      try {
+        await processDueSchedule(schedule, now);
+      } catch (scheduleError) {
+        console.error(`❌ Failed to process schedule ${schedule.id}:`, scheduleError.message);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Scheduler tick failed:', error.message);
+  } finally {
+    ticking = false;
+  }
+};
+
+// Poll for due schedules in this process; safe to run on several instances at once
+export const startScheduler = () => {
+  if (schedulerTimer) return;
+
+  schedulerTimer = setInterval(runDueSchedules, SCHEDULER_POLL_MS);
+  runDueSchedules();
+  console.log(`⏰ Scheduler polling every ${SCHEDULER_POLL_MS / 1000}s`);
+};
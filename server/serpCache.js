@@ -0,0 +1,123 @@
+import { supabase } from './supabase.js';
+import { matchLocale } from './locales.js';
+
+// How old a stored SERP may be and still stand in for a fresh fetch; 0 disables the cache
+export const DEFAULT_SERP_CACHE_MAX_AGE_HOURS = parseFloat(process.env.SERP_CACHE_MAX_AGE_HOURS || '24');
+
+const HOUR_MS = 60 * 60 * 1000;
+const LOOKUP_CHUNK_SIZE = 100;
+
+const loadLogResults = async (logIds) => {
+  const logs = {};
+
+  for (let i = 0; i < logIds.length; i += LOOKUP_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from('analysis_logs')
+      .select('id, request_id, created_at, results')
+      .in('id', logIds.slice(i, i + LOOKUP_CHUNK_SIZE));
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    (data || []).forEach(log => {
+      logs[log.id] = log;
+    });
+  }
+
+  return logs;
+};
+
+// The newest analysis that stored this keyword with a matching locale, page and depth
+const findSnapshotLogId = async (userId, keyword, { country, page, language, device, location, depth, since }) => {
+  const query = supabase
+    .from('serp_results')
+    .select('analysis_log_id')
+    .eq('user_id', userId);
+
+  const { data, error } = await matchLocale(query, { country, language, device, location })
+    .eq('keyword', keyword)
+    .eq('page', page)
+    .gte('depth', depth)
+    .gte('created_at', since)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data?.[0]?.analysis_log_id || null;
+};
+
+const loadSnapshotRows = async (userId, keyword, logId, page) => {
+  const { data, error } = await supabase
+    .from('serp_results')
+    .select('position, url, title, description')
+    .eq('user_id', userId)
+    .eq('analysis_log_id', logId)
+    .eq('keyword', keyword)
+    .eq('page', page);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data || [];
+};
+
+/*
+  Find the newest stored SERP for each keyword, fetched with the same locale and page at
+  least as deep as requested, no older than `maxAgeHours`. The organic rows come from
+  serp_results; related keywords and the knowledge panel come from the analysis they were
+  stored with. Returns a Map of keyword to { serpResult, cached_from }, where serpResult has
+  the provider shape the pipeline expects.
+*/
+export const loadCachedSerps = async ({ userId, keywords, country, page = 1, language = null, device = 'desktop', location = null, depth = 1, maxAgeHours = DEFAULT_SERP_CACHE_MAX_AGE_HOURS }) => {
+  const cached = new Map();
+  if (!maxAgeHours || maxAgeHours <= 0 || keywords.length === 0) {
+    return cached;
+  }
+
+  const since = new Date(Date.now() - maxAgeHours * HOUR_MS).toISOString();
+  const snapshotLog = {};
+  const snapshotRows = {};
+
+  // One lookup per keyword and snapshot, so a busy keyword can never crowd another out of a
+  // row limit or leave a snapshot half-loaded
+  for (const keyword of keywords) {
+    const logId = await findSnapshotLogId(userId, keyword, { country, page, language, device, location, depth, since });
+    if (!logId) continue;
+
+    const rows = await loadSnapshotRows(userId, keyword, logId, page);
+    // A deeper snapshot is cut down to the requested depth (deeper snapshots always start at
+    // page 1, so positions count from the first result)
+    const keywordRows = rows.filter(row => page !== 1 || row.position <= depth * 10);
+    if (keywordRows.length === 0) continue;
+
+    snapshotLog[keyword] = logId;
+    snapshotRows[keyword] = keywordRows;
+  }
+
+  const logs = await loadLogResults([...new Set(Object.values(snapshotLog))]);
+
+  Object.entries(snapshotRows).forEach(([keyword, keywordRows]) => {
+    const log = logs[snapshotLog[keyword]];
+    const stored = (log?.results || []).find(result => result.keyword === keyword);
+    if (!stored || stored.error) return;
+
+    cached.set(keyword, {
+      serpResult: {
+        keyword,
+        results: keywordRows
+          .sort((a, b) => a.position - b.position)
+          .map(({ position, url, title, description }) => ({ position, url, title, description })),
+        serp_features: stored.serp_features || [],
+        knowledge_panel: stored.knowledge_panel || null
+      },
+      cached_from: { request_id: log.request_id, analyzed_at: log.created_at }
+    });
+  });
+
+  return cached;
+};
@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import { supabase } from './supabase.js';
+
+// What a webhook token may do: start analyses, and read jobs/results
+export const TOKEN_SCOPES = ['analyze', 'read'];
+
+const TOKEN_PREFIX = 'serp_';
+const TOKEN_COLUMNS = 'id, user_id, name, token_prefix, scopes, expires_at, daily_keyword_quota, revoked_at, rotated_to, last_used_at, created_at';
+const DEFAULT_ROTATION_GRACE_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Only the SHA-256 of a token is stored; the plaintext is shown once when it is issued
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateToken = () => `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+// Validate create/rotate input, returning an error message or null
+export const validateTokenOptions = ({ name, scopes, expires_at, daily_keyword_quota }) => {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return 'name must be a non-empty string';
+  }
+  if (scopes !== undefined && (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !TOKEN_SCOPES.includes(scope)))) {
+    return `scopes must be a non-empty array of: ${TOKEN_SCOPES.join(', ')}`;
+  }
+  if (expires_at !== undefined && expires_at !== null && Number.isNaN(new Date(expires_at).getTime())) {
+    return 'expires_at must be an ISO date';
+  }
+  if (daily_keyword_quota !== undefined && daily_keyword_quota !== null && (!Number.isInteger(daily_keyword_quota) || daily_keyword_quota < 1)) {
+    return 'daily_keyword_quota must be a positive integer';
+  }
+  return null;
+};
+
+const insertToken = async ({ userId, name, scopes, expiresAt, dailyKeywordQuota }) => {
+  const token = generateToken();
+  const { data, error } = await supabase
+    .from('webhook_tokens')
+    .insert({
+      user_id: userId,
+      name,
+      token_hash: hashToken(token),
+      token_prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+      scopes,
+      expires_at: expiresAt,
+      daily_keyword_quota: dailyKeywordQuota
+    })
+    .select(TOKEN_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return { ...data, token };
+};
+
+export const createWebhookToken = async ({ userId, name, scopes = TOKEN_SCOPES, expiresAt = null, dailyKeywordQuota = null }) => {
+  return insertToken({ userId, name, scopes, expiresAt, dailyKeywordQuota });
+};
+
+const getOwnedToken = async (userId, tokenId) => {
+  const { data, error } = await supabase
+    .from('webhook_tokens')
+    .select(TOKEN_COLUMNS)
+    .eq('id', tokenId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+// Revoke a token immediately; returns null when the user does not own it
+export const revokeWebhookToken = async (userId, tokenId) => {
+  const existing = await getOwnedToken(userId, tokenId);
+  if (!existing) return null;
+
+  const { data, error } = await supabase
+    .from('webhook_tokens')
+    .update({ revoked_at: existing.revoked_at || new Date().toISOString() })
+    .eq('id', tokenId)
+    .select(TOKEN_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+/*
+  Issue a replacement token with the same settings. The old token keeps working for
+  graceHours so running scenarios can be switched over, then expires.
+*/
+export const rotateWebhookToken = async (userId, tokenId, graceHours = DEFAULT_ROTATION_GRACE_HOURS) => {
+  // Only live tokens can be rotated
+  const existing = await getOwnedToken(userId, tokenId);
+  if (!existing || existing.revoked_at) return null;
+
+  const replacement = await insertToken({
+    userId,
+    name: existing.name,
+    scopes: existing.scopes,
+    expiresAt: existing.expires_at,
+    dailyKeywordQuota: existing.daily_keyword_quota
+  });
+
+  const graceEnd = new Date(Date.now() + graceHours * HOUR_MS);
+  const expiresAt = existing.expires_at && new Date(existing.expires_at) < graceEnd
+    ? existing.expires_at
+    : graceEnd.toISOString();
+
+  const { error } = await supabase
+    .from('webhook_tokens')
+    .update({ expires_at: expiresAt, rotated_to: replacement.id })
+    .eq('id', tokenId);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return { ...replacement, previous_token_expires_at: expiresAt };
+};
+
+// Look up a presented token; returns the token row when it is live, otherwise null
+export const resolveWebhookToken = async (token) => {
+  const { data, error } = await supabase
+    .from('webhook_tokens')
+    .select(TOKEN_COLUMNS)
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  if (!data || data.revoked_at) return null;
+  if (data.expires_at && new Date(data.expires_at).getTime() <= Date.now()) return null;
+
+  supabase
+    .from('webhook_tokens')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', data.id)
+    .then(({ error: updateError }) => {
+      if (updateError) {
+        console.error(`❌ Failed to update last_used_at for token ${data.id}:`, updateError.message);
+      }
+    });
+
+  return data;
+};
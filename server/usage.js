@@ -0,0 +1,169 @@
+import { supabase } from './supabase.js';
+
+// Fallback cost estimates used before the ledger has any history for the user
+const ESTIMATED_SERP_RUN_COST_USD = parseFloat(process.env.ESTIMATED_SERP_RUN_COST_USD || '0.01');
+const ESTIMATED_METRICS_RUN_COST_USD = parseFloat(process.env.ESTIMATED_METRICS_RUN_COST_USD || '0.02');
+const ESTIMATE_SAMPLE_SIZE = 50;
+
+const roundUsd = (value) => Math.round(value * 10000) / 10000;
+
+export const startOfMonth = (now = new Date()) => {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+};
+
+// This month's ledger summed in Postgres, one row per key (null for keys since deleted)
+const loadMonthlySpendRows = async (userId) => {
+  const { data, error } = await supabase.rpc('api_key_spend_since', {
+    p_user_id: userId,
+    p_since: startOfMonth()
+  });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data || [];
+};
+
+// Sum this month's ledger for a user, in total and per key
+export const getMonthlySpend = async (userId) => {
+  const byKey = {};
+  let total = 0;
+
+  (await loadMonthlySpendRows(userId)).forEach(row => {
+    const cost = Number(row.cost_usd) || 0;
+    total += cost;
+    if (row.api_key_id) {
+      byKey[row.api_key_id] = roundUsd(cost);
+    }
+  });
+
+  return { total: roundUsd(total), byKey };
+};
+
+// Set the account-wide monthly budget (null removes it); returns { monthly_budget_usd } or null if the user has no profile row
+export const setAccountBudget = async (userId, monthlyBudgetUsd) => {
+  const { data, error } = await supabase
+    .from('users')
+    .update({ monthly_budget_usd: monthlyBudgetUsd })
+    .eq('id', userId)
+    .select('monthly_budget_usd')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+export const isKeyOverBudget = (key, spendByKey = {}) => {
+  if (key.monthly_budget_usd === null || key.monthly_budget_usd === undefined) return false;
+  return (spendByKey[key.id] || 0) >= Number(key.monthly_budget_usd);
+};
+
+// credits_remaining mirrors what is left of the key's monthly budget (null when no budget is set)
+export const refreshCreditsRemaining = async (apiKeyId) => {
+  const { data: key, error } = await supabase
+    .from('api_keys')
+    .select('id, user_id, monthly_budget_usd')
+    .eq('id', apiKeyId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  if (!key) return;
+
+  let creditsRemaining = null;
+  if (key.monthly_budget_usd !== null) {
+    const { byKey } = await getMonthlySpend(key.user_id);
+    const spent = byKey[apiKeyId] || 0;
+    creditsRemaining = roundUsd(Math.max(Number(key.monthly_budget_usd) - spent, 0));
+  }
+
+  const { error: updateError } = await supabase
+    .from('api_keys')
+    .update({ credits_remaining: creditsRemaining })
+    .eq('id', apiKeyId);
+
+  if (updateError) {
+    throw new Error(`Database error: ${updateError.message}`);
+  }
+};
+
+// Write one provider run to the ledger and refresh the key's remaining credits
+export const recordUsage = async ({ userId, apiKeyId, requestId, usage }) => {
+  try {
+    const { error } = await supabase.from('api_key_usage').insert({
+      user_id: userId,
+      api_key_id: apiKeyId,
+      request_id: requestId,
+      actor: usage.actor,
+      run_id: usage.run_id,
+      compute_units: usage.compute_units,
+      cost_usd: usage.cost_usd
+    });
+
+    if (error) {
+      console.error(`❌ Failed to record API key usage:`, error.message);
+      return;
+    }
+
+    console.log(`💰 Recorded usage for run ${usage.run_id}: $${usage.cost_usd ?? 'n/a'} (${usage.compute_units ?? 'n/a'} CU)`);
+    await refreshCreditsRemaining(apiKeyId);
+  } catch (error) {
+    console.error(`❌ Error recording API key usage:`, error);
+  }
+};
+
+// Average recent cost per run for an actor kind, falling back to the configured estimate
+const averageRunCost = async (userId, actorPattern, fallback) => {
+  const { data } = await supabase
+    .from('api_key_usage')
+    .select('cost_usd')
+    .eq('user_id', userId)
+    .like('actor', actorPattern)
+    .not('cost_usd', 'is', null)
+    .order('created_at', { ascending: false })
+    .limit(ESTIMATE_SAMPLE_SIZE);
+
+  if (!data || data.length === 0) return fallback;
+  return data.reduce((sum, row) => sum + Number(row.cost_usd), 0) / data.length;
+};
+
+export const estimateRequestCost = async (userId, keywordCount) => {
+  const serpRunCost = await averageRunCost(userId, '%serp%', ESTIMATED_SERP_RUN_COST_USD);
+  const metricsRunCost = await averageRunCost(userId, '%moz%', ESTIMATED_METRICS_RUN_COST_USD);
+  return roundUsd(serpRunCost * keywordCount + metricsRunCost);
+};
+
+/*
+  Decide whether a request fits the account's monthly budget before any actor is started.
+  Returns { allowed, budget, spent, estimate, spendByKey } so callers can explain a rejection
+  and hand the per-key spend to the key scheduler.
+*/
+export const checkBudget = async (userId, keywordCount) => {
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('monthly_budget_usd')
+    .eq('id', userId)
+    .single();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  const { total: spent, byKey: spendByKey } = await getMonthlySpend(userId);
+  const budget = user?.monthly_budget_usd === null || user?.monthly_budget_usd === undefined
+    ? null
+    : Number(user.monthly_budget_usd);
+
+  if (budget === null) {
+    return { allowed: true, budget, spent, estimate: null, spendByKey };
+  }
+
+  const estimate = await estimateRequestCost(userId, keywordCount);
+  return { allowed: spent + estimate <= budget, budget, spent, estimate, spendByKey };
+};
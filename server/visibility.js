@@ -0,0 +1,260 @@
+import { supabase } from './supabase.js';
+import { canonicalHost } from './domains.js';
+import { normalizeKeyword } from './keywords.js';
+import { describeLocale, resolveLocale } from './locales.js';
+
+export const TRACKED_DOMAIN_KINDS = ['own', 'competitor'];
+export const MAX_TRACKED_DOMAINS = parseInt(process.env.TRACKED_DOMAINS_MAX || '50', 10);
+export const MAX_REPORT_DAYS = 365;
+
+const DEFAULT_REPORT_DAYS = 90;
+// Most recent completed analyses read for one report
+const MAX_REPORT_LOGS = parseInt(process.env.VISIBILITY_MAX_LOGS || '2000', 10);
+const PAGE_SIZE = 100;
+const DOMAIN_COLUMNS = 'id, domain, kind, label, created_at';
+
+// Validate a tracked domain body, returning an error message or null
+export const validateTrackedDomainBody = ({ domain, kind, label }) => {
+  if (typeof domain !== 'string' || !canonicalHost(domain) || !canonicalHost(domain).includes('.')) {
+    return 'domain must be a domain name such as example.com';
+  }
+  if (kind !== undefined && !TRACKED_DOMAIN_KINDS.includes(kind)) {
+    return `kind must be one of: ${TRACKED_DOMAIN_KINDS.join(', ')}`;
+  }
+  if (label !== undefined && label !== null && typeof label !== 'string') {
+    return 'label must be a string';
+  }
+  return null;
+};
+
+export const validateReportQuery = ({ days }) => {
+  if (days !== undefined) {
+    const value = Number(days);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_REPORT_DAYS) {
+      return `days must be an integer between 1 and ${MAX_REPORT_DAYS}`;
+    }
+  }
+  return null;
+};
+
+export const listTrackedDomains = async (userId) => {
+  const { data, error } = await supabase
+    .from('tracked_domains')
+    .select(DOMAIN_COLUMNS)
+    .eq('user_id', userId)
+    .order('kind', { ascending: false })
+    .order('domain', { ascending: true });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data || [];
+};
+
+// Add a domain, or return null when the user already tracks the maximum number of domains
+export const addTrackedDomain = async (userId, { domain, kind = 'competitor', label = null }) => {
+  const { count, error: countError } = await supabase
+    .from('tracked_domains')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId);
+
+  if (countError) {
+    throw new Error(`Database error: ${countError.message}`);
+  }
+  if (count >= MAX_TRACKED_DOMAINS) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('tracked_domains')
+    .insert({
+      user_id: userId,
+      domain: canonicalHost(domain),
+      kind,
+      label: label?.trim() || null
+    })
+    .select(DOMAIN_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(error.code === '23505'
+      ? `${canonicalHost(domain)} is already tracked`
+      : `Database error: ${error.message}`);
+  }
+
+  console.log(`🎯 Tracking ${data.kind} domain ${data.domain} for user ${userId}`);
+  return data;
+};
+
+export const deleteTrackedDomain = async (userId, domainId) => {
+  const { data, error } = await supabase
+    .from('tracked_domains')
+    .delete()
+    .eq('id', domainId)
+    .eq('user_id', userId)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return (data || []).length > 0;
+};
+
+// A result belongs to a tracked domain when its host is the domain or one of its subdomains
+const matchesDomain = (row, domain) => {
+  const host = canonicalHost(row.url) || row.domain;
+  return !!host && (host === domain || host.endsWith(`.${domain}`));
+};
+
+// Best-ranked result of the domain in a keyword's full_results, or null when it does not rank
+const findDomainRanking = (fullResults, domain) => (fullResults || [])
+  .filter(row => row.position !== null && row.position !== undefined && matchesDomain(row, domain))
+  .sort((a, b) => a.position - b.position)[0] || null;
+
+/*
+  Where each tracked domain ranks in one keyword's results. `already_ranking` is set when one
+  of the user's own domains is in the results, so a Write decision there would compete with
+  an existing page.
+*/
+export const describeTrackedRankings = (fullResults, trackedDomains) => {
+  const rankings = trackedDomains
+    .map(tracked => {
+      const ranking = findDomainRanking(fullResults, tracked.domain);
+      return ranking && {
+        domain: tracked.domain,
+        kind: tracked.kind,
+        label: tracked.label,
+        position: ranking.position,
+        url: ranking.url
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.position - b.position);
+  const own = rankings.filter(ranking => ranking.kind === 'own');
+
+  return {
+    tracked_domains: rankings,
+    already_ranking: own.length > 0,
+    own_position: own.length > 0 ? own[0].position : null
+  };
+};
+
+// Completed analyses since the cutoff, oldest first, capped at the most recent MAX_REPORT_LOGS
+const loadReportLogs = async (userId, since, country) => {
+  const logs = [];
+
+  for (let from = 0; from < MAX_REPORT_LOGS; from += PAGE_SIZE) {
+    let query = supabase
+      .from('analysis_logs')
+      .select('request_id, created_at, options, locale, results')
+      .eq('user_id', userId)
+      .eq('status', 'completed')
+      .gte('created_at', since);
+
+    if (country) {
+      query = query.eq('locale->>country', country);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .range(from, Math.min(from + PAGE_SIZE, MAX_REPORT_LOGS) - 1);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    logs.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return logs.reverse();
+};
+
+const average = (values) => values.length
+  ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+  : null;
+
+const movementOf = (position, previousPosition, hasPrevious) => {
+  if (!hasPrevious) return null;
+  if (position === null) return 'lost';
+  if (previousPosition === null) return 'new';
+  if (position < previousPosition) return 'up';
+  return position > previousPosition ? 'down' : 'same';
+};
+
+/*
+  Visibility of every tracked domain across the keywords analyzed in the last `days` days.
+  Each keyword counts once per locale, using its latest analysis; movement compares that
+  analysis with the one before it in the same locale. Positive `change` means the domain
+  moved up.
+*/
+export const buildVisibilityReport = async (userId, { days = DEFAULT_REPORT_DAYS, country = null } = {}) => {
+  const trackedDomains = await listTrackedDomains(userId);
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const logs = trackedDomains.length > 0 ? await loadReportLogs(userId, since, country) : [];
+
+  // Latest two snapshots of each keyword in each locale; cached results repeat an earlier snapshot
+  const snapshots = new Map();
+  logs.forEach(log => {
+    const locale = resolveLocale(log.locale || log.options || {});
+    (log.results || []).forEach(result => {
+      if (result.decision === 'Error' || result.cached || !Array.isArray(result.full_results)) return;
+
+      const key = `${normalizeKeyword(result.keyword)}|${describeLocale(locale)}`;
+      const entry = snapshots.get(key) || { keyword: result.keyword, locale, latest: null, previous: null };
+      entry.previous = entry.latest;
+      entry.latest = { request_id: log.request_id, analyzed_at: log.created_at, full_results: result.full_results };
+      snapshots.set(key, entry);
+    });
+  });
+
+  const domains = trackedDomains.map(tracked => {
+    const keywords = [];
+
+    snapshots.forEach(entry => {
+      const current = findDomainRanking(entry.latest.full_results, tracked.domain);
+      const previous = entry.previous ? findDomainRanking(entry.previous.full_results, tracked.domain) : null;
+      if (!current && !previous) return;
+
+      const position = current?.position ?? null;
+      const previousPosition = previous?.position ?? null;
+      keywords.push({
+        keyword: entry.keyword,
+        locale: describeLocale(entry.locale),
+        position,
+        url: current?.url ?? null,
+        previous_position: previousPosition,
+        change: position !== null && previousPosition !== null ? previousPosition - position : null,
+        movement: movementOf(position, previousPosition, !!entry.previous),
+        request_id: entry.latest.request_id,
+        analyzed_at: entry.latest.analyzed_at
+      });
+    });
+
+    const ranked = keywords.filter(keyword => keyword.position !== null);
+    const count = (movement) => keywords.filter(keyword => keyword.movement === movement).length;
+
+    return {
+      ...tracked,
+      keywords_ranked: ranked.length,
+      average_position: average(ranked.map(keyword => keyword.position)),
+      top_3: ranked.filter(keyword => keyword.position <= 3).length,
+      top_10: ranked.filter(keyword => keyword.position <= 10).length,
+      improved: count('up'),
+      declined: count('down'),
+      new: count('new'),
+      lost: count('lost'),
+      keywords: keywords.sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity))
+    };
+  });
+
+  return {
+    days,
+    country,
+    keywords_analyzed: snapshots.size,
+    analyses_read: logs.length,
+    domains
+  };
+};
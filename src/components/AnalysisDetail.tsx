@@ -0,0 +1,630 @@
+import React, { useState, useEffect } from 'react';
+import {
+  ArrowLeft,
+  ChevronDown,
+  ChevronRight,
+  ExternalLink,
+  Key,
+  Loader2,
+  RotateCw,
+  AlertCircle,
+  History,
+  FileText
+} from 'lucide-react';
+import { supabase } from '../lib/supabase';
+import { apiDownload, apiRequest } from '../lib/api';
+import { KeywordHistory } from './KeywordHistory';
+import { KeywordClusters } from './KeywordClusters';
+
+interface SerpRow {
+  position: number;
+  url: string;
+  domain: string | null;
+  title: string | null;
+  description: string | null;
+  da: number | null;
+  pa: number | null;
+  spam_score: number | null;
+  is_ugc?: boolean;
+  result_type?: string | null;
+}
+
+interface ConditionResult {
+  label?: string;
+  operator?: string;
+  passed: boolean;
+  actual?: number | string | null;
+  expected?: string;
+  conditions?: ConditionResult[];
+}
+
+interface TrackedRanking {
+  domain: string;
+  kind: 'own' | 'competitor';
+  label: string | null;
+  position: number;
+  url: string;
+}
+
+interface DifficultyFactor {
+  factor: string;
+  label: string;
+  value: number | null;
+  weight: number;
+  points: number;
+}
+
+interface KeywordResult {
+  keyword: string;
+  decision: string;
+  api_key_used: string | null;
+  api_keys_attempted?: { key_name: string; status: string; error?: string }[];
+  cached?: boolean;
+  cached_from?: { request_id: string; analyzed_at: string } | null;
+  average_da: number | null;
+  low_da_count: number;
+  metrics_missing_count?: number;
+  rule_profile?: string | null;
+  decision_explanation?: ConditionResult | null;
+  difficulty?: number | null;
+  difficulty_breakdown?: DifficultyFactor[];
+  intent?: string | null;
+  intent_signals?: string[];
+  write_skip_config_used?: { x: number; y: number; z: number };
+  serp_features?: { keyword?: string }[];
+  detailed_results?: SerpRow[];
+  tracked_domains?: TrackedRanking[];
+  already_ranking?: boolean;
+  own_position?: number | null;
+  error?: string | null;
+}
+
+interface AnalysisRecord {
+  id: string;
+  request_id: string;
+  status: string;
+  keywords: string[];
+  results: KeywordResult[] | null;
+  options: {
+    country?: string;
+    page?: number;
+    language?: string | null;
+    device?: string;
+    location?: string | null;
+    depth?: number;
+    rule_profile?: string | null;
+    rerun_of?: string;
+  } | null;
+  processing_time: number | null;
+  error_message: string | null;
+  created_at: string;
+}
+
+interface AnalysisDetailProps {
+  logId: string;
+  onBack: () => void;
+}
+
+const DEFAULT_DA_THRESHOLD = 35;
+
+const RESULT_TYPES: Record<string, { label: string; color: string }> = {
+  forum: { label: 'Forum/UGC', color: 'bg-purple-100 text-purple-800' },
+  ecommerce: { label: 'E-commerce', color: 'bg-amber-100 text-amber-800' },
+  video: { label: 'Video', color: 'bg-red-100 text-red-800' },
+  news: { label: 'News', color: 'bg-sky-100 text-sky-800' },
+  review: { label: 'Review/listicle', color: 'bg-orange-100 text-orange-800' },
+  official: { label: 'Official/brand', color: 'bg-blue-100 text-blue-800' },
+  article: { label: 'Article', color: 'bg-gray-100 text-gray-700' }
+};
+
+const INTENTS: Record<string, string> = {
+  informational: 'Informational',
+  commercial: 'Commercial',
+  transactional: 'Transactional',
+  navigational: 'Navigational'
+};
+
+// Rows stored before classification only know whether they were forum/UGC
+const getResultType = (row: SerpRow) => row.result_type || (row.is_ugc ? 'forum' : null);
+
+const getDifficultyColor = (difficulty: number) => {
+  if (difficulty < 30) return 'bg-green-100 text-green-800';
+  if (difficulty < 60) return 'bg-yellow-100 text-yellow-800';
+  return 'bg-red-100 text-red-800';
+};
+
+const getDecisionColor = (decision: string) => {
+  switch (decision) {
+    case 'Write':
+      return 'bg-green-100 text-green-800';
+    case 'Skip':
+      return 'bg-gray-100 text-gray-800';
+    default:
+      return 'bg-red-100 text-red-800';
+  }
+};
+
+// Low DA (below the z threshold) is the opportunity, so it is green
+const getDaColor = (da: number | null, threshold: number) => {
+  if (da === null) return 'text-gray-400';
+  return da < threshold ? 'text-green-700 font-semibold' : 'text-red-600';
+};
+
+const ResultTypeBadge: React.FC<{ type: string | null }> = ({ type }) => {
+  if (!type) return null;
+  const { label, color } = RESULT_TYPES[type] || { label: type, color: 'bg-gray-100 text-gray-700' };
+  return <span className={`ml-2 px-1.5 py-0.5 rounded text-xs ${color}`}>{label}</span>;
+};
+
+const ConditionTree: React.FC<{ node: ConditionResult; depth?: number }> = ({ node, depth = 0 }) => (
+  <div style={{ marginLeft: depth * 16 }}>
+    <p className={`text-xs ${node.passed ? 'text-green-700' : 'text-gray-500'}`}>
+      {node.passed ? '✓' : '✗'} {node.operator ? `${node.operator} group` : node.label}
+      {node.expected && ` (${node.actual ?? 'n/a'} vs ${node.expected})`}
+    </p>
+    {node.conditions?.map((child, index) => (
+      <ConditionTree key={index} node={child} depth={depth + 1} />
+    ))}
+  </div>
+);
+
+export const AnalysisDetail: React.FC<AnalysisDetailProps> = ({ logId, onBack }) => {
+  const [analysis, setAnalysis] = useState<AnalysisRecord | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState<Set<string>>(new Set());
+  const [selected, setSelected] = useState<Set<string>>(new Set());
+  const [historyKeyword, setHistoryKeyword] = useState<string | null>(null);
+  const [rerunning, setRerunning] = useState(false);
+  const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+  const [intentFilter, setIntentFilter] = useState('');
+  const [resultTypeFilter, setResultTypeFilter] = useState('');
+  const [downloadingBrief, setDownloadingBrief] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchAnalysis();
+  }, [logId]);
+
+  const fetchAnalysis = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('analysis_logs')
+        .select('id, request_id, status, keywords, results, options, processing_time, error_message, created_at')
+        .eq('id', logId)
+        .single();
+
+      if (error) throw error;
+      setAnalysis(data);
+    } catch (error) {
+      console.error('Error fetching analysis:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggle = (set: Set<string>, keyword: string) => {
+    const next = new Set(set);
+    if (next.has(keyword)) {
+      next.delete(keyword);
+    } else {
+      next.add(keyword);
+    }
+    return next;
+  };
+
+  const handleRerun = async (keywords?: string[]) => {
+    if (!analysis) return;
+
+    setRerunning(true);
+    setMessage(null);
+    try {
+      const job = await apiRequest<{ request_id: string; keywords_total: number }>(`/api/analyses/${analysis.request_id}/rerun`, {
+        method: 'POST',
+        body: JSON.stringify(keywords ? { keywords } : {}),
+      });
+      setSelected(new Set());
+      setMessage({
+        type: 'success',
+        text: `Re-running ${job.keywords_total} keywords as ${job.request_id}. It will appear in Analytics when it finishes.`,
+      });
+    } catch (error) {
+      setMessage({ type: 'error', text: error instanceof Error ? error.message : 'Re-run failed' });
+    } finally {
+      setRerunning(false);
+    }
+  };
+
+  const handleDownloadBrief = async (keyword: string) => {
+    if (!analysis) return;
+
+    setDownloadingBrief(keyword);
+    setMessage(null);
+    try {
+      await apiDownload(
+        `/api/analyses/${analysis.request_id}/briefs/${encodeURIComponent(keyword)}?format=markdown`,
+        'brief.md'
+      );
+    } catch (error) {
+      setMessage({ type: 'error', text: error instanceof Error ? error.message : 'Brief download failed' });
+    } finally {
+      setDownloadingBrief(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="p-6 flex justify-center">
+        <Loader2 className="w-8 h-8 text-blue-600 animate-spin" />
+      </div>
+    );
+  }
+
+  if (!analysis) {
+    return (
+      <div className="p-6 space-y-4">
+        <button onClick={onBack} className="text-sm text-blue-600 hover:text-blue-700 flex items-center">
+          <ArrowLeft className="w-4 h-4 mr-1" />
+          Back to Analytics
+        </button>
+        <p className="text-gray-600">This analysis could not be loaded.</p>
+      </div>
+    );
+  }
+
+  const results = analysis.results || [];
+  const failedKeywords = results.filter(result => result.decision === 'Error' || result.error).map(result => result.keyword);
+  const writeCount = results.filter(result => result.decision === 'Write').length;
+  const skipCount = results.filter(result => result.decision === 'Skip').length;
+  const matchesResultType = (row: SerpRow) => !resultTypeFilter || getResultType(row) === resultTypeFilter;
+  const visibleResults = results.filter(result => (
+    (!intentFilter || result.intent === intentFilter)
+    && (!resultTypeFilter || (result.detailed_results || []).some(matchesResultType))
+  ));
+
+  return (
+    <div className="p-6 space-y-6">
+      {/* Header */}
+      <div>
+        <button onClick={onBack} className="text-sm text-blue-600 hover:text-blue-700 flex items-center mb-3">
+          <ArrowLeft className="w-4 h-4 mr-1" />
+          Back to Analytics
+        </button>
+        <div className="flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Analysis Details</h1>
+            <p className="text-sm text-gray-600 font-mono">{analysis.request_id}</p>
+            <p className="text-sm text-gray-500">
+              {new Date(analysis.created_at).toLocaleString()} · {[analysis.options?.country || 'US', analysis.options?.language, analysis.options?.device || 'desktop', analysis.options?.location].filter(Boolean).join(' · ')}
+              {analysis.options?.depth && analysis.options.depth > 1 ? ` · top ${analysis.options.depth * 10}` : ` · page ${analysis.options?.page || 1}`}
+              {analysis.processing_time ? ` · ${analysis.processing_time}ms` : ''}
+              {analysis.options?.rule_profile ? ` · rule profile "${analysis.options.rule_profile}"` : ''}
+              {analysis.options?.rerun_of ? ` · re-run of ${analysis.options.rerun_of}` : ''}
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            {selected.size > 0 && (
+              <button
+                onClick={() => handleRerun([...selected])}
+                disabled={rerunning}
+                className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg transition-colors duration-200 flex items-center"
+              >
+                {rerunning ? <Loader2 className="w-5 h-5 mr-2 animate-spin" /> : <RotateCw className="w-5 h-5 mr-2" />}
+                Re-run selected ({selected.size})
+              </button>
+            )}
+            {analysis.status !== 'pending' && (failedKeywords.length > 0 || analysis.status === 'failed') && (
+              <button
+                onClick={() => handleRerun()}
+                disabled={rerunning}
+                className="bg-white border border-gray-300 hover:bg-gray-50 disabled:opacity-50 text-gray-700 px-4 py-2 rounded-lg transition-colors duration-200 flex items-center"
+              >
+                <RotateCw className="w-5 h-5 mr-2" />
+                Re-run failed{failedKeywords.length > 0 ? ` (${failedKeywords.length})` : ''}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {message && (
+        <div className={`p-3 rounded-lg border ${message.type === 'success' ? 'bg-green-50 border-green-200 text-green-800' : 'bg-red-50 border-red-200 text-red-700'}`}>
+          <p className="text-sm">{message.text}</p>
+        </div>
+      )}
+
+      {analysis.error_message && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">{analysis.error_message}</p>
+        </div>
+      )}
+
+      {/* Summary */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        {[
+          { label: 'Keywords', value: analysis.keywords?.length || 0 },
+          { label: 'Write', value: writeCount },
+          { label: 'Skip', value: skipCount },
+          { label: 'Failed', value: failedKeywords.length },
+        ].map(card => (
+          <div key={card.label} className="bg-white p-4 rounded-xl shadow-sm border border-gray-100">
+            <p className="text-sm font-medium text-gray-600">{card.label}</p>
+            <p className="text-2xl font-bold text-gray-900">{card.value}</p>
+          </div>
+        ))}
+      </div>
+
+      {analysis.status === 'completed' && results.length > 1 && (
+        <KeywordClusters path={`/api/analyses/${analysis.request_id}/clusters`} />
+      )}
+
+      {/* Filters */}
+      {results.length > 0 && (
+        <div className="flex flex-wrap items-center gap-3">
+          <select
+            value={intentFilter}
+            onChange={(e) => setIntentFilter(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">All intents</option>
+            {Object.entries(INTENTS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={resultTypeFilter}
+            onChange={(e) => setResultTypeFilter(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">All result types</option>
+            {Object.entries(RESULT_TYPES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          {(intentFilter || resultTypeFilter) && (
+            <span className="text-sm text-gray-500">
+              Showing {visibleResults.length} of {results.length} keywords
+            </span>
+          )}
+        </div>
+      )}
+
+      {/* Keywords */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 divide-y divide-gray-100">
+        {results.length === 0 && (
+          <p className="p-6 text-sm text-gray-500">
+            {analysis.status === 'pending' ? 'This analysis is still running.' : 'No keyword results were stored for this analysis.'}
+          </p>
+        )}
+        {results.length > 0 && visibleResults.length === 0 && (
+          <p className="p-6 text-sm text-gray-500">No keywords match these filters.</p>
+        )}
+        {visibleResults.map((result) => {
+          const isOpen = expanded.has(result.keyword);
+          const config = result.write_skip_config_used;
+          const threshold = config?.z ?? DEFAULT_DA_THRESHOLD;
+          const relatedKeywords = (result.serp_features || []).map(feature => feature.keyword).filter(Boolean);
+
+          return (
+            <div key={result.keyword}>
+              <div className="p-4 flex items-center justify-between hover:bg-gray-50 transition-colors duration-200">
+                <div className="flex items-center space-x-3 min-w-0">
+                  <input
+                    type="checkbox"
+                    checked={selected.has(result.keyword)}
+                    onChange={() => setSelected(prev => toggle(prev, result.keyword))}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                  />
+                  <button
+                    onClick={() => setExpanded(prev => toggle(prev, result.keyword))}
+                    className="flex items-center min-w-0 text-left"
+                  >
+                    {isOpen ? <ChevronDown className="w-4 h-4 text-gray-400 mr-2" /> : <ChevronRight className="w-4 h-4 text-gray-400 mr-2" />}
+                    <span className="font-medium text-gray-900 truncate">{result.keyword}</span>
+                  </button>
+                  <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${getDecisionColor(result.decision)}`}>
+                    {result.decision}
+                  </span>
+                  {result.intent && (
+                    <span
+                      className="px-2 py-0.5 text-xs font-medium rounded-full bg-indigo-50 text-indigo-700"
+                      title={(result.intent_signals || []).join('; ')}
+                    >
+                      {INTENTS[result.intent] || result.intent}
+                    </span>
+                  )}
+                  {result.cached && (
+                    <span
+                      className="px-2 py-0.5 text-xs font-medium rounded-full bg-gray-100 text-gray-600"
+                      title={result.cached_from ? `SERP reused from ${result.cached_from.request_id} (${new Date(result.cached_from.analyzed_at).toLocaleString()})` : 'SERP reused from an earlier analysis'}
+                    >
+                      Cached
+                    </span>
+                  )}
+                  {result.already_ranking && (
+                    <span
+                      className="px-2 py-0.5 text-xs font-medium rounded-full bg-blue-100 text-blue-800"
+                      title="One of your own domains already ranks for this keyword"
+                    >
+                      Already ranking #{result.own_position}
+                    </span>
+                  )}
+                </div>
+                <div className="flex items-center space-x-4 text-sm text-gray-600 ml-4 shrink-0">
+                  {result.difficulty !== undefined && result.difficulty !== null && (
+                    <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${getDifficultyColor(result.difficulty)}`} title="Keyword difficulty, 0–100">
+                      KD {result.difficulty}
+                    </span>
+                  )}
+                  <span>Avg DA {result.average_da ?? 'n/a'}</span>
+                  {config && (
+                    <span title="Write when at least x of the top y results have DA below z">
+                      {result.low_da_count}/{config.x} low DA in top {config.y} (DA &lt; {config.z})
+                    </span>
+                  )}
+                  {result.api_key_used && (
+                    <span className="flex items-center text-gray-500">
+                      <Key className="w-3 h-3 mr-1" />
+                      {result.api_key_used}
+                    </span>
+                  )}
+                </div>
+              </div>
+
+              {isOpen && (
+                <div className="px-4 pb-4 space-y-4">
+                  {result.error && (
+                    <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-start">
+                      <AlertCircle className="w-4 h-4 text-red-500 mr-2 mt-0.5" />
+                      <div>
+                        <p className="text-sm text-red-700">{result.error}</p>
+                        {result.api_keys_attempted?.map((attempt, index) => (
+                          <p key={index} className="text-xs text-red-600 mt-1">
+                            {attempt.key_name} ({attempt.status}){attempt.error ? `: ${attempt.error}` : ''}
+                          </p>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {(result.tracked_domains || []).length > 0 && (
+                    <div className="flex flex-wrap gap-2">
+                      {(result.tracked_domains || []).map(ranking => (
+                        <span
+                          key={ranking.domain}
+                          title={ranking.url}
+                          className={`px-2 py-1 rounded-full text-xs ${ranking.kind === 'own' ? 'bg-blue-50 text-blue-800' : 'bg-gray-100 text-gray-700'}`}
+                        >
+                          {ranking.label || ranking.domain} #{ranking.position}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+
+                  {(result.difficulty_breakdown || []).length > 0 && (
+                    <div className="p-3 bg-gray-50 rounded-lg">
+                      <p className="text-xs font-medium text-gray-700 mb-1">
+                        Difficulty {result.difficulty ?? 'n/a'} — points per factor
+                      </p>
+                      <table className="text-xs text-gray-600">
+                        <tbody>
+                          {(result.difficulty_breakdown || []).map(factor => (
+                            <tr key={factor.factor}>
+                              <td className="pr-4">{factor.label}</td>
+                              <td className="pr-4 text-gray-500">{factor.value ?? 'n/a'}</td>
+                              <td className="pr-4 text-gray-500">weight {factor.weight}</td>
+                              <td className={factor.points < 0 ? 'text-green-700' : 'text-gray-900'}>
+                                {factor.points > 0 ? '+' : ''}{factor.points}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+
+                  {result.decision_explanation && (
+                    <div className="p-3 bg-gray-50 rounded-lg">
+                      <p className="text-xs font-medium text-gray-700 mb-1">
+                        {result.rule_profile ? `Rule profile "${result.rule_profile}"` : 'Write/Skip rule'}
+                      </p>
+                      <ConditionTree node={result.decision_explanation} />
+                    </div>
+                  )}
+
+                  {(result.detailed_results || []).length > 0 && (
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-xs text-gray-500 uppercase">
+                            <th className="py-2 pr-4">#</th>
+                            <th className="py-2 pr-4">Result</th>
+                            <th className="py-2 pr-4">DA</th>
+                            <th className="py-2 pr-4">PA</th>
+                            <th className="py-2 pr-4">Spam</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                          {(result.detailed_results || []).filter(matchesResultType).map(row => (
+                            <tr key={`${row.position}-${row.url}`} className="align-top">
+                              <td className="py-2 pr-4 text-gray-500">{row.position}</td>
+                              <td className="py-2 pr-4 max-w-xl">
+                                <a
+                                  href={row.url}
+                                  target="_blank"
+                                  rel="noopener noreferrer"
+                                  className="text-blue-700 hover:underline flex items-center"
+                                >
+                                  <span className="truncate">{row.title || row.url}</span>
+                                  <ExternalLink className="w-3 h-3 ml-1 shrink-0" />
+                                </a>
+                                <p className="text-xs text-green-700 truncate">
+                                  {row.domain}
+                                  <ResultTypeBadge type={getResultType(row)} />
+                                </p>
+                                {row.description && <p className="text-xs text-gray-600 mt-1">{row.description}</p>}
+                              </td>
+                              <td className={`py-2 pr-4 ${getDaColor(row.da, threshold)}`}>{row.da ?? 'n/a'}</td>
+                              <td className="py-2 pr-4 text-gray-700">{row.pa ?? 'n/a'}</td>
+                              <td className="py-2 pr-4 text-gray-700">{row.spam_score ?? 'n/a'}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+
+                  <div>
+                    <div className="flex items-center space-x-4">
+                      <button
+                        onClick={() => setHistoryKeyword(historyKeyword === result.keyword ? null : result.keyword)}
+                        className="text-sm text-blue-600 hover:text-blue-700 flex items-center"
+                      >
+                        <History className="w-4 h-4 mr-1" />
+                        {historyKeyword === result.keyword ? 'Hide history' : 'Show history across runs'}
+                      </button>
+                      {!result.error && (result.detailed_results || []).length > 0 && (
+                        <button
+                          onClick={() => handleDownloadBrief(result.keyword)}
+                          disabled={downloadingBrief !== null}
+                          className="text-sm text-blue-600 hover:text-blue-700 disabled:opacity-50 flex items-center"
+                          title="Terms, title patterns, related keywords and weak pages from this SERP, as Markdown"
+                        >
+                          {downloadingBrief === result.keyword ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <FileText className="w-4 h-4 mr-1" />}
+                          Download content brief
+                        </button>
+                      )}
+                    </div>
+                    {historyKeyword === result.keyword && (
+                      <div className="mt-3 p-4 border border-gray-100 rounded-lg">
+                        <KeywordHistory
+                          compact
+                          initialKeyword={result.keyword}
+                          initialCountry={analysis.options?.country || 'US'}
+                          initialLanguage={analysis.options?.language || ''}
+                          initialDevice={analysis.options?.device || 'desktop'}
+                          initialLocation={analysis.options?.location || ''}
+                        />
+                      </div>
+                    )}
+                  </div>
+
+                  {relatedKeywords.length > 0 && (
+                    <div>
+                      <p className="text-xs font-medium text-gray-700 mb-2">Related keywords</p>
+                      <div className="flex flex-wrap gap-2">
+                        {relatedKeywords.map(keyword => (
+                          <span key={keyword} className="px-2 py-1 bg-blue-50 text-blue-700 rounded-full text-xs">
+                            {keyword}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
@@ -7,9 +7,12 @@ import {
   Filter,
   CheckCircle,
   XCircle,
-  Clock
+  Clock,
+  Loader2
 } from 'lucide-react';
 import { supabase } from '../lib/supabase';
+import { apiDownload } from '../lib/api';
+import { AnalysisDetail } from './AnalysisDetail';
 import { useAuth } from '../hooks/useAuth';
 
 interface AnalysisLog {
@@ -20,14 +23,48 @@ interface AnalysisLog {
   processing_time: number;
   created_at: string;
   error_message?: string;
+  progress?: {
+    stage: string;
+    total: number;
+    completed: number;
+    failed: number;
+  } | null;
 }
 
+type ExportFormat = 'csv' | 'xlsx' | 'jsonl';
+
+// Start of the selected date range; null means all time
+const getCutoffDate = (dateRange: string): Date | null => {
+  const cutoffDate = new Date();
+
+  switch (dateRange) {
+    case '24h':
+      cutoffDate.setHours(cutoffDate.getHours() - 24);
+      return cutoffDate;
+    case '7d':
+      cutoffDate.setDate(cutoffDate.getDate() - 7);
+      return cutoffDate;
+    case '30d':
+      cutoffDate.setDate(cutoffDate.getDate() - 30);
+      return cutoffDate;
+    case '90d':
+      cutoffDate.setDate(cutoffDate.getDate() - 90);
+      return cutoffDate;
+    default:
+      return null;
+  }
+};
+
 export const AnalyticsView: React.FC = () => {
   const [logs, setLogs] = useState<AnalysisLog[]>([]);
   const [filteredLogs, setFilteredLogs] = useState<AnalysisLog[]>([]);
   const [loading, setLoading] = useState(true);
   const [statusFilter, setStatusFilter] = useState<string>('all');
   const [dateRange, setDateRange] = useState<string>('7d');
+  const [exportFormat, setExportFormat] = useState<ExportFormat>('csv');
+  const [exporting, setExporting] = useState<string | null>(null);
+  const [exportError, setExportError] = useState<string | null>(null);
+  const [selectedLogId, setSelectedLogId] = useState<string | null>(null);
   const { user } = useAuth();
 
   useEffect(() => {
@@ -66,30 +103,37 @@ export const AnalyticsView: React.FC = () => {
     }
 
     // Filter by date range
-    const now = new Date();
-    const cutoffDate = new Date();
-    
-    switch (dateRange) {
-      case '24h':
-        cutoffDate.setHours(now.getHours() - 24);
-        break;
-      case '7d':
-        cutoffDate.setDate(now.getDate() - 7);
-        break;
-      case '30d':
-        cutoffDate.setDate(now.getDate() - 30);
-        break;
-      case '90d':
-        cutoffDate.setDate(now.getDate() - 90);
-        break;
-      default:
-        cutoffDate.setFullYear(2020); // Show all
+    const cutoffDate = getCutoffDate(dateRange);
+    if (cutoffDate) {
+      filtered = filtered.filter(log => new Date(log.created_at) >= cutoffDate);
     }
 
-    filtered = filtered.filter(log => new Date(log.created_at) >= cutoffDate);
     setFilteredLogs(filtered);
   };
 
+  // Export the filtered set, or a single analysis when a request ID is given
+  const handleExport = async (requestId?: string) => {
+    const params = new URLSearchParams({ format: exportFormat });
+
+    if (requestId) {
+      params.set('request_id', requestId);
+    } else {
+      const cutoffDate = getCutoffDate(dateRange);
+      if (cutoffDate) params.set('from', cutoffDate.toISOString());
+      if (statusFilter !== 'all') params.set('status', statusFilter);
+    }
+
+    setExporting(requestId || 'all');
+    setExportError(null);
+    try {
+      await apiDownload(`/api/exports?${params.toString()}`, `serp-analysis.${exportFormat}`);
+    } catch (error) {
+      setExportError(error instanceof Error ? error.message : 'Export failed');
+    } finally {
+      setExporting(null);
+    }
+  };
+
   const getStatusIcon = (status: string) => {
     switch (status) {
       case 'completed':
@@ -148,6 +192,18 @@ export const AnalyticsView: React.FC = () => {
     );
   }
 
+  if (selectedLogId) {
+    return (
+      <AnalysisDetail
+        logId={selectedLogId}
+        onBack={() => {
+          setSelectedLogId(null);
+          fetchAnalyticsData();
+        }}
+      />
+    );
+  }
+
   return (
     <div className="p-6 space-y-6">
       {/* Header */}
@@ -156,12 +212,33 @@ export const AnalyticsView: React.FC = () => {
           <h1 className="text-2xl font-bold text-gray-900">Analytics Dashboard</h1>
           <p className="text-gray-600">Monitor your SERP analysis performance and usage</p>
         </div>
-        <button className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors duration-200 flex items-center">
-          <Download className="w-5 h-5 mr-2" />
-          Export Data
-        </button>
+        <div className="flex items-center space-x-2">
+          <select
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value as ExportFormat)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="csv">CSV</option>
+            <option value="xlsx">Excel (XLSX)</option>
+            <option value="jsonl">JSON Lines</option>
+          </select>
+          <button
+            onClick={() => handleExport()}
+            disabled={exporting !== null || filteredLogs.length === 0}
+            className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg transition-colors duration-200 flex items-center"
+          >
+            {exporting === 'all' ? <Loader2 className="w-5 h-5 mr-2 animate-spin" /> : <Download className="w-5 h-5 mr-2" />}
+            Export Data
+          </button>
+        </div>
       </div>
 
+      {exportError && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">{exportError}</p>
+        </div>
+      )}
+
       {/* Filters */}
       <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-4">
         <div className="flex flex-wrap items-center gap-4">
@@ -254,13 +331,17 @@ export const AnalyticsView: React.FC = () => {
       <div className="bg-white rounded-xl shadow-sm border border-gray-100">
         <div className="p-6 border-b border-gray-100">
           <h2 className="text-lg font-semibold text-gray-900">Recent Requests</h2>
-          <p className="text-sm text-gray-600">Latest SERP analysis requests and their details</p>
+          <p className="text-sm text-gray-600">Latest SERP analysis requests — click one to explore its keywords and SERPs</p>
         </div>
 
         <div className="divide-y divide-gray-100 max-h-96 overflow-y-auto">
           {filteredLogs.length > 0 ? (
             filteredLogs.map((log) => (
-              <div key={log.id} className="p-6 hover:bg-gray-50 transition-colors duration-200">
+              <div
+                key={log.id}
+                onClick={() => setSelectedLogId(log.id)}
+                className="p-6 hover:bg-gray-50 transition-colors duration-200 cursor-pointer"
+              >
                 <div className="flex items-center justify-between">
                   <div className="flex items-center space-x-4">
                     {getStatusIcon(log.status)}
@@ -274,6 +355,11 @@ export const AnalyticsView: React.FC = () => {
                       <p className="text-sm text-gray-500">
                         {new Date(log.created_at).toLocaleString()}
                       </p>
+                      {log.status === 'pending' && log.progress && (
+                        <p className="text-sm text-yellow-700">
+                          {log.progress.completed + log.progress.failed} of {log.progress.total} keywords done ({log.progress.stage})
+                        </p>
+                      )}
                     </div>
                   </div>
                   
@@ -286,6 +372,19 @@ export const AnalyticsView: React.FC = () => {
                         {log.processing_time}ms
                       </span>
                     )}
+                    {log.status === 'completed' && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleExport(log.request_id);
+                        }}
+                        disabled={exporting !== null}
+                        title={`Export as ${exportFormat.toUpperCase()}`}
+                        className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors duration-200 disabled:opacity-50"
+                      >
+                        {exporting === log.request_id ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+                      </button>
+                    )}
                   </div>
                 </div>
                 
@@ -2,25 +2,25 @@ import React, { useState, useEffect } from 'react';
 import { 
   Plus, 
   Trash2, 
-  Edit2, 
   Key, 
   CheckCircle, 
   XCircle, 
   AlertTriangle,
-  Eye,
-  EyeOff,
-  Loader2
+  Loader2,
+  DollarSign
 } from 'lucide-react';
 import { supabase } from '../lib/supabase';
+import { apiRequest } from '../lib/api';
 import { useAuth } from '../hooks/useAuth';
 
 interface ApiKey {
   id: string;
   key_name: string;
-  api_key: string;
+  api_key_fingerprint: string | null;
   provider: string;
   status: string;
-  credits_remaining: number;
+  credits_remaining: number | null;
+  monthly_budget_usd: number | null;
   last_used: string | null;
   created_at: string;
 }
@@ -34,13 +34,15 @@ export const ApiKeyManager: React.FC<ApiKeyManagerProps> = ({ onSuccess }) => {
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
   const [showAddForm, setShowAddForm] = useState(false);
-  const [showKeys, setShowKeys] = useState<{ [key: string]: boolean }>({});
   const [error, setError] = useState<string | null>(null);
   const [newKey, setNewKey] = useState({
     name: '',
     key: '',
     provider: 'apify',
   });
+  const [spendByKey, setSpendByKey] = useState<{ [key: string]: number }>({});
+  const [accountBudget, setAccountBudget] = useState('');
+  const [editingBudget, setEditingBudget] = useState<{ id: string; value: string } | null>(null);
   const { user } = useAuth();
 
   // Test Supabase connection
@@ -70,6 +72,7 @@ export const ApiKeyManager: React.FC<ApiKeyManagerProps> = ({ onSuccess }) => {
   useEffect(() => {
     if (user) {
       fetchApiKeys();
+      fetchUsage();
     }
   }, [user]);
 
@@ -80,7 +83,7 @@ export const ApiKeyManager: React.FC<ApiKeyManagerProps> = ({ onSuccess }) => {
       
       const { data, error } = await supabase
         .from('api_keys')
-        .select('*')
+        .select('id, key_name, api_key_fingerprint, provider, status, credits_remaining, monthly_budget_usd, last_used, created_at')
         .eq('user_id', user!.id)
         .order('created_at', { ascending: false });
 
@@ -101,6 +104,93 @@ export const ApiKeyManager: React.FC<ApiKeyManagerProps> = ({ onSuccess }) => {
     }
   };
 
+  const fetchUsage = async () => {
+    try {
+      const now = new Date();
+      const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+
+      const [{ data: usage, error: usageError }, { data: profile }] = await Promise.all([
+        supabase
+          .from('api_key_usage')
+          .select('api_key_id, cost_usd')
+          .eq('user_id', user!.id)
+          .gte('created_at', monthStart),
+        supabase
+          .from('users')
+          .select('monthly_budget_usd')
+          .eq('id', user!.id)
+          .single()
+      ]);
+
+      if (usageError) {
+        console.warn('⚠️ API key usage fetch warning:', usageError.message);
+      }
+
+      const totals: { [key: string]: number } = {};
+      (usage || []).forEach((row: { api_key_id: string | null; cost_usd: number | null }) => {
+        const key = row.api_key_id || 'deleted';
+        totals[key] = (totals[key] || 0) + (Number(row.cost_usd) || 0);
+      });
+
+      setSpendByKey(totals);
+      setAccountBudget(profile?.monthly_budget_usd != null ? String(profile.monthly_budget_usd) : '');
+    } catch (error) {
+      console.warn('⚠️ API key usage fetch error (non-critical):', error);
+    }
+  };
+
+  const parseBudget = (value: string) => {
+    if (!value.trim()) return null;
+    const budget = Number(value);
+    return Number.isFinite(budget) && budget >= 0 ? budget : undefined;
+  };
+
+  const handleSaveAccountBudget = async () => {
+    const budget = parseBudget(accountBudget);
+    if (budget === undefined) {
+      setError('Monthly budget must be a positive number');
+      return;
+    }
+
+    try {
+      await apiRequest('/api/budget', {
+        method: 'PUT',
+        body: JSON.stringify({ monthly_budget_usd: budget }),
+      });
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to save monthly budget. Please try again.');
+      return;
+    }
+
+    await fetchUsage();
+  };
+
+  const handleSaveKeyBudget = async () => {
+    if (!editingBudget) return;
+
+    const budget = parseBudget(editingBudget.value);
+    if (budget === undefined) {
+      setError('Key budget must be a positive number');
+      return;
+    }
+
+    try {
+      await apiRequest(`/api/keys/${editingBudget.id}/budget`, {
+        method: 'PUT',
+        body: JSON.stringify({ monthly_budget_usd: budget }),
+      });
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to save key budget. Please try again.');
+      return;
+    }
+
+    setEditingBudget(null);
+    await fetchApiKeys();
+  };
+
+  const formatUsd = (value: number) => `$${value.toFixed(2)}`;
+  const totalSpend = Object.values(spendByKey).reduce((sum, value) => sum + value, 0);
+
   const handleAddKey = async (e: React.FormEvent) => {
     e.preventDefault();
     setSubmitting(true);
@@ -113,7 +203,7 @@ export const ApiKeyManager: React.FC<ApiKeyManagerProps> = ({ onSuccess }) => {
         setSubmitting(false);
         return;
       }
-      if (!newKey.key.trim()) {
+      if (!newKey.key.trim() && newKey.provider !== 'fixture') {
         setError('API key is required');
         setSubmitting(false);
         return;
@@ -126,24 +216,15 @@ export const ApiKeyManager: React.FC<ApiKeyManagerProps> = ({ onSuccess }) => {
         key_length: newKey.key.trim().length
       });
 
-      const { data, error } = await supabase
-        .from('api_keys')
-        .insert({
-          user_id: user!.id,
+      // The backend encrypts the key before storing it
+      await apiRequest('/api/keys', {
+        method: 'POST',
+        body: JSON.stringify({
           key_name: newKey.name.trim(),
           api_key: newKey.key.trim(),
           provider: newKey.provider,
-          status: 'active',
-        })
-        .select()
-        .single();
-
-      if (error) {
-        console.warn('⚠️ API key addition warning:', error.message);
-        setError(error.message || 'Failed to add API key. Please try again.');
-        setSubmitting(false);
-        return;
-      }
+        }),
+      });
 
       // Success
       console.log('✅ API key added successfully');
@@ -189,13 +270,6 @@ export const ApiKeyManager: React.FC<ApiKeyManagerProps> = ({ onSuccess }) => {
     }
   };
 
-  const toggleKeyVisibility = (keyId: string) => {
-    setShowKeys(prev => ({
-      ...prev,
-      [keyId]: !prev[keyId]
-    }));
-  };
-
   const getStatusIcon = (status: string) => {
     switch (status) {
       case 'active':
@@ -222,11 +296,6 @@ export const ApiKeyManager: React.FC<ApiKeyManagerProps> = ({ onSuccess }) => {
     }
   };
 
-  const maskApiKey = (key: string) => {
-    if (key.length <= 8) return key;
-    return key.substring(0, 4) + '•'.repeat(key.length - 8) + key.substring(key.length - 4);
-  };
-
   if (loading) {
     return (
       <div className="p-6">
@@ -276,6 +345,45 @@ export const ApiKeyManager: React.FC<ApiKeyManagerProps> = ({ onSuccess }) => {
         </div>
       )}
 
+      {/* Monthly Budget */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div className="flex items-center space-x-4">
+            <div className="w-12 h-12 bg-green-100 rounded-lg flex items-center justify-center">
+              <DollarSign className="w-6 h-6 text-green-600" />
+            </div>
+            <div>
+              <h2 className="font-semibold text-gray-900">Monthly Spend</h2>
+              <p className="text-sm text-gray-600">
+                {formatUsd(totalSpend)} spent this month
+                {parseBudget(accountBudget) != null && ` of ${formatUsd(Number(accountBudget))} budget`}
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center space-x-2">
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={accountBudget}
+              onChange={(e) => setAccountBudget(e.target.value)}
+              placeholder="No limit"
+              className="w-32 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+            />
+            <button
+              onClick={handleSaveAccountBudget}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 active:bg-blue-800 text-white rounded-lg transition-all duration-200 shadow-sm hover:shadow-md"
+            >
+              Save Budget
+            </button>
+          </div>
+        </div>
+        <p className="text-xs text-gray-500 mt-3">
+          Requests whose estimated cost would exceed the account budget are rejected before any Apify actor starts.
+          Keys that reach their own budget are skipped until next month.
+        </p>
+      </div>
+
       {/* Add Key Form */}
       {showAddForm && (
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
@@ -307,6 +415,7 @@ export const ApiKeyManager: React.FC<ApiKeyManagerProps> = ({ onSuccess }) => {
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-50 disabled:cursor-not-allowed transition-all duration-200"
                 >
                   <option value="apify">Apify</option>
+                  <option value="fixture">Fixture (offline replay)</option>
                 </select>
               </div>
             </div>
@@ -316,13 +425,18 @@ export const ApiKeyManager: React.FC<ApiKeyManagerProps> = ({ onSuccess }) => {
               </label>
               <input
                 type="password"
-                required
+                required={newKey.provider !== 'fixture'}
                 disabled={submitting}
                 value={newKey.key}
                 onChange={(e) => setNewKey(prev => ({ ...prev, key: e.target.value }))}
                 placeholder="Enter your API key"
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-50 disabled:cursor-not-allowed transition-all duration-200"
               />
+              {newKey.provider === 'fixture' && (
+                <p className="text-sm text-gray-500 mt-1">
+                  Fixture keys replay stored SERP JSON from the server and spend no credits. No real key is needed.
+                </p>
+              )}
             </div>
             <div className="flex justify-end space-x-3">
               <button
@@ -369,19 +483,10 @@ export const ApiKeyManager: React.FC<ApiKeyManagerProps> = ({ onSuccess }) => {
                   <div>
                     <h3 className="font-semibold text-gray-900">{apiKey.key_name}</h3>
                     <div className="flex items-center space-x-2 mt-1">
-                      <span className="text-sm text-gray-600">
-                        {showKeys[apiKey.id] ? apiKey.api_key : maskApiKey(apiKey.api_key)}
+                      <span className="text-sm text-gray-600 font-mono">
+                        {apiKey.api_key_fingerprint || '••••••••'}
                       </span>
-                      <button
-                        onClick={() => toggleKeyVisibility(apiKey.id)}
-                        className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
-                      >
-                        {showKeys[apiKey.id] ? (
-                          <EyeOff className="w-4 h-4" />
-                        ) : (
-                          <Eye className="w-4 h-4" />
-                        )}
-                      </button>
+                      <span className="text-xs text-gray-400">Encrypted</span>
                     </div>
                   </div>
                 </div>
@@ -400,6 +505,43 @@ export const ApiKeyManager: React.FC<ApiKeyManagerProps> = ({ onSuccess }) => {
                         : 'Never used'
                       }
                     </p>
+                    <p className="text-sm text-gray-600 mt-1">
+                      {formatUsd(spendByKey[apiKey.id] || 0)} this month
+                      {apiKey.credits_remaining != null && ` · ${formatUsd(Number(apiKey.credits_remaining))} left`}
+                    </p>
+                    {editingBudget?.id === apiKey.id ? (
+                      <div className="flex items-center justify-end space-x-2 mt-2">
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={editingBudget.value}
+                          onChange={(e) => setEditingBudget({ id: apiKey.id, value: e.target.value })}
+                          placeholder="No limit"
+                          className="w-24 px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                        <button
+                          onClick={handleSaveKeyBudget}
+                          className="text-sm text-blue-600 hover:text-blue-800"
+                        >
+                          Save
+                        </button>
+                        <button
+                          onClick={() => setEditingBudget(null)}
+                          className="text-sm text-gray-500 hover:text-gray-700"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    ) : (
+                      <button
+                        onClick={() => setEditingBudget({ id: apiKey.id, value: apiKey.monthly_budget_usd != null ? String(apiKey.monthly_budget_usd) : '' })}
+                        className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 mt-1"
+                      >
+                        <DollarSign className="w-3 h-3 mr-1" />
+                        {apiKey.monthly_budget_usd != null ? `Budget ${formatUsd(Number(apiKey.monthly_budget_usd))}` : 'Set budget'}
+                      </button>
+                    )}
                   </div>
                   
                   <div className="flex items-center space-x-2">
@@ -0,0 +1,318 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Layers,
+  Upload,
+  Play,
+  Pause,
+  RotateCw,
+  Loader2,
+  CheckCircle,
+  XCircle,
+  Clock
+} from 'lucide-react';
+import { supabase } from '../lib/supabase';
+import { apiRequest } from '../lib/api';
+import { useAuth } from '../hooks/useAuth';
+
+interface BulkRun {
+  id: string;
+  name: string;
+  status: string;
+  options: { country?: string; rule_profile?: string | null } | null;
+  keywords_total: number;
+  keywords_completed: number;
+  keywords_failed: number;
+  batches_completed: number;
+  error_message: string | null;
+  created_at: string;
+  finished_at: string | null;
+}
+
+const POLL_INTERVAL_MS = 5000;
+
+const emptyForm = { name: '', text: '', country: 'US' };
+
+export const BulkRuns: React.FC = () => {
+  const [runs, setRuns] = useState<BulkRun[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(emptyForm);
+  const [fileName, setFileName] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [busyRun, setBusyRun] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const { user } = useAuth();
+
+  useEffect(() => {
+    if (user) {
+      fetchRuns();
+    }
+  }, [user]);
+
+  // Keep polling while any run is still working through its batches
+  useEffect(() => {
+    if (!runs.some(run => run.status === 'running')) return;
+
+    const timer = setInterval(fetchRuns, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [runs]);
+
+  const fetchRuns = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('bulk_runs')
+        .select('id, name, status, options, keywords_total, keywords_completed, keywords_failed, batches_completed, error_message, created_at, finished_at')
+        .eq('user_id', user!.id)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      setRuns(data || []);
+    } catch (error) {
+      console.error('Error fetching bulk runs:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const text = await file.text();
+    setFileName(file.name);
+    setForm(prev => ({
+      ...prev,
+      text,
+      name: prev.name || file.name.replace(/\.[^.]+$/, ''),
+    }));
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await apiRequest<BulkRun>('/api/bulk-runs', {
+        method: 'POST',
+        body: JSON.stringify({
+          name: form.name.trim() || undefined,
+          text: form.text,
+          filename: fileName || undefined,
+          country: form.country,
+        }),
+      });
+      setForm(emptyForm);
+      setFileName(null);
+      await fetchRuns();
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to start bulk run');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleAction = async (run: BulkRun, action: 'pause' | 'resume' | 'retry-failed') => {
+    setBusyRun(run.id);
+    setError(null);
+    try {
+      await apiRequest<BulkRun>(`/api/bulk-runs/${run.id}/${action}`, { method: 'POST' });
+      await fetchRuns();
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Bulk run action failed');
+    } finally {
+      setBusyRun(null);
+    }
+  };
+
+  const getStatusIcon = (status: string) => {
+    switch (status) {
+      case 'completed':
+        return <CheckCircle className="w-4 h-4 text-green-500" />;
+      case 'failed':
+        return <XCircle className="w-4 h-4 text-red-500" />;
+      case 'paused':
+        return <Pause className="w-4 h-4 text-yellow-500" />;
+      default:
+        return <Clock className="w-4 h-4 text-blue-500" />;
+    }
+  };
+
+  const getStatusColor = (status: string) => {
+    switch (status) {
+      case 'completed':
+        return 'bg-green-100 text-green-800';
+      case 'failed':
+        return 'bg-red-100 text-red-800';
+      case 'paused':
+        return 'bg-yellow-100 text-yellow-800';
+      default:
+        return 'bg-blue-100 text-blue-800';
+    }
+  };
+
+  const lineCount = form.text.split(/\r?\n/).filter(line => line.trim()).length;
+
+  return (
+    <div className="p-6 space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Bulk Runs</h1>
+        <p className="text-gray-600">Upload thousands of keywords and process them in batches across your API keys</p>
+      </div>
+
+      {/* Upload */}
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 space-y-4">
+        <div className="flex items-center">
+          <div className="w-10 h-10 bg-blue-100 rounded-lg flex items-center justify-center mr-3">
+            <Upload className="w-5 h-5 text-blue-600" />
+          </div>
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">New Bulk Run</h2>
+            <p className="text-sm text-gray-600">CSV with a "keyword" column (a .csv file without one uses the first column), or one keyword per line</p>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="e.g., Q3 candidate keywords"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Country</label>
+            <input
+              type="text"
+              value={form.country}
+              onChange={(e) => setForm(prev => ({ ...prev, country: e.target.value.toUpperCase() }))}
+              maxLength={2}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">File (.csv or .txt)</label>
+            <label className="w-full px-3 py-2 border border-dashed border-gray-300 rounded-lg flex items-center cursor-pointer hover:bg-gray-50 transition-colors duration-200">
+              <Upload className="w-4 h-4 mr-2 text-gray-500" />
+              <span className="text-sm text-gray-600 truncate">{fileName || 'Choose a file'}</span>
+              <input type="file" accept=".csv,.txt,text/csv,text/plain" onChange={handleFileChange} className="hidden" />
+            </label>
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Keywords</label>
+          <textarea
+            value={form.text}
+            onChange={(e) => setForm(prev => ({ ...prev, text: e.target.value }))}
+            rows={8}
+            placeholder={'best running shoes\nrunning shoes for flat feet\n...'}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            {lineCount} lines — duplicates and blank lines are removed when the run is created
+          </p>
+        </div>
+
+        {error && (
+          <p className="text-sm text-red-600">{error}</p>
+        )}
+
+        <button
+          type="submit"
+          disabled={submitting || lineCount === 0}
+          className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg transition-colors duration-200 flex items-center"
+        >
+          {submitting ? <Loader2 className="w-5 h-5 mr-2 animate-spin" /> : <Play className="w-5 h-5 mr-2" />}
+          Start Bulk Run
+        </button>
+      </form>
+
+      {/* Runs */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+        <div className="flex items-center mb-4">
+          <div className="w-10 h-10 bg-indigo-100 rounded-lg flex items-center justify-center mr-3">
+            <Layers className="w-5 h-5 text-indigo-600" />
+          </div>
+          <h2 className="text-lg font-semibold text-gray-900">Runs</h2>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="w-6 h-6 text-blue-600 animate-spin" />
+          </div>
+        ) : runs.length === 0 ? (
+          <p className="text-sm text-gray-500 py-4">No bulk runs yet.</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {runs.map((run) => {
+              const done = run.keywords_completed + run.keywords_failed;
+              const percent = run.keywords_total ? Math.round((done / run.keywords_total) * 100) : 0;
+              return (
+                <div key={run.id} className="py-4">
+                  <div className="flex items-center justify-between">
+                    <div className="min-w-0">
+                      <div className="flex items-center space-x-2">
+                        {getStatusIcon(run.status)}
+                        <span className="font-medium text-gray-900 truncate">{run.name}</span>
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${getStatusColor(run.status)}`}>
+                          {run.status}
+                        </span>
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {run.keywords_completed} completed · {run.keywords_failed} failed · {run.keywords_total} total · {run.batches_completed} batches · {run.options?.country || 'US'} · started {new Date(run.created_at).toLocaleString()}
+                      </p>
+                    </div>
+                    <div className="flex items-center space-x-2 ml-4">
+                      {run.status === 'running' && (
+                        <button
+                          onClick={() => handleAction(run, 'pause')}
+                          disabled={busyRun === run.id}
+                          className="px-3 py-1.5 text-sm text-yellow-700 hover:bg-yellow-50 rounded-lg transition-colors duration-200 flex items-center disabled:opacity-50"
+                        >
+                          <Pause className="w-4 h-4 mr-1" />
+                          Pause
+                        </button>
+                      )}
+                      {(run.status === 'paused' || run.status === 'failed') && (
+                        <button
+                          onClick={() => handleAction(run, 'resume')}
+                          disabled={busyRun === run.id}
+                          className="px-3 py-1.5 text-sm text-blue-700 hover:bg-blue-50 rounded-lg transition-colors duration-200 flex items-center disabled:opacity-50"
+                        >
+                          <Play className="w-4 h-4 mr-1" />
+                          Resume
+                        </button>
+                      )}
+                      {run.keywords_failed > 0 && (
+                        <button
+                          onClick={() => handleAction(run, 'retry-failed')}
+                          disabled={busyRun === run.id}
+                          className="px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-100 rounded-lg transition-colors duration-200 flex items-center disabled:opacity-50"
+                        >
+                          <RotateCw className="w-4 h-4 mr-1" />
+                          Retry failed
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                  <div className="mt-3 w-full bg-gray-100 rounded-full h-2 overflow-hidden">
+                    <div
+                      className={`h-2 ${run.keywords_failed > 0 ? 'bg-gradient-to-r from-blue-500 to-yellow-500' : 'bg-blue-500'}`}
+                      style={{ width: `${percent}%` }}
+                    />
+                  </div>
+                  {run.error_message && (
+                    <p className="text-xs text-red-600 mt-2">{run.error_message}</p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -9,15 +9,26 @@ import {
   Menu,
   X,
   CheckCircle,
-  AlertCircle
+  AlertCircle,
+  Layers,
+  History,
+  CalendarClock,
+  FolderKanban,
+  Target
 } from 'lucide-react';
 import { useAuth } from '../hooks/useAuth';
 import { ApiKeyManager } from './ApiKeyManager';
 import { WebhookDashboard } from './WebhookDashboard';
 import { AnalyticsView } from './AnalyticsView';
+import { BulkRuns } from './BulkRuns';
+import { KeywordHistory } from './KeywordHistory';
+import { Schedules } from './Schedules';
+import { Projects } from './Projects';
+import { Visibility } from './Visibility';
+import { SettingsView } from './SettingsView';
 import { DashboardOverview } from './DashboardOverview';
 
-type TabType = 'overview' | 'api-keys' | 'webhook' | 'analytics' | 'settings';
+type TabType = 'overview' | 'api-keys' | 'webhook' | 'projects' | 'bulk-runs' | 'schedules' | 'analytics' | 'history' | 'visibility' | 'settings';
 
 interface Notification {
   id: string;
@@ -51,7 +62,12 @@ export const Dashboard: React.FC = () => {
     { id: 'overview', name: 'Overview', icon: LayoutDashboard },
     { id: 'api-keys', name: 'API Keys', icon: Key },
     { id: 'webhook', name: 'Webhook', icon: Webhook },
+    { id: 'projects', name: 'Projects', icon: FolderKanban },
+    { id: 'bulk-runs', name: 'Bulk Runs', icon: Layers },
+    { id: 'schedules', name: 'Schedules', icon: CalendarClock },
     { id: 'analytics', name: 'Analytics', icon: BarChart3 },
+    { id: 'history', name: 'History', icon: History },
+    { id: 'visibility', name: 'Visibility', icon: Target },
     { id: 'settings', name: 'Settings', icon: Settings },
   ];
 
@@ -80,10 +96,20 @@ export const Dashboard: React.FC = () => {
         })} />;
       case 'webhook':
         return <WebhookDashboard />;
+      case 'projects':
+        return <Projects />;
+      case 'bulk-runs':
+        return <BulkRuns />;
+      case 'schedules':
+        return <Schedules />;
       case 'analytics':
         return <AnalyticsView />;
+      case 'history':
+        return <KeywordHistory />;
+      case 'visibility':
+        return <Visibility />;
       case 'settings':
-        return <div className="p-6 text-gray-600">Settings coming soon...</div>;
+        return <SettingsView />;
       default:
         return <DashboardOverview />;
     }
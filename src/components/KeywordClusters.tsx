@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import { Network, Loader2, Star } from 'lucide-react';
+import { apiRequest } from '../lib/api';
+
+interface ClusterKeyword {
+  keyword: string;
+  volume: number | null;
+  shared_urls: number | null;
+}
+
+interface Cluster {
+  primary_keyword: string;
+  size: number;
+  total_volume: number | null;
+  keywords: ClusterKeyword[];
+  shared_urls: string[];
+}
+
+interface ClusterResponse {
+  min_shared_urls: number;
+  depth: number;
+  clusters: Cluster[];
+  unclustered: string[];
+  not_analyzed?: string[];
+}
+
+interface KeywordClustersProps {
+  // Clusters endpoint of an analysis or a project, with any filters already in the query
+  path: string;
+}
+
+const THRESHOLDS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+export const KeywordClusters: React.FC<KeywordClustersProps> = ({ path }) => {
+  const [data, setData] = useState<ClusterResponse | null>(null);
+  const [threshold, setThreshold] = useState<number | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchClusters();
+  }, [path, threshold]);
+
+  const fetchClusters = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const separator = path.includes('?') ? '&' : '?';
+      const query = threshold === null ? '' : `${separator}min_shared_urls=${threshold}`;
+      setData(await apiRequest<ClusterResponse>(`${path}${query}`));
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to load clusters');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const grouped = data?.clusters.filter(cluster => cluster.size > 1) || [];
+  const singles = data?.clusters.filter(cluster => cluster.size === 1) || [];
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center">
+          <div className="w-10 h-10 bg-purple-100 rounded-lg flex items-center justify-center mr-3">
+            <Network className="w-5 h-5 text-purple-600" />
+          </div>
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Clusters</h2>
+            <p className="text-sm text-gray-600">Keywords whose top {data?.depth ?? 10} results overlap belong in one article</p>
+          </div>
+        </div>
+        <label className="text-sm text-gray-700 flex items-center">
+          Shared URLs
+          <select
+            value={threshold ?? data?.min_shared_urls ?? ''}
+            onChange={(e) => setThreshold(parseInt(e.target.value, 10))}
+            className="ml-2 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {THRESHOLDS.map(value => (
+              <option key={value} value={value}>{value}+</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600">{error}</p>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <Loader2 className="w-6 h-6 text-blue-600 animate-spin" />
+        </div>
+      ) : data && (
+        <>
+          <p className="text-sm text-gray-600">
+            {grouped.length} clusters · {singles.length} standalone keywords
+            {data.unclustered.length > 0 && ` · ${data.unclustered.length} failed`}
+            {data.not_analyzed && data.not_analyzed.length > 0 && ` · ${data.not_analyzed.length} not analyzed yet`}
+          </p>
+
+          {grouped.length === 0 ? (
+            <p className="text-sm text-gray-500">No keywords share enough URLs to be grouped at this threshold.</p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {grouped.map(cluster => (
+                <div key={cluster.primary_keyword} className="border border-gray-100 rounded-lg p-4">
+                  <div className="flex items-center justify-between mb-2">
+                    <p className="font-medium text-gray-900 flex items-center">
+                      <Star className="w-4 h-4 text-yellow-500 mr-1" />
+                      {cluster.primary_keyword}
+                    </p>
+                    <span className="text-xs text-gray-500">
+                      {cluster.size} keywords{cluster.total_volume !== null ? ` · ${cluster.total_volume} volume` : ''}
+                    </span>
+                  </div>
+                  <ul className="space-y-1">
+                    {cluster.keywords.slice(1).map(member => (
+                      <li key={member.keyword} className="text-sm text-gray-700 flex justify-between">
+                        <span>{member.keyword}</span>
+                        <span className="text-xs text-gray-500">{member.shared_urls} shared</span>
+                      </li>
+                    ))}
+                  </ul>
+                  <details className="mt-2">
+                    <summary className="text-xs text-blue-600 cursor-pointer">{cluster.shared_urls.length} shared URLs</summary>
+                    <ul className="mt-1 space-y-0.5">
+                      {cluster.shared_urls.map(url => (
+                        <li key={url} className="text-xs text-gray-600 truncate">{url}</li>
+                      ))}
+                    </ul>
+                  </details>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {singles.length > 0 && (
+            <div>
+              <p className="text-xs font-medium text-gray-700 mb-2">Standalone keywords</p>
+              <div className="flex flex-wrap gap-2">
+                {singles.map(cluster => (
+                  <span key={cluster.primary_keyword} className="px-2 py-1 bg-gray-100 text-gray-700 rounded-full text-xs">
+                    {cluster.primary_keyword}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,356 @@
+import React, { useState, useEffect } from 'react';
+import {
+  History,
+  Search,
+  Loader2,
+  ArrowUp,
+  ArrowDown,
+  Plus,
+  Minus
+} from 'lucide-react';
+import { apiRequest } from '../lib/api';
+
+interface Snapshot {
+  request_id: string;
+  analyzed_at: string;
+  decision: string | null;
+  low_da_count: number | null;
+  average_da: number | null;
+  results: { position: number; url: string; domain: string; da: number | null }[];
+}
+
+interface UrlChange {
+  url: string;
+  domain: string;
+  position?: number;
+  from_position?: number;
+  to_position?: number;
+  from_da?: number | null;
+  to_da?: number | null;
+  change?: number | null;
+}
+
+interface SnapshotDiff {
+  decision: { from: string | null; to: string | null; changed: boolean };
+  low_da_count: { from: number | null; to: number | null };
+  new_urls: UrlChange[];
+  dropped_urls: UrlChange[];
+  moved: UrlChange[];
+  da_changes: UrlChange[];
+}
+
+interface Locale {
+  country: string;
+  language: string;
+  device: string;
+  location: string;
+}
+
+interface KeywordHistoryProps {
+  initialKeyword?: string;
+  initialCountry?: string;
+  initialLanguage?: string;
+  initialDevice?: string;
+  initialLocation?: string;
+  compact?: boolean;
+}
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = 28;
+
+// History only compares SERPs fetched with the same locale; empty language/location mean the country default
+const localeParams = (locale: Locale) => ({
+  country: locale.country,
+  device: locale.device,
+  ...(locale.language ? { language: locale.language } : {}),
+  ...(locale.location ? { location: locale.location } : {})
+});
+
+const getDecisionFill = (decision: string | null) => {
+  switch (decision) {
+    case 'Write':
+      return '#16a34a';
+    case 'Skip':
+      return '#6b7280';
+    default:
+      return '#dc2626';
+  }
+};
+
+// Low-DA count per run as a line, with each point colored by that run's decision
+const HistoryChart: React.FC<{ snapshots: Snapshot[] }> = ({ snapshots }) => {
+  const maxCount = Math.max(10, ...snapshots.map(snapshot => snapshot.low_da_count ?? 0));
+  const step = snapshots.length > 1 ? (CHART_WIDTH - CHART_PADDING * 2) / (snapshots.length - 1) : 0;
+  const points = snapshots.map((snapshot, index) => ({
+    snapshot,
+    x: snapshots.length > 1 ? CHART_PADDING + index * step : CHART_WIDTH / 2,
+    y: CHART_HEIGHT - CHART_PADDING - ((snapshot.low_da_count ?? 0) / maxCount) * (CHART_HEIGHT - CHART_PADDING * 2),
+  }));
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-48">
+      <line x1={CHART_PADDING} y1={CHART_HEIGHT - CHART_PADDING} x2={CHART_WIDTH - CHART_PADDING} y2={CHART_HEIGHT - CHART_PADDING} stroke="#e5e7eb" />
+      <text x={4} y={CHART_PADDING} fontSize="10" fill="#9ca3af">{maxCount}</text>
+      <text x={4} y={CHART_HEIGHT - CHART_PADDING} fontSize="10" fill="#9ca3af">0</text>
+      <polyline
+        fill="none"
+        stroke="#3b82f6"
+        strokeWidth="2"
+        points={points.map(point => `${point.x},${point.y}`).join(' ')}
+      />
+      {points.map(({ snapshot, x, y }) => (
+        <g key={snapshot.request_id}>
+          <circle cx={x} cy={y} r="5" fill={getDecisionFill(snapshot.decision)}>
+            <title>
+              {`${new Date(snapshot.analyzed_at).toLocaleString()}: ${snapshot.decision || 'n/a'}, ${snapshot.low_da_count ?? 'n/a'} low-DA results, avg DA ${snapshot.average_da ?? 'n/a'}`}
+            </title>
+          </circle>
+          {snapshots.length <= 12 && (
+            <text x={x} y={CHART_HEIGHT - 8} fontSize="10" fill="#6b7280" textAnchor="middle">
+              {new Date(snapshot.analyzed_at).toLocaleDateString()}
+            </text>
+          )}
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+export const KeywordHistory: React.FC<KeywordHistoryProps> = ({
+  initialKeyword = '',
+  initialCountry = 'US',
+  initialLanguage = '',
+  initialDevice = 'desktop',
+  initialLocation = '',
+  compact = false
+}) => {
+  const [keyword, setKeyword] = useState(initialKeyword);
+  const [locale, setLocale] = useState<Locale>({
+    country: initialCountry,
+    language: initialLanguage,
+    device: initialDevice,
+    location: initialLocation
+  });
+  const [snapshots, setSnapshots] = useState<Snapshot[]>([]);
+  const [diff, setDiff] = useState<SnapshotDiff | null>(null);
+  const [fromId, setFromId] = useState('');
+  const [toId, setToId] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [searched, setSearched] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (initialKeyword) {
+      fetchHistory(initialKeyword, { country: initialCountry, language: initialLanguage, device: initialDevice, location: initialLocation });
+    }
+  }, [initialKeyword, initialCountry, initialLanguage, initialDevice, initialLocation]);
+
+  useEffect(() => {
+    if (fromId && toId && fromId !== toId) {
+      fetchDiff();
+    } else {
+      setDiff(null);
+    }
+  }, [fromId, toId]);
+
+  const fetchHistory = async (searchKeyword: string, searchLocale: Locale) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ keyword: searchKeyword.trim(), ...localeParams(searchLocale) });
+      const history = await apiRequest<{ snapshots: Snapshot[] }>(`/api/history?${params.toString()}`);
+      setSnapshots(history.snapshots);
+      setFromId(history.snapshots[history.snapshots.length - 2]?.request_id || '');
+      setToId(history.snapshots[history.snapshots.length - 1]?.request_id || '');
+      setSearched(true);
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchDiff = async () => {
+    try {
+      const params = new URLSearchParams({ keyword: keyword.trim(), ...localeParams(locale), from: fromId, to: toId });
+      setDiff(await apiRequest<SnapshotDiff>(`/api/history/diff?${params.toString()}`));
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to compare snapshots');
+    }
+  };
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (keyword.trim()) {
+      fetchHistory(keyword, locale);
+    }
+  };
+
+  const snapshotLabel = (snapshot: Snapshot) =>
+    `${new Date(snapshot.analyzed_at).toLocaleString()} — ${snapshot.decision || 'n/a'}`;
+
+  return (
+    <div className={compact ? 'space-y-4' : 'p-6 space-y-6'}>
+      {!compact && (
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Keyword History</h1>
+          <p className="text-gray-600">See how a keyword's SERP, low-DA count and decision changed across runs</p>
+        </div>
+      )}
+
+      {!compact && (
+        <form onSubmit={handleSearch} className="bg-white rounded-xl shadow-sm border border-gray-100 p-4 flex flex-wrap items-center gap-3">
+          <input
+            type="text"
+            value={keyword}
+            onChange={(e) => setKeyword(e.target.value)}
+            placeholder="Keyword"
+            className="flex-1 min-w-[200px] px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <input
+            type="text"
+            value={locale.country}
+            onChange={(e) => setLocale(prev => ({ ...prev, country: e.target.value.toUpperCase() }))}
+            maxLength={2}
+            className="w-20 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <input
+            type="text"
+            value={locale.language}
+            onChange={(e) => setLocale(prev => ({ ...prev, language: e.target.value.toLowerCase() }))}
+            placeholder="Language"
+            maxLength={2}
+            className="w-28 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <select
+            value={locale.device}
+            onChange={(e) => setLocale(prev => ({ ...prev, device: e.target.value }))}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="desktop">Desktop</option>
+            <option value="mobile">Mobile</option>
+          </select>
+          <input
+            type="text"
+            value={locale.location}
+            onChange={(e) => setLocale(prev => ({ ...prev, location: e.target.value }))}
+            placeholder="Location (optional)"
+            className="w-44 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <button
+            type="submit"
+            disabled={loading || !keyword.trim()}
+            className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg transition-colors duration-200 flex items-center"
+          >
+            {loading ? <Loader2 className="w-5 h-5 mr-2 animate-spin" /> : <Search className="w-5 h-5 mr-2" />}
+            Show History
+          </button>
+        </form>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {loading && compact && (
+        <div className="flex justify-center py-4">
+          <Loader2 className="w-5 h-5 text-blue-600 animate-spin" />
+        </div>
+      )}
+
+      {searched && !loading && snapshots.length === 0 && (
+        <p className="text-sm text-gray-500">No stored SERPs for this keyword in {[locale.country, locale.language, locale.device, locale.location].filter(Boolean).join(' · ')} yet.</p>
+      )}
+
+      {snapshots.length > 0 && (
+        <div className={compact ? 'space-y-4' : 'bg-white rounded-xl shadow-sm border border-gray-100 p-6 space-y-6'}>
+          <div>
+            <div className="flex items-center mb-2">
+              <History className="w-4 h-4 text-gray-500 mr-2" />
+              <p className="text-sm font-medium text-gray-700">
+                Low-DA results per run ({snapshots.length} {snapshots.length === 1 ? 'run' : 'runs'})
+              </p>
+            </div>
+            <HistoryChart snapshots={snapshots} />
+            <div className="flex items-center space-x-4 text-xs text-gray-500">
+              <span className="flex items-center"><span className="w-2 h-2 rounded-full bg-green-600 mr-1" />Write</span>
+              <span className="flex items-center"><span className="w-2 h-2 rounded-full bg-gray-500 mr-1" />Skip</span>
+              <span className="flex items-center"><span className="w-2 h-2 rounded-full bg-red-600 mr-1" />Error</span>
+            </div>
+          </div>
+
+          {snapshots.length > 1 && (
+            <div className="space-y-3">
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <span className="text-gray-700 font-medium">Compare</span>
+                <select
+                  value={fromId}
+                  onChange={(e) => setFromId(e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                >
+                  {snapshots.map(snapshot => (
+                    <option key={snapshot.request_id} value={snapshot.request_id}>{snapshotLabel(snapshot)}</option>
+                  ))}
+                </select>
+                <span className="text-gray-500">with</span>
+                <select
+                  value={toId}
+                  onChange={(e) => setToId(e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                >
+                  {snapshots.map(snapshot => (
+                    <option key={snapshot.request_id} value={snapshot.request_id}>{snapshotLabel(snapshot)}</option>
+                  ))}
+                </select>
+              </div>
+
+              {diff && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                  <div className="p-3 bg-gray-50 rounded-lg md:col-span-2">
+                    Decision {diff.decision.from || 'n/a'} → {diff.decision.to || 'n/a'}
+                    {diff.decision.changed && <span className="ml-2 text-blue-700 font-medium">changed</span>}
+                    <span className="ml-4 text-gray-600">Low-DA count {diff.low_da_count.from ?? 'n/a'} → {diff.low_da_count.to ?? 'n/a'}</span>
+                  </div>
+                  <div>
+                    <p className="font-medium text-gray-700 mb-1">New URLs ({diff.new_urls.length})</p>
+                    {diff.new_urls.map(change => (
+                      <p key={change.url} className="text-xs text-green-700 flex items-center truncate">
+                        <Plus className="w-3 h-3 mr-1 shrink-0" />#{change.position} {change.url}
+                      </p>
+                    ))}
+                  </div>
+                  <div>
+                    <p className="font-medium text-gray-700 mb-1">Dropped URLs ({diff.dropped_urls.length})</p>
+                    {diff.dropped_urls.map(change => (
+                      <p key={change.url} className="text-xs text-red-600 flex items-center truncate">
+                        <Minus className="w-3 h-3 mr-1 shrink-0" />#{change.position} {change.url}
+                      </p>
+                    ))}
+                  </div>
+                  <div>
+                    <p className="font-medium text-gray-700 mb-1">Position moves ({diff.moved.length})</p>
+                    {diff.moved.map(change => (
+                      <p key={change.url} className="text-xs text-gray-700 flex items-center truncate">
+                        {(change.change ?? 0) > 0
+                          ? <ArrowUp className="w-3 h-3 mr-1 text-green-600 shrink-0" />
+                          : <ArrowDown className="w-3 h-3 mr-1 text-red-600 shrink-0" />}
+                        #{change.from_position} → #{change.to_position} {change.domain}
+                      </p>
+                    ))}
+                  </div>
+                  <div>
+                    <p className="font-medium text-gray-700 mb-1">DA changes ({diff.da_changes.length})</p>
+                    {diff.da_changes.map(change => (
+                      <p key={change.url} className="text-xs text-gray-700 truncate">
+                        {change.domain}: {change.from_da ?? 'n/a'} → {change.to_da ?? 'n/a'}
+                      </p>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,573 @@
+import React, { useState, useEffect } from 'react';
+import {
+  FolderKanban,
+  Plus,
+  Upload,
+  Play,
+  Trash2,
+  Loader2,
+  UserCheck,
+  CheckCircle,
+  RotateCcw,
+  Tag,
+  Network
+} from 'lucide-react';
+import { apiRequest } from '../lib/api';
+import { useAuth } from '../hooks/useAuth';
+import { KeywordClusters } from './KeywordClusters';
+
+interface Project {
+  id: string;
+  name: string;
+  description: string | null;
+  country: string;
+  keywords_total: number;
+  created_at: string;
+}
+
+interface ProjectKeyword {
+  id: string;
+  keyword: string;
+  tags: string[];
+  status: 'new' | 'assigned' | 'published';
+  assigned_to: string | null;
+  last_decision: string | null;
+  last_average_da: number | null;
+  last_low_da_count: number | null;
+  last_difficulty: number | null;
+  last_analyzed_at: string | null;
+}
+
+const KEYWORD_STATUSES = ['new', 'assigned', 'published'] as const;
+
+const emptyProjectForm = { name: '', description: '', country: 'US' };
+const emptyImportForm = { text: '', tags: '' };
+
+const splitTags = (tags: string) => tags.split(/[;|,]/).map(tag => tag.trim()).filter(Boolean);
+
+export const Projects: React.FC = () => {
+  const [projects, setProjects] = useState<Project[]>([]);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [keywords, setKeywords] = useState<ProjectKeyword[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [keywordsLoading, setKeywordsLoading] = useState(false);
+  const [projectForm, setProjectForm] = useState(emptyProjectForm);
+  const [importForm, setImportForm] = useState(emptyImportForm);
+  const [fileName, setFileName] = useState<string | null>(null);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [tagFilter, setTagFilter] = useState('');
+  const [selectedKeywords, setSelectedKeywords] = useState<string[]>([]);
+  const [assignee, setAssignee] = useState('');
+  const [showClusters, setShowClusters] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  const { user } = useAuth();
+
+  useEffect(() => {
+    if (user) {
+      fetchProjects();
+    }
+  }, [user]);
+
+  // Debounce the tag filter so typing does not fire a request per keystroke
+  useEffect(() => {
+    if (!selectedId) return;
+
+    const timer = setTimeout(() => fetchKeywords(selectedId), 300);
+    return () => clearTimeout(timer);
+  }, [selectedId, statusFilter, tagFilter]);
+
+  const selectedProject = projects.find(project => project.id === selectedId) || null;
+
+  const fetchProjects = async () => {
+    try {
+      const { projects } = await apiRequest<{ projects: Project[] }>('/api/projects');
+      setProjects(projects);
+      setSelectedId(prev => prev && projects.some(project => project.id === prev) ? prev : projects[0]?.id || null);
+    } catch (error) {
+      console.error('Error fetching projects:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchKeywords = async (projectId: string) => {
+    setKeywordsLoading(true);
+    try {
+      const params = new URLSearchParams();
+      if (statusFilter) params.set('status', statusFilter);
+      if (tagFilter.trim()) params.set('tag', tagFilter.trim());
+      const project = await apiRequest<Project & { keywords: ProjectKeyword[] }>(`/api/projects/${projectId}?${params}`);
+      setKeywords(project.keywords);
+      setSelectedKeywords([]);
+    } catch (error) {
+      console.error('Error fetching project keywords:', error);
+    } finally {
+      setKeywordsLoading(false);
+    }
+  };
+
+  // Run an API call with the shared busy/error state, then refresh the list and the open project
+  const runAction = async (action: () => Promise<string | void>, fallbackError: string) => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const result = await action();
+      if (result) setMessage(result);
+      await fetchProjects();
+      if (selectedId) await fetchKeywords(selectedId);
+    } catch (error) {
+      setError(error instanceof Error ? error.message : fallbackError);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreateProject = (e: React.FormEvent) => {
+    e.preventDefault();
+    runAction(async () => {
+      const project = await apiRequest<Project>('/api/projects', {
+        method: 'POST',
+        body: JSON.stringify({
+          name: projectForm.name,
+          description: projectForm.description.trim() || undefined,
+          country: projectForm.country,
+        }),
+      });
+      setProjectForm(emptyProjectForm);
+      setSelectedId(project.id);
+    }, 'Failed to create project');
+  };
+
+  const handleDeleteProject = () => {
+    if (!selectedProject || !confirm(`Delete project "${selectedProject.name}" and its ${selectedProject.keywords_total} keywords?`)) return;
+
+    runAction(async () => {
+      await apiRequest(`/api/projects/${selectedProject.id}`, { method: 'DELETE' });
+      setSelectedId(null);
+    }, 'Failed to delete project');
+  };
+
+  const handleFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setFileName(file.name);
+    const text = await file.text();
+    setImportForm(prev => ({ ...prev, text }));
+  };
+
+  const handleImport = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!selectedProject) return;
+
+    runAction(async () => {
+      const result = await apiRequest<{ added: number; updated: number }>(`/api/projects/${selectedProject.id}/keywords`, {
+        method: 'POST',
+        body: JSON.stringify({ text: importForm.text, filename: fileName || undefined, tags: splitTags(importForm.tags) }),
+      });
+      setImportForm(emptyImportForm);
+      setFileName(null);
+      return `Added ${result.added} keywords${result.updated ? `, added tags to ${result.updated} existing` : ''}`;
+    }, 'Failed to import keywords');
+  };
+
+  const handleStatusChange = (status: ProjectKeyword['status']) => {
+    if (!selectedProject || selectedKeywords.length === 0) return;
+
+    runAction(async () => {
+      await apiRequest(`/api/projects/${selectedProject.id}/keywords`, {
+        method: 'PATCH',
+        body: JSON.stringify({
+          ids: selectedKeywords,
+          status,
+          ...(status === 'assigned' && assignee.trim() ? { assigned_to: assignee.trim() } : {}),
+        }),
+      });
+    }, 'Failed to update keywords');
+  };
+
+  const handleDeleteKeyword = (keyword: ProjectKeyword) => {
+    if (!selectedProject) return;
+
+    runAction(async () => {
+      await apiRequest(`/api/projects/${selectedProject.id}/keywords/${keyword.id}`, { method: 'DELETE' });
+    }, 'Failed to remove keyword');
+  };
+
+  // Analyze the keywords currently shown as a bulk run, so projects of any size work
+  const handleAnalyze = () => {
+    if (!selectedProject) return;
+
+    runAction(async () => {
+      await apiRequest('/api/bulk-runs', {
+        method: 'POST',
+        body: JSON.stringify({
+          project_id: selectedProject.id,
+          project_status: statusFilter || undefined,
+          project_tag: tagFilter.trim() || undefined,
+        }),
+      });
+      return `Started a bulk run for ${keywords.length} keywords — follow it in Bulk Runs`;
+    }, 'Failed to start analysis');
+  };
+
+  const toggleKeyword = (id: string) => {
+    setSelectedKeywords(prev => prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]);
+  };
+
+  const toggleAll = () => {
+    setSelectedKeywords(prev => prev.length === keywords.length ? [] : keywords.map(keyword => keyword.id));
+  };
+
+  const getStatusColor = (status: string) => {
+    switch (status) {
+      case 'published':
+        return 'bg-green-100 text-green-800';
+      case 'assigned':
+        return 'bg-blue-100 text-blue-800';
+      default:
+        return 'bg-gray-100 text-gray-800';
+    }
+  };
+
+  const getDecisionColor = (decision: string | null) => {
+    switch (decision) {
+      case 'Write':
+        return 'text-green-700';
+      case 'Skip':
+        return 'text-yellow-700';
+      default:
+        return 'text-gray-400';
+    }
+  };
+
+  const importLineCount = importForm.text.split(/\r?\n/).filter(line => line.trim()).length;
+
+  return (
+    <div className="p-6 space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Projects</h1>
+        <p className="text-gray-600">Keep keyword backlogs with tags, the latest decision for each keyword and who is writing it</p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        {/* Project list */}
+        <div className="space-y-4">
+          <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-4">
+            <div className="flex items-center mb-3">
+              <div className="w-8 h-8 bg-indigo-100 rounded-lg flex items-center justify-center mr-2">
+                <FolderKanban className="w-4 h-4 text-indigo-600" />
+              </div>
+              <h2 className="font-semibold text-gray-900">Projects</h2>
+            </div>
+
+            {loading ? (
+              <div className="flex justify-center py-4">
+                <Loader2 className="w-5 h-5 text-blue-600 animate-spin" />
+              </div>
+            ) : projects.length === 0 ? (
+              <p className="text-sm text-gray-500">No projects yet.</p>
+            ) : (
+              <div className="space-y-1">
+                {projects.map((project) => (
+                  <button
+                    key={project.id}
+                    onClick={() => setSelectedId(project.id)}
+                    className={`w-full text-left px-3 py-2 rounded-lg transition-colors duration-200 ${
+                      project.id === selectedId ? 'bg-blue-50 text-blue-700' : 'hover:bg-gray-50 text-gray-700'
+                    }`}
+                  >
+                    <span className="block font-medium truncate">{project.name}</span>
+                    <span className="block text-xs text-gray-500">{project.keywords_total} keywords · {project.country}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <form onSubmit={handleCreateProject} className="bg-white rounded-xl shadow-sm border border-gray-100 p-4 space-y-3">
+            <h2 className="font-semibold text-gray-900">New Project</h2>
+            <input
+              type="text"
+              value={projectForm.name}
+              onChange={(e) => setProjectForm(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Name"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <input
+              type="text"
+              value={projectForm.description}
+              onChange={(e) => setProjectForm(prev => ({ ...prev, description: e.target.value }))}
+              placeholder="Description (optional)"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <input
+              type="text"
+              value={projectForm.country}
+              onChange={(e) => setProjectForm(prev => ({ ...prev, country: e.target.value.toUpperCase() }))}
+              maxLength={2}
+              placeholder="Country"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <button
+              type="submit"
+              disabled={busy || !projectForm.name.trim()}
+              className="w-full bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg transition-colors duration-200 flex items-center justify-center"
+            >
+              <Plus className="w-4 h-4 mr-2" />
+              Create Project
+            </button>
+          </form>
+        </div>
+
+        {/* Selected project */}
+        <div className="lg:col-span-3 space-y-6">
+          {error && (
+            <p className="text-sm text-red-600">{error}</p>
+          )}
+          {message && (
+            <p className="text-sm text-green-700">{message}</p>
+          )}
+
+          {!selectedProject ? (
+            <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+              <p className="text-sm text-gray-500">Create or select a project to manage its keywords.</p>
+            </div>
+          ) : (
+            <>
+              <form onSubmit={handleImport} className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 space-y-4">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <h2 className="text-lg font-semibold text-gray-900">{selectedProject.name}</h2>
+                    <p className="text-sm text-gray-600">
+                      {selectedProject.description || 'No description'} · {selectedProject.country} · results from analyses in this country are attached to its keywords
+                    </p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={handleDeleteProject}
+                    disabled={busy}
+                    className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors duration-200 disabled:opacity-50"
+                    title="Delete project"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Tags for these keywords</label>
+                    <input
+                      type="text"
+                      value={importForm.tags}
+                      onChange={(e) => setImportForm(prev => ({ ...prev, tags: e.target.value }))}
+                      placeholder="e.g., running, q3"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">File (.csv or .txt)</label>
+                    <label className="w-full px-3 py-2 border border-dashed border-gray-300 rounded-lg flex items-center cursor-pointer hover:bg-gray-50 transition-colors duration-200">
+                      <Upload className="w-4 h-4 mr-2 text-gray-500" />
+                      <span className="text-sm text-gray-600 truncate">{fileName || 'Choose a file'}</span>
+                      <input type="file" accept=".csv,.txt,text/csv,text/plain" onChange={handleFileChange} className="hidden" />
+                    </label>
+                  </div>
+                </div>
+
+                <div>
+                  <textarea
+                    value={importForm.text}
+                    onChange={(e) => setImportForm(prev => ({ ...prev, text: e.target.value }))}
+                    rows={4}
+                    placeholder={'One keyword per line, or CSV with "keyword" and "tags" columns'}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    {importLineCount} lines — keywords already in the project keep their status and only gain new tags
+                  </p>
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={busy || importLineCount === 0}
+                  className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg transition-colors duration-200 flex items-center"
+                >
+                  {busy ? <Loader2 className="w-5 h-5 mr-2 animate-spin" /> : <Plus className="w-5 h-5 mr-2" />}
+                  Add Keywords
+                </button>
+              </form>
+
+              {showClusters && (
+                <KeywordClusters path={`/api/projects/${selectedProject.id}/clusters?${new URLSearchParams({
+                  ...(statusFilter ? { status: statusFilter } : {}),
+                  ...(tagFilter.trim() ? { tag: tagFilter.trim() } : {}),
+                })}`} />
+              )}
+
+              <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+                <div className="flex flex-wrap items-center gap-3 mb-4">
+                  <select
+                    value={statusFilter}
+                    onChange={(e) => setStatusFilter(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="">All statuses</option>
+                    {KEYWORD_STATUSES.map(status => (
+                      <option key={status} value={status}>{status}</option>
+                    ))}
+                  </select>
+                  <div className="relative">
+                    <Tag className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                    <input
+                      type="text"
+                      value={tagFilter}
+                      onChange={(e) => setTagFilter(e.target.value)}
+                      placeholder="Filter by tag"
+                      className="pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                  <button
+                    onClick={() => setShowClusters(prev => !prev)}
+                    className="ml-auto px-4 py-2 text-sm text-purple-700 hover:bg-purple-50 rounded-lg transition-colors duration-200 flex items-center"
+                  >
+                    <Network className="w-4 h-4 mr-2" />
+                    {showClusters ? 'Hide clusters' : 'Show clusters'}
+                  </button>
+                  <button
+                    onClick={handleAnalyze}
+                    disabled={busy || keywords.length === 0}
+                    className="bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg text-sm transition-colors duration-200 flex items-center"
+                  >
+                    <Play className="w-4 h-4 mr-2" />
+                    Analyze {keywords.length} keywords
+                  </button>
+                </div>
+
+                {selectedKeywords.length > 0 && (
+                  <div className="flex flex-wrap items-center gap-2 mb-4 p-3 bg-gray-50 rounded-lg">
+                    <span className="text-sm text-gray-700 mr-2">{selectedKeywords.length} selected</span>
+                    <input
+                      type="text"
+                      value={assignee}
+                      onChange={(e) => setAssignee(e.target.value)}
+                      placeholder="Writer"
+                      className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <button
+                      onClick={() => handleStatusChange('assigned')}
+                      disabled={busy}
+                      className="px-3 py-1.5 text-sm text-blue-700 hover:bg-blue-50 rounded-lg transition-colors duration-200 flex items-center disabled:opacity-50"
+                    >
+                      <UserCheck className="w-4 h-4 mr-1" />
+                      Mark assigned
+                    </button>
+                    <button
+                      onClick={() => handleStatusChange('published')}
+                      disabled={busy}
+                      className="px-3 py-1.5 text-sm text-green-700 hover:bg-green-50 rounded-lg transition-colors duration-200 flex items-center disabled:opacity-50"
+                    >
+                      <CheckCircle className="w-4 h-4 mr-1" />
+                      Mark published
+                    </button>
+                    <button
+                      onClick={() => handleStatusChange('new')}
+                      disabled={busy}
+                      className="px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-100 rounded-lg transition-colors duration-200 flex items-center disabled:opacity-50"
+                    >
+                      <RotateCcw className="w-4 h-4 mr-1" />
+                      Back to new
+                    </button>
+                  </div>
+                )}
+
+                {keywordsLoading ? (
+                  <div className="flex justify-center py-8">
+                    <Loader2 className="w-6 h-6 text-blue-600 animate-spin" />
+                  </div>
+                ) : keywords.length === 0 ? (
+                  <p className="text-sm text-gray-500 py-4">No keywords match.</p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-gray-500 border-b border-gray-100">
+                          <th className="py-2 pr-2">
+                            <input type="checkbox" checked={selectedKeywords.length === keywords.length} onChange={toggleAll} />
+                          </th>
+                          <th className="py-2 pr-4 font-medium">Keyword</th>
+                          <th className="py-2 pr-4 font-medium">Tags</th>
+                          <th className="py-2 pr-4 font-medium">Status</th>
+                          <th className="py-2 pr-4 font-medium">Decision</th>
+                          <th className="py-2 pr-4 font-medium">Avg DA</th>
+                          <th className="py-2 pr-4 font-medium">Low DA</th>
+                          <th className="py-2 pr-4 font-medium">Difficulty</th>
+                          <th className="py-2 pr-4 font-medium">Analyzed</th>
+                          <th className="py-2" />
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-100">
+                        {keywords.map((keyword) => (
+                          <tr key={keyword.id} className="hover:bg-gray-50">
+                            <td className="py-2 pr-2">
+                              <input type="checkbox" checked={selectedKeywords.includes(keyword.id)} onChange={() => toggleKeyword(keyword.id)} />
+                            </td>
+                            <td className="py-2 pr-4 text-gray-900">{keyword.keyword}</td>
+                            <td className="py-2 pr-4">
+                              <div className="flex flex-wrap gap-1">
+                                {keyword.tags.map(tag => (
+                                  <button
+                                    key={tag}
+                                    onClick={() => setTagFilter(tag)}
+                                    className="px-2 py-0.5 bg-indigo-50 text-indigo-700 rounded-full text-xs hover:bg-indigo-100"
+                                  >
+                                    {tag}
+                                  </button>
+                                ))}
+                              </div>
+                            </td>
+                            <td className="py-2 pr-4">
+                              <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${getStatusColor(keyword.status)}`}>
+                                {keyword.status}
+                              </span>
+                              {keyword.assigned_to && (
+                                <span className="block text-xs text-gray-500 mt-0.5">{keyword.assigned_to}</span>
+                              )}
+                            </td>
+                            <td className={`py-2 pr-4 font-medium ${getDecisionColor(keyword.last_decision)}`}>
+                              {keyword.last_decision || '—'}
+                            </td>
+                            <td className="py-2 pr-4 text-gray-700">{keyword.last_average_da ?? '—'}</td>
+                            <td className="py-2 pr-4 text-gray-700">{keyword.last_low_da_count ?? '—'}</td>
+                            <td className="py-2 pr-4 text-gray-700">{keyword.last_difficulty ?? '—'}</td>
+                            <td className="py-2 pr-4 text-gray-500 text-xs">
+                              {keyword.last_analyzed_at ? new Date(keyword.last_analyzed_at).toLocaleDateString() : 'never'}
+                            </td>
+                            <td className="py-2 text-right">
+                              <button
+                                onClick={() => handleDeleteKeyword(keyword)}
+                                disabled={busy}
+                                className="p-1 text-gray-400 hover:text-red-600 rounded transition-colors duration-200 disabled:opacity-50"
+                                title="Remove from project"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,431 @@
+import React, { useState, useEffect } from 'react';
+import {
+  CalendarClock,
+  Plus,
+  Play,
+  Pause,
+  Edit2,
+  Trash2,
+  Loader2,
+  AlertCircle
+} from 'lucide-react';
+import { apiRequest } from '../lib/api';
+import { useAuth } from '../hooks/useAuth';
+
+interface Schedule {
+  id: string;
+  name: string;
+  keywords: string[];
+  options: { country?: string; page?: number; rule_profile?: string | null };
+  cron: string;
+  timezone: string;
+  enabled: boolean;
+  missed_run_policy: 'skip' | 'run_once';
+  next_run_at: string | null;
+  last_run_at: string | null;
+  last_request_id: string | null;
+  last_error: string | null;
+}
+
+interface RuleProfile {
+  id: string;
+  name: string;
+  is_default: boolean;
+}
+
+const CRON_PRESETS = [
+  { label: 'Every Monday 09:00', cron: '0 9 * * 1' },
+  { label: 'Every day 06:00', cron: '0 6 * * *' },
+  { label: 'First of the month 08:00', cron: '0 8 1 * *' },
+];
+
+const MAX_SCHEDULE_KEYWORDS = 30;
+
+const emptyForm = {
+  name: '',
+  keywords: '',
+  country: 'US',
+  page: '1',
+  ruleProfile: '',
+  cron: '0 9 * * 1',
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+  missedRunPolicy: 'run_once' as 'skip' | 'run_once',
+};
+
+export const Schedules: React.FC = () => {
+  const [schedules, setSchedules] = useState<Schedule[]>([]);
+  const [profiles, setProfiles] = useState<RuleProfile[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [form, setForm] = useState(emptyForm);
+  const [preview, setPreview] = useState<string[]>([]);
+  const [previewError, setPreviewError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const { user } = useAuth();
+
+  useEffect(() => {
+    if (user) {
+      fetchSchedules();
+      fetchProfiles();
+    }
+  }, [user]);
+
+  // Preview the next runs as the cron expression or time zone is edited
+  useEffect(() => {
+    if (!showForm) return;
+
+    const timer = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ cron: form.cron, timezone: form.timezone });
+        const result = await apiRequest<{ next_runs: string[] }>(`/api/schedules/preview?${params.toString()}`);
+        setPreview(result.next_runs);
+        setPreviewError(null);
+      } catch (error) {
+        setPreview([]);
+        setPreviewError(error instanceof Error ? error.message : 'Invalid schedule');
+      }
+    }, 400);
+
+    return () => clearTimeout(timer);
+  }, [form.cron, form.timezone, showForm]);
+
+  const fetchSchedules = async () => {
+    try {
+      const result = await apiRequest<{ schedules: Schedule[] }>('/api/schedules');
+      setSchedules(result.schedules);
+    } catch (error) {
+      console.error('Error fetching schedules:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchProfiles = async () => {
+    try {
+      const result = await apiRequest<{ profiles: RuleProfile[] }>('/api/rule-profiles');
+      setProfiles(result.profiles);
+    } catch (error) {
+      console.warn('⚠️ Rule profiles fetch warning:', error);
+    }
+  };
+
+  const openForm = (schedule?: Schedule) => {
+    setEditingId(schedule?.id || null);
+    setForm(schedule ? {
+      name: schedule.name,
+      keywords: schedule.keywords.join('\n'),
+      country: schedule.options.country || 'US',
+      page: String(schedule.options.page || 1),
+      ruleProfile: schedule.options.rule_profile || '',
+      cron: schedule.cron,
+      timezone: schedule.timezone,
+      missedRunPolicy: schedule.missed_run_policy,
+    } : emptyForm);
+    setShowForm(true);
+    setError(null);
+  };
+
+  const keywordList = form.keywords.split(/\r?\n/).map(keyword => keyword.trim()).filter(Boolean);
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      await apiRequest<Schedule>(editingId ? `/api/schedules/${editingId}` : '/api/schedules', {
+        method: editingId ? 'PUT' : 'POST',
+        body: JSON.stringify({
+          name: form.name.trim(),
+          keywords: keywordList,
+          cron: form.cron.trim(),
+          timezone: form.timezone,
+          missed_run_policy: form.missedRunPolicy,
+          options: {
+            country: form.country,
+            page: parseInt(form.page, 10) || 1,
+            rule_profile: form.ruleProfile || null,
+          },
+        }),
+      });
+      setShowForm(false);
+      setEditingId(null);
+      await fetchSchedules();
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to save schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (schedule: Schedule) => {
+    setBusyId(schedule.id);
+    setError(null);
+    try {
+      await apiRequest<Schedule>(`/api/schedules/${schedule.id}/${schedule.enabled ? 'pause' : 'enable'}`, { method: 'POST' });
+      await fetchSchedules();
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to update schedule');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (schedule: Schedule) => {
+    if (!confirm(`Delete the schedule "${schedule.name}"? Past analyses are kept.`)) return;
+
+    setBusyId(schedule.id);
+    setError(null);
+    try {
+      await apiRequest(`/api/schedules/${schedule.id}`, { method: 'DELETE' });
+      await fetchSchedules();
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to delete schedule');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Schedules</h1>
+          <p className="text-gray-600">Re-check saved keyword lists automatically on a cron schedule</p>
+        </div>
+        <button
+          onClick={() => (showForm ? setShowForm(false) : openForm())}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors duration-200 flex items-center"
+        >
+          <Plus className="w-5 h-5 mr-2" />
+          New Schedule
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleSave} className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">{editingId ? 'Edit Schedule' : 'New Schedule'}</h2>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+              <input
+                type="text"
+                required
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="e.g., Weekly running shoes check"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div className="grid grid-cols-3 gap-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Country</label>
+                <input
+                  type="text"
+                  value={form.country}
+                  maxLength={2}
+                  onChange={(e) => setForm(prev => ({ ...prev, country: e.target.value.toUpperCase() }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Page</label>
+                <input
+                  type="number"
+                  min={1}
+                  value={form.page}
+                  onChange={(e) => setForm(prev => ({ ...prev, page: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Rule profile</label>
+                <select
+                  value={form.ruleProfile}
+                  onChange={(e) => setForm(prev => ({ ...prev, ruleProfile: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="">Default</option>
+                  {profiles.map(profile => (
+                    <option key={profile.id} value={profile.name}>{profile.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Keywords ({keywordList.length}/{MAX_SCHEDULE_KEYWORDS}, one per line)
+            </label>
+            <textarea
+              required
+              rows={6}
+              value={form.keywords}
+              onChange={(e) => setForm(prev => ({ ...prev, keywords: e.target.value }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Cron expression</label>
+              <input
+                type="text"
+                required
+                value={form.cron}
+                onChange={(e) => setForm(prev => ({ ...prev, cron: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <div className="flex flex-wrap gap-2 mt-2">
+                {CRON_PRESETS.map(preset => (
+                  <button
+                    key={preset.cron}
+                    type="button"
+                    onClick={() => setForm(prev => ({ ...prev, cron: preset.cron }))}
+                    className="px-2 py-1 text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 rounded"
+                  >
+                    {preset.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Time zone</label>
+              <input
+                type="text"
+                required
+                value={form.timezone}
+                onChange={(e) => setForm(prev => ({ ...prev, timezone: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">If a run is missed</label>
+              <select
+                value={form.missedRunPolicy}
+                onChange={(e) => setForm(prev => ({ ...prev, missedRunPolicy: e.target.value as 'skip' | 'run_once' }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="run_once">Catch up with one run</option>
+                <option value="skip">Skip it</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="p-3 bg-gray-50 rounded-lg text-sm">
+            <p className="font-medium text-gray-700 mb-1">Next runs</p>
+            {previewError ? (
+              <p className="text-red-600">{previewError}</p>
+            ) : (
+              <ul className="text-gray-600 space-y-0.5">
+                {preview.map(run => (
+                  <li key={run}>{new Date(run).toLocaleString()}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              disabled={saving || !!previewError || keywordList.length === 0 || keywordList.length > MAX_SCHEDULE_KEYWORDS}
+              className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg transition-colors duration-200 flex items-center"
+            >
+              {saving && <Loader2 className="w-5 h-5 mr-2 animate-spin" />}
+              {editingId ? 'Save Changes' : 'Create Schedule'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 text-gray-700 hover:bg-gray-100 rounded-lg transition-colors duration-200"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Schedule list */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="w-6 h-6 text-blue-600 animate-spin" />
+          </div>
+        ) : schedules.length === 0 ? (
+          <div className="p-12 text-center">
+            <CalendarClock className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No schedules yet</h3>
+            <p className="text-gray-600">Create a schedule to re-check a keyword list automatically</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {schedules.map(schedule => (
+              <div key={schedule.id} className="p-6 flex items-start justify-between">
+                <div className="min-w-0">
+                  <div className="flex items-center space-x-2">
+                    <span className="font-medium text-gray-900">{schedule.name}</span>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${schedule.enabled ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>
+                      {schedule.enabled ? 'active' : 'paused'}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-600 mt-1">
+                    <span className="font-mono">{schedule.cron}</span> ({schedule.timezone}) · {schedule.keywords.length} keywords · {schedule.options.country || 'US'}
+                    {schedule.options.rule_profile ? ` · ${schedule.options.rule_profile}` : ''}
+                    {schedule.missed_run_policy === 'skip' ? ' · skips missed runs' : ' · catches up missed runs'}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Next run: {schedule.next_run_at ? new Date(schedule.next_run_at).toLocaleString() : '—'}
+                    {schedule.last_run_at && ` · Last run: ${new Date(schedule.last_run_at).toLocaleString()}`}
+                    {schedule.last_request_id && ` (${schedule.last_request_id})`}
+                  </p>
+                  {schedule.last_error && (
+                    <p className="text-xs text-red-600 mt-1 flex items-center">
+                      <AlertCircle className="w-3 h-3 mr-1" />
+                      {schedule.last_error}
+                    </p>
+                  )}
+                </div>
+                <div className="flex items-center space-x-1 ml-4">
+                  <button
+                    onClick={() => handleToggle(schedule)}
+                    disabled={busyId === schedule.id}
+                    title={schedule.enabled ? 'Pause' : 'Enable'}
+                    className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors duration-200 disabled:opacity-50"
+                  >
+                    {schedule.enabled ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                  </button>
+                  <button
+                    onClick={() => openForm(schedule)}
+                    title="Edit"
+                    className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors duration-200"
+                  >
+                    <Edit2 className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(schedule)}
+                    disabled={busyId === schedule.id}
+                    title="Delete"
+                    className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors duration-200 disabled:opacity-50"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,291 @@
+import React, { useState, useEffect } from 'react';
+import { Globe, Plus, Trash2, Loader2, Scale, Save, RotateCcw } from 'lucide-react';
+import { apiRequest } from '../lib/api';
+import { useAuth } from '../hooks/useAuth';
+
+interface TrackedDomain {
+  id: string;
+  domain: string;
+  kind: 'own' | 'competitor';
+  label: string | null;
+  created_at: string;
+}
+
+type DifficultyWeights = Record<string, number>;
+
+const emptyForm = { domain: '', kind: 'own' as TrackedDomain['kind'], label: '' };
+
+const WEIGHT_FIELDS = [
+  { key: 'da', label: 'Domain authority', hint: 'Relative to PA and trust' },
+  { key: 'pa', label: 'Page authority', hint: 'Relative to DA and trust' },
+  { key: 'spam_score', label: 'Trust (low spam score)', hint: 'Relative to DA and PA' },
+  { key: 'weak_pages', label: 'Weak pages discount', hint: 'Points off when every top result is a forum, UGC or thin page' },
+  { key: 'knowledge_panel', label: 'Knowledge panel', hint: 'Points added when the SERP shows one' }
+];
+
+export const SettingsView: React.FC = () => {
+  const [domains, setDomains] = useState<TrackedDomain[]>([]);
+  const [form, setForm] = useState(emptyForm);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [weights, setWeights] = useState<DifficultyWeights | null>(null);
+  const [defaultWeights, setDefaultWeights] = useState<DifficultyWeights | null>(null);
+  const [weightsMessage, setWeightsMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+  const { user } = useAuth();
+
+  useEffect(() => {
+    if (user) {
+      fetchDomains();
+      fetchWeights();
+    }
+  }, [user]);
+
+  const fetchWeights = async () => {
+    try {
+      const { weights, defaults } = await apiRequest<{ weights: DifficultyWeights; defaults: DifficultyWeights }>('/api/difficulty-weights');
+      setWeights(weights);
+      setDefaultWeights(defaults);
+    } catch (error) {
+      console.error('Error fetching difficulty weights:', error);
+    }
+  };
+
+  const saveWeights = async (next: DifficultyWeights | null) => {
+    setBusy(true);
+    setWeightsMessage(null);
+    try {
+      const { weights } = await apiRequest<{ weights: DifficultyWeights }>('/api/difficulty-weights', {
+        method: 'PUT',
+        body: JSON.stringify({ weights: next }),
+      });
+      setWeights(weights);
+      setWeightsMessage({ type: 'success', text: 'Saved. New analyses use these weights.' });
+    } catch (error) {
+      setWeightsMessage({ type: 'error', text: error instanceof Error ? error.message : 'Failed to save weights' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const fetchDomains = async () => {
+    try {
+      const { domains } = await apiRequest<{ domains: TrackedDomain[] }>('/api/tracked-domains');
+      setDomains(domains);
+    } catch (error) {
+      console.error('Error fetching tracked domains:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      await apiRequest<TrackedDomain>('/api/tracked-domains', {
+        method: 'POST',
+        body: JSON.stringify({
+          domain: form.domain.trim(),
+          kind: form.kind,
+          label: form.label.trim() || undefined,
+        }),
+      });
+      setForm(prev => ({ ...emptyForm, kind: prev.kind }));
+      await fetchDomains();
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to add domain');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async (domain: TrackedDomain) => {
+    if (!confirm(`Stop tracking ${domain.domain}?`)) return;
+
+    setBusy(true);
+    setError(null);
+    try {
+      await apiRequest(`/api/tracked-domains/${domain.id}`, { method: 'DELETE' });
+      await fetchDomains();
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to remove domain');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderList = (kind: TrackedDomain['kind'], title: string, emptyText: string) => {
+    const entries = domains.filter(domain => domain.kind === kind);
+
+    return (
+      <div>
+        <h3 className="text-sm font-medium text-gray-700 mb-2">{title}</h3>
+        {entries.length === 0 ? (
+          <p className="text-sm text-gray-500">{emptyText}</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+            {entries.map(domain => (
+              <li key={domain.id} className="flex items-center justify-between px-3 py-2">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">{domain.domain}</p>
+                  {domain.label && <p className="text-xs text-gray-500 truncate">{domain.label}</p>}
+                </div>
+                <button
+                  onClick={() => handleDelete(domain)}
+                  disabled={busy}
+                  className="text-gray-400 hover:text-red-600 disabled:opacity-50 transition-colors duration-200"
+                  title="Stop tracking"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Settings</h1>
+        <p className="text-gray-600">Account-wide preferences used by every analysis</p>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 space-y-6">
+        <div className="flex items-center">
+          <div className="w-10 h-10 bg-teal-100 rounded-lg flex items-center justify-center mr-3">
+            <Globe className="w-5 h-5 text-teal-600" />
+          </div>
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Tracked Domains</h2>
+            <p className="text-sm text-gray-600">
+              Analyses show where these domains rank, and keywords where your own domains already rank are flagged
+            </p>
+          </div>
+        </div>
+
+        <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-3">
+          <input
+            type="text"
+            value={form.domain}
+            onChange={(e) => setForm(prev => ({ ...prev, domain: e.target.value }))}
+            placeholder="example.com"
+            className="flex-1 min-w-[200px] px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <select
+            value={form.kind}
+            onChange={(e) => setForm(prev => ({ ...prev, kind: e.target.value as TrackedDomain['kind'] }))}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="own">Own domain</option>
+            <option value="competitor">Competitor</option>
+          </select>
+          <input
+            type="text"
+            value={form.label}
+            onChange={(e) => setForm(prev => ({ ...prev, label: e.target.value }))}
+            placeholder="Label (optional)"
+            className="w-48 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <button
+            type="submit"
+            disabled={busy || !form.domain.trim()}
+            className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg transition-colors duration-200 flex items-center"
+          >
+            <Plus className="w-4 h-4 mr-2" />
+            Add Domain
+          </button>
+        </form>
+
+        {error && (
+          <p className="text-sm text-red-600">{error}</p>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-4">
+            <Loader2 className="w-5 h-5 text-blue-600 animate-spin" />
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {renderList('own', 'Your domains', 'Add the sites you publish on.')}
+            {renderList('competitor', 'Competitors', 'Add the competitors you want to watch.')}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 space-y-6">
+        <div className="flex items-center">
+          <div className="w-10 h-10 bg-orange-100 rounded-lg flex items-center justify-center mr-3">
+            <Scale className="w-5 h-5 text-orange-600" />
+          </div>
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Difficulty Weights</h2>
+            <p className="text-sm text-gray-600">How much each factor counts towards the 0–100 keyword difficulty score</p>
+          </div>
+        </div>
+
+        {!weights ? (
+          <div className="flex justify-center py-4">
+            <Loader2 className="w-5 h-5 text-blue-600 animate-spin" />
+          </div>
+        ) : (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              saveWeights(weights);
+            }}
+            className="space-y-4"
+          >
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {WEIGHT_FIELDS.map(field => (
+                <label key={field.key} className="block">
+                  <span className="text-sm font-medium text-gray-700">{field.label}</span>
+                  <input
+                    type="number"
+                    min={0}
+                    max={100}
+                    value={weights[field.key] ?? 0}
+                    onChange={(e) => setWeights(prev => prev && ({ ...prev, [field.key]: Number(e.target.value) }))}
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <span className="text-xs text-gray-500">
+                    {field.hint}{defaultWeights ? ` · default ${defaultWeights[field.key]}` : ''}
+                  </span>
+                </label>
+              ))}
+            </div>
+
+            {weightsMessage && (
+              <p className={`text-sm ${weightsMessage.type === 'success' ? 'text-green-700' : 'text-red-600'}`}>{weightsMessage.text}</p>
+            )}
+
+            <div className="flex items-center space-x-3">
+              <button
+                type="submit"
+                disabled={busy}
+                className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg transition-colors duration-200 flex items-center"
+              >
+                <Save className="w-4 h-4 mr-2" />
+                Save Weights
+              </button>
+              <button
+                type="button"
+                onClick={() => saveWeights(null)}
+                disabled={busy}
+                className="text-gray-700 hover:bg-gray-100 disabled:opacity-50 px-4 py-2 rounded-lg transition-colors duration-200 flex items-center"
+              >
+                <RotateCcw className="w-4 h-4 mr-2" />
+                Reset to Defaults
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
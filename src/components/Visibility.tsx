@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import { Target, Loader2, ArrowUp, ArrowDown, ChevronDown, ChevronRight } from 'lucide-react';
+import { apiRequest } from '../lib/api';
+import { useAuth } from '../hooks/useAuth';
+
+interface DomainKeyword {
+  keyword: string;
+  locale: string;
+  position: number | null;
+  url: string | null;
+  previous_position: number | null;
+  change: number | null;
+  movement: 'up' | 'down' | 'same' | 'new' | 'lost' | null;
+  analyzed_at: string;
+}
+
+interface DomainVisibility {
+  id: string;
+  domain: string;
+  kind: 'own' | 'competitor';
+  label: string | null;
+  keywords_ranked: number;
+  average_position: number | null;
+  top_3: number;
+  top_10: number;
+  improved: number;
+  declined: number;
+  new: number;
+  lost: number;
+  keywords: DomainKeyword[];
+}
+
+interface VisibilityReport {
+  days: number;
+  country: string | null;
+  keywords_analyzed: number;
+  domains: DomainVisibility[];
+}
+
+const PERIODS = [7, 30, 90, 180, 365];
+
+const getMovementLabel = (keyword: DomainKeyword) => {
+  switch (keyword.movement) {
+    case 'up':
+      return <span className="text-green-700 flex items-center"><ArrowUp className="w-3 h-3 mr-1" />{keyword.change}</span>;
+    case 'down':
+      return <span className="text-red-600 flex items-center"><ArrowDown className="w-3 h-3 mr-1" />{Math.abs(keyword.change ?? 0)}</span>;
+    case 'new':
+      return <span className="text-blue-600">new</span>;
+    case 'lost':
+      return <span className="text-red-600">lost</span>;
+    case 'same':
+      return <span className="text-gray-500">–</span>;
+    default:
+      return <span className="text-gray-400">first run</span>;
+  }
+};
+
+export const Visibility: React.FC = () => {
+  const [report, setReport] = useState<VisibilityReport | null>(null);
+  const [days, setDays] = useState(30);
+  const [country, setCountry] = useState('');
+  const [expanded, setExpanded] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const { user } = useAuth();
+
+  // Debounce the country filter so typing does not fire a request per keystroke
+  useEffect(() => {
+    if (!user || (country && country.length !== 2)) return;
+
+    const timer = setTimeout(fetchReport, 300);
+    return () => clearTimeout(timer);
+  }, [user, days, country]);
+
+  const fetchReport = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ days: String(days) });
+      if (country) params.set('country', country);
+      setReport(await apiRequest<VisibilityReport>(`/api/visibility?${params}`));
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to load the visibility report');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      {/* Header */}
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Visibility</h1>
+          <p className="text-gray-600">Where your own and competitor domains rank across the keywords you analyzed</p>
+        </div>
+        <div className="flex items-center gap-3">
+          <select
+            value={days}
+            onChange={(e) => setDays(parseInt(e.target.value, 10))}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {PERIODS.map(period => (
+              <option key={period} value={period}>Last {period} days</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={country}
+            onChange={(e) => setCountry(e.target.value.toUpperCase())}
+            maxLength={2}
+            placeholder="All countries"
+            className="w-32 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600">{error}</p>
+      )}
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+        <div className="flex items-center mb-4">
+          <div className="w-10 h-10 bg-teal-100 rounded-lg flex items-center justify-center mr-3">
+            <Target className="w-5 h-5 text-teal-600" />
+          </div>
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Tracked Domains</h2>
+            <p className="text-sm text-gray-600">
+              {report ? `${report.keywords_analyzed} keywords analyzed · movement compares each keyword's last two runs` : 'Loading…'}
+            </p>
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="w-6 h-6 text-blue-600 animate-spin" />
+          </div>
+        ) : !report || report.domains.length === 0 ? (
+          <p className="text-sm text-gray-500">No tracked domains yet. Add your own domains and competitors under Settings.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-100">
+                  <th className="py-2 pr-4 font-medium">Domain</th>
+                  <th className="py-2 pr-4 font-medium">Keywords ranked</th>
+                  <th className="py-2 pr-4 font-medium">Avg. position</th>
+                  <th className="py-2 pr-4 font-medium">Top 3</th>
+                  <th className="py-2 pr-4 font-medium">Top 10</th>
+                  <th className="py-2 font-medium">Since last run</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.domains.map(domain => (
+                  <React.Fragment key={domain.id}>
+                    <tr
+                      onClick={() => setExpanded(prev => prev === domain.id ? null : domain.id)}
+                      className="border-b border-gray-50 hover:bg-gray-50 cursor-pointer"
+                    >
+                      <td className="py-2 pr-4">
+                        <div className="flex items-center">
+                          {expanded === domain.id ? <ChevronDown className="w-4 h-4 text-gray-400 mr-1" /> : <ChevronRight className="w-4 h-4 text-gray-400 mr-1" />}
+                          <span className="font-medium text-gray-900">{domain.label || domain.domain}</span>
+                          <span className={`ml-2 px-2 py-0.5 rounded-full text-xs ${domain.kind === 'own' ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-700'}`}>
+                            {domain.kind === 'own' ? 'own' : 'competitor'}
+                          </span>
+                        </div>
+                      </td>
+                      <td className="py-2 pr-4">{domain.keywords_ranked}</td>
+                      <td className="py-2 pr-4">{domain.average_position ?? '–'}</td>
+                      <td className="py-2 pr-4">{domain.top_3}</td>
+                      <td className="py-2 pr-4">{domain.top_10}</td>
+                      <td className="py-2 text-xs text-gray-600">
+                        <span className="text-green-700">{domain.improved} up</span> · <span className="text-red-600">{domain.declined} down</span> · {domain.new} new · {domain.lost} lost
+                      </td>
+                    </tr>
+                    {expanded === domain.id && (
+                      <tr>
+                        <td colSpan={6} className="bg-gray-50 px-4 py-3">
+                          {domain.keywords.length === 0 ? (
+                            <p className="text-xs text-gray-500">{domain.domain} does not rank for any analyzed keyword in this period.</p>
+                          ) : (
+                            <table className="w-full text-xs">
+                              <tbody>
+                                {domain.keywords.map(keyword => (
+                                  <tr key={`${keyword.keyword}|${keyword.locale}`} className="border-b border-gray-100 last:border-0">
+                                    <td className="py-1 pr-4 text-gray-900">{keyword.keyword}</td>
+                                    <td className="py-1 pr-4 text-gray-500">{keyword.locale}</td>
+                                    <td className="py-1 pr-4">{keyword.position !== null ? `#${keyword.position}` : 'not ranking'}</td>
+                                    <td className="py-1 pr-4">{getMovementLabel(keyword)}</td>
+                                    <td className="py-1 text-gray-500 truncate max-w-xs">{keyword.url}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
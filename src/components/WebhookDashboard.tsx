@@ -1,23 +1,217 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { 
   Webhook, 
   Copy, 
   RefreshCcw, 
   ExternalLink, 
   CheckCircle,
+  XCircle,
   Code,
   Settings,
   BookOpen,
   Play,
-  ArrowRight
+  ArrowRight,
+  Send,
+  Loader2,
+  Key,
+  Plus,
+  RotateCw,
+  Ban
 } from 'lucide-react';
+import { supabase } from '../lib/supabase';
+import { apiRequest } from '../lib/api';
 import { useAuth } from '../hooks/useAuth';
 
+interface CallbackDelivery {
+  id: string;
+  request_id: string;
+  callback_url: string;
+  trigger: string;
+  attempt: number;
+  status: string;
+  response_status: number | null;
+  error_message: string | null;
+  duration_ms: number | null;
+  created_at: string;
+}
+
+interface WebhookToken {
+  id: string;
+  name: string;
+  token_prefix: string;
+  scopes: string[];
+  expires_at: string | null;
+  daily_keyword_quota: number | null;
+  revoked_at: string | null;
+  rotated_to: string | null;
+  last_used_at: string | null;
+  created_at: string;
+}
+
+const TOKEN_SCOPES = ['analyze', 'read'];
+
+const emptyTokenForm = { name: '', scopes: TOKEN_SCOPES, expiresAt: '', dailyKeywordQuota: '' };
+
 export const WebhookDashboard: React.FC = () => {
   const [copied, setCopied] = useState<string | null>(null);
   const [showMakeGuide, setShowMakeGuide] = useState(false);
+  const [signingSecret, setSigningSecret] = useState('');
+  const [deliveries, setDeliveries] = useState<CallbackDelivery[]>([]);
+  const [resending, setResending] = useState<string | null>(null);
+  const [deliveryError, setDeliveryError] = useState<string | null>(null);
+  const [tokens, setTokens] = useState<WebhookToken[]>([]);
+  const [showTokenForm, setShowTokenForm] = useState(false);
+  const [tokenForm, setTokenForm] = useState(emptyTokenForm);
+  const [issuedToken, setIssuedToken] = useState<{ name: string; token: string; note?: string } | null>(null);
+  const [tokenBusy, setTokenBusy] = useState<string | null>(null);
+  const [tokenError, setTokenError] = useState<string | null>(null);
   const { user } = useAuth();
 
+  useEffect(() => {
+    if (user) {
+      fetchSigningSecret();
+      fetchDeliveries();
+      fetchTokens();
+    }
+  }, [user]);
+
+  const fetchTokens = async () => {
+    const { data, error } = await supabase
+      .from('webhook_tokens')
+      .select('id, name, token_prefix, scopes, expires_at, daily_keyword_quota, revoked_at, rotated_to, last_used_at, created_at')
+      .eq('user_id', user!.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.warn('⚠️ Webhook tokens fetch warning:', error.message);
+      return;
+    }
+    setTokens(data || []);
+  };
+
+  const handleCreateToken = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setTokenBusy('create');
+    setTokenError(null);
+    try {
+      const created = await apiRequest<WebhookToken & { token: string }>('/api/tokens', {
+        method: 'POST',
+        body: JSON.stringify({
+          name: tokenForm.name.trim(),
+          scopes: tokenForm.scopes,
+          expires_at: tokenForm.expiresAt ? new Date(tokenForm.expiresAt).toISOString() : null,
+          daily_keyword_quota: tokenForm.dailyKeywordQuota ? parseInt(tokenForm.dailyKeywordQuota, 10) : null,
+        }),
+      });
+      setIssuedToken({ name: created.name, token: created.token });
+      setShowTokenForm(false);
+      setTokenForm(emptyTokenForm);
+      await fetchTokens();
+    } catch (error) {
+      setTokenError(error instanceof Error ? error.message : 'Failed to create token');
+    } finally {
+      setTokenBusy(null);
+    }
+  };
+
+  const handleRotateToken = async (token: WebhookToken) => {
+    const graceHours = prompt(`Rotate "${token.name}"? The current token keeps working for this many hours:`, '24');
+    if (graceHours === null) return;
+
+    setTokenBusy(token.id);
+    setTokenError(null);
+    try {
+      const rotated = await apiRequest<WebhookToken & { token: string; previous_token_expires_at: string }>(`/api/tokens/${token.id}/rotate`, {
+        method: 'POST',
+        body: JSON.stringify({ grace_hours: Number(graceHours) }),
+      });
+      setIssuedToken({
+        name: rotated.name,
+        token: rotated.token,
+        note: `The previous token stops working ${new Date(rotated.previous_token_expires_at).toLocaleString()}.`,
+      });
+      await fetchTokens();
+    } catch (error) {
+      setTokenError(error instanceof Error ? error.message : 'Failed to rotate token');
+    } finally {
+      setTokenBusy(null);
+    }
+  };
+
+  const handleRevokeToken = async (token: WebhookToken) => {
+    if (!confirm(`Revoke "${token.name}"? Scenarios using it will stop working immediately.`)) return;
+
+    setTokenBusy(token.id);
+    setTokenError(null);
+    try {
+      await apiRequest(`/api/tokens/${token.id}/revoke`, { method: 'POST' });
+      await fetchTokens();
+    } catch (error) {
+      setTokenError(error instanceof Error ? error.message : 'Failed to revoke token');
+    } finally {
+      setTokenBusy(null);
+    }
+  };
+
+  const toggleTokenScope = (scope: string) => {
+    setTokenForm(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(s => s !== scope)
+        : [...prev.scopes, scope],
+    }));
+  };
+
+  const getTokenState = (token: WebhookToken) => {
+    if (token.revoked_at) return { label: 'revoked', className: 'bg-red-100 text-red-800' };
+    if (token.expires_at && new Date(token.expires_at) <= new Date()) return { label: 'expired', className: 'bg-gray-100 text-gray-800' };
+    if (token.rotated_to) return { label: 'rotating out', className: 'bg-yellow-100 text-yellow-800' };
+    return { label: 'active', className: 'bg-green-100 text-green-800' };
+  };
+
+  const fetchSigningSecret = async () => {
+    const { data, error } = await supabase
+      .from('users')
+      .select('webhook_secret')
+      .eq('id', user!.id)
+      .single();
+
+    if (error) {
+      console.warn('⚠️ Signing secret fetch warning:', error.message);
+      return;
+    }
+    setSigningSecret(data?.webhook_secret || '');
+  };
+
+  const fetchDeliveries = async () => {
+    const { data, error } = await supabase
+      .from('callback_deliveries')
+      .select('*')
+      .eq('user_id', user!.id)
+      .order('created_at', { ascending: false })
+      .limit(20);
+
+    if (error) {
+      console.warn('⚠️ Callback deliveries fetch warning:', error.message);
+      return;
+    }
+    setDeliveries(data || []);
+  };
+
+  const handleResend = async (deliveryId: string) => {
+    setResending(deliveryId);
+    setDeliveryError(null);
+    try {
+      await apiRequest(`/api/callbacks/deliveries/${deliveryId}/resend`, { method: 'POST' });
+      // Give the first attempt a moment to be recorded before refreshing
+      setTimeout(fetchDeliveries, 2000);
+    } catch (error) {
+      setDeliveryError(error instanceof Error ? error.message : 'Failed to re-send callback');
+    } finally {
+      setResending(null);
+    }
+  };
+
   const webhookUrl = `${import.meta.env.VITE_API_BASE_URL}/api/analyze-serps`;
   const authToken = user?.webhook_token || '';
 
@@ -50,6 +244,18 @@ export const WebhookDashboard: React.FC = () => {
     "keywords": ["keyword research", "seo tools", "serp analysis"]
   }'`;
 
+  const callbackExample = `{
+  "keywords": ["keyword 1", "keyword 2"],
+  "async": true,
+  "callback_url": "https://hook.make.com/your-custom-webhook"
+}`;
+
+  const verifyExample = `const expected = crypto
+  .createHmac('sha256', SIGNING_SECRET)
+  .update(rawBody)
+  .digest('hex');
+const valid = req.headers['x-serp-signature'] === \`sha256=\${expected}\`;`;
+
   const makeSteps = [
     {
       step: 1,
@@ -176,7 +382,7 @@ export const WebhookDashboard: React.FC = () => {
 
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                Authorization Token
+                Account Token (legacy, full access)
               </label>
               <div className="flex items-center space-x-2">
                 <input
@@ -262,6 +468,178 @@ export const WebhookDashboard: React.FC = () => {
         </div>
       </div>
 
+      {/* Webhook Tokens */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center">
+            <div className="w-10 h-10 bg-indigo-100 rounded-lg flex items-center justify-center mr-3">
+              <Key className="w-5 h-5 text-indigo-600" />
+            </div>
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">Webhook Tokens</h2>
+              <p className="text-sm text-gray-600">Give each Make.com scenario its own token with its own scope, expiry and daily quota</p>
+            </div>
+          </div>
+          <button
+            onClick={() => setShowTokenForm(!showTokenForm)}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors duration-200 flex items-center"
+          >
+            <Plus className="w-5 h-5 mr-2" />
+            New Token
+          </button>
+        </div>
+
+        {tokenError && (
+          <p className="text-sm text-red-600 mb-4">{tokenError}</p>
+        )}
+
+        {issuedToken && (
+          <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-4">
+            <p className="text-sm font-medium text-green-900 mb-2">
+              Token for "{issuedToken.name}" — copy it now, it will not be shown again.
+            </p>
+            <div className="flex items-center space-x-2">
+              <input
+                type="text"
+                readOnly
+                value={issuedToken.token}
+                className="flex-1 px-3 py-2 bg-white border border-green-300 rounded-lg text-sm font-mono"
+              />
+              <button
+                onClick={() => copyToClipboard(issuedToken.token, 'issued')}
+                className="p-2 text-gray-600 hover:bg-green-100 rounded-lg transition-colors duration-200"
+              >
+                {copied === 'issued' ? (
+                  <CheckCircle className="w-5 h-5 text-green-500" />
+                ) : (
+                  <Copy className="w-5 h-5" />
+                )}
+              </button>
+              <button
+                onClick={() => setIssuedToken(null)}
+                className="p-2 text-gray-600 hover:bg-green-100 rounded-lg transition-colors duration-200"
+              >
+                <XCircle className="w-5 h-5" />
+              </button>
+            </div>
+            {issuedToken.note && (
+              <p className="text-xs text-green-800 mt-2">{issuedToken.note}</p>
+            )}
+          </div>
+        )}
+
+        {showTokenForm && (
+          <form onSubmit={handleCreateToken} className="bg-gray-50 rounded-lg p-4 mb-4 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+                <input
+                  type="text"
+                  required
+                  value={tokenForm.name}
+                  onChange={(e) => setTokenForm(prev => ({ ...prev, name: e.target.value }))}
+                  placeholder="e.g., Weekly keyword sheet"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Expires (optional)</label>
+                <input
+                  type="date"
+                  value={tokenForm.expiresAt}
+                  onChange={(e) => setTokenForm(prev => ({ ...prev, expiresAt: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Keywords per day (optional)</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={tokenForm.dailyKeywordQuota}
+                  onChange={(e) => setTokenForm(prev => ({ ...prev, dailyKeywordQuota: e.target.value }))}
+                  placeholder="Unlimited"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+            </div>
+            <div className="flex items-center justify-between">
+              <div className="flex items-center space-x-4">
+                {TOKEN_SCOPES.map(scope => (
+                  <label key={scope} className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={tokenForm.scopes.includes(scope)}
+                      onChange={() => toggleTokenScope(scope)}
+                      className="mr-2"
+                    />
+                    {scope === 'analyze' ? 'Run analyses' : 'Read results'}
+                  </label>
+                ))}
+              </div>
+              <button
+                type="submit"
+                disabled={tokenBusy === 'create' || tokenForm.scopes.length === 0}
+                className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 disabled:cursor-not-allowed text-white rounded-lg transition-colors duration-200 flex items-center"
+              >
+                {tokenBusy === 'create' && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                Create Token
+              </button>
+            </div>
+          </form>
+        )}
+
+        {tokens.length > 0 ? (
+          <div className="divide-y divide-gray-100">
+            {tokens.map(token => {
+              const state = getTokenState(token);
+              const isLive = state.label === 'active' || state.label === 'rotating out';
+              return (
+                <div key={token.id} className="py-3 flex items-center justify-between text-sm">
+                  <div className="min-w-0">
+                    <div className="flex items-center space-x-2">
+                      <span className="font-medium text-gray-900">{token.name}</span>
+                      <span className="font-mono text-gray-500">{token.token_prefix}…</span>
+                      <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${state.className}`}>
+                        {state.label}
+                      </span>
+                    </div>
+                    <p className="text-gray-500 mt-1">
+                      {token.scopes.join(', ')}
+                      {token.daily_keyword_quota ? ` · ${token.daily_keyword_quota} keywords/day` : ''}
+                      {token.expires_at ? ` · expires ${new Date(token.expires_at).toLocaleString()}` : ''}
+                      {` · ${token.last_used_at ? `last used ${new Date(token.last_used_at).toLocaleString()}` : 'never used'}`}
+                    </p>
+                  </div>
+                  {isLive && (
+                    <div className="flex items-center space-x-2 ml-4">
+                      <button
+                        onClick={() => handleRotateToken(token)}
+                        disabled={tokenBusy === token.id || !!token.rotated_to}
+                        title="Rotate"
+                        className="p-2 text-gray-600 hover:bg-gray-100 disabled:text-gray-300 disabled:cursor-not-allowed rounded-lg transition-colors duration-200"
+                      >
+                        <RotateCw className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleRevokeToken(token)}
+                        disabled={tokenBusy === token.id}
+                        title="Revoke"
+                        className="p-2 text-red-600 hover:bg-red-50 disabled:text-red-300 disabled:cursor-not-allowed rounded-lg transition-colors duration-200"
+                      >
+                        <Ban className="w-4 h-4" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">No tokens yet. Your account token above keeps working until you switch scenarios over.</p>
+        )}
+      </div>
+
       {/* Code Examples */}
       <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
         <div className="flex items-center mb-4">
@@ -301,8 +679,9 @@ export const WebhookDashboard: React.FC = () => {
             <h3 className="font-medium text-green-900 mb-2">Rate Limits & Best Practices</h3>
             <ul className="text-sm text-green-800 space-y-1">
               <li>• Maximum 30 keywords per request</li>
-              <li>• Rate limit: 10 requests per minute</li>
+              <li>• Rate limit: 30 requests and 300 keywords per minute for each token</li>
               <li>• Timeout: 60 seconds per request</li>
+              <li>• Long batches: add "async": true to the body and poll /api/jobs/:request_id</li>
               <li>• Use webhook token for authentication</li>
               <li>• API automatically rotates between your configured keys</li>
               <li>• Test with small batches first (5-10 keywords)</li>
@@ -311,6 +690,117 @@ export const WebhookDashboard: React.FC = () => {
           </div>
         </div>
       </div>
+
+      {/* Result Callbacks */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center">
+            <div className="w-10 h-10 bg-orange-100 rounded-lg flex items-center justify-center mr-3">
+              <Send className="w-5 h-5 text-orange-600" />
+            </div>
+            <h2 className="text-lg font-semibold text-gray-900">Result Callbacks</h2>
+          </div>
+          <button
+            onClick={fetchDeliveries}
+            className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors duration-200"
+          >
+            <RefreshCcw className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Request Body with Callback
+            </label>
+            <div className="bg-gray-50 rounded-lg p-3 text-sm font-mono overflow-x-auto">
+              <pre className="whitespace-pre-wrap">{callbackExample}</pre>
+            </div>
+            <p className="text-sm text-gray-600 mt-2">
+              When the run finishes we POST the same results payload to your URL. Failed deliveries are retried with backoff.
+            </p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Signing Secret
+            </label>
+            <div className="flex items-center space-x-2">
+              <input
+                type="text"
+                readOnly
+                value={signingSecret}
+                className="flex-1 px-3 py-2 bg-gray-50 border border-gray-300 rounded-lg text-sm font-mono"
+              />
+              <button
+                onClick={() => copyToClipboard(signingSecret, 'secret')}
+                className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors duration-200"
+              >
+                {copied === 'secret' ? (
+                  <CheckCircle className="w-5 h-5 text-green-500" />
+                ) : (
+                  <Copy className="w-5 h-5" />
+                )}
+              </button>
+            </div>
+            <p className="text-sm text-gray-600 mt-2">
+              Each callback carries an <code>X-SERP-Signature</code> header with an HMAC-SHA256 of the raw body:
+            </p>
+            <div className="bg-gray-900 rounded-lg p-3 mt-2 text-sm text-gray-100 overflow-x-auto">
+              <pre className="whitespace-pre-wrap">{verifyExample}</pre>
+            </div>
+          </div>
+        </div>
+
+        {deliveryError && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-sm text-red-700">{deliveryError}</p>
+          </div>
+        )}
+
+        <h3 className="font-medium text-gray-900 mb-2">Recent Deliveries</h3>
+        {deliveries.length > 0 ? (
+          <div className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+            {deliveries.map((delivery) => (
+              <div key={delivery.id} className="p-4 flex items-center justify-between">
+                <div className="flex items-center space-x-3 min-w-0">
+                  {delivery.status === 'succeeded' ? (
+                    <CheckCircle className="w-5 h-5 text-green-500 flex-shrink-0" />
+                  ) : (
+                    <XCircle className="w-5 h-5 text-red-500 flex-shrink-0" />
+                  )}
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900 truncate">{delivery.callback_url}</p>
+                    <p className="text-xs text-gray-500">
+                      Request {delivery.request_id} · attempt {delivery.attempt}
+                      {delivery.trigger === 'resend' && ' · re-sent'}
+                      {delivery.response_status && ` · HTTP ${delivery.response_status}`}
+                      {delivery.duration_ms !== null && ` · ${delivery.duration_ms}ms`}
+                    </p>
+                    {delivery.error_message && (
+                      <p className="text-xs text-red-600 truncate">{delivery.error_message}</p>
+                    )}
+                    <p className="text-xs text-gray-400">{new Date(delivery.created_at).toLocaleString()}</p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleResend(delivery.id)}
+                  disabled={resending !== null}
+                  className="ml-4 text-blue-600 hover:text-blue-700 disabled:text-blue-300 disabled:cursor-not-allowed text-sm flex items-center flex-shrink-0"
+                >
+                  {resending === delivery.id ? (
+                    <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+                  ) : (
+                    <Send className="w-4 h-4 mr-1" />
+                  )}
+                  Re-send
+                </button>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-600">No callbacks delivered yet. Add a callback_url to your request to get started.</p>
+        )}
+      </div>
     </div>
   );
 };
\ No newline at end of file
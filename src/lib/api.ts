@@ -0,0 +1,58 @@
+import { supabase } from './supabase';
+
+export const apiBaseUrl = import.meta.env.VITE_API_BASE_URL || '';
+
+// Call the backend API with the current Supabase session as bearer token
+export const apiRequest = async <T = unknown>(path: string, options: RequestInit = {}): Promise<T> => {
+  const { data: { session } } = await supabase.auth.getSession();
+
+  if (!session) {
+    throw new Error('You must be signed in to perform this action');
+  }
+
+  const response = await fetch(`${apiBaseUrl}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${session.access_token}`,
+      ...options.headers,
+    },
+  });
+
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    throw new Error(body?.message || body?.error || `Request failed with status ${response.status}`);
+  }
+
+  return body as T;
+};
+
+// Download a file from the backend and hand it to the browser as a save dialog
+export const apiDownload = async (path: string, fallbackFilename: string): Promise<void> => {
+  const { data: { session } } = await supabase.auth.getSession();
+
+  if (!session) {
+    throw new Error('You must be signed in to perform this action');
+  }
+
+  const response = await fetch(`${apiBaseUrl}${path}`, {
+    headers: { Authorization: `Bearer ${session.access_token}` },
+  });
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => null);
+    throw new Error(body?.message || body?.error || `Request failed with status ${response.status}`);
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackFilename;
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -18,6 +18,9 @@ export type Database = {
           email: string;
           full_name: string;
           webhook_token: string;
+          webhook_secret: string;
+          monthly_budget_usd: number | null;
+          difficulty_weights: unknown | null;
           created_at: string;
           updated_at: string;
         };
@@ -26,6 +29,9 @@ export type Database = {
           email: string;
           full_name: string;
           webhook_token?: string;
+          webhook_secret?: string;
+          monthly_budget_usd?: number | null;
+          difficulty_weights?: unknown | null;
           created_at?: string;
           updated_at?: string;
         };
@@ -34,6 +40,9 @@ export type Database = {
           email?: string;
           full_name?: string;
           webhook_token?: string;
+          webhook_secret?: string;
+          monthly_budget_usd?: number | null;
+          difficulty_weights?: unknown | null;
           created_at?: string;
           updated_at?: string;
         };
@@ -44,9 +53,11 @@ export type Database = {
           user_id: string;
           key_name: string;
           api_key: string;
+          api_key_fingerprint: string | null;
           provider: string;
           status: string;
-          credits_remaining: number;
+          credits_remaining: number | null;
+          monthly_budget_usd: number | null;
           last_used: string | null;
           last_failed: string | null;
           failure_count: number;
@@ -58,9 +69,11 @@ export type Database = {
           user_id: string;
           key_name: string;
           api_key: string;
+          api_key_fingerprint?: string | null;
           provider?: string;
           status?: string;
-          credits_remaining?: number;
+          credits_remaining?: number | null;
+          monthly_budget_usd?: number | null;
           last_used?: string | null;
           last_failed?: string | null;
           failure_count?: number;
@@ -72,9 +85,11 @@ export type Database = {
           user_id?: string;
           key_name?: string;
           api_key?: string;
+          api_key_fingerprint?: string | null;
           provider?: string;
           status?: string;
-          credits_remaining?: number;
+          credits_remaining?: number | null;
+          monthly_budget_usd?: number | null;
           last_used?: string | null;
           last_failed?: string | null;
           failure_count?: number;
@@ -90,6 +105,16 @@ export type Database = {
           keywords: any;
           results: any | null;
           api_keys_used: any | null;
+          options: unknown | null;
+          locale: unknown | null;
+          progress: unknown | null;
+          webhook_token_id: string | null;
+          bulk_run_id: string | null;
+          schedule_id: string | null;
+          project_id: string | null;
+          expansion_id: string | null;
+          idempotency_key: string | null;
+          idempotency_fingerprint: string | null;
           status: string;
           error_message: string | null;
           processing_time: number | null;
@@ -102,6 +127,16 @@ export type Database = {
           keywords: any;
           results?: any | null;
           api_keys_used?: any | null;
+          options?: unknown | null;
+          locale?: unknown | null;
+          progress?: unknown | null;
+          webhook_token_id?: string | null;
+          bulk_run_id?: string | null;
+          schedule_id?: string | null;
+          project_id?: string | null;
+          expansion_id?: string | null;
+          idempotency_key?: string | null;
+          idempotency_fingerprint?: string | null;
           status?: string;
           error_message?: string | null;
           processing_time?: number | null;
@@ -114,6 +149,16 @@ export type Database = {
           keywords?: any;
           results?: any | null;
           api_keys_used?: any | null;
+          options?: unknown | null;
+          locale?: unknown | null;
+          progress?: unknown | null;
+          webhook_token_id?: string | null;
+          bulk_run_id?: string | null;
+          schedule_id?: string | null;
+          project_id?: string | null;
+          expansion_id?: string | null;
+          idempotency_key?: string | null;
+          idempotency_fingerprint?: string | null;
           status?: string;
           error_message?: string | null;
           processing_time?: number | null;
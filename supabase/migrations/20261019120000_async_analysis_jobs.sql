@@ -0,0 +1,15 @@
+/*
+  # Async analysis jobs
+
+  1. Schema Changes
+    - `analysis_logs.options` (jsonb) - request options (country, page, write_skip_config, async)
+    - `analysis_logs.progress` (jsonb) - stage and per-keyword status while a run is in flight
+
+  2. Indexes
+    - `analysis_logs.request_id` for job status polling
+*/
+
+ALTER TABLE analysis_logs ADD COLUMN IF NOT EXISTS options jsonb;
+ALTER TABLE analysis_logs ADD COLUMN IF NOT EXISTS progress jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_analysis_logs_request_id ON analysis_logs(request_id);
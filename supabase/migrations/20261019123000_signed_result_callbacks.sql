@@ -0,0 +1,53 @@
+/*
+  # Signed result callbacks
+
+  1. Schema Changes
+    - `users.webhook_secret` (text) - per-user HMAC secret used to sign outbound callbacks
+
+  2. New Tables
+    - `callback_deliveries`
+      - `id` (uuid, primary key)
+      - `user_id` (uuid, foreign key)
+      - `request_id` (text) - analysis request the payload belongs to
+      - `callback_url` (text)
+      - `trigger` (text) - 'analysis' or 'resend'
+      - `attempt` (integer) - attempt number within a delivery
+      - `status` (text) - 'succeeded' or 'failed'
+      - `response_status` (integer)
+      - `error_message` (text)
+      - `duration_ms` (integer)
+      - `created_at` (timestamp)
+
+  3. Security
+    - Enable RLS on `callback_deliveries`
+    - Users can read their own delivery attempts; the backend writes them
+*/
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS webhook_secret text DEFAULT encode(gen_random_bytes(32), 'hex');
+UPDATE users SET webhook_secret = encode(gen_random_bytes(32), 'hex') WHERE webhook_secret IS NULL;
+
+CREATE TABLE IF NOT EXISTS callback_deliveries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  request_id text NOT NULL,
+  callback_url text NOT NULL,
+  trigger text NOT NULL DEFAULT 'analysis',
+  attempt integer NOT NULL DEFAULT 1,
+  status text NOT NULL,
+  response_status integer,
+  error_message text,
+  duration_ms integer,
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE callback_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read own callback deliveries"
+  ON callback_deliveries
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+CREATE INDEX IF NOT EXISTS idx_callback_deliveries_user_id ON callback_deliveries(user_id);
+CREATE INDEX IF NOT EXISTS idx_callback_deliveries_request_id ON callback_deliveries(request_id);
+CREATE INDEX IF NOT EXISTS idx_callback_deliveries_created_at ON callback_deliveries(created_at);
@@ -0,0 +1,13 @@
+/*
+  # Domain metrics cache
+
+  1. Schema Changes
+    - `global_serp_data.pa` (integer) - page authority, so cached rows carry the full Moz metric set
+
+  2. Indexes
+    - `global_serp_data.scrape_date` for freshness checks
+*/
+
+ALTER TABLE IF EXISTS global_serp_data ADD COLUMN IF NOT EXISTS pa integer;
+
+CREATE INDEX IF NOT EXISTS idx_global_serp_data_scrape_date ON global_serp_data(scrape_date);
@@ -0,0 +1,70 @@
+/*
+  # API key usage ledger and budgets
+
+  1. Schema Changes
+    - `api_keys.monthly_budget_usd` (numeric) - optional monthly spend cap for the key
+    - `api_keys.credits_remaining` becomes numeric and nullable; it now mirrors what is left
+      of the key's monthly budget and is null when no budget is set
+    - `users.monthly_budget_usd` (numeric) - optional monthly spend cap for the whole account
+
+  2. New Tables
+    - `api_key_usage`
+      - `id` (uuid, primary key)
+      - `user_id` (uuid, foreign key)
+      - `api_key_id` (uuid, foreign key) - kept as null if the key is deleted
+      - `request_id` (text) - analysis request that started the run
+      - `actor` (text) - Apify actor that was run
+      - `run_id` (text)
+      - `compute_units` (numeric)
+      - `cost_usd` (numeric)
+      - `created_at` (timestamp)
+
+  3. New Functions
+    - `api_key_spend_since(p_user_id, p_since)` sums a user's ledger since `p_since`, one row
+      per `api_key_id`, so budget checks never depend on how many runs a month holds
+
+  4. Security
+    - Enable RLS on `api_key_usage`
+    - Users can read their own usage; the backend writes it
+*/
+
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS monthly_budget_usd numeric;
+ALTER TABLE api_keys ALTER COLUMN credits_remaining DROP DEFAULT;
+ALTER TABLE api_keys ALTER COLUMN credits_remaining TYPE numeric USING credits_remaining::numeric;
+UPDATE api_keys SET credits_remaining = NULL WHERE monthly_budget_usd IS NULL;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS monthly_budget_usd numeric;
+
+CREATE TABLE IF NOT EXISTS api_key_usage (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  api_key_id uuid REFERENCES api_keys(id) ON DELETE SET NULL,
+  request_id text,
+  actor text NOT NULL,
+  run_id text,
+  compute_units numeric,
+  cost_usd numeric,
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE api_key_usage ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read own API key usage"
+  ON api_key_usage
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+CREATE INDEX IF NOT EXISTS idx_api_key_usage_user_created ON api_key_usage(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_api_key_usage_api_key_id ON api_key_usage(api_key_id);
+
+CREATE OR REPLACE FUNCTION public.api_key_spend_since(p_user_id uuid, p_since timestamptz)
+RETURNS TABLE (api_key_id uuid, cost_usd numeric)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT u.api_key_id, COALESCE(SUM(u.cost_usd), 0)
+  FROM api_key_usage u
+  WHERE u.user_id = p_user_id AND u.created_at >= p_since
+  GROUP BY u.api_key_id;
+$$;
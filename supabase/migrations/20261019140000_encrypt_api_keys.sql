@@ -0,0 +1,40 @@
+/*
+  # Encrypt stored API keys
+
+  1. Schema Changes
+    - `api_keys.api_key_fingerprint` (text) - masked hint of the key (last four characters)
+      shown in the dashboard instead of the secret
+    - `api_keys.api_key` now holds AES-256-GCM ciphertext written by the backend; rows still
+      in plaintext are encrypted by the backend on startup
+
+  2. Data Cleanup
+    - Strip raw `api_key` values from `analysis_logs.api_keys_used`, keeping only key names
+
+  3. Security
+    - Browser roles can no longer read, insert or update `api_keys.api_key`; keys are added
+      through the backend, which encrypts them before storing
+    - Column grants are explicit, so new `api_keys` columns that the dashboard needs must be
+      granted here as well
+    - `credits_remaining` is read-only for browser roles; the backend derives it from the spend ledger
+*/
+
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS api_key_fingerprint text;
+UPDATE api_keys
+SET api_key_fingerprint = '••••' || right(api_key, 4)
+WHERE api_key_fingerprint IS NULL AND api_key NOT LIKE 'enc:v1:%';
+
+UPDATE analysis_logs
+SET api_keys_used = (
+  SELECT coalesce(jsonb_agg(entry - 'api_key'), '[]'::jsonb)
+  FROM jsonb_array_elements(api_keys_used) AS entry
+)
+WHERE jsonb_typeof(api_keys_used) = 'array';
+
+REVOKE SELECT, INSERT, UPDATE ON api_keys FROM anon, authenticated;
+
+GRANT SELECT (
+  id, user_id, key_name, api_key_fingerprint, provider, status, credits_remaining,
+  monthly_budget_usd, last_used, last_failed, failure_count, created_at, updated_at
+) ON api_keys TO authenticated;
+
+GRANT UPDATE (key_name, monthly_budget_usd) ON api_keys TO authenticated;
@@ -0,0 +1,54 @@
+/*
+  # Scoped webhook tokens
+
+  1. New Tables
+    - `webhook_tokens`
+      - `id` (uuid, primary key)
+      - `user_id` (uuid, foreign key)
+      - `name` (text) - label shown in the dashboard, e.g. the Make.com scenario
+      - `token_hash` (text, unique) - SHA-256 of the token; the plaintext is never stored
+      - `token_prefix` (text) - first characters of the token, for recognising it
+      - `scopes` (text[]) - 'analyze' and/or 'read'
+      - `expires_at` (timestamp) - optional expiry, also set when the token is rotated
+      - `daily_keyword_quota` (integer) - optional keywords per UTC day
+      - `revoked_at` (timestamp)
+      - `rotated_to` (uuid) - replacement token issued by a rotation
+      - `last_used_at` (timestamp)
+      - `created_at` (timestamp)
+
+  2. Schema Changes
+    - `analysis_logs.webhook_token_id` (uuid) - token that submitted the request, used for quotas
+
+  3. Security
+    - Enable RLS on `webhook_tokens`
+    - Users can read their own tokens; the backend issues, rotates and revokes them
+    - `users.webhook_token` keeps working as a legacy full-access token
+*/
+
+CREATE TABLE IF NOT EXISTS webhook_tokens (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  name text NOT NULL,
+  token_hash text UNIQUE NOT NULL,
+  token_prefix text NOT NULL,
+  scopes text[] NOT NULL DEFAULT ARRAY['analyze', 'read'],
+  expires_at timestamptz,
+  daily_keyword_quota integer CHECK (daily_keyword_quota IS NULL OR daily_keyword_quota > 0),
+  revoked_at timestamptz,
+  rotated_to uuid REFERENCES webhook_tokens(id) ON DELETE SET NULL,
+  last_used_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE webhook_tokens ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read own webhook tokens"
+  ON webhook_tokens
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+CREATE INDEX IF NOT EXISTS idx_webhook_tokens_user_id ON webhook_tokens(user_id);
+
+ALTER TABLE analysis_logs ADD COLUMN IF NOT EXISTS webhook_token_id uuid REFERENCES webhook_tokens(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_analysis_logs_webhook_token_created ON analysis_logs(webhook_token_id, created_at);
@@ -0,0 +1,88 @@
+/*
+  # Persistent rate limits
+
+  1. New Tables
+    - `rate_limit_counters`
+      - `bucket` (text) - who and what is limited, e.g. `token:<id>:keywords:60`
+      - `window_start` (timestamp) - start of the fixed window the hits belong to
+      - `hits` (integer) - requests or keywords consumed in the window
+      - primary key (`bucket`, `window_start`)
+
+  2. New Functions
+    - `consume_rate_limits(p_limits)` takes a JSON array of
+      `{ bucket, window_seconds, cost, limit }` and atomically adds each `cost` to its
+      bucket's current window, but only when every bucket has room; otherwise nothing is
+      charged. Returns, per bucket, whether it had room, the hits in the window and when the
+      window started. Older windows of the buckets are deleted as it goes.
+
+  3. Security
+    - Enable RLS on `rate_limit_counters` with no policies; only the backend touches it
+*/
+
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+  bucket text NOT NULL,
+  window_start timestamptz NOT NULL,
+  hits integer NOT NULL DEFAULT 0,
+  PRIMARY KEY (bucket, window_start)
+);
+
+ALTER TABLE rate_limit_counters ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION public.consume_rate_limits(p_limits jsonb)
+RETURNS TABLE (bucket text, allowed boolean, hits integer, window_start timestamptz)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_limit jsonb;
+  v_window_start timestamptz;
+  v_hits integer;
+  v_all_allowed boolean := true;
+BEGIN
+  -- Lock every current window first, in bucket order so concurrent calls cannot deadlock
+  FOR v_limit IN
+    SELECT l.value FROM jsonb_array_elements(p_limits) AS l(value) ORDER BY l.value->>'bucket'
+  LOOP
+    v_window_start := to_timestamp(floor(extract(epoch FROM now()) / (v_limit->>'window_seconds')::integer) * (v_limit->>'window_seconds')::integer);
+
+    DELETE FROM rate_limit_counters rc
+    WHERE rc.bucket = v_limit->>'bucket' AND rc.window_start < v_window_start;
+
+    INSERT INTO rate_limit_counters AS rc (bucket, window_start, hits)
+    VALUES (v_limit->>'bucket', v_window_start, 0)
+    ON CONFLICT ON CONSTRAINT rate_limit_counters_pkey DO NOTHING;
+
+    SELECT rc.hits INTO v_hits
+    FROM rate_limit_counters rc
+    WHERE rc.bucket = v_limit->>'bucket' AND rc.window_start = v_window_start
+    FOR UPDATE;
+
+    IF v_hits + (v_limit->>'cost')::integer > (v_limit->>'limit')::integer THEN
+      v_all_allowed := false;
+    END IF;
+  END LOOP;
+
+  -- Then charge all of them, or none when any is exhausted
+  FOR v_limit IN
+    SELECT l.value FROM jsonb_array_elements(p_limits) AS l(value)
+  LOOP
+    v_window_start := to_timestamp(floor(extract(epoch FROM now()) / (v_limit->>'window_seconds')::integer) * (v_limit->>'window_seconds')::integer);
+
+    IF v_all_allowed THEN
+      UPDATE rate_limit_counters rc
+      SET hits = rc.hits + (v_limit->>'cost')::integer
+      WHERE rc.bucket = v_limit->>'bucket' AND rc.window_start = v_window_start
+      RETURNING rc.hits INTO v_hits;
+    ELSE
+      SELECT rc.hits INTO v_hits
+      FROM rate_limit_counters rc
+      WHERE rc.bucket = v_limit->>'bucket' AND rc.window_start = v_window_start;
+    END IF;
+
+    RETURN QUERY SELECT
+      v_limit->>'bucket',
+      v_all_allowed OR v_hits + (v_limit->>'cost')::integer <= (v_limit->>'limit')::integer,
+      v_hits,
+      v_window_start;
+  END LOOP;
+END;
+$$;
@@ -0,0 +1,62 @@
+/*
+  # Write/Skip rule profiles
+
+  1. New Tables
+    - `rule_profiles`
+      - `id` (uuid, primary key)
+      - `user_id` (uuid, foreign key)
+      - `name` (text) - selected with `rule_profile` in analyze requests, unique per user
+      - `description` (text)
+      - `definition` (jsonb) - AND/OR groups of conditions on DA, PA, spam score,
+        positions and forum/UGC presence
+      - `is_default` (boolean) - used when a request names no profile
+      - `created_at` / `updated_at` (timestamp)
+
+  2. New Functions
+    - `set_default_rule_profile(p_user_id, p_profile_id)` makes the profile the user's
+      default and clears the previous one in the same transaction
+
+  3. Security
+    - Enable RLS on `rule_profiles`
+    - Users can read their own profiles; the backend validates and writes them
+*/
+
+CREATE TABLE IF NOT EXISTS rule_profiles (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  name text NOT NULL,
+  description text,
+  definition jsonb NOT NULL,
+  is_default boolean NOT NULL DEFAULT false,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  UNIQUE (user_id, name)
+);
+
+ALTER TABLE rule_profiles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read own rule profiles"
+  ON rule_profiles
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rule_profiles_one_default ON rule_profiles(user_id) WHERE is_default;
+
+CREATE OR REPLACE FUNCTION public.set_default_rule_profile(p_user_id uuid, p_profile_id uuid)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  -- The partial unique index allows one default per user, so clear the old one first
+  UPDATE rule_profiles rp
+  SET is_default = false
+  WHERE rp.user_id = p_user_id AND rp.is_default AND rp.id <> p_profile_id;
+
+  UPDATE rule_profiles rp
+  SET is_default = true
+  WHERE rp.user_id = p_user_id AND rp.id = p_profile_id;
+
+  RETURN FOUND;
+END;
+$$;
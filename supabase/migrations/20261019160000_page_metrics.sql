@@ -0,0 +1,35 @@
+/*
+  # Page-level metrics
+
+  1. New Tables
+    - `page_metrics`
+      - `url` (text, primary key) - canonical URL (https, no www., no tracking parameters)
+      - `domain` (text) - registrable domain (eTLD+1) the page belongs to
+      - `pa` (integer) - Moz page authority, null when unknown
+      - `scrape_date` (timestamp)
+
+  2. Schema Changes
+    - `global_serp_data` is now keyed by registrable domain and holds domain-level metrics
+      (DA, spam score) only; `global_serp_data.pa` is no longer written
+
+  3. Security
+    - Enable RLS on `page_metrics`; metrics are shared, so signed-in users can read them
+*/
+
+CREATE TABLE IF NOT EXISTS page_metrics (
+  url text PRIMARY KEY,
+  domain text NOT NULL,
+  pa integer,
+  scrape_date timestamptz DEFAULT now()
+);
+
+ALTER TABLE page_metrics ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can read page metrics"
+  ON page_metrics
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE INDEX IF NOT EXISTS idx_page_metrics_domain ON page_metrics(domain);
+CREATE INDEX IF NOT EXISTS idx_page_metrics_scrape_date ON page_metrics(scrape_date);
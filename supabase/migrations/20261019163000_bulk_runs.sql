@@ -0,0 +1,83 @@
+/*
+  # Bulk keyword runs
+
+  1. New Tables
+    - `bulk_runs` - parent record for an uploaded keyword list
+      - `id` (uuid, primary key)
+      - `user_id` (uuid, foreign key)
+      - `name` (text)
+      - `status` (text) - running, paused, completed or failed
+      - `options` (jsonb) - analyze options applied to every batch
+      - `keywords_total` / `keywords_completed` / `keywords_failed` (integer) - rollup
+        of the keyword rows, refreshed after every batch
+      - `batches_completed` (integer)
+      - `error_message` (text) - why the run stopped, e.g. budget exhausted
+      - `created_at` / `updated_at` / `finished_at` (timestamp)
+    - `bulk_run_keywords` - one row per deduplicated keyword
+      - `id` (uuid, primary key)
+      - `bulk_run_id` (uuid, foreign key)
+      - `keyword` (text) - normalized keyword, unique per run
+      - `position` (integer) - order in the uploaded list
+      - `status` (text) - pending, running, completed or failed
+      - `request_id` (text) - the analysis_logs request that processed it
+      - `decision` (text)
+      - `error_message` (text)
+      - `updated_at` (timestamp)
+
+  2. Changes
+    - `analysis_logs.bulk_run_id` links each batch to its run
+
+  3. Security
+    - Enable RLS on both tables
+    - Users can read their own runs and keywords; the backend writes them
+*/
+
+CREATE TABLE IF NOT EXISTS bulk_runs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  name text NOT NULL,
+  status text NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'paused', 'completed', 'failed')),
+  options jsonb NOT NULL DEFAULT '{}'::jsonb,
+  keywords_total integer NOT NULL DEFAULT 0,
+  keywords_completed integer NOT NULL DEFAULT 0,
+  keywords_failed integer NOT NULL DEFAULT 0,
+  batches_completed integer NOT NULL DEFAULT 0,
+  error_message text,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  finished_at timestamptz
+);
+
+CREATE TABLE IF NOT EXISTS bulk_run_keywords (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  bulk_run_id uuid REFERENCES bulk_runs(id) ON DELETE CASCADE NOT NULL,
+  keyword text NOT NULL,
+  position integer NOT NULL,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+  request_id text,
+  decision text,
+  error_message text,
+  updated_at timestamptz DEFAULT now(),
+  UNIQUE (bulk_run_id, keyword)
+);
+
+ALTER TABLE analysis_logs ADD COLUMN IF NOT EXISTS bulk_run_id uuid REFERENCES bulk_runs(id) ON DELETE SET NULL;
+
+ALTER TABLE bulk_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bulk_run_keywords ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read own bulk runs"
+  ON bulk_runs
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Users can read own bulk run keywords"
+  ON bulk_run_keywords
+  FOR SELECT
+  TO authenticated
+  USING (bulk_run_id IN (SELECT id FROM bulk_runs WHERE user_id = auth.uid()));
+
+CREATE INDEX IF NOT EXISTS idx_bulk_runs_user_id ON bulk_runs(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_bulk_run_keywords_status ON bulk_run_keywords(bulk_run_id, status, position);
+CREATE INDEX IF NOT EXISTS idx_analysis_logs_bulk_run_id ON analysis_logs(bulk_run_id);
@@ -0,0 +1,92 @@
+/*
+  # SERP history tables
+
+  `serp_results` and `global_serp_data` were created outside of migrations. This brings
+  them under version control (creating them on fresh databases, filling in missing columns
+  on existing ones) and prepares `serp_results` for history queries.
+
+  1. Tables
+    - `global_serp_data` - shared domain-level Moz metrics cache
+      - `domain` (text, primary key) - registrable domain
+      - `da` / `pa` / `spam_score` (integer)
+      - `scrape_date` (timestamp)
+    - `serp_results` - one row per keyword/position of every completed analysis
+      - `id` (uuid, primary key)
+      - `analysis_log_id` (uuid, foreign key)
+      - `user_id` (uuid, foreign key) - new, copied from the analysis log
+      - `country` (text) - new, the country the SERP was fetched for
+      - `keyword`, `position`, `url`, `domain`, `title`, `description`
+      - `da` / `pa` / `spam_score` (integer)
+      - `created_at` (timestamp)
+
+  2. Data
+    - Backfill `user_id` and `country` on existing `serp_results` rows from their analysis log
+
+  3. Security
+    - Enable RLS on both tables
+    - Users can read their own SERP rows; signed-in users can read the shared metrics cache
+*/
+
+CREATE TABLE IF NOT EXISTS global_serp_data (
+  domain text PRIMARY KEY,
+  da integer,
+  pa integer,
+  spam_score integer,
+  scrape_date timestamptz DEFAULT now()
+);
+
+ALTER TABLE global_serp_data ADD COLUMN IF NOT EXISTS da integer;
+ALTER TABLE global_serp_data ADD COLUMN IF NOT EXISTS pa integer;
+ALTER TABLE global_serp_data ADD COLUMN IF NOT EXISTS spam_score integer;
+ALTER TABLE global_serp_data ADD COLUMN IF NOT EXISTS scrape_date timestamptz DEFAULT now();
+
+CREATE TABLE IF NOT EXISTS serp_results (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  analysis_log_id uuid REFERENCES analysis_logs(id) ON DELETE CASCADE NOT NULL,
+  keyword text NOT NULL,
+  position integer,
+  url text,
+  domain text,
+  title text,
+  description text,
+  da integer,
+  pa integer,
+  spam_score integer,
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE serp_results ADD COLUMN IF NOT EXISTS user_id uuid REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE serp_results ADD COLUMN IF NOT EXISTS country text;
+ALTER TABLE serp_results ADD COLUMN IF NOT EXISTS url text;
+ALTER TABLE serp_results ADD COLUMN IF NOT EXISTS pa integer;
+ALTER TABLE serp_results ADD COLUMN IF NOT EXISTS spam_score integer;
+ALTER TABLE serp_results ADD COLUMN IF NOT EXISTS created_at timestamptz DEFAULT now();
+
+UPDATE serp_results s
+SET user_id = l.user_id,
+    country = COALESCE(s.country, l.options->>'country', 'US')
+FROM analysis_logs l
+WHERE s.analysis_log_id = l.id
+  AND (s.user_id IS NULL OR s.country IS NULL);
+
+ALTER TABLE global_serp_data ENABLE ROW LEVEL SECURITY;
+ALTER TABLE serp_results ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Authenticated users can read SERP metrics" ON global_serp_data;
+CREATE POLICY "Authenticated users can read SERP metrics"
+  ON global_serp_data
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "Users can read own SERP results" ON serp_results;
+CREATE POLICY "Users can read own SERP results"
+  ON serp_results
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+-- Metrics are upserted on domain, which older tables may not have had a unique key on
+CREATE UNIQUE INDEX IF NOT EXISTS idx_global_serp_data_domain ON global_serp_data(domain);
+CREATE INDEX IF NOT EXISTS idx_serp_results_analysis_log_id ON serp_results(analysis_log_id);
+CREATE INDEX IF NOT EXISTS idx_serp_results_history ON serp_results(user_id, country, keyword, created_at);
@@ -0,0 +1,59 @@
+/*
+  # Scheduled recurring analyses
+
+  1. New Tables
+    - `analysis_schedules`
+      - `id` (uuid, primary key)
+      - `user_id` (uuid, foreign key)
+      - `name` (text)
+      - `keywords` (jsonb) - saved keyword list, up to 30 keywords like a single analyze request
+      - `options` (jsonb) - country, page, write_skip_config, rule_profile, metrics_max_age_hours
+      - `cron` (text) - five-field cron expression
+      - `timezone` (text) - IANA time zone the cron expression is evaluated in
+      - `enabled` (boolean)
+      - `missed_run_policy` (text) - `skip` drops runs missed while the server was down,
+        `run_once` catches up with a single run
+      - `next_run_at` (timestamp)
+      - `last_run_at` (timestamp)
+      - `last_request_id` (text) - analysis_logs request of the latest run
+      - `last_error` (text) - why the latest run could not start, or a skipped-run note
+      - `created_at` / `updated_at` (timestamp)
+
+  2. Changes
+    - `analysis_logs.schedule_id` links each scheduled run to its schedule
+
+  3. Security
+    - Enable RLS on `analysis_schedules`
+    - Users can read their own schedules; the backend validates and writes them
+*/
+
+CREATE TABLE IF NOT EXISTS analysis_schedules (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  name text NOT NULL,
+  keywords jsonb NOT NULL,
+  options jsonb NOT NULL DEFAULT '{}'::jsonb,
+  cron text NOT NULL,
+  timezone text NOT NULL DEFAULT 'UTC',
+  enabled boolean NOT NULL DEFAULT true,
+  missed_run_policy text NOT NULL DEFAULT 'run_once' CHECK (missed_run_policy IN ('skip', 'run_once')),
+  next_run_at timestamptz,
+  last_run_at timestamptz,
+  last_request_id text,
+  last_error text,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE analysis_logs ADD COLUMN IF NOT EXISTS schedule_id uuid REFERENCES analysis_schedules(id) ON DELETE SET NULL;
+
+ALTER TABLE analysis_schedules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read own schedules"
+  ON analysis_schedules
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+CREATE INDEX IF NOT EXISTS idx_analysis_schedules_due ON analysis_schedules(next_run_at) WHERE enabled;
+CREATE INDEX IF NOT EXISTS idx_analysis_logs_schedule_id ON analysis_logs(schedule_id);
@@ -0,0 +1,82 @@
+/*
+  # Keyword projects
+
+  1. New Tables
+    - `keyword_projects` - a persistent keyword list
+      - `id` (uuid, primary key)
+      - `user_id` (uuid, foreign key)
+      - `name` (text) - unique per user
+      - `description` (text)
+      - `country` (text) - country whose analyses update the keywords' latest results
+      - `created_at` / `updated_at` (timestamp)
+    - `project_keywords` - one row per normalized keyword in a project
+      - `id` (uuid, primary key)
+      - `project_id` (uuid, foreign key)
+      - `user_id` (uuid, foreign key) - owner, so finished analyses can find keywords directly
+      - `keyword` (text) - normalized keyword, unique per project
+      - `tags` (text[])
+      - `status` (text) - new, assigned or published
+      - `assigned_to` (text) - writer the keyword was handed to
+      - `last_decision` / `last_average_da` / `last_low_da_count` - latest analysis result
+      - `last_request_id` (text) - analysis_logs request of that result
+      - `last_analyzed_at` (timestamp)
+      - `created_at` / `updated_at` (timestamp)
+
+  2. Changes
+    - `analysis_logs.project_id` links analyses started from a project
+
+  3. Security
+    - Enable RLS on both tables
+    - Users can read their own projects and keywords; the backend writes them
+*/
+
+CREATE TABLE IF NOT EXISTS keyword_projects (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  name text NOT NULL,
+  description text,
+  country text NOT NULL DEFAULT 'US',
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  UNIQUE (user_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS project_keywords (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id uuid REFERENCES keyword_projects(id) ON DELETE CASCADE NOT NULL,
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  keyword text NOT NULL,
+  tags text[] NOT NULL DEFAULT '{}',
+  status text NOT NULL DEFAULT 'new' CHECK (status IN ('new', 'assigned', 'published')),
+  assigned_to text,
+  last_decision text,
+  last_average_da numeric,
+  last_low_da_count integer,
+  last_request_id text,
+  last_analyzed_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  UNIQUE (project_id, keyword)
+);
+
+ALTER TABLE analysis_logs ADD COLUMN IF NOT EXISTS project_id uuid REFERENCES keyword_projects(id) ON DELETE SET NULL;
+
+ALTER TABLE keyword_projects ENABLE ROW LEVEL SECURITY;
+ALTER TABLE project_keywords ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read own projects"
+  ON keyword_projects
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Users can read own project keywords"
+  ON project_keywords
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+CREATE INDEX IF NOT EXISTS idx_keyword_projects_user_id ON keyword_projects(user_id);
+CREATE INDEX IF NOT EXISTS idx_project_keywords_user_keyword ON project_keywords(user_id, keyword);
+CREATE INDEX IF NOT EXISTS idx_project_keywords_tags ON project_keywords USING gin(tags);
+CREATE INDEX IF NOT EXISTS idx_analysis_logs_project_id ON analysis_logs(project_id);
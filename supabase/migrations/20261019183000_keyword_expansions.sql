@@ -0,0 +1,55 @@
+/*
+  # Related-keyword expansions
+
+  1. New Tables
+    - `keyword_expansions` - one recursive expansion around a list of seed keywords
+      - `id` (uuid, primary key)
+      - `user_id` (uuid, foreign key)
+      - `seeds` (jsonb) - normalized seed keywords
+      - `depth` (integer) - levels of related keywords analyzed below the seeds
+      - `max_keywords` (integer) - cap on keywords analyzed, seeds included
+      - `options` (jsonb) - analyze options applied to every batch
+      - `status` (text) - running, completed or failed
+      - `nodes` (jsonb) - one entry per keyword: keyword, parent, level, status, decision,
+        average_da, low_da_count, request_id, error
+      - `keywords_total` (integer)
+      - `error_message` (text) - why the expansion stopped early
+      - `created_at` / `updated_at` / `finished_at` (timestamp)
+
+  2. Changes
+    - `analysis_logs.expansion_id` links each batch to its expansion
+
+  3. Security
+    - Enable RLS on `keyword_expansions`
+    - Users can read their own expansions; the backend writes them
+*/
+
+CREATE TABLE IF NOT EXISTS keyword_expansions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  seeds jsonb NOT NULL,
+  depth integer NOT NULL,
+  max_keywords integer NOT NULL,
+  options jsonb NOT NULL DEFAULT '{}'::jsonb,
+  status text NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  nodes jsonb NOT NULL DEFAULT '[]'::jsonb,
+  keywords_total integer NOT NULL DEFAULT 0,
+  error_message text,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  finished_at timestamptz
+);
+
+ALTER TABLE analysis_logs ADD COLUMN IF NOT EXISTS expansion_id uuid REFERENCES keyword_expansions(id) ON DELETE SET NULL;
+
+ALTER TABLE keyword_expansions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read own expansions"
+  ON keyword_expansions
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+CREATE INDEX IF NOT EXISTS idx_keyword_expansions_user_id ON keyword_expansions(user_id);
+CREATE INDEX IF NOT EXISTS idx_keyword_expansions_status ON keyword_expansions(status);
+CREATE INDEX IF NOT EXISTS idx_analysis_logs_expansion_id ON analysis_logs(expansion_id);
@@ -0,0 +1,40 @@
+/*
+  # SERP locale
+
+  Analyses can now target a language, device and location on top of the country, and fetch
+  several result pages. The locale is stored with every analysis and SERP row so history only
+  compares snapshots fetched the same way.
+
+  1. Changes
+    - `analysis_logs`
+      - `locale` (jsonb) - { country, language, device, location } the analysis ran with
+    - `serp_results`
+      - `language` (text, nullable) - interface language, null for the country default
+      - `device` (text) - 'desktop' or 'mobile', defaults to 'desktop'
+      - `location` (text, nullable) - city or region, null for country-wide results
+
+  2. Data
+    - Existing analyses were all country-wide desktop searches; backfill their `locale`
+
+  3. Security
+    - No policy changes; the existing row policies cover the new columns
+*/
+
+ALTER TABLE analysis_logs ADD COLUMN IF NOT EXISTS locale jsonb;
+
+ALTER TABLE serp_results ADD COLUMN IF NOT EXISTS language text;
+ALTER TABLE serp_results ADD COLUMN IF NOT EXISTS device text NOT NULL DEFAULT 'desktop' CHECK (device IN ('desktop', 'mobile'));
+ALTER TABLE serp_results ADD COLUMN IF NOT EXISTS location text;
+
+UPDATE analysis_logs
+SET locale = jsonb_build_object(
+  'country', UPPER(COALESCE(options->>'country', 'US')),
+  'language', NULL,
+  'device', 'desktop',
+  'location', NULL
+)
+WHERE locale IS NULL;
+
+-- History lookups now filter on the full locale
+DROP INDEX IF EXISTS idx_serp_results_history;
+CREATE INDEX IF NOT EXISTS idx_serp_results_history ON serp_results(user_id, country, device, keyword, created_at);
@@ -0,0 +1,41 @@
+/*
+  # Tracked domains
+
+  1. New Tables
+    - `tracked_domains` - the user's own sites and the competitors they watch in SERPs
+      - `id` (uuid, primary key)
+      - `user_id` (uuid, foreign key)
+      - `domain` (text) - host without www., unique per user; subdomains of it match too
+      - `kind` (text) - own or competitor
+      - `label` (text) - optional display name
+      - `created_at` (timestamp)
+
+  2. Changes
+    - Index `analysis_logs` by user, status and date for the visibility report, which reads
+      rankings from the `full_results` already stored on completed analyses
+
+  3. Security
+    - Enable RLS on `tracked_domains`
+    - Users can read their own tracked domains; the backend writes them
+*/
+
+CREATE TABLE IF NOT EXISTS tracked_domains (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  domain text NOT NULL,
+  kind text NOT NULL DEFAULT 'competitor' CHECK (kind IN ('own', 'competitor')),
+  label text,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (user_id, domain)
+);
+
+ALTER TABLE tracked_domains ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read own tracked domains" ON tracked_domains;
+CREATE POLICY "Users can read own tracked domains"
+  ON tracked_domains
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+CREATE INDEX IF NOT EXISTS idx_analysis_logs_user_status_created ON analysis_logs(user_id, status, created_at);
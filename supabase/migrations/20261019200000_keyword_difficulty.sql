@@ -0,0 +1,17 @@
+/*
+  # Keyword difficulty
+
+  Every analyzed keyword now gets a 0–100 difficulty score with a per-factor breakdown,
+  stored in `analysis_logs.results`. Users can tune the weights of the factors.
+
+  1. Changes
+    - `users.difficulty_weights` (jsonb) - the user's factor weights; null uses the defaults
+    - `project_keywords.last_difficulty` (integer) - difficulty from the latest analysis
+
+  2. Security
+    - No policy changes; the existing row policies cover the new columns
+*/
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS difficulty_weights jsonb;
+
+ALTER TABLE project_keywords ADD COLUMN IF NOT EXISTS last_difficulty integer;
@@ -0,0 +1,27 @@
+/*
+  # SERP result types and search intent
+
+  Every SERP result is now labeled by type (forum/UGC, e-commerce, video, news, review/listicle,
+  official/brand or informational article), and every keyword gets a search intent derived from
+  its modifiers and the mix of result types. Both labels are stored with the SERP rows so they
+  can be filtered and aggregated.
+
+  1. Changes
+    - `serp_results`
+      - `result_type` (text, nullable) - the result's label, null for rows stored before classification
+      - `intent` (text, nullable) - the keyword's search intent for the analysis the row belongs to
+
+  2. Security
+    - No policy changes; the existing row policies cover the new columns
+
+  3. Indexes
+    - `serp_results (user_id, result_type)` and `serp_results (user_id, intent)` for filtering
+*/
+
+ALTER TABLE serp_results ADD COLUMN IF NOT EXISTS result_type text
+  CHECK (result_type IN ('video', 'forum', 'ecommerce', 'review', 'news', 'official', 'article'));
+ALTER TABLE serp_results ADD COLUMN IF NOT EXISTS intent text
+  CHECK (intent IN ('informational', 'commercial', 'transactional', 'navigational'));
+
+CREATE INDEX IF NOT EXISTS idx_serp_results_user_result_type ON serp_results(user_id, result_type);
+CREATE INDEX IF NOT EXISTS idx_serp_results_user_intent ON serp_results(user_id, intent);
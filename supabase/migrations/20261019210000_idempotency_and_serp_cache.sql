@@ -0,0 +1,41 @@
+/*
+  # Idempotency keys and SERP cache
+
+  Retried analyze requests carrying the same `Idempotency-Key` header now return the original
+  analysis instead of starting a new one, and recently analyzed keywords are served from the
+  stored SERP rows instead of new provider runs.
+
+  1. Changes
+    - `analysis_logs`
+      - `idempotency_key` (text, nullable) - the Idempotency-Key the analysis was started with
+      - `idempotency_fingerprint` (text, nullable) - SHA-256 of the request body, to reject a key reused for another request
+    - `serp_results`
+      - `page` (integer, nullable) - the first result page the analysis fetched; null for older rows
+      - `depth` (integer, nullable) - how many pages the analysis fetched; null for older rows
+
+  2. Security
+    - No policy changes; the existing row policies cover the new columns
+
+  3. Indexes
+    - Unique `analysis_logs (user_id, idempotency_key)` so concurrent retries cannot both start.
+      Keys only hold for IDEMPOTENCY_KEY_TTL_HOURS (24 by default); the server clears older
+      keys, which makes them reusable and keeps this index small
+    - `analysis_logs (created_at)` over rows that still hold a key, for that cleanup
+    - `serp_results (user_id, keyword, created_at)` for cache lookups
+*/
+
+ALTER TABLE analysis_logs ADD COLUMN IF NOT EXISTS idempotency_key text;
+ALTER TABLE analysis_logs ADD COLUMN IF NOT EXISTS idempotency_fingerprint text;
+
+ALTER TABLE serp_results ADD COLUMN IF NOT EXISTS page integer;
+ALTER TABLE serp_results ADD COLUMN IF NOT EXISTS depth integer;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_analysis_logs_user_idempotency_key
+  ON analysis_logs(user_id, idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_analysis_logs_idempotency_created
+  ON analysis_logs(created_at)
+  WHERE idempotency_key IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_serp_results_user_keyword_created ON serp_results(user_id, keyword, created_at);
@@ -0,0 +1,42 @@
+/*
+  # Batched project result updates
+
+  Finished analyses copied their results onto project keywords with one update per keyword.
+  They now send all of them in a single call.
+
+  1. New Functions
+    - `record_project_results(p_user_id, p_project_ids, p_request_id, p_analyzed_at, p_results)`
+      updates the `last_*` columns of every matching keyword in the given projects from a
+      JSON array of `{ keyword, decision, average_da, low_da_count, difficulty }`, and
+      returns how many rows it updated
+
+  2. Security
+    - No policy changes; only the backend calls the function
+*/
+
+CREATE OR REPLACE FUNCTION public.record_project_results(
+  p_user_id uuid,
+  p_project_ids uuid[],
+  p_request_id text,
+  p_analyzed_at timestamptz,
+  p_results jsonb
+)
+RETURNS integer
+LANGUAGE sql
+AS $$
+  WITH updated AS (
+    UPDATE project_keywords pk
+    SET last_decision = r.decision,
+        last_average_da = r.average_da,
+        last_low_da_count = r.low_da_count,
+        last_difficulty = r.difficulty,
+        last_request_id = p_request_id,
+        last_analyzed_at = p_analyzed_at
+    FROM jsonb_to_recordset(p_results) AS r(keyword text, decision text, average_da numeric, low_da_count integer, difficulty integer)
+    WHERE pk.user_id = p_user_id
+      AND pk.project_id = ANY(p_project_ids)
+      AND pk.keyword = r.keyword
+    RETURNING pk.id
+  )
+  SELECT count(*)::integer FROM updated;
+$$;